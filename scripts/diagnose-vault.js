@@ -11,7 +11,7 @@
  *   node scripts/diagnose-vault.js <vaultId>
  */
 
-import * as fireblocksClient from '../src/modules/fireblocks/fireblocks.client.js';
+import * as fireblocksVaultService from '../src/modules/fireblocks/vault.service.js';
 import logger from '../src/utils/logger.js';
 
 const vaultId = process.argv[2];
@@ -31,7 +31,7 @@ async function diagnoseVault() {
     console.log(`🔍 Checking vault: ${vaultId}\n`);
 
     // Get vault details
-    const vaultDetails = await fireblocksClient.getVaultDetails(vaultId);
+    const vaultDetails = await fireblocksVaultService.getVaultDetails(vaultId);
 
     console.log('✅ Vault found!');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -60,8 +60,12 @@ const limiter = rateLimit({
 app.use('/v1/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body bytes so HMAC signatures can be verified exactly as sent
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Cookie parser middleware (required for refresh tokens)
 app.use(cookieParser());
@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import './math.config.js';
 import { config } from './env.js';
 import logger from '../utils/logger.js';
 
@@ -24,6 +24,13 @@ if (missingVars.length > 0) {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+// Per-operation-type TTL overrides, e.g. OPERATION_TTL_MINT_SECONDS=3600
+const operationTtlOverrides = Object.fromEntries(
+    Object.entries(process.env)
+        .map(([name, value]) => [name.match(/^OPERATION_TTL_([A-Z_]+)_SECONDS$/)?.[1], parseInt(value, 10)])
+        .filter(([type, seconds]) => type && seconds > 0)
+);
+
 export const config = {
     // Application
     nodeEnv: process.env.NODE_ENV || 'development',
@@ -35,21 +42,112 @@ export const config = {
     // Security
     apiKeySecret: process.env.API_KEY_SECRET || 'default-secret-change-in-production',
     hmacSecret: process.env.HMAC_SECRET || 'default-hmac-secret-change-in-production',
+    // Master key used to envelope-encrypt API key secrets at rest
+    secretMasterKey: process.env.SECRET_MASTER_KEY || 'default-master-key-change-in-production',
+
+    // API key rotation: how long the previous secret stays valid after a rotation
+    apiKeyRotation: {
+        gracePeriodSeconds: parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS, 10) || 24 * 60 * 60 // 24 hours
+    },
+
+    // Dashboard MFA (TOTP)
+    mfa: {
+        issuer: process.env.MFA_ISSUER || 'AssetLink Custody',
+        challengeTtlSeconds: 5 * 60, // Login challenge / forced enrollment tokens
+        maxCodeAttempts: 5, // MFA codes a user can submit per window, on every path
+        codeAttemptWindowSeconds: 5 * 60,
+        stepUpTtlSeconds: 5 * 60 // Step-up tokens for high-risk actions
+    },
+
+    // Operations awaiting approval expire after their time-to-live
+    operations: {
+        ttlSeconds: parseInt(process.env.OPERATION_TTL_SECONDS, 10) || 24 * 60 * 60, // 24 hours
+        ttlSecondsByType: operationTtlOverrides,
+        expirySweepIntervalMs: parseInt(process.env.OPERATION_EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 1000, // 1 minute
+        // Retries of FAILED operations
+        maxAttempts: parseInt(process.env.OPERATION_MAX_ATTEMPTS, 10) || 3,
+        // Whether retries keep their approvals when no approval policy applies (policies set carryOverOnRetry)
+        retryCarriesApproval: process.env.OPERATION_RETRY_CARRIES_APPROVAL !== 'false'
+    },
+
+    // Background job queue (persisted in the jobs table)
+    jobs: {
+        workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+        pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000,
+        leaseMs: parseInt(process.env.JOB_LEASE_MS, 10) || 2 * 60 * 1000, // 2 minutes, renewed while a job runs
+        maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+        backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5 * 1000,
+        backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS, 10) || 10 * 60 * 1000 // 10 minutes
+    },
+
+    // Fireblocks tokenization monitors (persisted in the mint_monitors table)
+    mintMonitor: {
+        schedulerEnabled: process.env.MINT_MONITOR_ENABLED !== 'false',
+        tickMs: parseInt(process.env.MINT_MONITOR_TICK_MS, 10) || 15 * 1000,
+        leaseMs: parseInt(process.env.MINT_MONITOR_LEASE_MS, 10) || 5 * 60 * 1000, // 5 minutes
+        maxAttempts: parseInt(process.env.MINT_MONITOR_MAX_ATTEMPTS, 10) || 20,
+        initialDelayMs: parseInt(process.env.MINT_MONITOR_INITIAL_DELAY_MS, 10) || 2 * 60 * 1000, // 2 minutes
+        maxDelayMs: parseInt(process.env.MINT_MONITOR_MAX_DELAY_MS, 10) || 10 * 60 * 1000, // 10 minutes
+        submitTimeoutMs: parseInt(process.env.MINT_MONITOR_SUBMIT_TIMEOUT_MS, 10) || 15 * 60 * 1000 // 15 minutes
+    },
+
+    // Fireblocks transfer tracking (persisted in the fireblocks_transactions table)
+    transactions: {
+        trackerEnabled: process.env.TRANSACTION_TRACKER_ENABLED !== 'false',
+        tickMs: parseInt(process.env.TRANSACTION_TRACKER_TICK_MS, 10) || 15 * 1000,
+        initialDelayMs: parseInt(process.env.TRANSACTION_POLL_INITIAL_DELAY_MS, 10) || 15 * 1000,
+        maxDelayMs: parseInt(process.env.TRANSACTION_POLL_MAX_DELAY_MS, 10) || 5 * 60 * 1000 // 5 minutes
+    },
+
+    // Marketplace listings past their expiry date (and the holds of their pending bids)
+    marketplace: {
+        expirySweepIntervalMs: parseInt(process.env.MARKETPLACE_EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 1000 // 1 minute
+    },
+
+    // Ledger reconciliation (invariant checks, reports in the reconciliation_reports table)
+    ledger: {
+        reconcileEnabled: process.env.LEDGER_RECONCILE_ENABLED !== 'false',
+        reconcileIntervalMs: parseInt(process.env.LEDGER_RECONCILE_INTERVAL_MS, 10) || 60 * 60 * 1000, // 1 hour
+        // Freeze marketplace trading of an asset whose books do not balance
+        freezeOnBreak: process.env.LEDGER_RECONCILE_FREEZE_ON_BREAK === 'true'
+    },
 
     // Fireblocks
     fireblocks: {
         apiKey: process.env.FIREBLOCKS_API_KEY || '',
         secretKeyPath: process.env.FIREBLOCKS_SECRET_KEY_PATH || '', // Changed from privateKeyPath
         baseUrl: process.env.FIREBLOCKS_BASE_URL || 'https://sandbox-api.fireblocks.io/v1',
-        contractTemplateId: process.env.FIREBLOCKS_CONTRACT_TEMPLATE_ID || ''
+        contractTemplateId: process.env.FIREBLOCKS_CONTRACT_TEMPLATE_ID || '',
+        // Per-request timeout and attempts for retryable failures (timeouts, resets, rate limits)
+        timeoutMs: parseInt(process.env.FIREBLOCKS_TIMEOUT_MS, 10) || 30 * 1000,
+        maxAttempts: parseInt(process.env.FIREBLOCKS_MAX_ATTEMPTS, 10) || 3,
+        // Public key that signs webhook deliveries (PEM, or a path to the PEM file)
+        webhookPublicKey: (process.env.FIREBLOCKS_WEBHOOK_PUBLIC_KEY || '').replace(/\\n/g, '\n'),
+        webhookPublicKeyPath: process.env.FIREBLOCKS_WEBHOOK_PUBLIC_KEY_PATH || '',
+        // live, simulator, or auto (simulator when API credentials are missing)
+        mode: process.env.FIREBLOCKS_MODE || 'auto',
+        simulator: {
+            seed: process.env.FIREBLOCKS_SIMULATOR_SEED || 'assetlink-simulator',
+            confirmDelayMs: parseInt(process.env.FIREBLOCKS_SIMULATOR_CONFIRM_DELAY_MS, 10) || 5 * 1000,
+            completeDelayMs: parseInt(process.env.FIREBLOCKS_SIMULATOR_COMPLETE_DELAY_MS, 10) || 10 * 1000,
+            tokenizationDelayMs: parseInt(process.env.FIREBLOCKS_SIMULATOR_TOKENIZATION_DELAY_MS, 10) || 15 * 1000,
+            failureRate: parseFloat(process.env.FIREBLOCKS_SIMULATOR_FAILURE_RATE) || 0, // 0..1
+            gasVaultBalance: process.env.FIREBLOCKS_SIMULATOR_GAS_BALANCE || '1000'
+        }
     },
 
     // Rate Limiting
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
-        maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100
+        maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+        // Per-API-key / per-tenant limits (see modules/rate-limit)
+        keyWindowMs: parseInt(process.env.RATE_LIMIT_KEY_WINDOW_MS, 10) || 60 * 1000, // 1 minute
+        defaultPlan: process.env.RATE_LIMIT_DEFAULT_PLAN || 'standard'
     },
 
+    // Proxies (IPs / CIDR blocks) whose X-Forwarded-For header is trusted
+    trustedProxies: process.env.TRUSTED_PROXIES?.split(',').map(entry => entry.trim()).filter(Boolean) || [],
+
     // CORS
     corsOrigins: process.env.CORS_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:5173', 'http://localhost:5174'],
 
@@ -1,4 +1,5 @@
 import Decimal from 'decimal.js';
+import { Prisma } from '@prisma/client';
 
 /**
  * Math Configuration for AssetLink Custody
@@ -7,7 +8,7 @@ import Decimal from 'decimal.js';
 
 // Configure Decimal.js for financial precision
 Decimal.set({
-    precision: 28,        // Maximum precision for calculations
+    precision: 40,        // Covers every DECIMAL(36, 18) amount exactly
     rounding: Decimal.ROUND_DOWN, // Always round down for safety
     toExpNeg: -7,         // Exponential notation threshold
     toExpPos: 21,
@@ -15,10 +16,21 @@ Decimal.set({
     maxE: 9e15
 });
 
+// Amounts read from DECIMAL columns serialize as plain decimal strings, never in exponent notation
+Prisma.Decimal.set({
+    precision: 40,
+    toExpNeg: -40,
+    toExpPos: 40
+});
+
 export const MathConfig = {
     // Token quantity precision (supports fractional ownership)
     TOKEN_DECIMALS: 18,
 
+    // Scale of the DECIMAL(36, 18) amount columns: 18 integer and 18 fractional digits
+    AMOUNT_INTEGER_DIGITS: 18,
+    AMOUNT_DECIMALS: 18,
+
     // Price precision (USD cents)
     PRICE_DECIMALS: 2,
 
@@ -38,22 +50,22 @@ export class SafeMath {
     }
 
     static add(a, b) {
-        return new Decimal(a).plus(new Decimal(b)).toString();
+        return new Decimal(a).plus(new Decimal(b)).toFixed();
     }
 
     static subtract(a, b) {
-        return new Decimal(a).minus(new Decimal(b)).toString();
+        return new Decimal(a).minus(new Decimal(b)).toFixed();
     }
 
     static multiply(a, b) {
-        return new Decimal(a).times(new Decimal(b)).toString();
+        return new Decimal(a).times(new Decimal(b)).toFixed();
     }
 
     static divide(a, b) {
         if (new Decimal(b).isZero()) {
             throw new Error('Division by zero');
         }
-        return new Decimal(a).dividedBy(new Decimal(b)).toString();
+        return new Decimal(a).dividedBy(new Decimal(b)).toFixed();
     }
 
     static isGreaterThan(a, b) {
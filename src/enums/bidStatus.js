@@ -0,0 +1,27 @@
+/**
+ * Bid Status Enum
+ * Marketplace bid states; a PENDING bid holds its total in the buyer's escrow
+ */
+
+export const BidStatus = Object.freeze({
+    PENDING: 'PENDING',       // Awaiting the seller; funds held in escrow
+    ACCEPTED: 'ACCEPTED',     // Traded; the hold settled the trade
+    REJECTED: 'REJECTED',     // Rejected by the seller; hold released
+    EXPIRED: 'EXPIRED'        // Listing closed before a decision; hold released
+});
+
+/**
+ * Why a pending bid expired
+ */
+export const BidExpiryReason = Object.freeze({
+    LISTING_EXPIRED: 'LISTING_EXPIRED',       // Listing passed its expiry date
+    LISTING_CANCELLED: 'LISTING_CANCELLED',   // Seller cancelled the listing
+    LISTING_SOLD: 'LISTING_SOLD',             // Another bid bought the remaining quantity
+    ASSET_RETIRED: 'ASSET_RETIRED'            // Token left custody (burned or withdrawn)
+});
+
+export const isValidBidStatus = (status) => {
+    return Object.values(BidStatus).includes(status);
+};
+
+export default BidStatus;
@@ -0,0 +1,17 @@
+/**
+ * Job Status Enum
+ * Lifecycle of background jobs in the persisted queue
+ */
+
+export const JobStatus = Object.freeze({
+    PENDING: 'PENDING',       // Waiting for runAt (new, or scheduled for a retry)
+    RUNNING: 'RUNNING',       // Leased by a worker
+    COMPLETED: 'COMPLETED',   // Handler succeeded
+    DEAD: 'DEAD'              // Failed permanently or ran out of attempts (dead-lettered)
+});
+
+export const isValidJobStatus = (status) => {
+    return Object.values(JobStatus).includes(status);
+};
+
+export default JobStatus;
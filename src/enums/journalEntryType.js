@@ -0,0 +1,22 @@
+/**
+ * Journal Entry Type Enum
+ * Business event a ledger journal entry records
+ */
+
+export const JournalEntryType = Object.freeze({
+    OPENING: 'OPENING',         // Balance carried over from before the ledger (UserBalance)
+    MINT: 'MINT',               // Minted supply issued to the issuer
+    TRADE: 'TRADE',             // Accepted bid: units to the buyer, cash to the seller
+    HOLD: 'HOLD',               // Bid placed or cash withdrawal requested: funds move from the user's cash to their escrow
+    RELEASE: 'RELEASE',         // Bid rejected or expired, withdrawal not paid out: held funds return to the user's cash
+    BURN: 'BURN',               // Units returned to the treasury when the token is burned
+    WITHDRAWAL: 'WITHDRAWAL',   // Units returned to the treasury when the token leaves custody
+    CASH_DEPOSIT: 'CASH_DEPOSIT',       // Cash credited to a user from outside (treasury → user)
+    CASH_WITHDRAWAL: 'CASH_WITHDRAWAL'  // Approved withdrawal paid out from the user's escrow (escrow → treasury)
+});
+
+export const isValidJournalEntryType = (type) => {
+    return Object.values(JournalEntryType).includes(type);
+};
+
+export default JournalEntryType;
@@ -0,0 +1,29 @@
+/**
+ * Ledger Account Type Enum
+ * Role of an account in the double-entry ledger
+ */
+
+export const LedgerAccountType = Object.freeze({
+    ISSUER: 'ISSUER',         // Issuer's holding of its own asset's token units
+    INVESTOR: 'INVESTOR',     // End user's token units (other issuers' assets) and cash
+    ESCROW: 'ESCROW',         // End user's cash held for a pending settlement
+    FEE: 'FEE',               // Tenant's collected marketplace fees
+    TREASURY: 'TREASURY'      // Tenant's source and sink: issued supply, cash in and out
+});
+
+export const LedgerUnitType = Object.freeze({
+    TOKEN: 'TOKEN',           // Units of an asset's token (unit = assetId)
+    CASH: 'CASH'              // Money (unit = currency)
+});
+
+/**
+ * Owner of the tenant-level (FEE, TREASURY) accounts
+ */
+export const SYSTEM_OWNER = 'SYSTEM';
+
+/**
+ * Accounts that must never go negative (the treasury holds the negative side of the supply)
+ */
+export const isNonNegativeAccount = (type) => type !== LedgerAccountType.TREASURY;
+
+export default LedgerAccountType;
@@ -0,0 +1,18 @@
+/**
+ * Mint Monitor Status Enum
+ * Lifecycle of a persisted Fireblocks tokenization monitor
+ */
+
+export const MintMonitorStatus = Object.freeze({
+    SUBMITTING: 'SUBMITTING',   // Asset locked, token issuance being submitted to Fireblocks
+    MONITORING: 'MONITORING',   // Issued; scheduler polls tokenization status
+    COMPLETED: 'COMPLETED',     // Token minted, custody record updated
+    FAILED: 'FAILED',           // Issuance or tokenization failed
+    TIMED_OUT: 'TIMED_OUT'      // Gave up polling after the maximum number of attempts
+});
+
+export const isActiveMintMonitorStatus = (status) => {
+    return [MintMonitorStatus.SUBMITTING, MintMonitorStatus.MONITORING].includes(status);
+};
+
+export default MintMonitorStatus;
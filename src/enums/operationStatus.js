@@ -7,9 +7,12 @@ export const OperationStatus = Object.freeze({
     PENDING_MAKER: 'PENDING_MAKER',       // Initiated, awaiting maker submission
     PENDING_CHECKER: 'PENDING_CHECKER',   // Submitted by maker, awaiting checker approval
     APPROVED: 'APPROVED',                 // Approved by checker, ready for execution
+    EXECUTING: 'EXECUTING',               // Quorum reached, execution queued, in progress or awaiting confirmation
     EXECUTED: 'EXECUTED',                 // Successfully executed on-chain
     REJECTED: 'REJECTED',                 // Rejected by checker
-    FAILED: 'FAILED'                      // Execution failed
+    FAILED: 'FAILED',                     // Execution failed
+    EXPIRED: 'EXPIRED',                   // Not approved before its time-to-live elapsed
+    CANCELLED: 'CANCELLED'                // Withdrawn by the maker before approval
 });
 
 export const isValidOperationStatus = (status) => {
@@ -18,12 +21,15 @@ export const isValidOperationStatus = (status) => {
 
 export const canTransitionTo = (currentStatus, newStatus) => {
     const validTransitions = {
-        [OperationStatus.PENDING_MAKER]: [OperationStatus.PENDING_CHECKER],
-        [OperationStatus.PENDING_CHECKER]: [OperationStatus.APPROVED, OperationStatus.REJECTED],
-        [OperationStatus.APPROVED]: [OperationStatus.EXECUTED, OperationStatus.FAILED],
+        [OperationStatus.PENDING_MAKER]: [OperationStatus.PENDING_CHECKER, OperationStatus.EXPIRED, OperationStatus.CANCELLED],
+        [OperationStatus.PENDING_CHECKER]: [OperationStatus.APPROVED, OperationStatus.EXECUTING, OperationStatus.REJECTED, OperationStatus.EXPIRED, OperationStatus.CANCELLED],
+        [OperationStatus.APPROVED]: [OperationStatus.EXECUTING, OperationStatus.EXECUTED, OperationStatus.FAILED],
+        [OperationStatus.EXECUTING]: [OperationStatus.EXECUTED, OperationStatus.FAILED],
         [OperationStatus.EXECUTED]: [],
         [OperationStatus.REJECTED]: [],
-        [OperationStatus.FAILED]: []
+        [OperationStatus.FAILED]: [],
+        [OperationStatus.EXPIRED]: [],
+        [OperationStatus.CANCELLED]: []
     };
 
     return validTransitions[currentStatus]?.includes(newStatus) || false;
@@ -33,6 +39,8 @@ export const isTerminalStatus = (status) => {
     return [
         OperationStatus.EXECUTED,
         OperationStatus.REJECTED,
-        OperationStatus.FAILED
+        OperationStatus.FAILED,
+        OperationStatus.EXPIRED,
+        OperationStatus.CANCELLED
     ].includes(status);
 };
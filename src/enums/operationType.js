@@ -7,8 +7,10 @@ export const OperationType = Object.freeze({
     MINT: 'MINT',
     TRANSFER: 'TRANSFER',
     BURN: 'BURN',
+    WITHDRAW: 'WITHDRAW',
     UPDATE_VAULT: 'UPDATE_VAULT',
-    LINK_ASSET: 'LINK_ASSET'
+    LINK_ASSET: 'LINK_ASSET',
+    CASH_WITHDRAWAL: 'CASH_WITHDRAWAL'  // Pay out an end user's cash (no custody record)
 });
 
 export const isValidOperationType = (type) => {
@@ -0,0 +1,16 @@
+/**
+ * Operator Role Enum
+ * Segregation-of-duties roles for API keys and dashboard users
+ */
+
+export const OperatorRole = Object.freeze({
+    MAKER: 'MAKER',       // Initiates operations and custody links
+    CHECKER: 'CHECKER',   // Approves or rejects what makers initiate
+    VIEWER: 'VIEWER'      // Read-only
+});
+
+export const isValidOperatorRole = (role) => {
+    return Object.values(OperatorRole).includes(role);
+};
+
+export default OperatorRole;
@@ -0,0 +1,137 @@
+/**
+ * Permission Scope Enum
+ * Resource-level scopes granted to API keys (format: resource:action)
+ */
+
+export const PermissionScope = Object.freeze({
+    CUSTODY_READ: 'custody:read',
+    CUSTODY_LINK: 'custody:link',
+    CUSTODY_APPROVE: 'custody:approve',
+
+    ASSETS_READ: 'assets:read',
+    ASSETS_WRITE: 'assets:write',
+    ASSETS_VERIFY: 'assets:verify',
+
+    OPERATIONS_READ: 'operations:read',
+    OPERATIONS_CREATE: 'operations:create',
+    OPERATIONS_APPROVE: 'operations:approve',
+
+    VAULTS_READ: 'vaults:read',
+    VAULTS_CREATE: 'vaults:create',
+
+    TRANSACTIONS_READ: 'transactions:read',
+
+    LEDGER_READ: 'ledger:read',
+    LEDGER_RECONCILE: 'ledger:reconcile',   // Run reconciliation (may freeze trading of an asset)
+
+    MARKETPLACE_READ: 'marketplace:read',
+    MARKETPLACE_LIST: 'marketplace:list',     // Create and cancel listings
+    MARKETPLACE_BID: 'marketplace:bid',       // Place bids
+    MARKETPLACE_TRADE: 'marketplace:trade',   // Accept or reject bids on own listings
+
+    CASH_READ: 'cash:read',                   // Transaction history and statements
+    CASH_DEPOSIT: 'cash:deposit',             // Credit deposits (payment integrations)
+    CASH_WITHDRAW: 'cash:withdraw',           // Request withdrawals (approved by checkers; explicit grant only)
+
+    AUDIT_READ: 'audit:read',
+
+    KEYS_MANAGE: 'keys:manage'
+});
+
+export const WILDCARD_SCOPE = '*';
+
+const ALL_SCOPES = Object.freeze(Object.values(PermissionScope));
+const RESOURCES = Object.freeze([...new Set(ALL_SCOPES.map(scope => scope.split(':')[0]))]);
+const READ_SCOPES = Object.freeze(ALL_SCOPES.filter(scope => scope.endsWith(':read')));
+
+/**
+ * Legacy coarse permissions mapped onto scopes
+ * Keys issued before scopes existed keep working unchanged
+ */
+export const LEGACY_PERMISSION_SCOPES = Object.freeze({
+    read: READ_SCOPES,
+    write: [
+        ...READ_SCOPES,
+        PermissionScope.CUSTODY_LINK,
+        PermissionScope.ASSETS_WRITE,
+        PermissionScope.OPERATIONS_CREATE,
+        PermissionScope.VAULTS_CREATE,
+        PermissionScope.MARKETPLACE_LIST,
+        PermissionScope.MARKETPLACE_BID,
+        PermissionScope.MARKETPLACE_TRADE
+    ],
+    admin: [WILDCARD_SCOPE]
+});
+
+/**
+ * Default scope sets for self-service key roles
+ */
+export const ROLE_SCOPES = Object.freeze({
+    MAKER: LEGACY_PERMISSION_SCOPES.write,
+    CHECKER: [
+        ...READ_SCOPES,
+        PermissionScope.CUSTODY_APPROVE,
+        PermissionScope.ASSETS_VERIFY,
+        PermissionScope.OPERATIONS_APPROVE,
+        PermissionScope.LEDGER_RECONCILE
+    ],
+    VIEWER: READ_SCOPES
+});
+
+/**
+ * Get all concrete scopes
+ */
+export const getAllScopes = () => [...ALL_SCOPES];
+
+/**
+ * Check if a value can be granted to a key
+ * Accepts concrete scopes, resource wildcards (marketplace:*), '*' and legacy read/write/admin
+ */
+export const isValidScope = (scope) => {
+    if (typeof scope !== 'string') return false;
+    if (scope === WILDCARD_SCOPE) return true;
+    if (LEGACY_PERMISSION_SCOPES[scope]) return true;
+    if (ALL_SCOPES.includes(scope)) return true;
+
+    const [resource, action] = scope.split(':');
+    return action === '*' && RESOURCES.includes(resource);
+};
+
+/**
+ * Expand granted permissions (scopes, wildcards, legacy values) into scope patterns
+ */
+export const expandPermissions = (permissions = []) => {
+    const expanded = new Set();
+
+    for (const permission of permissions || []) {
+        const mapped = LEGACY_PERMISSION_SCOPES[permission];
+        if (mapped) {
+            mapped.forEach(scope => expanded.add(scope));
+        } else {
+            expanded.add(permission);
+        }
+    }
+
+    return [...expanded];
+};
+
+/**
+ * Check if granted permissions satisfy a required scope
+ */
+export const hasScope = (permissions, requiredScope) => {
+    const granted = expandPermissions(permissions);
+    const [resource] = requiredScope.split(':');
+
+    return granted.includes(WILDCARD_SCOPE) ||
+        granted.includes(requiredScope) ||
+        granted.includes(`${resource}:*`);
+};
+
+/**
+ * Resolve the concrete scopes a set of permissions allows
+ */
+export const getEffectiveScopes = (permissions) => {
+    return ALL_SCOPES.filter(scope => hasScope(permissions, scope));
+};
+
+export default PermissionScope;
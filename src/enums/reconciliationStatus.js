@@ -0,0 +1,23 @@
+/**
+ * Reconciliation Status Enums
+ * Outcome of ledger reconciliation runs and of the invariant checks they perform
+ */
+
+export const ReconciliationStatus = Object.freeze({
+    BALANCED: 'BALANCED',       // Every checked asset passed
+    BREAKS: 'BREAKS'            // At least one invariant does not hold
+});
+
+export const ReconciliationTrigger = Object.freeze({
+    SCHEDULED: 'SCHEDULED',     // Periodic run (LEDGER_RECONCILE_INTERVAL_MS)
+    ON_DEMAND: 'ON_DEMAND'      // GET /v1/ledger/reconcile
+});
+
+export const InvariantStatus = Object.freeze({
+    PASS: 'PASS',
+    BREAK: 'BREAK',             // The books do not balance
+    SKIPPED: 'SKIPPED',         // Not applicable yet (e.g. asset not issued in the ledger, transfer in flight)
+    ERROR: 'ERROR'              // Could not be checked (e.g. Fireblocks unreachable); not a break
+});
+
+export default ReconciliationStatus;
@@ -0,0 +1,49 @@
+/**
+ * Transaction Status Enum
+ * Fireblocks transaction statuses, plus SUBMITTING while a transfer is being sent
+ */
+
+export const TransactionStatus = Object.freeze({
+    SUBMITTING: 'SUBMITTING',                       // Recorded, not yet accepted by Fireblocks
+    SUBMITTED: 'SUBMITTED',                         // Accepted by Fireblocks
+    QUEUED: 'QUEUED',
+    PENDING_AUTHORIZATION: 'PENDING_AUTHORIZATION', // Waiting for TAP / approvers
+    PENDING_SIGNATURE: 'PENDING_SIGNATURE',
+    PENDING_AML_SCREENING: 'PENDING_AML_SCREENING',
+    BROADCASTING: 'BROADCASTING',
+    CONFIRMING: 'CONFIRMING',                       // On-chain, waiting for confirmations
+    COMPLETED: 'COMPLETED',                         // Confirmed on-chain
+    CANCELLING: 'CANCELLING',
+    CANCELLED: 'CANCELLED',
+    BLOCKED: 'BLOCKED',                             // Blocked by policy
+    REJECTED: 'REJECTED',
+    FAILED: 'FAILED',                               // Failed on-chain, or could not be submitted
+    TIMEOUT: 'TIMEOUT'
+});
+
+const FAILURE_STATUSES = [
+    TransactionStatus.CANCELLED,
+    TransactionStatus.BLOCKED,
+    TransactionStatus.REJECTED,
+    TransactionStatus.FAILED,
+    TransactionStatus.TIMEOUT
+];
+
+export const isValidTransactionStatus = (status) => {
+    return Object.values(TransactionStatus).includes(status);
+};
+
+/**
+ * Final statuses: the transaction no longer changes and is not tracked any more
+ */
+export const isFinalTransactionStatus = (status) => {
+    return status === TransactionStatus.COMPLETED || FAILURE_STATUSES.includes(status);
+};
+
+export const isFailedTransactionStatus = (status) => {
+    return FAILURE_STATUSES.includes(status);
+};
+
+export const FINAL_TRANSACTION_STATUSES = Object.freeze([TransactionStatus.COMPLETED, ...FAILURE_STATUSES]);
+
+export default TransactionStatus;
@@ -0,0 +1,16 @@
+/**
+ * Transaction Type Enum
+ * Where a Fireblocks transaction goes
+ */
+
+export const TransactionType = Object.freeze({
+    VAULT_TO_VAULT: 'VAULT_TO_VAULT',         // Between two vault accounts
+    VAULT_TO_EXTERNAL: 'VAULT_TO_EXTERNAL',   // From a vault account to an external (one-time) address
+    CONTRACT_CALL: 'CONTRACT_CALL'            // Contract function called from a vault account (e.g. token burn)
+});
+
+export const isValidTransactionType = (type) => {
+    return Object.values(TransactionType).includes(type);
+};
+
+export default TransactionType;
@@ -0,0 +1,17 @@
+/**
+ * Webhook Event Status Enum
+ * Processing state of a received (deduplicated) webhook event
+ */
+
+export const WebhookEventStatus = Object.freeze({
+    PROCESSING: 'PROCESSING',   // Received, being applied
+    PROCESSED: 'PROCESSED',     // Applied to operations / custody records
+    IGNORED: 'IGNORED',         // Valid, but nothing in this system to update
+    FAILED: 'FAILED'            // Applying it failed; a redelivery is processed again
+});
+
+export const isValidWebhookEventStatus = (status) => {
+    return Object.values(WebhookEventStatus).includes(status);
+};
+
+export default WebhookEventStatus;
@@ -48,6 +48,10 @@ export const ConflictError = (message, details = null) => {
     return new ApiError(409, message, details);
 };
 
+export const TooManyRequestsError = (message = 'Too many requests', details = null) => {
+    return new ApiError(429, message, details);
+};
+
 export const InternalServerError = (message = 'Internal server error', details = null) => {
     return new ApiError(500, message, details, false);
 };
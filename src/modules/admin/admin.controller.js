@@ -1,4 +1,8 @@
 import prisma from '../../config/db.js';
+import * as sessionService from '../auth/session.service.js';
+import * as auditService from '../audit/audit.service.js';
+import * as tenantPolicyService from '../tenant/tenantPolicy.service.js';
+import { OperatorRole, isValidOperatorRole } from '../../enums/operatorRole.js';
 import { BadRequestError, NotFoundError } from '../../errors/ApiError.js';
 
 /**
@@ -70,6 +74,7 @@ export const listUsers = async (req, res, next) => {
                     id: true,
                     email: true,
                     role: true,
+                    operatorRole: true,
                     status: true,
                     createdAt: true,
                     updatedAt: true,
@@ -124,7 +129,7 @@ export const getUser = async (req, res, next) => {
         }
 
         // Don't send password hash
-        const { passwordHash, ...userWithoutPassword } = user;
+        const { passwordHash, mfaSecret, mfaRecoveryCodes, mfaLastUsedStep, ...userWithoutPassword } = user;
 
         res.json(userWithoutPassword);
     } catch (error) {
@@ -141,7 +146,7 @@ export const updateUserStatus = async (req, res, next) => {
         const { status } = req.body;
 
         if (!['ACTIVE', 'SUSPENDED'].includes(status)) {
-            throw new BadRequestError('Invalid status. Must be ACTIVE or SUSPENDED');
+            throw BadRequestError('Invalid status. Must be ACTIVE or SUSPENDED');
         }
 
         const user = await prisma.user.update({
@@ -151,17 +156,107 @@ export const updateUserStatus = async (req, res, next) => {
                 id: true,
                 email: true,
                 role: true,
+                operatorRole: true,
                 status: true,
                 updatedAt: true
             }
         });
 
+        // Suspension takes effect immediately: kill refresh sessions and the access tokens bound to them
+        if (status === 'SUSPENDED') {
+            await sessionService.revokeUserSessions(id, sessionService.RevocationReason.USER_SUSPENDED);
+        }
+
         res.json(user);
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * Update a user's operator role (MAKER / CHECKER / VIEWER)
+ * Existing sessions are revoked so the new role applies to the next login
+ */
+export const updateUserOperatorRole = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { operatorRole } = req.body;
+
+        if (!isValidOperatorRole(operatorRole)) {
+            throw BadRequestError(`Invalid operator role. Must be one of: ${Object.values(OperatorRole).join(', ')}`);
+        }
+
+        const existing = await prisma.user.findUnique({ where: { id } });
+        if (!existing) {
+            throw NotFoundError('User not found');
+        }
+
+        const user = await prisma.user.update({
+            where: { id },
+            data: { operatorRole },
+            select: {
+                id: true,
+                email: true,
+                role: true,
+                operatorRole: true,
+                status: true,
+                updatedAt: true
+            }
+        });
+
+        if (existing.operatorRole !== operatorRole) {
+            await sessionService.revokeUserSessions(id, sessionService.RevocationReason.ROLE_CHANGED);
+
+            await auditService.logEvent('USER_ROLE_CHANGED', {
+                userId: id,
+                previousRole: existing.operatorRole,
+                newRole: operatorRole
+            }, {
+                actor: req.user.sub,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+        }
+
+        res.json(user);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a tenant's governance policy
+ */
+export const getTenantPolicy = async (req, res, next) => {
+    try {
+        const policy = await tenantPolicyService.getPolicy(req.params.tenantId);
+        res.json(policy);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a tenant's governance policy (maker-checker bypass for single-operator sandboxes)
+ */
+export const updateTenantPolicy = async (req, res, next) => {
+    try {
+        const { tenantId } = req.params;
+        const { allowSelfApproval, reason } = req.body;
+
+        const policy = await tenantPolicyService.setPolicy(
+            tenantId,
+            { allowSelfApproval, reason },
+            req.user.sub,
+            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+        );
+
+        res.json(policy);
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * List all API keys (across all users)
  */
@@ -21,7 +21,7 @@ export const createAsset = async (req, res, next) => {
         // 1. Create a PENDING custody record first to satisfy DB constraints
         const custodyRecord = await custodyService.linkAsset(
             assetId,
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             {},
             CustodyStatus.PENDING
         );
@@ -33,10 +33,11 @@ export const createAsset = async (req, res, next) => {
                 custodyRecordId: custodyRecord.id,
                 payload: { assetId, ...metadata }
             },
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent')
+                userAgent: req.get('user-agent'),
+                publicKey: req.auth?.publicKey
             }
         );
 
@@ -79,10 +80,11 @@ export const updateAsset = async (req, res, next) => {
         const updated = await assetService.updateAssetInfo(
             assetId,
             updates,
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent')
+                userAgent: req.get('user-agent'),
+                publicKey: req.auth?.publicKey
             }
         );
 
@@ -103,11 +105,12 @@ export const verifyAsset = async (req, res, next) => {
 
         const verified = await assetService.verifyAsset(
             assetId,
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             notes,
             {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent')
+                userAgent: req.get('user-agent'),
+                publicKey: req.auth?.publicKey
             }
         );
 
@@ -43,10 +43,10 @@ export const createAuditLog = async (data) => {
  * Find audit logs by custody record
  */
 export const findByCustodyRecord = async (custodyRecordId, options = {}) => {
-    const { limit = 100, offset = 0 } = options;
+    const { limit = 100, offset = 0, eventType } = options;
 
     return await prisma.auditLog.findMany({
-        where: { custodyRecordId },
+        where: { custodyRecordId, ...(eventType && { eventType }) },
         orderBy: { timestamp: 'desc' },
         take: limit,
         skip: offset
@@ -13,13 +13,14 @@ import logger from '../../utils/logger.js';
 
 /**
  * Log a generic event
+ * The actor is a user identity; the API key used (context.publicKey) is kept in the metadata.
  */
 export const logEvent = async (eventType, metadata, context = {}) => {
     try {
         const auditLog = await auditRepository.createAuditLog({
             eventType,
             actor: context.actor || 'system',
-            metadata,
+            metadata: context.publicKey ? { ...metadata, publicKey: context.publicKey } : metadata,
             custodyRecordId: context.custodyRecordId || null,
             operationId: context.operationId || null,
             ipAddress: context.ipAddress || null,
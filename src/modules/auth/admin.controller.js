@@ -1,6 +1,7 @@
 import bcrypt from 'bcryptjs';
 import prisma from '../../config/db.js';
-import { signAccessToken, signRefreshToken } from './jwt.service.js';
+import * as mfaService from './mfa.service.js';
+import { getSessionContext, issueSession } from './auth.controller.js';
 import { BadRequestError, UnauthorizedError } from '../../errors/ApiError.js';
 
 /**
@@ -13,7 +14,7 @@ export const adminLogin = async (req, res, next) => {
         const { email, password } = req.body;
 
         if (!email || !password) {
-            throw new BadRequestError('Email and password are required');
+            throw BadRequestError('Email and password are required');
         }
 
         // Find user
@@ -21,44 +22,51 @@ export const adminLogin = async (req, res, next) => {
         
         // Check if user exists and is admin
         if (!user || user.role !== 'ADMIN') {
-            throw new UnauthorizedError('Invalid credentials');
+            throw UnauthorizedError('Invalid credentials');
         }
 
         // Verify password
         const isValidPassword = await bcrypt.compare(password, user.passwordHash);
         if (!isValidPassword) {
-            throw new UnauthorizedError('Invalid credentials');
+            throw UnauthorizedError('Invalid credentials');
         }
 
         // Check if account is active
         if (user.status !== 'ACTIVE') {
-            throw new UnauthorizedError('Account is suspended');
+            throw UnauthorizedError('Account is suspended');
         }
 
-        // Generate tokens
-        const accessToken = signAccessToken({ 
-            sub: user.id, 
-            email: user.email, 
-            role: user.role 
-        });
-        const refreshToken = signRefreshToken({ sub: user.id });
+        // Second step: MFA challenge (enrolled admins) or forced enrollment (role policy)
+        const mfaStep = await mfaService.beginLogin(user);
+        if (mfaStep) {
+            return res.json(mfaStep);
+        }
 
-        // Set refresh token cookie
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Start a refresh session, generate tokens and set the refresh token cookie
+        res.json(await issueSession(req, res, user));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Complete an admin login with a TOTP or recovery code
+ * POST /v1/admin/login/mfa
+ */
+export const adminLoginMfa = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            throw BadRequestError('challengeToken and code (or recoveryCode) are required');
+        }
+
+        const user = await mfaService.completeChallenge(challengeToken, { code, recoveryCode }, getSessionContext(req));
+        if (user.role !== 'ADMIN') {
+            throw UnauthorizedError('Invalid credentials');
+        }
 
-        res.json({
-            user: { 
-                id: user.id, 
-                email: user.email, 
-                role: user.role 
-            },
-            accessToken
-        });
+        res.json(await issueSession(req, res, user));
     } catch (error) {
         next(error);
     }
@@ -1,5 +1,7 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../../config/db.js';
-import { hashSecret, generateApiKeyPair } from '../../utils/crypto.js';
+import { config } from '../../config/env.js';
+import { hashSecret, encryptSecret, generateApiKeyPair } from '../../utils/crypto.js';
 
 /**
  * API Key Repository
@@ -10,24 +12,27 @@ import { hashSecret, generateApiKeyPair } from '../../utils/crypto.js';
  * Create a new API key
  */
 export const createApiKey = async (data) => {
-    const { tenantId, userId, permissions = ['read'], ipWhitelist = null, role = 'MAKER' } = data;
+    const { tenantId, userId, permissions = ['read'], ipWhitelist = null, role = 'MAKER', expiresAt = null } = data;
 
     // Generate key pair
     const { publicKey, secretKey } = generateApiKeyPair();
 
-    // Hash the secret
+    // Hash the secret and keep an envelope-encrypted copy for signature verification
     const secretKeyHash = await hashSecret(secretKey);
+    const encryptedSecret = encryptSecret(secretKey);
 
     // Store in database
     const apiKey = await prisma.apiKey.create({
         data: {
             publicKey,
             secretKeyHash,
+            encryptedSecret,
             tenantId,
             userId,
             role,
             permissions,
-            ipWhitelist,
+            ipWhitelist: ipWhitelist ?? Prisma.DbNull,
+            expiresAt,
             isActive: true
         }
     });
@@ -77,10 +82,14 @@ export const listApiKeys = async (filters = {}) => {
             role: true,
             permissions: true,
             ipWhitelist: true,
+            rateLimitPlan: true,
+            rateLimits: true,
             isActive: true,
+            lastRotatedAt: true,
+            expiresAt: true,
             createdAt: true,
             updatedAt: true
-            // Exclude secretKeyHash
+            // Exclude secretKeyHash and encryptedSecret
         },
         orderBy: {
             createdAt: 'desc'
@@ -92,11 +101,13 @@ export const listApiKeys = async (filters = {}) => {
  * Update API key
  */
 export const updateApiKey = async (id, data) => {
-    const { permissions, ipWhitelist } = data;
+    const { permissions, ipWhitelist, rateLimitPlan, rateLimits } = data;
 
     const updateData = {};
     if (permissions) updateData.permissions = permissions;
-    if (ipWhitelist !== undefined) updateData.ipWhitelist = ipWhitelist;
+    if (ipWhitelist !== undefined) updateData.ipWhitelist = ipWhitelist ?? Prisma.DbNull;
+    if (rateLimitPlan !== undefined) updateData.rateLimitPlan = rateLimitPlan;
+    if (rateLimits !== undefined) updateData.rateLimits = rateLimits ?? Prisma.DbNull;
 
     return await prisma.apiKey.update({
         where: { id },
@@ -108,13 +119,61 @@ export const updateApiKey = async (id, data) => {
             role: true,
             permissions: true,
             ipWhitelist: true,
+            rateLimitPlan: true,
+            rateLimits: true,
             isActive: true,
+            lastRotatedAt: true,
+            expiresAt: true,
             createdAt: true,
             updatedAt: true
         }
     });
 };
 
+/**
+ * Rotate API key secret
+ * Issues a new secret for the same public key. The previous secret stays
+ * valid until the grace window ends so integrators can roll over without downtime.
+ * @param {string} id - API key ID
+ * @param {object} options
+ * @param {number} options.gracePeriodSeconds - How long the previous secret remains valid
+ * @param {Date|null} options.expiresAt - New key expiry (undefined keeps the current one)
+ */
+export const rotateApiKey = async (id, options = {}) => {
+    const {
+        gracePeriodSeconds = config.apiKeyRotation.gracePeriodSeconds,
+        expiresAt
+    } = options;
+
+    const existing = await findById(id);
+    const now = new Date();
+
+    // Generate a new secret; the public key is unchanged
+    const { secretKey } = generateApiKeyPair();
+    const secretKeyHash = await hashSecret(secretKey);
+    const encryptedSecret = encryptSecret(secretKey);
+
+    const updateData = {
+        secretKeyHash,
+        encryptedSecret,
+        previousEncryptedSecret: existing.encryptedSecret,
+        previousSecretExpiresAt: new Date(now.getTime() + gracePeriodSeconds * 1000),
+        lastRotatedAt: now
+    };
+    if (expiresAt !== undefined) updateData.expiresAt = expiresAt;
+
+    const apiKey = await prisma.apiKey.update({
+        where: { id },
+        data: updateData
+    });
+
+    // Return with plain secret (only time it's exposed)
+    return {
+        ...apiKey,
+        secretKey
+    };
+};
+
 /**
  * Revoke (deactivate) API key
  */
@@ -140,6 +199,7 @@ export default {
     findById,
     listApiKeys,
     updateApiKey,
+    rotateApiKey,
     revokeApiKey,
     deleteApiKey
 };
@@ -1,19 +1,69 @@
 import bcrypt from 'bcryptjs';
 import prisma from '../../config/db.js';
-import { signAccessToken, signRefreshToken, verifyRefreshToken } from './jwt.service.js';
+import * as sessionService from './session.service.js';
+import * as mfaService from './mfa.service.js';
+import { signAccessToken } from './jwt.service.js';
 import { BadRequestError, UnauthorizedError, ConflictError } from '../../errors/ApiError.js';
+import { getClientIp } from '../../utils/ip.js';
+import { config } from '../../config/env.js';
+
+/**
+ * Request metadata recorded on refresh sessions
+ */
+export const getSessionContext = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ipAddress: getClientIp(req, config.trustedProxies)
+});
+
+/**
+ * Set the refresh token cookie
+ */
+export const setRefreshTokenCookie = (res, refreshToken) => {
+    res.cookie('refreshToken', refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+};
+
+/**
+ * Access token claims: account role (CLIENT/ADMIN), operator role (MAKER/CHECKER/VIEWER) and session
+ */
+const buildAccessTokenClaims = (user, familyId) => ({
+    sub: user.id,
+    email: user.email,
+    role: user.role,
+    operatorRole: user.operatorRole,
+    sid: familyId
+});
+
+/**
+ * Start a refresh session and build the login response
+ */
+export const issueSession = async (req, res, user) => {
+    const { refreshToken, familyId } = await sessionService.startSession(user.id, getSessionContext(req));
+    const accessToken = signAccessToken(buildAccessTokenClaims(user, familyId));
+
+    setRefreshTokenCookie(res, refreshToken);
+
+    return {
+        user: { id: user.id, email: user.email, role: user.role, operatorRole: user.operatorRole },
+        accessToken
+    };
+};
 
 export const register = async (req, res, next) => {
     try {
         const { email, password } = req.body;
 
         if (!email || !password) {
-            throw new BadRequestError('Email and password are required');
+            throw BadRequestError('Email and password are required');
         }
 
         const existingUser = await prisma.user.findUnique({ where: { email } });
         if (existingUser) {
-            throw new ConflictError('User with this email already exists');
+            throw ConflictError('User with this email already exists');
         }
 
         const passwordHash = await bcrypt.hash(password, 10);
@@ -27,20 +77,16 @@ export const register = async (req, res, next) => {
             }
         });
 
-        const accessToken = signAccessToken({ sub: user.id, email: user.email, role: user.role });
-        const refreshToken = signRefreshToken({ sub: user.id });
-
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Roles that require MFA must enroll before receiving a session
+        const mfaStep = await mfaService.beginLogin(user);
+        if (mfaStep) {
+            return res.status(201).json({
+                user: { id: user.id, email: user.email, role: user.role },
+                ...mfaStep
+            });
+        }
 
-        res.status(201).json({
-            user: { id: user.id, email: user.email, role: user.role },
-            accessToken
-        });
+        res.status(201).json(await issueSession(req, res, user));
     } catch (error) {
         next(error);
     }
@@ -51,32 +97,44 @@ export const login = async (req, res, next) => {
         const { email, password } = req.body;
 
         if (!email || !password) {
-            throw new BadRequestError('Email and password are required');
+            throw BadRequestError('Email and password are required');
         }
 
         const user = await prisma.user.findUnique({ where: { email } });
         if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
-            throw new UnauthorizedError('Invalid email or password');
+            throw UnauthorizedError('Invalid email or password');
         }
 
         if (user.status !== 'ACTIVE') {
-            throw new UnauthorizedError('User account is suspended');
+            throw UnauthorizedError('User account is suspended');
         }
 
-        const accessToken = signAccessToken({ sub: user.id, email: user.email, role: user.role });
-        const refreshToken = signRefreshToken({ sub: user.id });
+        // Second step: MFA challenge (enrolled users) or forced enrollment (role policy)
+        const mfaStep = await mfaService.beginLogin(user);
+        if (mfaStep) {
+            return res.json(mfaStep);
+        }
 
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        res.json(await issueSession(req, res, user));
+    } catch (error) {
+        next(error);
+    }
+};
 
-        res.json({
-            user: { id: user.id, email: user.email, role: user.role },
-            accessToken
-        });
+/**
+ * Complete a login with a TOTP or recovery code
+ * POST /v1/auth/login/mfa
+ */
+export const loginMfa = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            throw BadRequestError('challengeToken and code (or recoveryCode) are required');
+        }
+
+        const user = await mfaService.completeChallenge(challengeToken, { code, recoveryCode }, getSessionContext(req));
+        res.json(await issueSession(req, res, user));
     } catch (error) {
         next(error);
     }
@@ -86,36 +144,78 @@ export const refresh = async (req, res, next) => {
     try {
         const refreshToken = req.cookies.refreshToken;
         if (!refreshToken) {
-            throw new UnauthorizedError('No refresh token provided');
+            throw UnauthorizedError('No refresh token provided');
         }
 
-        const payload = verifyRefreshToken(refreshToken);
-        const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+        // Rotates the refresh token; reuse of an old token revokes the whole family
+        const session = await sessionService.rotateSession(refreshToken, getSessionContext(req));
+        const user = await prisma.user.findUnique({ where: { id: session.userId } });
 
         if (!user || user.status !== 'ACTIVE') {
-            throw new UnauthorizedError('User not found or suspended');
+            throw UnauthorizedError('User not found or suspended');
         }
 
-        const accessToken = signAccessToken({ sub: user.id, email: user.email, role: user.role });
+        const accessToken = signAccessToken(buildAccessTokenClaims(user, session.familyId));
 
+        setRefreshTokenCookie(res, session.refreshToken);
         res.json({ accessToken });
     } catch (error) {
-        next(new UnauthorizedError('Invalid refresh token'));
+        res.clearCookie('refreshToken');
+        next(error.statusCode === 401 ? error : UnauthorizedError('Invalid refresh token'));
     }
 };
 
-export const logout = (req, res) => {
-    res.clearCookie('refreshToken');
-    res.json({ message: 'Logged out successfully' });
+export const logout = async (req, res, next) => {
+    try {
+        await sessionService.endSession(req.cookies.refreshToken);
+
+        res.clearCookie('refreshToken');
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List live sessions
+ * GET /v1/auth/sessions (admins may pass ?userId=)
+ */
+export const listSessions = async (req, res, next) => {
+    try {
+        const isAdmin = req.user.role === 'ADMIN';
+        const userId = isAdmin && req.query.userId ? req.query.userId : req.user.sub;
+
+        const sessions = await sessionService.listSessions(userId, req.user.sid);
+        res.json({ sessions });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke a session
+ * DELETE /v1/auth/sessions/:id (own sessions, or any session for admins)
+ */
+export const revokeSession = async (req, res, next) => {
+    try {
+        const result = await sessionService.revokeSession(req.params.id, {
+            userId: req.user.sub,
+            isAdmin: req.user.role === 'ADMIN'
+        }, getSessionContext(req));
+
+        res.json({ message: 'Session revoked', ...result });
+    } catch (error) {
+        next(error);
+    }
 };
 
 export const me = async (req, res, next) => {
     try {
         const user = await prisma.user.findUnique({ where: { id: req.user.sub } });
         if (!user) {
-            throw new UnauthorizedError('User not found');
+            throw UnauthorizedError('User not found');
         }
-        res.json({ id: user.id, email: user.email, role: user.role });
+        res.json({ id: user.id, email: user.email, role: user.role, operatorRole: user.operatorRole });
     } catch (error) {
         next(error);
     }
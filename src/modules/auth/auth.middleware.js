@@ -1,8 +1,14 @@
 import { findByPublicKey } from './apiKey.repository.js';
-import { verifySignatureWithSecret } from './hmac.service.js';
+import { verifySignature } from './hmac.service.js';
+import { claimNonce, isValidNonce } from './nonce.store.js';
 import { verifyAccessToken } from './jwt.service.js';
+import { isSessionActive } from './session.service.js';
+import { verifyEnrollmentToken, isValidStepUpToken } from './mfa.service.js';
 import { compareSecret } from '../../utils/crypto.js';
-import { isTimestampValid } from '../../utils/time.js';
+import { isTimestampValid, getCurrentTimestamp } from '../../utils/time.js';
+import { getClientIp, isIpInList } from '../../utils/ip.js';
+import { hasScope, ROLE_SCOPES } from '../../enums/permissionScope.js';
+import { rateLimitApiKey } from '../rate-limit/rateLimit.middleware.js';
 import { UnauthorizedError, ForbiddenError } from '../../errors/ApiError.js';
 import { config } from '../../config/env.js';
 import logger from '../../utils/logger.js';
@@ -12,14 +18,25 @@ import logger from '../../utils/logger.js';
  * Validates HMAC signatures and API keys
  */
 
+// Signed requests are accepted within this window either side of their timestamp
+const SIGNATURE_WINDOW_SECONDS = 300;
+
+/**
+ * Seconds a nonce must be remembered: until its request's timestamp leaves the window
+ * (up to twice the window for a timestamp ahead of the server clock)
+ */
+const getNonceTtlSeconds = (timestamp) => {
+    return Math.max(timestamp + SIGNATURE_WINDOW_SECONDS - getCurrentTimestamp() + 1, 1);
+};
+
 /**
  * Check if IP is in whitelist
+ * Entries may be single IPv4/IPv6 addresses or CIDR blocks
  */
 const isIpWhitelisted = (clientIp, whitelist) => {
     if (!whitelist || whitelist.length === 0) return true;
 
-    // Simple IP matching (can be enhanced with CIDR support)
-    return whitelist.includes(clientIp);
+    return isIpInList(clientIp, whitelist);
 };
 
 /**
@@ -31,6 +48,7 @@ export const authenticate = async (req, res, next) => {
         const publicKey = req.headers['x-api-key'];
         const signature = req.headers['x-signature'];
         const timestamp = req.headers['x-timestamp'];
+        const nonce = req.headers['x-nonce'];
 
         // Validate headers presence
         if (!publicKey || !signature || !timestamp) {
@@ -38,7 +56,7 @@ export const authenticate = async (req, res, next) => {
         }
 
         // Validate timestamp (5-minute window for replay attack prevention)
-        if (!isTimestampValid(parseInt(timestamp), 300)) {
+        if (!isTimestampValid(parseInt(timestamp), SIGNATURE_WINDOW_SECONDS)) {
             throw UnauthorizedError('Request timestamp expired or invalid');
         }
 
@@ -63,8 +81,14 @@ export const authenticate = async (req, res, next) => {
             throw UnauthorizedError('API key has been revoked');
         }
 
+        // Check expiry
+        if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+            logger.warn('Authentication failed: API key expired', { publicKey, expiresAt: apiKey.expiresAt });
+            throw UnauthorizedError('API key has expired');
+        }
+
         // Check IP whitelist
-        const clientIp = req.ip || req.connection.remoteAddress;
+        const clientIp = getClientIp(req, config.trustedProxies);
         if (!isIpWhitelisted(clientIp, apiKey.ipWhitelist)) {
             logger.warn('Authentication failed: IP not whitelisted', {
                 publicKey,
@@ -76,17 +100,47 @@ export const authenticate = async (req, res, next) => {
 
         // Verify Signature
         // For development/local dashboard testing, allow a dummy signature
-
         if (!isDummy) {
-            // Real verification would go here (using apiKey.secretKey)
-            // For now, we're building the infrastructure
-            // const isValid = await verifySignatureWithSecret(signature, req.method, req.path, timestamp, req.body, apiKey.secretKey);
-            // if (!isValid) throw new UnauthorizedError('Invalid signature');
+            if (!isValidNonce(nonce)) {
+                throw UnauthorizedError('Missing or invalid X-Nonce header');
+            }
+
+            if (!apiKey.encryptedSecret) {
+                logger.warn('Authentication failed: API key has no verifiable secret', { publicKey });
+                throw UnauthorizedError('API key must be re-issued to support signature verification');
+            }
+
+            const verifyWith = (encryptedSecret) => verifySignature(
+                signature,
+                req.method,
+                req.originalUrl,
+                timestamp,
+                nonce,
+                req.rawBody,
+                encryptedSecret
+            );
+
+            // During a rotation grace window both the new and the previous secret are accepted
+            const isInGracePeriod = apiKey.previousEncryptedSecret &&
+                apiKey.previousSecretExpiresAt &&
+                new Date(apiKey.previousSecretExpiresAt) > new Date();
+
+            const isValid = verifyWith(apiKey.encryptedSecret) ||
+                (isInGracePeriod && verifyWith(apiKey.previousEncryptedSecret));
+
+            if (!isValid) {
+                logger.warn('Authentication failed: invalid signature', { publicKey });
+                throw UnauthorizedError('Invalid signature');
+            }
+
+            // Reject replays: each nonce may be used once per API key while its timestamp is accepted
+            const isFreshNonce = await claimNonce(apiKey.id, nonce, getNonceTtlSeconds(parseInt(timestamp)));
+            if (!isFreshNonce) {
+                logger.warn('Authentication failed: nonce reused', { publicKey, nonce });
+                throw UnauthorizedError('Request nonce has already been used');
+            }
         }
 
-        // Note: For signature verification, we need the plain secret
-        // In production, you'd use a key derivation approach or store secrets encrypted
-        // For now, we'll log this limitation
         logger.info('Authentication successful', {
             publicKey,
             tenantId: apiKey.tenantId
@@ -101,10 +155,16 @@ export const authenticate = async (req, res, next) => {
             publicKey: isDummy ? publicKey : apiKey.publicKey,
             tenantId: apiKey.tenantId, // Platform owner (from API key)
             platformOwnerId: apiKey.userId, // Platform owner's user ID
+            // Maker/checker identity: the key's owner, so all of a user's keys and their dashboard
+            // session are one actor (dev role suffixes still simulate separate actors)
+            actorId: isDummy || !apiKey.userId ? publicKey : apiKey.userId,
             endUserId: endUserId || null, // End user (issuer/investor) from header
             permissions: apiKey.permissions
         };
 
+        // Per-key and per-tenant limits (throws 429 when exceeded)
+        await rateLimitApiKey(req, res, apiKey);
+
         next();
     } catch (error) {
         next(error);
@@ -113,23 +173,17 @@ export const authenticate = async (req, res, next) => {
 
 /**
  * Permission check middleware factory
+ * @param {string} requiredScope - Scope the route requires (e.g. 'operations:approve')
  */
-export const requirePermission = (requiredPermission) => {
+export const requirePermission = (requiredScope) => {
     return (req, res, next) => {
         if (!req.auth) {
             return next(UnauthorizedError('Not authenticated'));
         }
 
-        const permissions = req.auth.permissions || [];
-
-        // Admin has all permissions
-        if (permissions.includes('admin')) {
-            return next();
-        }
-
-        // Check specific permission
-        if (!permissions.includes(requiredPermission)) {
-            return next(ForbiddenError(`Missing required permission: ${requiredPermission}`));
+        // Supports exact scopes, resource wildcards (marketplace:*), '*' and legacy read/write/admin
+        if (!hasScope(req.auth.permissions || [], requiredScope)) {
+            return next(ForbiddenError(`Missing required permission: ${requiredScope}`));
         }
 
         next();
@@ -148,22 +202,76 @@ export const authenticateJwt = async (req, res, next) => {
             throw UnauthorizedError('No access token provided');
         }
 
-        const decoded = verifyAccessToken(token);
+        let decoded;
+        try {
+            decoded = verifyAccessToken(token);
+        } catch (error) {
+            throw UnauthorizedError('Invalid or expired access token');
+        }
+
+        // Access tokens are bound to a refresh session; revoking it (logout, reuse, suspension) cuts them off
+        if (!(await isSessionActive(decoded.sid))) {
+            throw UnauthorizedError('Session has been revoked');
+        }
+
         req.user = decoded; // Standard user context for JWT
 
-        // Also attach to req.auth for compatibility with requirePermission
+        // Also attach to req.auth for requirePermission: admins get every scope,
+        // other users the scope set of their operator role (read-only if unknown)
         req.auth = {
             userId: decoded.sub,
+            actorId: decoded.sub,
             email: decoded.email,
-            permissions: decoded.role === 'ADMIN' ? ['admin'] : ['read'] // Simplified for now
+            operatorRole: decoded.operatorRole || null,
+            permissions: decoded.role === 'ADMIN'
+                ? ['admin']
+                : [...(ROLE_SCOPES[decoded.operatorRole] || ROLE_SCOPES.VIEWER)]
         };
 
         next();
     } catch (error) {
-        next(UnauthorizedError('Invalid or expired access token'));
+        next(error);
     }
 };
 
+/**
+ * MFA enrollment authentication
+ * Accepts a normal access token, or the enrollment token returned by a login
+ * whose role requires MFA (that token only grants access to enrollment).
+ */
+export const authenticateMfaEnrollment = async (req, res, next) => {
+    const enrollmentToken = req.headers['x-mfa-enrollment-token'];
+    if (!enrollmentToken) {
+        return authenticateJwt(req, res, next);
+    }
+
+    try {
+        const decoded = verifyEnrollmentToken(enrollmentToken);
+        req.user = { sub: decoded.sub, enrollmentOnly: true };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Step-up middleware for high-risk dashboard actions
+ * Requires a fresh step-up token (POST /v1/auth/mfa/step-up) in the X-MFA-Token header.
+ * Must run after authenticateJwt.
+ */
+export const requireMfaStepUp = (req, res, next) => {
+    if (!req.user) {
+        return next(UnauthorizedError('Not authenticated'));
+    }
+
+    const stepUpToken = req.headers['x-mfa-token'];
+    if (!stepUpToken || !isValidStepUpToken(stepUpToken, req.user)) {
+        return next(ForbiddenError('MFA step-up required', { stepUpUrl: '/v1/auth/mfa/step-up' }));
+    }
+
+    next();
+};
+
 /**
  * Optional authentication (doesn't fail if not authenticated)
  */
@@ -1,72 +1,83 @@
 import crypto from 'crypto';
-import { compareSecret } from '../../utils/crypto.js';
+import { decryptSecret } from '../../utils/crypto.js';
+import logger from '../../utils/logger.js';
 
 /**
  * HMAC Service
  * Handles HMAC-SHA256 signature generation and verification
  */
 
+const SIGNATURE_PATTERN = /^[a-f0-9]{64}$/i;
+
 /**
  * Create signature payload from request components
+ * Payload is METHOD + original URL (path and query) + timestamp + nonce + raw body bytes
+ * @returns {Buffer}
  */
-export const createSignaturePayload = (method, path, timestamp, body) => {
-    const bodyString = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : '';
-    return method + path + timestamp + bodyString;
+export const createSignaturePayload = (method, path, timestamp, nonce, body) => {
+    let bodyBuffer;
+    if (Buffer.isBuffer(body)) {
+        bodyBuffer = body;
+    } else {
+        const bodyString = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : '';
+        bodyBuffer = Buffer.from(bodyString, 'utf8');
+    }
+
+    return Buffer.concat([
+        Buffer.from(`${method.toUpperCase()}${path}${timestamp}${nonce || ''}`, 'utf8'),
+        bodyBuffer
+    ]);
 };
 
 /**
  * Generate HMAC-SHA256 signature
  */
-export const generateSignature = (method, path, timestamp, body, secret) => {
-    const payload = createSignaturePayload(method, path, timestamp, body);
+export const generateSignature = (method, path, timestamp, nonce, body, secret) => {
+    const payload = createSignaturePayload(method, path, timestamp, nonce, body);
     const hmac = crypto.createHmac('sha256', secret);
     hmac.update(payload);
     return hmac.digest('hex');
 };
 
 /**
- * Verify HMAC signature
- * @param {string} providedSignature - Signature from request header
- * @param {string} method - HTTP method
- * @param {string} path - Request path
- * @param {string} timestamp - Unix timestamp
- * @param {any} body - Request body
- * @param {string} secretKeyHash - Hashed secret from database
- * @param {string} plainSecret - Plain secret (for verification)
+ * Verify signature with plain secret (constant-time comparison)
  */
-export const verifySignature = async (providedSignature, method, path, timestamp, body, secretKeyHash, plainSecret = null) => {
+export const verifySignatureWithSecret = (providedSignature, method, path, timestamp, nonce, body, secret) => {
     try {
-        // If plain secret is provided (during key creation), use it directly
-        if (plainSecret) {
-            const expectedSignature = generateSignature(method, path, timestamp, body, plainSecret);
-            return crypto.timingSafeEqual(
-                Buffer.from(providedSignature, 'hex'),
-                Buffer.from(expectedSignature, 'hex')
-            );
+        if (typeof providedSignature !== 'string' || !SIGNATURE_PATTERN.test(providedSignature)) {
+            return false;
         }
 
-        // Otherwise, we need to compare against the hash
-        // Note: In production, you'd need to store the plain secret temporarily or use a different approach
-        // For now, this is a placeholder that will be enhanced
-        return false;
+        const expectedSignature = generateSignature(method, path, timestamp, nonce, body, secret);
+        return crypto.timingSafeEqual(
+            Buffer.from(providedSignature.toLowerCase(), 'hex'),
+            Buffer.from(expectedSignature, 'hex')
+        );
     } catch (error) {
         return false;
     }
 };
 
 /**
- * Verify signature with plain secret (used during authentication)
+ * Verify HMAC signature against a stored API key secret
+ * @param {string} providedSignature - Signature from request header
+ * @param {string} method - HTTP method
+ * @param {string} path - Original request URL (path and query string)
+ * @param {string} timestamp - Unix timestamp
+ * @param {string} nonce - Unique request nonce
+ * @param {Buffer|string|object} body - Raw request body
+ * @param {string} encryptedSecret - Envelope-encrypted secret from database
  */
-export const verifySignatureWithSecret = (providedSignature, method, path, timestamp, body, secret) => {
+export const verifySignature = (providedSignature, method, path, timestamp, nonce, body, encryptedSecret) => {
+    let secret;
     try {
-        const expectedSignature = generateSignature(method, path, timestamp, body, secret);
-        return crypto.timingSafeEqual(
-            Buffer.from(providedSignature, 'hex'),
-            Buffer.from(expectedSignature, 'hex')
-        );
+        secret = decryptSecret(encryptedSecret);
     } catch (error) {
+        logger.error('Failed to decrypt API key secret', { error: error.message });
         return false;
     }
+
+    return verifySignatureWithSecret(providedSignature, method, path, timestamp, nonce, body, secret);
 };
 
 export default {
@@ -3,13 +3,17 @@ import { config } from '../../config/env.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-supersure-jwt-secret-change-in-production';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-supersure-refresh-secret-change-in-production';
+const JWT_MFA_SECRET = process.env.JWT_MFA_SECRET || 'your-supersure-mfa-secret-change-in-production';
 
 export const signAccessToken = (payload) => {
     return jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' }); // Increased from 15m to 24h
 };
 
+// Refresh tokens (and the sessions backing them) live for 7 days
+export const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
 export const signRefreshToken = (payload) => {
-    return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: '7d' });
+    return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_TTL_SECONDS });
 };
 
 export const verifyAccessToken = (token) => {
@@ -19,3 +23,19 @@ export const verifyAccessToken = (token) => {
 export const verifyRefreshToken = (token) => {
     return jwt.verify(token, JWT_REFRESH_SECRET);
 };
+
+/**
+ * Short-lived MFA tokens (login challenge, forced enrollment, step-up)
+ * Signed with their own secret and tagged with a purpose so one kind can never stand in for another
+ */
+export const signMfaToken = (payload, purpose, expiresIn) => {
+    return jwt.sign({ ...payload, purpose }, JWT_MFA_SECRET, { expiresIn });
+};
+
+export const verifyMfaToken = (token, purpose) => {
+    const decoded = jwt.verify(token, JWT_MFA_SECRET);
+    if (decoded.purpose !== purpose) {
+        throw new Error('Invalid MFA token purpose');
+    }
+    return decoded;
+};
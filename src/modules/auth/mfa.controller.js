@@ -0,0 +1,154 @@
+import * as mfaService from './mfa.service.js';
+import { getSessionContext, issueSession } from './auth.controller.js';
+import { BadRequestError } from '../../errors/ApiError.js';
+
+/**
+ * MFA Controllers
+ * TOTP enrollment, recovery codes, step-up and per-role policy
+ */
+
+/**
+ * Get MFA status
+ * GET /v1/auth/mfa
+ */
+export const getStatus = async (req, res, next) => {
+    try {
+        const status = await mfaService.getStatus(req.user.sub);
+        res.json(status);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start enrollment
+ * POST /v1/auth/mfa/enroll
+ */
+export const startEnrollment = async (req, res, next) => {
+    try {
+        const enrollment = await mfaService.startEnrollment(req.user.sub);
+        res.json(enrollment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm enrollment with the first TOTP code
+ * POST /v1/auth/mfa/enroll/verify
+ * When enrolling from a forced-enrollment login, also completes the login
+ */
+export const confirmEnrollment = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            throw BadRequestError('code is required');
+        }
+
+        const { recoveryCodes } = await mfaService.confirmEnrollment(req.user.sub, String(code), getSessionContext(req));
+
+        if (req.user.enrollmentOnly) {
+            // Read the user again: MFA is now enabled, and they may have been suspended since the password step
+            const user = await mfaService.getLoginUser(req.user.sub);
+            return res.json({ recoveryCodes, ...(await issueSession(req, res, user)) });
+        }
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Disable MFA
+ * POST /v1/auth/mfa/disable
+ */
+export const disableMfa = async (req, res, next) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        if (!code && !recoveryCode) {
+            throw BadRequestError('code or recoveryCode is required');
+        }
+
+        await mfaService.disableMfa(req.user.sub, { code, recoveryCode }, getSessionContext(req));
+        res.json({ message: 'MFA disabled' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Regenerate recovery codes
+ * POST /v1/auth/mfa/recovery-codes
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            throw BadRequestError('code is required');
+        }
+
+        const result = await mfaService.regenerateRecoveryCodes(req.user.sub, String(code));
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Obtain a step-up token for high-risk actions
+ * POST /v1/auth/mfa/step-up
+ */
+export const stepUp = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            throw BadRequestError('code is required');
+        }
+
+        const result = await mfaService.issueStepUpToken(req.user, String(code));
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List per-role MFA policies
+ * GET /v1/admin/mfa-policies
+ */
+export const listPolicies = async (req, res, next) => {
+    try {
+        const policies = await mfaService.listPolicies();
+        res.json({ policies });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set the MFA policy for a role
+ * PUT /v1/admin/mfa-policies/:role
+ */
+export const setPolicy = async (req, res, next) => {
+    try {
+        const { role } = req.params;
+        const { required } = req.body;
+
+        const policy = await mfaService.setPolicy(role, required, req.user.sub, getSessionContext(req));
+        res.json(policy);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    disableMfa,
+    regenerateRecoveryCodes,
+    stepUp,
+    listPolicies,
+    setPolicy
+};
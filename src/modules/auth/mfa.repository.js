@@ -0,0 +1,131 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../../config/db.js';
+
+/**
+ * MFA Repository
+ * Database operations for user TOTP state and per-role MFA policies
+ */
+
+/**
+ * Find a user with MFA fields
+ */
+export const findUserById = async (id) => {
+    return await prisma.user.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * Store a pending (unverified) TOTP secret
+ * Re-enrolling before verification replaces the pending secret
+ */
+export const setPendingSecret = async (userId, encryptedSecret) => {
+    return await prisma.user.update({
+        where: { id: userId },
+        data: {
+            mfaSecret: encryptedSecret,
+            mfaEnabled: false,
+            mfaRecoveryCodes: Prisma.DbNull,
+            mfaLastUsedStep: null,
+            mfaEnabledAt: null
+        }
+    });
+};
+
+/**
+ * Activate MFA after the first code is verified
+ */
+export const enableMfa = async (userId, { recoveryCodeHashes, lastUsedStep }) => {
+    return await prisma.user.update({
+        where: { id: userId },
+        data: {
+            mfaEnabled: true,
+            mfaRecoveryCodes: recoveryCodeHashes,
+            mfaLastUsedStep: lastUsedStep,
+            mfaEnabledAt: new Date()
+        }
+    });
+};
+
+/**
+ * Record the last accepted TOTP step
+ * Conditional so two concurrent requests cannot both use the same code
+ * @returns {Promise<boolean>} false if a later or equal step was already used
+ */
+export const recordUsedStep = async (userId, step) => {
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id: userId,
+            OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }]
+        },
+        data: { mfaLastUsedStep: step }
+    });
+    return count === 1;
+};
+
+/**
+ * Replace the stored recovery code hashes
+ */
+export const setRecoveryCodes = async (userId, recoveryCodeHashes) => {
+    return await prisma.user.update({
+        where: { id: userId },
+        data: { mfaRecoveryCodes: recoveryCodeHashes }
+    });
+};
+
+/**
+ * Turn MFA off and forget the secret
+ */
+export const disableMfa = async (userId) => {
+    return await prisma.user.update({
+        where: { id: userId },
+        data: {
+            mfaEnabled: false,
+            mfaSecret: null,
+            mfaRecoveryCodes: Prisma.DbNull,
+            mfaLastUsedStep: null,
+            mfaEnabledAt: null
+        }
+    });
+};
+
+/**
+ * Get the MFA policy for a role
+ */
+export const findPolicy = async (role) => {
+    return await prisma.mfaPolicy.findUnique({
+        where: { role }
+    });
+};
+
+/**
+ * List all MFA policies
+ */
+export const listPolicies = async () => {
+    return await prisma.mfaPolicy.findMany({
+        orderBy: { role: 'asc' }
+    });
+};
+
+/**
+ * Create or update the MFA policy for a role
+ */
+export const upsertPolicy = async (role, { required, updatedBy }) => {
+    return await prisma.mfaPolicy.upsert({
+        where: { role },
+        create: { role, required, updatedBy },
+        update: { required, updatedBy }
+    });
+};
+
+export default {
+    findUserById,
+    setPendingSecret,
+    enableMfa,
+    recordUsedStep,
+    setRecoveryCodes,
+    disableMfa,
+    findPolicy,
+    listPolicies,
+    upsertPolicy
+};
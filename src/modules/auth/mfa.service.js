@@ -0,0 +1,380 @@
+import * as mfaRepository from './mfa.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import { signMfaToken, verifyMfaToken } from './jwt.service.js';
+import { getRateLimitStore } from '../rate-limit/rateLimit.store.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../../utils/totp.js';
+import { encryptSecret, decryptSecret, generateRandomKey, hashToken } from '../../utils/crypto.js';
+import { BadRequestError, UnauthorizedError, ForbiddenError, ConflictError, NotFoundError, TooManyRequestsError } from '../../errors/ApiError.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * MFA Service
+ * TOTP two-factor authentication for dashboard and admin users
+ *
+ * - Enrollment stores an encrypted pending secret; MFA is enabled once a first code verifies
+ * - Logins for enrolled users return a short-lived challenge token instead of a session
+ * - Each user can submit a few codes per window, shared by every path that checks one (login,
+ *   step-up, enrollment, disabling MFA, new recovery codes)
+ * - Roles can be forced to enroll (per-role policy); such logins return an enrollment token
+ * - High-risk actions require a step-up token obtained with a fresh TOTP code
+ */
+
+export const USER_ROLES = Object.freeze(['CLIENT', 'ADMIN']);
+
+export const MfaTokenPurpose = Object.freeze({
+    CHALLENGE: 'mfa_challenge',
+    ENROLL: 'mfa_enroll',
+    STEP_UP: 'mfa_step_up'
+});
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate one-time recovery codes (format: xxxxx-xxxxx)
+ */
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = generateRandomKey(5);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+const getUser = async (userId) => {
+    const user = await mfaRepository.findUserById(userId);
+    if (!user) {
+        throw NotFoundError('User not found');
+    }
+    return user;
+};
+
+/**
+ * User a login can be completed for (active accounts only)
+ */
+export const getLoginUser = async (userId) => {
+    const user = await getUser(userId);
+    if (user.status !== 'ACTIVE') {
+        throw UnauthorizedError('User account is suspended');
+    }
+    return user;
+};
+
+/**
+ * Check whether a role must use MFA
+ */
+export const isMfaRequiredForRole = async (role) => {
+    const policy = await mfaRepository.findPolicy(role);
+    return !!policy?.required;
+};
+
+/**
+ * Current MFA state for a user
+ */
+export const getStatus = async (userId) => {
+    const user = await getUser(userId);
+
+    return {
+        enabled: user.mfaEnabled,
+        enabledAt: user.mfaEnabledAt,
+        recoveryCodesRemaining: user.mfaEnabled ? (user.mfaRecoveryCodes || []).length : 0,
+        required: await isMfaRequiredForRole(user.role)
+    };
+};
+
+/**
+ * Start TOTP enrollment
+ * @returns {Promise<{ secret: string, otpauthUri: string }>} Secret for manual entry and URI for the QR code
+ */
+export const startEnrollment = async (userId) => {
+    const user = await getUser(userId);
+    if (user.mfaEnabled) {
+        throw ConflictError('MFA is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await mfaRepository.setPendingSecret(userId, encryptSecret(secret));
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: config.mfa.issuer })
+    };
+};
+
+/**
+ * Count an MFA code attempt of a user, rejecting it once the window's limit is used up
+ * Every attempt is counted up front, so parallel guesses cannot exceed the limit.
+ */
+const countCodeAttempt = async (userId) => {
+    const attempts = await getRateLimitStore().increment(
+        `mfa_verify:${userId}`,
+        config.mfa.codeAttemptWindowSeconds * 1000
+    );
+    if (attempts > config.mfa.maxCodeAttempts) {
+        logger.warn('MFA code attempts exhausted', { userId, attempts });
+        throw TooManyRequestsError('Too many MFA codes; try again in a few minutes');
+    }
+};
+
+/**
+ * Confirm enrollment with the first code from the authenticator app
+ * @returns {Promise<{ recoveryCodes: string[] }>} Recovery codes (shown once)
+ */
+export const confirmEnrollment = async (userId, code, context = {}) => {
+    const user = await getUser(userId);
+    if (user.mfaEnabled) {
+        throw ConflictError('MFA is already enabled');
+    }
+    if (!user.mfaSecret) {
+        throw BadRequestError('No MFA enrollment in progress');
+    }
+
+    await countCodeAttempt(userId);
+    const step = verifyTotp(decryptSecret(user.mfaSecret), code);
+    if (step === null) {
+        throw BadRequestError('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await mfaRepository.enableMfa(userId, {
+        recoveryCodeHashes: recoveryCodes.map(recoveryCode => hashToken(recoveryCode)),
+        lastUsedStep: step
+    });
+
+    await auditService.logEvent('MFA_ENABLED', { userId }, {
+        actor: userId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.info('MFA enabled', { userId });
+    return { recoveryCodes };
+};
+
+/**
+ * Verify a TOTP code (never the same time step twice)
+ */
+const verifyTotpCode = async (user, code) => {
+    const step = verifyTotp(decryptSecret(user.mfaSecret), code, { lastUsedStep: user.mfaLastUsedStep });
+    return step !== null && await mfaRepository.recordUsedStep(user.id, step);
+};
+
+/**
+ * Consume a recovery code
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+    const hashes = user.mfaRecoveryCodes || [];
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+    if (!hashes.includes(hash)) return false;
+
+    await mfaRepository.setRecoveryCodes(user.id, hashes.filter(existing => existing !== hash));
+    logger.info('MFA recovery code used', { userId: user.id, remaining: hashes.length - 1 });
+    return true;
+};
+
+/**
+ * Verify a second factor (TOTP code, or a recovery code when allowed)
+ * @returns {Promise<string>} Method used: 'totp' or 'recovery_code'
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }, { allowRecoveryCode = true } = {}) => {
+    if (!user.mfaEnabled || !user.mfaSecret) {
+        throw ForbiddenError('MFA is not enabled for this account');
+    }
+
+    await countCodeAttempt(user.id);
+
+    if (code && await verifyTotpCode(user, String(code))) {
+        return 'totp';
+    }
+
+    if (allowRecoveryCode && recoveryCode && await consumeRecoveryCode(user, recoveryCode)) {
+        return 'recovery_code';
+    }
+
+    throw UnauthorizedError('Invalid MFA code');
+};
+
+/**
+ * Disable MFA (requires a valid code; not allowed when the user's role requires MFA)
+ */
+export const disableMfa = async (userId, factors, context = {}) => {
+    const user = await getUser(userId);
+    if (!user.mfaEnabled) {
+        throw BadRequestError('MFA is not enabled');
+    }
+
+    if (await isMfaRequiredForRole(user.role)) {
+        throw ForbiddenError(`MFA is required for role ${user.role}`);
+    }
+
+    const method = await verifySecondFactor(user, factors);
+    await mfaRepository.disableMfa(userId);
+
+    await auditService.logEvent('MFA_DISABLED', { userId, method }, {
+        actor: userId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.info('MFA disabled', { userId });
+};
+
+/**
+ * Replace all recovery codes (requires a TOTP code)
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+    const user = await getUser(userId);
+    await verifySecondFactor(user, { code }, { allowRecoveryCode: false });
+
+    const recoveryCodes = generateRecoveryCodes();
+    await mfaRepository.setRecoveryCodes(userId, recoveryCodes.map(recoveryCode => hashToken(recoveryCode)));
+
+    return { recoveryCodes };
+};
+
+/**
+ * Decide whether a password login needs a second step
+ * @returns {Promise<object|null>} Challenge/enrollment response, or null to complete login immediately
+ */
+export const beginLogin = async (user) => {
+    if (user.mfaEnabled) {
+        return {
+            mfaRequired: true,
+            challengeToken: signMfaToken({ sub: user.id }, MfaTokenPurpose.CHALLENGE, config.mfa.challengeTtlSeconds),
+            expiresIn: config.mfa.challengeTtlSeconds
+        };
+    }
+
+    if (await isMfaRequiredForRole(user.role)) {
+        return {
+            mfaEnrollmentRequired: true,
+            enrollmentToken: signMfaToken({ sub: user.id }, MfaTokenPurpose.ENROLL, config.mfa.challengeTtlSeconds),
+            expiresIn: config.mfa.challengeTtlSeconds
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Complete a login challenge
+ * @returns {Promise<object>} The authenticated user
+ */
+export const completeChallenge = async (challengeToken, factors, context = {}) => {
+    let decoded;
+    try {
+        decoded = verifyMfaToken(challengeToken, MfaTokenPurpose.CHALLENGE);
+    } catch (error) {
+        throw UnauthorizedError('Invalid or expired MFA challenge');
+    }
+
+    const user = await getLoginUser(decoded.sub);
+    const method = await verifySecondFactor(user, factors);
+
+    if (method === 'recovery_code') {
+        await auditService.logEvent('MFA_RECOVERY_CODE_USED', { userId: user.id }, {
+            actor: user.id,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+        });
+    }
+
+    return user;
+};
+
+/**
+ * Decode a forced-enrollment token
+ */
+export const verifyEnrollmentToken = (enrollmentToken) => {
+    try {
+        return verifyMfaToken(enrollmentToken, MfaTokenPurpose.ENROLL);
+    } catch (error) {
+        throw UnauthorizedError('Invalid or expired enrollment token');
+    }
+};
+
+/**
+ * Issue a step-up token for high-risk actions (fresh TOTP code only)
+ * @param {object} tokenUser - Decoded access token (sub, sid)
+ */
+export const issueStepUpToken = async (tokenUser, code) => {
+    const user = await getUser(tokenUser.sub);
+    await verifySecondFactor(user, { code }, { allowRecoveryCode: false });
+
+    return {
+        stepUpToken: signMfaToken({ sub: user.id, sid: tokenUser.sid }, MfaTokenPurpose.STEP_UP, config.mfa.stepUpTtlSeconds),
+        expiresIn: config.mfa.stepUpTtlSeconds
+    };
+};
+
+/**
+ * Check a step-up token against the current access token
+ */
+export const isValidStepUpToken = (stepUpToken, tokenUser) => {
+    try {
+        const decoded = verifyMfaToken(stepUpToken, MfaTokenPurpose.STEP_UP);
+        return decoded.sub === tokenUser.sub && decoded.sid === tokenUser.sid;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * List MFA policies for every role
+ */
+export const listPolicies = async () => {
+    const policies = await mfaRepository.listPolicies();
+
+    return USER_ROLES.map(role => {
+        const policy = policies.find(existing => existing.role === role);
+        return {
+            role,
+            required: !!policy?.required,
+            updatedBy: policy?.updatedBy || null,
+            updatedAt: policy?.updatedAt || null
+        };
+    });
+};
+
+/**
+ * Require (or stop requiring) MFA for a role
+ */
+export const setPolicy = async (role, required, adminId, context = {}) => {
+    if (!USER_ROLES.includes(role)) {
+        throw BadRequestError(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
+    }
+    if (typeof required !== 'boolean') {
+        throw BadRequestError('required must be a boolean');
+    }
+
+    const policy = await mfaRepository.upsertPolicy(role, { required, updatedBy: adminId });
+
+    await auditService.logEvent('MFA_POLICY_UPDATED', { role, required }, {
+        actor: adminId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    return policy;
+};
+
+export default {
+    USER_ROLES,
+    MfaTokenPurpose,
+    getLoginUser,
+    isMfaRequiredForRole,
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    disableMfa,
+    regenerateRecoveryCodes,
+    beginLogin,
+    completeChallenge,
+    verifyEnrollmentToken,
+    issueStepUpToken,
+    isValidStepUpToken,
+    listPolicies,
+    setPolicy
+};
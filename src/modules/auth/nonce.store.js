@@ -0,0 +1,90 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Nonce Store
+ * Remembers request nonces for a limited time to block replay of signed requests
+ *
+ * A backend is any object implementing:
+ *   claim(key, ttlSeconds) -> Promise<boolean>
+ * which stores the key and resolves true when it was not seen before,
+ * or resolves false when the key is still live (a replay).
+ * Register a shared backend (e.g. Redis SET NX EX) with setNonceStore()
+ * when running more than one instance.
+ */
+
+/**
+ * In-memory nonce store (single-instance default)
+ */
+export class MemoryNonceStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.entries = new Map();
+
+        // Periodically drop expired nonces so the map does not grow unbounded
+        this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+        this.sweeper.unref?.();
+    }
+
+    async claim(key, ttlSeconds) {
+        const now = Date.now();
+        const expiresAt = this.entries.get(key);
+
+        if (expiresAt && expiresAt > now) {
+            return false;
+        }
+
+        this.entries.set(key, now + ttlSeconds * 1000);
+        return true;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.entries.entries()) {
+            if (expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+let nonceStore = new MemoryNonceStore();
+
+/**
+ * Check nonce format (16-128 URL-safe characters)
+ */
+export const isValidNonce = (nonce) => {
+    return typeof nonce === 'string' && NONCE_PATTERN.test(nonce);
+};
+
+/**
+ * Replace the nonce store backend
+ */
+export const setNonceStore = (store) => {
+    if (!store || typeof store.claim !== 'function') {
+        throw new Error('Nonce store must implement claim(key, ttlSeconds)');
+    }
+    nonceStore = store;
+    logger.info('Nonce store backend registered', { backend: store.constructor?.name });
+};
+
+/**
+ * Get the active nonce store
+ */
+export const getNonceStore = () => nonceStore;
+
+/**
+ * Claim a nonce for an API key
+ * @returns {Promise<boolean>} true if the nonce is fresh, false if it was already used
+ */
+export const claimNonce = async (apiKeyId, nonce, ttlSeconds) => {
+    return await nonceStore.claim(`${apiKeyId}:${nonce}`, ttlSeconds);
+};
+
+export default {
+    MemoryNonceStore,
+    isValidNonce,
+    setNonceStore,
+    getNonceStore,
+    claimNonce
+};
@@ -0,0 +1,138 @@
+import prisma from '../../config/db.js';
+
+/**
+ * Refresh Session Repository
+ * Database operations for dashboard refresh sessions
+ */
+
+const sessionSelect = {
+    id: true,
+    userId: true,
+    familyId: true,
+    userAgent: true,
+    ipAddress: true,
+    expiresAt: true,
+    lastUsedAt: true,
+    createdAt: true
+    // Exclude tokenHash
+};
+
+/**
+ * Create a refresh session
+ */
+export const createSession = async (data) => {
+    const { userId, familyId, tokenHash, userAgent = null, ipAddress = null, expiresAt } = data;
+
+    return await prisma.refreshSession.create({
+        data: {
+            userId,
+            familyId,
+            tokenHash,
+            userAgent,
+            ipAddress,
+            expiresAt
+        }
+    });
+};
+
+/**
+ * Find a session by refresh token hash
+ */
+export const findByTokenHash = async (tokenHash) => {
+    return await prisma.refreshSession.findUnique({
+        where: { tokenHash }
+    });
+};
+
+/**
+ * Find a session by ID
+ */
+export const findById = async (id) => {
+    return await prisma.refreshSession.findUnique({
+        where: { id },
+        select: sessionSelect
+    });
+};
+
+/**
+ * Exchange a session for its successor
+ * Marks the current row rotated and creates the next row in the same family, atomically.
+ * @returns {Promise<object|null>} The new session, or null if the row was already rotated/revoked
+ */
+export const rotateSession = async (sessionId, next) => {
+    return await prisma.$transaction(async (tx) => {
+        // Conditional update: only one concurrent refresh can win the rotation
+        const { count } = await tx.refreshSession.updateMany({
+            where: { id: sessionId, rotatedAt: null, revokedAt: null },
+            data: { rotatedAt: new Date(), lastUsedAt: new Date() }
+        });
+
+        if (count === 0) return null;
+
+        return await tx.refreshSession.create({ data: next });
+    });
+};
+
+/**
+ * Find the live session of a family (the one not yet rotated)
+ */
+export const findActiveInFamily = async (familyId) => {
+    return await prisma.refreshSession.findFirst({
+        where: {
+            familyId,
+            rotatedAt: null,
+            revokedAt: null,
+            expiresAt: { gt: new Date() }
+        },
+        select: sessionSelect
+    });
+};
+
+/**
+ * List a user's live sessions (one row per family)
+ */
+export const listActiveSessions = async (userId) => {
+    return await prisma.refreshSession.findMany({
+        where: {
+            userId,
+            rotatedAt: null,
+            revokedAt: null,
+            expiresAt: { gt: new Date() }
+        },
+        select: sessionSelect,
+        orderBy: { createdAt: 'desc' }
+    });
+};
+
+/**
+ * Revoke every token in a family
+ */
+export const revokeFamily = async (familyId, reason) => {
+    const { count } = await prisma.refreshSession.updateMany({
+        where: { familyId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return count;
+};
+
+/**
+ * Revoke every session of a user
+ */
+export const revokeAllForUser = async (userId, reason) => {
+    const { count } = await prisma.refreshSession.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return count;
+};
+
+export default {
+    createSession,
+    findByTokenHash,
+    findById,
+    rotateSession,
+    findActiveInFamily,
+    listActiveSessions,
+    revokeFamily,
+    revokeAllForUser
+};
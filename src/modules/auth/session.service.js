@@ -0,0 +1,217 @@
+import * as sessionRepository from './session.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import { signRefreshToken, verifyRefreshToken, REFRESH_TOKEN_TTL_SECONDS } from './jwt.service.js';
+import { hashToken, generateUUID } from '../../utils/crypto.js';
+import { UnauthorizedError, NotFoundError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Session Service
+ * Refresh-token sessions for dashboard users
+ *
+ * - Each login starts a token family; every refresh rotates the token within that family
+ * - Presenting an already-rotated token is treated as theft and revokes the whole family
+ * - Access tokens carry the family ID (sid) so revocation takes effect immediately
+ */
+
+export const RevocationReason = Object.freeze({
+    LOGOUT: 'LOGOUT',
+    USER_REVOKED: 'USER_REVOKED',
+    ADMIN_REVOKED: 'ADMIN_REVOKED',
+    TOKEN_REUSE: 'TOKEN_REUSE',
+    USER_SUSPENDED: 'USER_SUSPENDED',
+    ROLE_CHANGED: 'ROLE_CHANGED'
+});
+
+/**
+ * Issue a refresh token and persist its session row
+ */
+const issueToken = (userId, familyId, context = {}) => {
+    const refreshToken = signRefreshToken({ sub: userId, sid: familyId, jti: generateUUID() });
+
+    return {
+        refreshToken,
+        data: {
+            userId,
+            familyId,
+            tokenHash: hashToken(refreshToken),
+            userAgent: context.userAgent || null,
+            ipAddress: context.ipAddress || null,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+        }
+    };
+};
+
+/**
+ * Start a new session (login / registration)
+ * @param {string} userId
+ * @param {object} context - { userAgent, ipAddress }
+ * @returns {Promise<{ refreshToken: string, familyId: string }>}
+ */
+export const startSession = async (userId, context = {}) => {
+    const familyId = generateUUID();
+    const { refreshToken, data } = issueToken(userId, familyId, context);
+
+    await sessionRepository.createSession(data);
+
+    logger.info('Session started', { userId, familyId });
+    return { refreshToken, familyId };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * @returns {Promise<{ userId: string, familyId: string, refreshToken: string }>}
+ */
+export const rotateSession = async (refreshToken, context = {}) => {
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+        throw UnauthorizedError('Invalid refresh token');
+    }
+
+    const session = await sessionRepository.findByTokenHash(hashToken(refreshToken));
+    if (!session || session.userId !== payload.sub) {
+        throw UnauthorizedError('Invalid refresh token');
+    }
+
+    if (session.revokedAt) {
+        throw UnauthorizedError('Session has been revoked');
+    }
+
+    if (session.rotatedAt) {
+        await handleTokenReuse(session, context);
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+        throw UnauthorizedError('Session has expired');
+    }
+
+    const next = issueToken(session.userId, session.familyId, context);
+    const rotated = await sessionRepository.rotateSession(session.id, next.data);
+
+    // Lost the race: another request already rotated this token
+    if (!rotated) {
+        await handleTokenReuse(session, context);
+    }
+
+    return {
+        userId: session.userId,
+        familyId: session.familyId,
+        refreshToken: next.refreshToken
+    };
+};
+
+/**
+ * A rotated token was presented again: revoke the family and reject
+ */
+const handleTokenReuse = async (session, context) => {
+    const revoked = await sessionRepository.revokeFamily(session.familyId, RevocationReason.TOKEN_REUSE);
+
+    logger.warn('Refresh token reuse detected, session family revoked', {
+        userId: session.userId,
+        familyId: session.familyId,
+        revoked
+    });
+
+    await auditService.logEvent('REFRESH_TOKEN_REUSE_DETECTED', {
+        familyId: session.familyId,
+        sessionId: session.id,
+        revokedTokens: revoked
+    }, {
+        actor: session.userId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    throw UnauthorizedError('Refresh token has already been used; all tokens for this session were revoked');
+};
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * Unknown or invalid tokens are ignored
+ */
+export const endSession = async (refreshToken) => {
+    if (!refreshToken) return;
+
+    const session = await sessionRepository.findByTokenHash(hashToken(refreshToken));
+    if (session) {
+        await sessionRepository.revokeFamily(session.familyId, RevocationReason.LOGOUT);
+    }
+};
+
+/**
+ * Check whether a session family is still live (used by authenticateJwt)
+ */
+export const isSessionActive = async (familyId) => {
+    if (!familyId) return false;
+    return !!(await sessionRepository.findActiveInFamily(familyId));
+};
+
+/**
+ * List a user's live sessions
+ * @param {string} userId
+ * @param {string} currentFamilyId - Family of the requesting access token (flagged as current)
+ */
+export const listSessions = async (userId, currentFamilyId = null) => {
+    const sessions = await sessionRepository.listActiveSessions(userId);
+
+    return sessions.map(session => ({
+        ...session,
+        current: session.familyId === currentFamilyId
+    }));
+};
+
+/**
+ * Revoke a session (and every token in its family)
+ * @param {string} sessionId
+ * @param {object} requester - { userId, isAdmin }
+ */
+export const revokeSession = async (sessionId, requester, context = {}) => {
+    const session = await sessionRepository.findById(sessionId);
+
+    // Non-admins only see their own sessions
+    if (!session || (!requester.isAdmin && session.userId !== requester.userId)) {
+        throw NotFoundError('Session not found');
+    }
+
+    const reason = session.userId === requester.userId
+        ? RevocationReason.USER_REVOKED
+        : RevocationReason.ADMIN_REVOKED;
+
+    const revoked = await sessionRepository.revokeFamily(session.familyId, reason);
+
+    await auditService.logEvent('SESSION_REVOKED', {
+        sessionId: session.id,
+        userId: session.userId,
+        familyId: session.familyId,
+        reason,
+        revokedTokens: revoked
+    }, {
+        actor: requester.userId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    return { id: session.id, familyId: session.familyId, reason };
+};
+
+/**
+ * Revoke every session of a user (e.g. on suspension)
+ */
+export const revokeUserSessions = async (userId, reason) => {
+    const revoked = await sessionRepository.revokeAllForUser(userId, reason);
+    logger.info('User sessions revoked', { userId, reason, revoked });
+    return revoked;
+};
+
+export default {
+    RevocationReason,
+    startSession,
+    rotateSession,
+    endSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeUserSessions
+};
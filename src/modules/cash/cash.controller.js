@@ -0,0 +1,217 @@
+import * as cashService from './cash.service.js';
+import * as operationService from '../operation/operation.service.js';
+import { getSessionContext } from '../auth/auth.controller.js';
+import { BadRequestError } from '../../errors/ApiError.js';
+
+/**
+ * Cash Controller
+ * HTTP handlers for end users' cash accounts (deposits, withdrawals, history, statements)
+ */
+
+const STATEMENT_FORMATS = ['json', 'csv'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Free-text CSV columns (description, externalReference)
+const CSV_TEXT_COLUMNS = new Set([2, 3]);
+
+/**
+ * Parse an optional ISO date query parameter
+ * A date without a time ends the period at the end of that day when endOfDay is set.
+ */
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+    if (!value) return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw BadRequestError(`Invalid ${name}: ${value}`);
+    }
+    if (endOfDay && DATE_ONLY.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+/**
+ * Quote a CSV cell; text starting like a formula is prefixed so spreadsheets do not evaluate it
+ */
+const csvCell = (value, { text = false } = {}) => {
+    if (value === null || value === undefined) return '';
+
+    let cell = value instanceof Date ? value.toISOString() : String(value);
+    if (text && /^[=+\-@\t\r]/.test(cell)) {
+        cell = `'${cell}`;
+    }
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Statement as CSV: one row per line between the opening and closing balance rows
+ */
+const toCsv = (statement) => {
+    const rows = [
+        ['date', 'type', 'description', 'externalReference', 'debit', 'credit', 'balance'],
+        [statement.from, 'OPENING_BALANCE', '', '', '', '', statement.openingBalance],
+        ...statement.lines.map(line => [
+            line.createdAt,
+            line.type,
+            line.description,
+            line.externalReference,
+            line.direction === 'DEBIT' ? line.amount.replace(/^-/, '') : '',
+            line.direction === 'CREDIT' ? line.amount : '',
+            line.balanceAfter
+        ]),
+        [statement.to, 'CLOSING_BALANCE', '', '', '', '', statement.closingBalance]
+    ];
+
+    return rows
+        .map(row => row.map((cell, index) => csvCell(cell, { text: CSV_TEXT_COLUMNS.has(index) })).join(','))
+        .join('\r\n') + '\r\n';
+};
+
+/**
+ * Download file name of a statement
+ */
+const statementFileName = (statement, format) => {
+    const safe = (value) => String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+    const day = (date) => (date ? date.toISOString().slice(0, 10) : 'start');
+
+    return `statement-${safe(statement.userId)}-${safe(statement.currency)}-${day(statement.from)}-${day(statement.to)}.${format}`;
+};
+
+/**
+ * Credit a deposit (payment integration)
+ * POST /v1/cash/deposits
+ * 201 when credited, 200 when the external reference was already credited (replay)
+ */
+export const recordDeposit = async (req, res, next) => {
+    try {
+        const { userId, currency, amount, externalReference, description } = req.body || {};
+
+        const { deposit, replayed } = await cashService.recordDeposit(
+            { tenantId: req.auth?.tenantId, userId, currency, amount, externalReference, description },
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
+        );
+
+        res.status(replayed ? 200 : 201).json({ ...deposit, replayed });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Credit a deposit to a user of any tenant (admin)
+ * POST /v1/admin/cash/deposits
+ */
+export const recordAdminDeposit = async (req, res, next) => {
+    try {
+        const { tenantId, userId, currency, amount, externalReference, description } = req.body || {};
+
+        const { deposit, replayed } = await cashService.recordDeposit(
+            { tenantId, userId, currency, amount, externalReference, description },
+            req.user.sub,
+            getSessionContext(req)
+        );
+
+        res.status(replayed ? 200 : 201).json({ ...deposit, replayed });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Open a user's balance from before the ledger into a tenant (admin)
+ * POST /v1/admin/cash/opening-balances
+ */
+export const openLegacyBalance = async (req, res, next) => {
+    try {
+        const { tenantId, userId } = req.body || {};
+
+        const opening = await cashService.openLegacyBalance({ tenantId, userId }, req.user.sub, getSessionContext(req));
+
+        res.status(201).json(opening);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Request a withdrawal (cash:withdraw scope; approved through /v1/operations/:id/approve)
+ * POST /v1/cash/withdrawals
+ */
+export const requestWithdrawal = async (req, res, next) => {
+    try {
+        const { userId, currency, amount, destination, reference } = req.body || {};
+
+        const operation = await operationService.initiateCashWithdrawalOperation(
+            { tenantId: req.auth?.tenantId, payload: { userId, currency, amount, destination, reference } },
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
+        );
+
+        res.status(201).json(operation);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Transaction history of a user's cash, newest first
+ * GET /v1/cash/users/:userId/transactions?currency=&from=&to=&limit=&offset=
+ */
+export const getTransactions = async (req, res, next) => {
+    try {
+        const { currency, limit, offset } = req.query;
+
+        const result = await cashService.getTransactions(req.auth?.tenantId, req.params.userId, {
+            currency,
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to', { endOfDay: true }),
+            limit: limit ? parseInt(limit) : 50,
+            offset: offset ? parseInt(offset) : 0
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download a statement of a user's cash for a period
+ * GET /v1/cash/users/:userId/statement?currency=&from=&to=&format=json|csv
+ */
+export const getStatement = async (req, res, next) => {
+    try {
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!STATEMENT_FORMATS.includes(format)) {
+            throw BadRequestError(`Invalid format: ${req.query.format}. Expected one of ${STATEMENT_FORMATS.join(', ')}`);
+        }
+
+        const statement = await cashService.getStatement(req.auth?.tenantId, req.params.userId, {
+            currency: req.query.currency,
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to', { endOfDay: true })
+        });
+
+        // Sent as a download; the file extension sets the content type
+        res.attachment(statementFileName(statement, format));
+        if (format === 'csv') {
+            res.send(toCsv(statement));
+        } else {
+            res.json(statement);
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    recordDeposit,
+    recordAdminDeposit,
+    openLegacyBalance,
+    requestWithdrawal,
+    getTransactions,
+    getStatement
+};
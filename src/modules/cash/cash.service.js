@@ -0,0 +1,443 @@
+import * as ledgerService from '../ledger/ledger.service.js';
+import * as ledgerRepository from '../ledger/ledger.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import { parsePrice } from '../marketplace/pricing.math.js';
+import { toDecimal, formatAmount, sumAmounts } from '../ledger/ownership.math.js';
+import { LedgerAccountType, LedgerUnitType } from '../../enums/ledgerAccountType.js';
+import { JournalEntryType } from '../../enums/journalEntryType.js';
+import { BadRequestError, ConflictError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Cash Service
+ * Fiat cash accounts of end users: deposits, withdrawals, transaction history and statements
+ *
+ * - A user's cash is their INVESTOR cash account in the ledger (UserBalance is its projection)
+ * - Deposits are credited by an admin or a payment integration, once per external reference
+ *   (bank or PSP transaction ID): a replay returns the original deposit
+ * - Withdrawals are CASH_WITHDRAWAL operations approved by checkers (operation.service.js); the
+ *   amount is held in the user's ESCROW account from the request until it is paid out or released
+ * - History and statements read the postings of the cash account, whose balanceAfter is the
+ *   running balance
+ */
+
+// Longest external reference (indexed column)
+const MAX_REFERENCE_LENGTH = 191;
+
+/**
+ * Check a required text field
+ */
+const requireText = (value, field) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw BadRequestError(`${field} is required`);
+    }
+    if (value.length > MAX_REFERENCE_LENGTH) {
+        throw BadRequestError(`${field} must be at most ${MAX_REFERENCE_LENGTH} characters`);
+    }
+    return value.trim();
+};
+
+/**
+ * Validate a deposit: { userId, currency, amount, externalReference, description? }
+ * @returns {Object} Normalized deposit with the amount as a Decimal
+ */
+const validateDeposit = (data = {}) => {
+    const { userId, currency, amount, externalReference, description } = data;
+
+    const missingFields = [];
+    if (!userId) missingFields.push('userId');
+    if (!currency) missingFields.push('currency');
+    if (amount === undefined || amount === null || amount === '') missingFields.push('amount');
+    if (!externalReference) missingFields.push('externalReference');
+
+    if (missingFields.length > 0) {
+        throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
+    }
+
+    return {
+        userId: requireText(userId, 'userId'),
+        currency: requireText(currency, 'currency'),
+        amount: parsePrice(amount, currency, 'amount'),
+        externalReference: requireText(externalReference, 'externalReference'),
+        description: description ? String(description) : null
+    };
+};
+
+/**
+ * Deposit as returned by the API, from its CASH_DEPOSIT entry
+ */
+const toDeposit = (entry) => {
+    const credit = entry.postings.find(posting => posting.account.type === LedgerAccountType.INVESTOR);
+
+    return {
+        id: entry.id,
+        userId: credit.account.ownerId,
+        currency: credit.account.unit,
+        amount: formatAmount(credit.amount),
+        balanceAfter: formatAmount(credit.balanceAfter),
+        externalReference: entry.externalReference,
+        description: entry.description,
+        createdBy: entry.createdBy,
+        createdAt: entry.createdAt
+    };
+};
+
+/**
+ * Original deposit of an external reference, or null
+ * A replay must carry the same user, currency and amount.
+ */
+const findReplayedDeposit = async (tenantId, deposit) => {
+    const entry = await ledgerRepository.findEntryByReference({
+        tenantId,
+        type: JournalEntryType.CASH_DEPOSIT,
+        externalReference: deposit.externalReference
+    });
+    if (!entry) return null;
+
+    const original = toDeposit(entry);
+    if (original.userId !== deposit.userId || original.currency !== deposit.currency || !toDecimal(original.amount).equals(deposit.amount)) {
+        throw ConflictError(`Deposit ${deposit.externalReference} was already recorded with different details`, {
+            depositId: original.id,
+            userId: original.userId,
+            currency: original.currency,
+            amount: original.amount
+        });
+    }
+
+    return original;
+};
+
+/**
+ * Credit a deposit to a user's cash account (idempotent per tenant and external reference)
+ * @param {Object} data - { tenantId, userId, currency, amount, externalReference, description }
+ * @returns {Promise<Object>} { deposit, replayed }
+ */
+export const recordDeposit = async (data, actor, context = {}) => {
+    const { tenantId } = data;
+    if (!tenantId) {
+        throw BadRequestError('Tenant ID is required');
+    }
+
+    const deposit = validateDeposit(data);
+
+    const replayed = await findReplayedDeposit(tenantId, deposit);
+    if (replayed) {
+        logger.info('Cash deposit replayed', { depositId: replayed.id, externalReference: deposit.externalReference });
+        return { deposit: replayed, replayed: true };
+    }
+
+    try {
+        await ledgerService.recordCashDeposit({
+            tenantId,
+            userId: deposit.userId,
+            currency: deposit.currency,
+            amount: deposit.amount,
+            externalReference: deposit.externalReference,
+            description: deposit.description,
+            createdBy: actor
+        });
+    } catch (error) {
+        // Concurrent deposit of the same reference: the other request posted it
+        if (error.code === 'P2002' || error.statusCode === 409) {
+            const concurrent = await findReplayedDeposit(tenantId, deposit);
+            if (concurrent) return { deposit: concurrent, replayed: true };
+        }
+        throw error;
+    }
+
+    const created = toDeposit(await ledgerRepository.findEntryByReference({
+        tenantId,
+        type: JournalEntryType.CASH_DEPOSIT,
+        externalReference: deposit.externalReference
+    }));
+
+    await auditService.logEvent('CASH_DEPOSITED', {
+        depositId: created.id,
+        tenantId,
+        userId: created.userId,
+        currency: created.currency,
+        amount: created.amount,
+        externalReference: created.externalReference,
+        action: 'Cash deposit credited'
+    }, {
+        actor,
+        ...context
+    });
+
+    logger.info('Cash deposit credited', { depositId: created.id, userId: created.userId, currency: created.currency });
+
+    return { deposit: created, replayed: false };
+};
+
+/**
+ * Open a user's pre-ledger balance into a tenant (admin)
+ * Needed when the tenant cannot be resolved from the user's API keys: until then their cash
+ * postings are refused (see ledger.service.js).
+ * @param {Object} data - { tenantId, userId }
+ * @returns {Promise<Object>} { id, tenantId, userId, currency, amount, createdBy, createdAt }
+ */
+export const openLegacyBalance = async (data, actor, context = {}) => {
+    const { tenantId, userId } = data || {};
+
+    const missingFields = [];
+    if (!tenantId) missingFields.push('tenantId');
+    if (!userId) missingFields.push('userId');
+
+    if (missingFields.length > 0) {
+        throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
+    }
+
+    const entry = await ledgerService.openLegacyCashBalance({
+        tenantId: requireText(tenantId, 'tenantId'),
+        userId: requireText(userId, 'userId')
+    }, actor);
+
+    const credit = entry.postings.find(posting => toDecimal(posting.amount).greaterThan(0));
+    const account = await ledgerRepository.findAccountById(credit.accountId);
+    const opening = {
+        id: entry.id,
+        tenantId: entry.tenantId,
+        userId: account.ownerId,
+        currency: account.unit,
+        amount: formatAmount(credit.amount),
+        createdBy: entry.createdBy,
+        createdAt: entry.createdAt
+    };
+
+    await auditService.logEvent('CASH_OPENING_BALANCE_RECORDED', {
+        entryId: opening.id,
+        tenantId: opening.tenantId,
+        userId: opening.userId,
+        currency: opening.currency,
+        amount: opening.amount,
+        action: 'Balance from before the ledger opened in the tenant\'s books'
+    }, {
+        actor,
+        ...context
+    });
+
+    logger.info('Pre-ledger cash balance opened', { entryId: opening.id, tenantId: opening.tenantId, userId: opening.userId });
+
+    return opening;
+};
+
+/**
+ * Validate a CASH_WITHDRAWAL request
+ * Payload: { userId, currency, amount, destination, reference? } where destination is the
+ * payout account (e.g. IBAN) and reference the payment reference, if known
+ * @returns {Object} Normalized payload stored on the operation
+ */
+export const validateWithdrawalRequest = (payload = {}) => {
+    const { userId, currency, amount, destination, reference } = payload || {};
+
+    const missingFields = [];
+    if (!userId) missingFields.push('userId');
+    if (!currency) missingFields.push('currency');
+    if (amount === undefined || amount === null || amount === '') missingFields.push('amount');
+    if (!destination) missingFields.push('destination');
+
+    if (missingFields.length > 0) {
+        throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
+    }
+
+    return {
+        userId: requireText(userId, 'userId'),
+        currency: requireText(currency, 'currency'),
+        amount: formatAmount(parsePrice(amount, currency, 'amount')),
+        destination: requireText(destination, 'destination'),
+        reference: reference ? requireText(reference, 'reference') : null
+    };
+};
+
+/**
+ * Hold a requested withdrawal in the user's escrow (rejected when their available cash does not cover it)
+ */
+export const holdWithdrawal = async (operation, client) => {
+    return await ledgerService.recordWithdrawalHold(operation, client);
+};
+
+/**
+ * Return the held amount of a withdrawal that will not be paid out to the user's cash
+ * @param {string} reason - REJECTED, CANCELLED, EXPIRED or FAILED
+ * @returns {Promise<Object|null>} Journal entry, or null when nothing was held
+ */
+export const releaseWithdrawal = async (operation, reason, client) => {
+    return await ledgerService.recordWithdrawalRelease(operation, reason, client);
+};
+
+/**
+ * Pay out an approved withdrawal from the user's escrow
+ */
+export const payOutWithdrawal = async (operation, client) => {
+    return await ledgerService.recordCashWithdrawal(operation, client);
+};
+
+/**
+ * Audit a paid out or released withdrawal (once its transaction committed)
+ * @param {string} eventType - CASH_WITHDRAWAL_PAID or CASH_WITHDRAWAL_RELEASED
+ */
+export const logWithdrawalEvent = async (eventType, operation, details = {}, context = {}) => {
+    const { userId, currency, amount, destination, reference } = operation.payload;
+
+    await auditService.logEvent(eventType, {
+        operationId: operation.id,
+        tenantId: operation.tenantId,
+        userId,
+        currency,
+        amount,
+        destination,
+        reference,
+        ...details
+    }, {
+        operationId: operation.id,
+        actor: 'SYSTEM',
+        ...context
+    });
+};
+
+/**
+ * Currency of a user's cash account: the requested one, else their only one
+ */
+const resolveCurrency = async (tenantId, userId, currency) => {
+    if (currency) return currency;
+
+    const accounts = await ledgerRepository.listAccounts({
+        tenantId,
+        ownerId: userId,
+        type: LedgerAccountType.INVESTOR,
+        unitType: LedgerUnitType.CASH
+    });
+    if (accounts.length > 1) {
+        throw BadRequestError(`User ${userId} holds cash in ${accounts.map(account => account.unit).join(', ')}; currency is required`);
+    }
+    if (accounts.length === 1) return accounts[0].unit;
+
+    const legacy = await ledgerService.findLegacyCash(tenantId, userId);
+    if (!legacy) {
+        throw BadRequestError(`User ${userId} has no cash account; currency is required`);
+    }
+    return legacy.currency;
+};
+
+/**
+ * A user's cash account, or its pre-ledger UserBalance when the account has not opened yet
+ * @returns {Promise<Object>} { currency, account, legacyBalance }
+ */
+const findCashAccount = async (tenantId, userId, currency) => {
+    const unit = await resolveCurrency(tenantId, userId, currency);
+    const account = await ledgerRepository.findAccount({
+        tenantId,
+        ownerId: userId,
+        type: LedgerAccountType.INVESTOR,
+        unit
+    });
+    if (account) return { currency: unit, account, legacyBalance: null };
+
+    const legacy = await ledgerService.findLegacyCash(tenantId, userId);
+    const legacyBalance = legacy?.currency === unit ? toDecimal(legacy.balance) || toDecimal(0) : toDecimal(0);
+    return { currency: unit, account: null, legacyBalance };
+};
+
+/**
+ * Transaction line of a cash account posting
+ */
+const toTransaction = (posting) => {
+    const amount = toDecimal(posting.amount);
+
+    return {
+        id: posting.id,
+        entryId: posting.entryId,
+        type: posting.entry.type,
+        direction: amount.isNegative() ? 'DEBIT' : 'CREDIT',
+        amount: formatAmount(amount),
+        balanceAfter: formatAmount(posting.balanceAfter),
+        description: posting.entry.description,
+        externalReference: posting.entry.externalReference,
+        operationId: posting.entry.operationId,
+        bidId: posting.entry.bidId,
+        listingId: posting.entry.listingId,
+        assetId: posting.entry.assetId,
+        createdAt: posting.createdAt
+    };
+};
+
+const assertPeriod = (from, to) => {
+    if (from && to && from > to) {
+        throw BadRequestError('from must not be after to');
+    }
+};
+
+/**
+ * Transaction history of a user's cash, newest first, with the running balance after each line
+ * @param {Object} filters - { currency, from, to, limit, offset }
+ * @returns {Promise<Object>} { userId, currency, balance, transactions, total }
+ */
+export const getTransactions = async (tenantId, userId, filters = {}) => {
+    const { from, to, limit = 50, offset = 0 } = filters;
+    assertPeriod(from, to);
+
+    const { currency, account, legacyBalance } = await findCashAccount(tenantId, userId, filters.currency);
+    if (!account) {
+        return { userId, currency, balance: formatAmount(legacyBalance), transactions: [], total: 0 };
+    }
+
+    const { postings, total } = await ledgerRepository.listAccountPostings(account.id, { from, to, limit, offset });
+
+    return {
+        userId,
+        currency,
+        balance: formatAmount(account.balance),
+        transactions: postings.map(toTransaction),
+        total
+    };
+};
+
+/**
+ * Statement of a user's cash for a period: opening balance, lines oldest first, totals and closing balance
+ * @param {Object} period - { currency, from, to } (from: since the account opened, to: now)
+ * @returns {Promise<Object>}
+ */
+export const getStatement = async (tenantId, userId, period = {}) => {
+    const { from } = period;
+    const to = period.to || new Date();
+    assertPeriod(from, to);
+
+    const { currency, account, legacyBalance } = await findCashAccount(tenantId, userId, period.currency);
+
+    let opening = legacyBalance || toDecimal(0);
+    let lines = [];
+    if (account) {
+        const previous = from ? await ledgerRepository.findLastPostingBefore(account.id, from) : null;
+        opening = toDecimal(previous?.balanceAfter) || toDecimal(0);
+        lines = (await ledgerRepository.findPostingsBetween(account.id, { from, to })).map(toTransaction);
+    }
+
+    const credits = sumAmounts(lines.filter(line => line.direction === 'CREDIT').map(line => line.amount));
+    const debits = sumAmounts(lines.filter(line => line.direction === 'DEBIT').map(line => line.amount)).negated();
+    const closing = lines.length > 0 ? toDecimal(lines[lines.length - 1].balanceAfter) : opening;
+
+    return {
+        userId,
+        currency,
+        from: from || null,
+        to,
+        openingBalance: formatAmount(opening),
+        totalCredits: formatAmount(credits),
+        totalDebits: formatAmount(debits),
+        closingBalance: formatAmount(closing),
+        lines,
+        generatedAt: new Date()
+    };
+};
+
+export default {
+    recordDeposit,
+    openLegacyBalance,
+    validateWithdrawalRequest,
+    holdWithdrawal,
+    releaseWithdrawal,
+    payOutWithdrawal,
+    logWithdrawalEvent,
+    getTransactions,
+    getStatement
+};
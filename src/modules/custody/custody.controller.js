@@ -36,10 +36,11 @@ export const linkAsset = async (req, res, next) => {
             assetId,
             tenantId,
             createdBy,
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent')
+                userAgent: req.get('user-agent'),
+                publicKey: req.auth?.publicKey
             }
         );
 
@@ -130,10 +131,11 @@ export const approveCustodyLink = async (req, res, next) => {
         const custodyRecord = await custodyService.approveCustodyLink(
             id,
             tenantId,
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent')
+                userAgent: req.get('user-agent'),
+                publicKey: req.auth?.publicKey
             }
         );
 
@@ -161,10 +163,11 @@ export const rejectCustodyLink = async (req, res, next) => {
             id,
             tenantId,
             reason || 'No reason provided',
-            req.auth?.publicKey || 'unknown',
+            req.auth?.actorId || 'unknown',
             {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent')
+                userAgent: req.get('user-agent'),
+                publicKey: req.auth?.publicKey
             }
         );
 
@@ -200,7 +203,7 @@ export const linkAssetDashboard = async (req, res, next) => {
             assetId,
             userId, // tenantId = user's ID
             userId, // createdBy = user's ID
-            `dashboard_user_${userId}`,
+            userId,
             {
                 ipAddress: req.ip,
                 userAgent: req.get('user-agent')
@@ -248,7 +251,7 @@ export const approveCustodyLinkDashboard = async (req, res, next) => {
         const custodyRecord = await custodyService.approveCustodyLink(
             id,
             userId, // tenantId
-            `dashboard_user_${userId}`,
+            userId,
             {
                 ipAddress: req.ip,
                 userAgent: req.get('user-agent')
@@ -275,7 +278,7 @@ export const rejectCustodyLinkDashboard = async (req, res, next) => {
             id,
             userId, // tenantId
             reason || 'No reason provided',
-            `dashboard_user_${userId}`,
+            userId,
             {
                 ipAddress: req.ip,
                 userAgent: req.get('user-agent')
@@ -69,6 +69,8 @@ export const updateStatus = async (id, newStatus, metadata = {}) => {
         if (metadata.quantity) updateData.quantity = metadata.quantity;
     } else if (newStatus === CustodyStatus.WITHDRAWN) {
         updateData.withdrawnAt = new Date();
+        if (metadata.withdrawalAddress) updateData.withdrawalAddress = metadata.withdrawalAddress;
+        if (metadata.withdrawalTxHash) updateData.withdrawalTxHash = metadata.withdrawalTxHash;
     } else if (newStatus === CustodyStatus.BURNED) {
         updateData.burnedAt = new Date();
     }
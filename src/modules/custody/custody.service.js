@@ -1,5 +1,7 @@
 import * as custodyRepository from './custody.repository.js';
 import * as auditService from '../audit/audit.service.js';
+import * as auditRepository from '../audit/audit.repository.js';
+import * as tenantPolicyService from '../tenant/tenantPolicy.service.js';
 import { CustodyStatus, canTransitionTo } from '../../enums/custodyStatus.js';
 import { ConflictError, NotFoundError, BadRequestError } from '../../errors/ApiError.js';
 import logger from '../../utils/logger.js';
@@ -122,8 +124,17 @@ export const approveCustodyLink = async (id, tenantId, actor, context = {}) => {
         throw BadRequestError(`Cannot approve custody record with status ${custodyRecord.status}`);
     }
 
+    // Maker-Checker segregation: whoever linked the asset cannot approve it
+    const [linkEvent] = await auditRepository.findByCustodyRecord(id, { eventType: 'ASSET_LINKED', limit: 1 });
+    await tenantPolicyService.enforceSegregationOfDuties({
+        maker: linkEvent?.actor,
+        checker: actor,
+        tenantId: custodyRecord.tenantId,
+        message: 'Maker cannot approve their own custody link'
+    }, { custodyRecordId: id, ...context });
+
     // Import required services
-    const fireblocksService = await import('../vault/fireblocks.service.js');
+    const fireblocksVaultService = await import('../fireblocks/vault.service.js');
     const prisma = (await import('../../config/db.js')).default;
 
     // Create a new Fireblocks vault for this asset
@@ -135,7 +146,7 @@ export const approveCustodyLink = async (id, tenantId, actor, context = {}) => {
         vaultName
     });
     
-    const vaultResult = await fireblocksService.createUserVault(vaultName, id);
+    const vaultResult = await fireblocksVaultService.createUserVault(vaultName, id);
     const fireblocksVaultId = vaultResult.vaultId;
 
     logger.info('Fireblocks vault created, getting wallet address', {
@@ -144,7 +155,7 @@ export const approveCustodyLink = async (id, tenantId, actor, context = {}) => {
     });
 
     // Get wallet address for ETH_TEST5 (this also creates the asset in the vault)
-    const walletAddress = await fireblocksService.getWalletAddress(fireblocksVaultId, 'ETH_TEST5');
+    const walletAddress = await fireblocksVaultService.getWalletAddress(fireblocksVaultId, 'ETH_TEST5');
 
     logger.info('Wallet address obtained', {
         vaultId: fireblocksVaultId,
@@ -161,13 +172,14 @@ export const approveCustodyLink = async (id, tenantId, actor, context = {}) => {
     });
 
     try {
-        const vaultFireblocksService = await import('../vault/fireblocks.service.js');
-        await vaultFireblocksService.transferTokens(
-            '88',              // Gas vault
-            fireblocksVaultId, // New vault
-            'ETH_TEST5',       // Asset
-            0.002              // Amount (enough for several transactions)
-        );
+        const fireblocksTransactionService = await import('../fireblocks/transaction.service.js');
+        await fireblocksTransactionService.createVaultTransfer({
+            fromVaultId: '88',            // Gas vault
+            toVaultId: fireblocksVaultId, // New vault
+            assetId: 'ETH_TEST5',         // Asset
+            amount: 0.002,                // Amount (enough for several transactions)
+            note: 'Initial gas'
+        }, actor);
         logger.info('Initial gas transfer completed', { vaultId: fireblocksVaultId });
     } catch (gasError) {
         logger.warn('Failed to transfer initial gas, vault may not have enough gas for minting', {
@@ -0,0 +1,80 @@
+import liveAdapter from './fireblocks.live.js';
+import simulatorAdapter from './fireblocks.simulator.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fireblocks Adapter
+ * Single entry point to Fireblocks for the vault, transaction and tokenization services; selects the
+ * live API (fireblocks.live.js over fireblocks.client.js) or the simulator
+ *
+ * FIREBLOCKS_MODE:
+ * - live: always call the Fireblocks API
+ * - simulator: always use the in-process simulator (no network)
+ * - auto (default): simulator when API credentials or the secret key file are missing
+ *
+ * Adapter interface:
+ * - createVault({ name, customerRefId }) → { id, name }
+ * - createWallet(vaultId, assetId) → { blockchain, address } (returns the existing wallet if present)
+ * - getVault(vaultId) → { id, name, wallets: [{ blockchain, address, balance }] }
+ * - issueToken(vaultId, { name, symbol, decimals, totalSupply, blockchainId, contractId }) → { tokenLinkId, status }
+ * - getTokenLink(tokenLinkId) → { id, status, txHash, tokenMetadata, ... }
+ * - createTransaction({ assetId, source, destination, amount, note, externalTxId }) → { id, status }
+ * - callContractFunction({ baseAssetId, contractAddress, vaultAccountId, abiFunction, note, externalTxId }) → { id, status }
+ *   (write function call, tracked like any transaction)
+ * - getTransaction(txId) → { id, status, subStatus, txHash, numOfConfirmations, feeInfo, ... }
+ * - getTransactionByExternalId(externalTxId) → transaction, or null when Fireblocks has none
+ */
+
+export const FireblocksMode = Object.freeze({
+    LIVE: 'live',
+    SIMULATOR: 'simulator',
+    AUTO: 'auto'
+});
+
+let override = null;
+let announced = null;
+
+/**
+ * Resolve the adapter for the configured mode
+ */
+export const getFireblocksAdapter = () => {
+    if (override) return override;
+
+    const { mode } = config.fireblocks;
+    let adapter;
+    if (mode === FireblocksMode.LIVE) {
+        adapter = liveAdapter;
+    } else if (mode === FireblocksMode.SIMULATOR) {
+        adapter = simulatorAdapter;
+    } else {
+        adapter = liveAdapter.isAvailable() ? liveAdapter : simulatorAdapter;
+    }
+
+    if (announced !== adapter.name) {
+        announced = adapter.name;
+        const log = adapter === simulatorAdapter && config.nodeEnv === 'production' ? logger.warn : logger.info;
+        log.call(logger, `Fireblocks adapter: ${adapter.name}`, { mode });
+    }
+
+    return adapter;
+};
+
+/**
+ * Whether calls currently go to the simulator
+ */
+export const isSimulated = () => getFireblocksAdapter().name === simulatorAdapter.name;
+
+/**
+ * Replace the adapter (e.g. a scripted fake); pass null to go back to the configured one
+ */
+export const setFireblocksAdapter = (adapter) => {
+    override = adapter;
+};
+
+export default {
+    FireblocksMode,
+    getFireblocksAdapter,
+    isSimulated,
+    setFireblocksAdapter
+};
@@ -0,0 +1,118 @@
+import { ApiError } from '../../errors/ApiError.js';
+
+/**
+ * Fireblocks Errors
+ * Typed errors for Fireblocks calls, mapped onto API status codes
+ *
+ * The message keeps the Fireblocks status (e.g. "Fireblocks API error 429: ...") so failure
+ * reasons stored on operations stay classifiable (see operationFailure.js).
+ */
+
+export const FireblocksErrorCode = Object.freeze({
+    BAD_REQUEST: 'FIREBLOCKS_BAD_REQUEST',
+    AUTHENTICATION: 'FIREBLOCKS_AUTHENTICATION',
+    NOT_FOUND: 'FIREBLOCKS_NOT_FOUND',
+    CONFLICT: 'FIREBLOCKS_CONFLICT',
+    RATE_LIMITED: 'FIREBLOCKS_RATE_LIMITED',
+    UNAVAILABLE: 'FIREBLOCKS_UNAVAILABLE',
+    TIMEOUT: 'FIREBLOCKS_TIMEOUT',
+    NETWORK: 'FIREBLOCKS_NETWORK',
+    NOT_CONFIGURED: 'FIREBLOCKS_NOT_CONFIGURED',
+    UNKNOWN: 'FIREBLOCKS_UNKNOWN'
+});
+
+export class FireblocksError extends ApiError {
+    /**
+     * @param {number} statusCode - Status returned to our API callers
+     * @param {string} message
+     * @param {object} options - { code, fireblocksStatus, fireblocksCode, retryable, cause }
+     */
+    constructor(statusCode, message, options = {}) {
+        const { code = FireblocksErrorCode.UNKNOWN, fireblocksStatus = null, fireblocksCode = null } = options;
+        super(statusCode, message, { code, fireblocksStatus, fireblocksCode });
+
+        this.name = 'FireblocksError';
+        this.code = code;
+        this.fireblocksStatus = fireblocksStatus;
+        this.fireblocksCode = fireblocksCode;
+        this.retryable = !!options.retryable;
+        if (options.cause) this.cause = options.cause;
+    }
+}
+
+/**
+ * Error for a Fireblocks HTTP error response
+ * @param {number} status - Fireblocks HTTP status
+ * @param {object|string} body - Parsed response body
+ */
+export const fromResponse = (status, body) => {
+    const detail = (typeof body === 'object' && body?.message) || (typeof body === 'string' && body.trim()) || 'No details';
+    const message = `Fireblocks API error ${status}: ${detail}`;
+    const options = { fireblocksStatus: status, fireblocksCode: body?.code ?? null };
+
+    if (status === 429) {
+        return new FireblocksError(429, message, { ...options, code: FireblocksErrorCode.RATE_LIMITED, retryable: true });
+    }
+    if (status === 401 || status === 403) {
+        // Our credentials were refused; not something the API caller can fix
+        return new FireblocksError(502, message, { ...options, code: FireblocksErrorCode.AUTHENTICATION });
+    }
+    if (status === 404) {
+        return new FireblocksError(404, message, { ...options, code: FireblocksErrorCode.NOT_FOUND });
+    }
+    if (status === 409) {
+        return new FireblocksError(409, message, { ...options, code: FireblocksErrorCode.CONFLICT });
+    }
+    if (status >= 500) {
+        return new FireblocksError(502, message, { ...options, code: FireblocksErrorCode.UNAVAILABLE });
+    }
+    return new FireblocksError(400, message, { ...options, code: FireblocksErrorCode.BAD_REQUEST });
+};
+
+/**
+ * Error for a request that never got a response (timeout, connection reset, DNS, ...)
+ */
+export const fromNetworkError = (error, timeoutMs) => {
+    if (error.code === 'ETIMEDOUT') {
+        return new FireblocksError(504, `Fireblocks request timed out after ${timeoutMs}ms`, {
+            code: FireblocksErrorCode.TIMEOUT,
+            retryable: true,
+            cause: error
+        });
+    }
+
+    return new FireblocksError(503, `Fireblocks network error: ${error.code || error.message}`, {
+        code: FireblocksErrorCode.NETWORK,
+        retryable: error.code === 'ECONNRESET',
+        cause: error
+    });
+};
+
+/**
+ * Wrap any error from a Fireblocks call with context, keeping its type and status
+ * @param {Error} error
+ * @param {string} prefix - e.g. 'Fireblocks vault creation failed'
+ */
+export const wrapError = (error, prefix) => {
+    const message = `${prefix}: ${error.message}`;
+
+    if (error instanceof FireblocksError) {
+        return new FireblocksError(error.statusCode, message, {
+            code: error.code,
+            fireblocksStatus: error.fireblocksStatus,
+            fireblocksCode: error.fireblocksCode,
+            retryable: error.retryable,
+            cause: error
+        });
+    }
+
+    return new FireblocksError(502, message, { cause: error });
+};
+
+export default {
+    FireblocksErrorCode,
+    FireblocksError,
+    fromResponse,
+    fromNetworkError,
+    wrapError
+};
@@ -0,0 +1,169 @@
+import { config } from '../../config/env.js';
+import { request, isAvailable } from './fireblocks.client.js';
+import { toBaseUnits } from '../ledger/ownership.math.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Live Fireblocks Adapter
+ * Talks to the Fireblocks REST API through the Fireblocks client (see fireblocks.adapter.js for the interface)
+ */
+
+export { isAvailable };
+
+export const createVault = async ({ name, customerRefId }) => {
+    const vault = await request('POST', '/v1/vault/accounts', {
+        name,
+        hiddenOnUI: false,
+        autoFuel: true,
+        customerRefId: customerRefId ? String(customerRefId) : undefined
+    });
+
+    return { id: vault.id, name: vault.name };
+};
+
+export const createWallet = async (vaultId, assetId) => {
+    const addressesPath = `/v1/vault/accounts/${vaultId}/assets/${assetId}/addresses`;
+
+    try {
+        // Return the existing address if the asset is already in the vault
+        const existing = await request('GET', addressesPath);
+        if (existing.addresses?.length > 0) {
+            return { blockchain: assetId, address: existing.addresses[0].address };
+        }
+    } catch (error) {
+        logger.info('Asset not found in vault, creating...', { vaultId, assetId });
+    }
+
+    try {
+        await request('POST', `/v1/vault/accounts/${vaultId}/assets`, { assetId });
+    } catch (error) {
+        // Asset might already exist
+        if (!error.message?.includes('already exists') && !error.message?.includes('ASSET_ALREADY_EXISTS')) {
+            throw error;
+        }
+    }
+
+    const created = await request('POST', addressesPath, {
+        description: `Primary ${assetId} address`
+    });
+
+    return { blockchain: assetId, address: created.address || created.legacyAddress };
+};
+
+export const getVault = async (vaultId) => {
+    const vault = await request('GET', `/v1/vault/accounts/${vaultId}`);
+    const wallets = [];
+
+    for (const asset of vault.assets || []) {
+        try {
+            const addresses = await request('GET', `/v1/vault/accounts/${vaultId}/assets/${asset.id}/addresses`);
+            if (addresses.addresses?.length > 0) {
+                wallets.push({
+                    blockchain: asset.id,
+                    address: addresses.addresses[0].address,
+                    balance: asset.total || '0'
+                });
+            }
+        } catch (error) {
+            logger.warn('Failed to get addresses for asset', {
+                vaultId,
+                assetId: asset.id,
+                error: error.message
+            });
+        }
+    }
+
+    return { id: vault.id, name: vault.name, wallets };
+};
+
+export const issueToken = async (vaultId, tokenConfig) => {
+    const { name, symbol, decimals, totalSupply, blockchainId, assetId, contractId } = tokenConfig;
+
+    // Convert total supply to wei (smallest unit), exactly
+    const decimalsInt = Number.isInteger(Number(decimals)) ? Number(decimals) : 18;
+    const totalSupplyWei = toBaseUnits(totalSupply, decimalsInt);
+    if (!totalSupplyWei) {
+        throw new Error(`Total supply ${totalSupply} has more than ${decimalsInt} decimal places`);
+    }
+
+    const result = await request('POST', '/v1/tokenization/tokens', {
+        blockchainId: blockchainId || 'ETH_TEST5',
+        assetId: assetId || blockchainId || 'ETH_TEST5',
+        vaultAccountId: String(vaultId),
+        createParams: {
+            contractId: contractId || config.fireblocks.contractTemplateId || 'd39ba6d0-f738-4fab-ae00-874213375b5c',
+            deployFunctionParams: [
+                { name: 'name', type: 'string', value: name },
+                { name: 'symbol', type: 'string', value: symbol },
+                { name: 'decimals', type: 'uint8', value: String(decimalsInt) },
+                { name: 'totalSupply', type: 'uint256', value: totalSupplyWei }
+            ]
+        },
+        displayName: name,
+        useGasless: false,
+        feeLevel: 'MEDIUM'
+    });
+
+    return { tokenLinkId: result.id, status: result.status };
+};
+
+export const getTokenLink = async (tokenLinkId) => {
+    return await request('GET', `/v1/tokenization/tokens/${tokenLinkId}`);
+};
+
+export const createTransaction = async ({ assetId, source, destination, amount, note, externalTxId }) => {
+    const result = await request('POST', '/v1/transactions', {
+        assetId,
+        source,
+        destination,
+        amount: String(amount),
+        note,
+        externalTxId,
+        feeLevel: 'MEDIUM'
+    });
+
+    return { id: result.id, status: result.status };
+};
+
+export const callContractFunction = async ({ baseAssetId, contractAddress, vaultAccountId, abiFunction, note, externalTxId }) => {
+    const result = await request(
+        'POST',
+        `/v1/contract_interactions/base_asset_id/${baseAssetId}/contract_address/${contractAddress}/functions/write`,
+        {
+            vaultAccountId: String(vaultAccountId),
+            abiFunction,
+            note,
+            externalId: externalTxId,
+            feeLevel: 'MEDIUM'
+        }
+    );
+
+    return { id: result.txId, status: 'SUBMITTED' };
+};
+
+export const getTransaction = async (txId) => {
+    return await request('GET', `/v1/transactions/${txId}`);
+};
+
+export const getTransactionByExternalId = async (externalTxId) => {
+    try {
+        return await request('GET', `/v1/transactions/external_tx_id/${encodeURIComponent(externalTxId)}`);
+    } catch (error) {
+        if (error.fireblocksStatus === 404) return null;
+        throw error;
+    }
+};
+
+export default {
+    name: 'live',
+    isAvailable,
+    createVault,
+    createWallet,
+    getVault,
+    issueToken,
+    getTokenLink,
+    createTransaction,
+    callContractFunction,
+    getTransaction,
+    getTransactionByExternalId
+};
@@ -0,0 +1,458 @@
+import crypto from 'crypto';
+import Decimal from 'decimal.js';
+import { config } from '../../config/env.js';
+import { fromResponse } from './fireblocks.errors.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fireblocks Simulator
+ * In-process stand-in for the Fireblocks API (see fireblocks.adapter.js for the interface)
+ *
+ * - Vaults, wallets and balances are kept in memory (reset on restart)
+ * - Addresses are derived from FIREBLOCKS_SIMULATOR_SEED, the vault and the asset; transaction hashes
+ *   and contract addresses from the seed and the transaction / token link ID
+ * - Transactions move SUBMITTED → CONFIRMING → COMPLETED and token links PENDING → COMPLETED as time
+ *   passes (configurable delays); balances move when a transaction completes
+ * - Contract calls are transactions too; burn(amount) on a simulated token debits the calling vault
+ * - Failures: a seeded failure rate for transactions and token links, or failNext() for a single call
+ */
+
+const GAS_VAULT_ID = '88';
+const NETWORK_FEE = '0.000021'; // Charged (notionally) on every completed transfer
+
+const state = {
+    vaults: new Map(),        // vaultId → { id, name, customerRefId, assets: Map(assetId → { address, balance }) }
+    transactions: new Map(),  // txId → transaction
+    tokenLinks: new Map(),    // tokenLinkId → token link
+    nextVaultId: null,
+    random: null,
+    forcedFailures: new Map() // method → [error message]
+};
+
+const settings = () => config.fireblocks.simulator;
+
+/**
+ * Deterministic hex digest of the seed and parts
+ */
+const digest = (...parts) => {
+    return crypto.createHash('sha256').update([settings().seed, ...parts].join(':')).digest('hex');
+};
+
+/**
+ * Seeded PRNG (mulberry32), so simulated failures are reproducible
+ */
+const random = () => {
+    if (!state.random) {
+        let seed = parseInt(digest('random').slice(0, 8), 16);
+        state.random = () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    return state.random();
+};
+
+// IDs must stay unique across restarts (they are stored in the database), so they are random;
+// everything derived from an ID (addresses, hashes) is deterministic
+const nextId = (prefix) => `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+
+// Numeric like Fireblocks vault IDs, counting up from the boot time (in 1/10 s)
+const nextVaultId = () => {
+    if (state.nextVaultId === null) {
+        state.nextVaultId = Math.floor(Date.now() / 100);
+    }
+    let id = String(state.nextVaultId++);
+    while (state.vaults.has(id)) id = String(state.nextVaultId++);
+    return id;
+};
+
+/**
+ * Throw the failure queued with failNext() for a method, if any
+ */
+const takeForcedFailure = (method) => {
+    const queue = state.forcedFailures.get(method);
+    if (!queue?.length) return;
+
+    const message = queue.shift();
+    throw new Error(message);
+};
+
+const shouldFail = () => settings().failureRate > 0 && random() < settings().failureRate;
+
+/**
+ * Get a vault
+ * Unknown IDs (e.g. vaults stored in the database before a restart, or the gas vault)
+ * are recreated empty, so local flows keep working across restarts.
+ */
+const getVaultState = (vaultId) => {
+    const id = String(vaultId);
+    let vault = state.vaults.get(id);
+
+    if (!vault) {
+        if (id !== GAS_VAULT_ID) {
+            logger.warn('SIMULATION: Unknown vault account, recreating it empty', { vaultId: id });
+        }
+        vault = {
+            id,
+            name: id === GAS_VAULT_ID ? 'SIMULATED_GAS_VAULT' : `SIMULATED_VAULT_${id}`,
+            customerRefId: null,
+            assets: new Map()
+        };
+        state.vaults.set(id, vault);
+    }
+    return vault;
+};
+
+/**
+ * Get a vault's wallet for an asset, creating it (with a deterministic address) if needed
+ */
+const ensureAsset = (vault, assetId) => {
+    let asset = vault.assets.get(assetId);
+    if (!asset) {
+        asset = {
+            address: `0x${digest('address', vault.id, assetId).slice(0, 40)}`,
+            // The gas vault starts funded so gas top-ups work out of the box
+            balance: new Decimal(vault.id === GAS_VAULT_ID ? settings().gasVaultBalance : '0')
+        };
+        vault.assets.set(assetId, asset);
+    }
+    return asset;
+};
+
+/**
+ * Move a transaction forward according to the time elapsed since it was created
+ */
+const advanceTransaction = (tx, now = Date.now()) => {
+    if (['COMPLETED', 'FAILED'].includes(tx.status)) return tx;
+
+    const elapsed = now - tx.createdAt;
+    const { confirmDelayMs, completeDelayMs } = settings();
+
+    if (elapsed >= confirmDelayMs + completeDelayMs) {
+        if (tx.willFail) {
+            tx.status = 'FAILED';
+            tx.subStatus = 'SIMULATED_FAILURE';
+        } else if (tx.contractCall) {
+            settleContractCall(tx);
+        } else {
+            settleTransfer(tx);
+        }
+    } else if (elapsed >= confirmDelayMs && tx.status === 'SUBMITTED') {
+        tx.status = 'CONFIRMING';
+        tx.txHash = `0x${digest('tx', tx.id)}`;
+    }
+
+    tx.lastUpdated = now;
+    return tx;
+};
+
+/**
+ * Apply a completed transfer to balances
+ */
+const settleTransfer = (tx) => {
+    const source = getVaultState(tx.source.id);
+    const sourceAsset = ensureAsset(source, tx.assetId);
+    const amount = new Decimal(tx.amount);
+
+    if (sourceAsset.balance.lessThan(amount)) {
+        tx.status = 'FAILED';
+        tx.subStatus = 'INSUFFICIENT_FUNDS';
+        return;
+    }
+
+    sourceAsset.balance = sourceAsset.balance.minus(amount);
+    if (tx.destination.type === 'VAULT_ACCOUNT') {
+        const destinationAsset = ensureAsset(getVaultState(tx.destination.id), tx.assetId);
+        destinationAsset.balance = destinationAsset.balance.plus(amount);
+    }
+
+    completeTransaction(tx);
+};
+
+/**
+ * Apply a completed contract call
+ * Only burn(amount) on a token issued by the simulator has an effect; other calls just complete
+ */
+const settleContractCall = (tx) => {
+    const { contractAddress, abiFunction } = tx.contractCall;
+    const link = findTokenLinkByContract(contractAddress);
+
+    if (link && abiFunction.name === 'burn') {
+        const { assetId, decimals } = link.tokenMetadata;
+        const asset = ensureAsset(getVaultState(tx.source.id), assetId);
+        const amount = new Decimal(abiFunction.inputs?.[0]?.value || '0').dividedBy(new Decimal(10).pow(decimals));
+
+        if (asset.balance.lessThan(amount)) {
+            tx.status = 'FAILED';
+            tx.subStatus = 'INSUFFICIENT_FUNDS';
+            return;
+        }
+
+        asset.balance = asset.balance.minus(amount);
+        link.totalSupply = new Decimal(link.totalSupply).minus(amount).toString();
+    }
+
+    completeTransaction(tx);
+};
+
+const completeTransaction = (tx) => {
+    tx.status = 'COMPLETED';
+    tx.subStatus = 'CONFIRMED';
+    tx.txHash = tx.txHash || `0x${digest('tx', tx.id)}`;
+    tx.numOfConfirmations = 1;
+    tx.feeInfo = { networkFee: NETWORK_FEE };
+};
+
+/**
+ * Move a token link forward; on completion the supply is credited to the issuing vault
+ */
+const advanceTokenLink = (link, now = Date.now()) => {
+    if (link.status !== 'PENDING') return link;
+    if (now - link.createdAt < settings().tokenizationDelayMs) return link;
+
+    if (link.willFail) {
+        link.status = 'FAILED';
+        return link;
+    }
+
+    const asset = ensureAsset(getVaultState(link.vaultAccountId), link.tokenMetadata.assetId);
+    asset.balance = asset.balance.plus(new Decimal(link.totalSupply));
+
+    link.status = 'COMPLETED';
+    link.txHash = `0x${digest('deploy', link.id)}`;
+    return link;
+};
+
+const findTokenLinkByContract = (contractAddress) => {
+    const address = String(contractAddress).toLowerCase();
+    for (const link of state.tokenLinks.values()) {
+        if (link.tokenMetadata.contractAddress.toLowerCase() === address) return link;
+    }
+    return null;
+};
+
+const findByExternalId = (externalTxId) => {
+    for (const tx of state.transactions.values()) {
+        if (tx.externalTxId === externalTxId) return tx;
+    }
+    return null;
+};
+
+export const isAvailable = () => true;
+
+export const createVault = async ({ name, customerRefId }) => {
+    takeForcedFailure('createVault');
+
+    const id = nextVaultId();
+    state.vaults.set(id, { id, name, customerRefId: customerRefId ? String(customerRefId) : null, assets: new Map() });
+
+    logger.info('SIMULATION: Vault account created', { vaultId: id, name });
+    return { id, name };
+};
+
+export const createWallet = async (vaultId, assetId) => {
+    takeForcedFailure('createWallet');
+
+    const asset = ensureAsset(getVaultState(vaultId), assetId);
+    return { blockchain: assetId, address: asset.address };
+};
+
+export const getVault = async (vaultId) => {
+    takeForcedFailure('getVault');
+
+    const vault = getVaultState(vaultId);
+    for (const tx of state.transactions.values()) advanceTransaction(tx);
+    for (const link of state.tokenLinks.values()) advanceTokenLink(link);
+
+    return {
+        id: vault.id,
+        name: vault.name,
+        wallets: [...vault.assets.entries()].map(([assetId, asset]) => ({
+            blockchain: assetId,
+            address: asset.address,
+            balance: asset.balance.toString()
+        }))
+    };
+};
+
+export const issueToken = async (vaultId, tokenConfig) => {
+    takeForcedFailure('issueToken');
+
+    const vault = getVaultState(vaultId);
+    const { name, symbol, decimals, totalSupply, blockchainId } = tokenConfig;
+    const id = nextId('sim_token');
+
+    const link = {
+        id,
+        status: 'PENDING',
+        type: 'FUNGIBLE',
+        vaultAccountId: vault.id,
+        blockchainId: blockchainId || 'ETH_TEST5',
+        totalSupply: String(totalSupply),
+        tokenMetadata: {
+            assetId: `${symbol}_${blockchainId || 'ETH_TEST5'}`,
+            name,
+            symbol,
+            decimals: parseInt(decimals) || 18,
+            tokenStandard: 'ERC20',
+            contractAddress: `0x${digest('contract', id).slice(0, 40)}`
+        },
+        txHash: null,
+        createdAt: Date.now(),
+        willFail: shouldFail()
+    };
+    state.tokenLinks.set(id, link);
+
+    logger.info('SIMULATION: Token issuance submitted', { tokenLinkId: id, symbol, vaultId: vault.id });
+    return { tokenLinkId: id, status: link.status };
+};
+
+export const getTokenLink = async (tokenLinkId) => {
+    takeForcedFailure('getTokenLink');
+
+    const link = state.tokenLinks.get(tokenLinkId);
+    if (!link) {
+        throw fromResponse(404, { message: `Token link ${tokenLinkId} not found` });
+    }
+
+    const { willFail, createdAt, ...data } = advanceTokenLink(link);
+    return { ...data, createdAt: new Date(createdAt).toISOString() };
+};
+
+export const createTransaction = async ({ assetId, source, destination, amount, note, externalTxId }) => {
+    takeForcedFailure('createTransaction');
+
+    if (externalTxId && findByExternalId(externalTxId)) {
+        throw fromResponse(400, { message: `Transaction with externalTxId ${externalTxId} already exists` });
+    }
+
+    const value = new Decimal(amount);
+    if (!value.isFinite() || value.lessThanOrEqualTo(0)) {
+        throw fromResponse(400, { message: 'Invalid transaction amount' });
+    }
+
+    const id = nextId('sim_tx');
+    const tx = {
+        id,
+        assetId,
+        source: { type: source.type, id: String(source.id) },
+        destination: { ...destination, id: destination.id !== undefined ? String(destination.id) : undefined },
+        amount: value.toString(),
+        note: note || null,
+        externalTxId: externalTxId || null,
+        status: 'SUBMITTED',
+        subStatus: null,
+        txHash: null,
+        numOfConfirmations: 0,
+        feeInfo: null,
+        createdAt: Date.now(),
+        lastUpdated: Date.now(),
+        willFail: shouldFail()
+    };
+    state.transactions.set(id, tx);
+
+    logger.info('SIMULATION: Transaction submitted', { txId: id, assetId, amount: tx.amount });
+    return { id, status: tx.status };
+};
+
+export const callContractFunction = async ({ baseAssetId, contractAddress, vaultAccountId, abiFunction, note, externalTxId }) => {
+    takeForcedFailure('callContractFunction');
+
+    if (externalTxId && findByExternalId(externalTxId)) {
+        throw fromResponse(400, { message: `Transaction with externalTxId ${externalTxId} already exists` });
+    }
+    if (!contractAddress || !abiFunction?.name) {
+        throw fromResponse(400, { message: 'Contract address and ABI function are required' });
+    }
+
+    const id = nextId('sim_tx');
+    const tx = {
+        id,
+        operation: 'CONTRACT_CALL',
+        assetId: baseAssetId,
+        source: { type: 'VAULT_ACCOUNT', id: String(vaultAccountId) },
+        destination: { type: 'ONE_TIME_ADDRESS', oneTimeAddress: { address: contractAddress } },
+        amount: '0',
+        note: note || null,
+        externalTxId: externalTxId || null,
+        contractCall: { contractAddress, abiFunction },
+        status: 'SUBMITTED',
+        subStatus: null,
+        txHash: null,
+        numOfConfirmations: 0,
+        feeInfo: null,
+        createdAt: Date.now(),
+        lastUpdated: Date.now(),
+        willFail: shouldFail()
+    };
+    state.transactions.set(id, tx);
+
+    logger.info('SIMULATION: Contract call submitted', { txId: id, contractAddress, functionName: abiFunction.name });
+    return { id, status: tx.status };
+};
+
+export const getTransaction = async (txId) => {
+    takeForcedFailure('getTransaction');
+
+    const tx = state.transactions.get(txId);
+    if (!tx) {
+        throw fromResponse(404, { message: `Transaction ${txId} not found` });
+    }
+
+    const { willFail, createdAt, ...data } = advanceTransaction(tx);
+    return { ...data, createdAt: new Date(createdAt).toISOString() };
+};
+
+export const getTransactionByExternalId = async (externalTxId) => {
+    takeForcedFailure('getTransactionByExternalId');
+
+    const tx = findByExternalId(externalTxId);
+    return tx ? await getTransaction(tx.id) : null;
+};
+
+/**
+ * Make the next call of an adapter method throw (e.g. failNext('issueToken', 'Fireblocks API Error: 503'))
+ */
+export const failNext = (method, message = `Simulated ${method} failure`) => {
+    const queue = state.forcedFailures.get(method) || [];
+    queue.push(message);
+    state.forcedFailures.set(method, queue);
+};
+
+/**
+ * Set a balance directly (funding vaults for local flows)
+ */
+export const setBalance = (vaultId, assetId, balance) => {
+    ensureAsset(getVaultState(vaultId), assetId).balance = new Decimal(balance);
+};
+
+/**
+ * Forget all simulated state
+ */
+export const reset = () => {
+    state.vaults.clear();
+    state.transactions.clear();
+    state.tokenLinks.clear();
+    state.forcedFailures.clear();
+    state.nextVaultId = null;
+    state.random = null;
+};
+
+export default {
+    name: 'simulator',
+    isAvailable,
+    createVault,
+    createWallet,
+    getVault,
+    issueToken,
+    getTokenLink,
+    createTransaction,
+    callContractFunction,
+    getTransaction,
+    getTransactionByExternalId,
+    failNext,
+    setBalance,
+    reset
+};
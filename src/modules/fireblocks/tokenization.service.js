@@ -0,0 +1,68 @@
+import { getFireblocksAdapter, isSimulated } from './fireblocks.adapter.js';
+import { wrapError } from './fireblocks.errors.js';
+import { redact } from '../../utils/redact.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fireblocks Tokenization Service
+ * Token issuance (mint) and token link status on Fireblocks (live API or simulator, via the adapter)
+ */
+
+/**
+ * Issue a new token (mint)
+ * @returns {Promise<Object>} { tokenLinkId, status }
+ */
+export const issueToken = async (vaultId, tokenConfig) => {
+    const { symbol } = tokenConfig;
+
+    try {
+        logger.info('Creating token on Fireblocks...', { symbol, vaultId, simulated: isSimulated() });
+
+        const result = await getFireblocksAdapter().issueToken(vaultId, tokenConfig);
+
+        // Check if the response indicates immediate failure
+        if (result.status === 'FAILED') {
+            logger.error('Token issuance failed immediately', {
+                tokenLinkId: result.tokenLinkId,
+                symbol,
+                vaultId,
+                result: redact(result)
+            });
+        }
+
+        logger.info('Token issuance initiated', { tokenLinkId: result.tokenLinkId, symbol, vaultId, status: result.status });
+
+        return {
+            tokenLinkId: result.tokenLinkId,
+            status: result.status
+        };
+    } catch (error) {
+        logger.error('Failed to issue token', {
+            vaultId,
+            symbol,
+            error: error.message
+        });
+        throw wrapError(error, 'Token issuance failed');
+    }
+};
+
+/**
+ * Get tokenization status
+ * @returns {Promise<Object>} Token link ({ id, status, txHash, tokenMetadata, ... })
+ */
+export const getTokenizationStatus = async (tokenLinkId) => {
+    try {
+        return await getFireblocksAdapter().getTokenLink(tokenLinkId);
+    } catch (error) {
+        logger.error('Failed to get tokenization status', {
+            tokenLinkId,
+            error: error.message
+        });
+        throw wrapError(error, 'Failed to get tokenization status');
+    }
+};
+
+export default {
+    issueToken,
+    getTokenizationStatus
+};
@@ -0,0 +1,49 @@
+import * as transactionService from './transaction.service.js';
+
+/**
+ * Transaction Controller
+ * HTTP handlers for tracked Fireblocks transfers
+ */
+
+/**
+ * List transactions
+ * GET /v1/transactions?vaultId=&assetId=&status=&type=&custodyRecordId=&operationId=
+ */
+export const listTransactions = async (req, res, next) => {
+    try {
+        const { vaultId, assetId, status, type, custodyRecordId, operationId, limit, offset } = req.query;
+
+        const result = await transactionService.listTransactions({
+            vaultId,
+            assetId,
+            status,
+            type,
+            custodyRecordId,
+            operationId,
+            limit: limit ? parseInt(limit) : 50,
+            offset: offset ? parseInt(offset) : 0
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get transaction details
+ * GET /v1/transactions/:id
+ */
+export const getTransaction = async (req, res, next) => {
+    try {
+        const transaction = await transactionService.getTransaction(req.params.id);
+        res.json(transaction);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    listTransactions,
+    getTransaction
+};
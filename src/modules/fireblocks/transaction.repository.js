@@ -0,0 +1,190 @@
+import prisma from '../../config/db.js';
+import { TransactionStatus, FINAL_TRANSACTION_STATUSES } from '../../enums/transactionStatus.js';
+
+/**
+ * Transaction Repository
+ * Database operations for Fireblocks transactions (transfers and contract calls)
+ *
+ * Status updates are conditional on the transaction not being final yet, so a
+ * transaction settles exactly once whether the poller or a webhook sees it first.
+ */
+
+/**
+ * Record a transaction before it is sent to Fireblocks (SUBMITTING)
+ * Throws Prisma P2002 when the operation already has a transaction
+ */
+export const createTransaction = async (data) => {
+    return await prisma.fireblocksTransaction.create({
+        data: {
+            type: data.type,
+            operationId: data.operationId || null,
+            custodyRecordId: data.custodyRecordId || null,
+            assetId: data.assetId,
+            amount: data.amount,
+            sourceVaultId: data.sourceVaultId,
+            destinationVaultId: data.destinationVaultId || null,
+            destinationAddress: data.destinationAddress || null,
+            destinationTag: data.destinationTag || null,
+            note: data.note || null,
+            contractCall: data.contractCall || undefined,
+            status: TransactionStatus.SUBMITTING,
+            createdBy: data.createdBy
+        }
+    });
+};
+
+/**
+ * Find transaction by ID
+ */
+export const findById = async (id) => {
+    return await prisma.fireblocksTransaction.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * Find transaction by Fireblocks transaction ID
+ */
+export const findByFireblocksTxId = async (fireblocksTxId) => {
+    return await prisma.fireblocksTransaction.findUnique({
+        where: { fireblocksTxId }
+    });
+};
+
+/**
+ * Find the transaction of an operation (TRANSFER, BURN, WITHDRAW)
+ */
+export const findByOperationId = async (operationId) => {
+    return await prisma.fireblocksTransaction.findUnique({
+        where: { operationId }
+    });
+};
+
+/**
+ * Record the Fireblocks ID once the transfer was accepted
+ */
+export const recordSubmission = async (id, data) => {
+    return await prisma.fireblocksTransaction.update({
+        where: { id },
+        data
+    });
+};
+
+/**
+ * Mark a transfer that could not be submitted as FAILED
+ */
+export const failSubmission = async (id, failureReason) => {
+    return await prisma.fireblocksTransaction.update({
+        where: { id },
+        data: {
+            status: TransactionStatus.FAILED,
+            failureReason,
+            nextPollAt: null,
+            completedAt: new Date()
+        }
+    });
+};
+
+/**
+ * Take a transfer that failed before reaching Fireblocks back to SUBMITTING (retried operation)
+ * @returns {Promise<boolean>} False when it reached Fireblocks or is being submitted elsewhere
+ */
+export const restartSubmission = async (id) => {
+    const result = await prisma.fireblocksTransaction.updateMany({
+        where: { id, status: TransactionStatus.FAILED, fireblocksTxId: null },
+        data: { status: TransactionStatus.SUBMITTING, failureReason: null, completedAt: null }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Apply a status reported by Fireblocks
+ * @returns {Promise<boolean>} False when the transaction was already final
+ */
+export const applyStatus = async (id, data) => {
+    const result = await prisma.fireblocksTransaction.updateMany({
+        where: { id, status: { notIn: FINAL_TRANSACTION_STATUSES } },
+        data
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Transactions due for a poll: submitted, not final, nextPollAt reached
+ */
+export const findDue = async (now = new Date(), limit = 20) => {
+    return await prisma.fireblocksTransaction.findMany({
+        where: {
+            status: { notIn: [...FINAL_TRANSACTION_STATUSES, TransactionStatus.SUBMITTING] },
+            fireblocksTxId: { not: null },
+            nextPollAt: { lte: now }
+        },
+        orderBy: { nextPollAt: 'asc' },
+        take: limit
+    });
+};
+
+/**
+ * Claim a due poll by moving its nextPollAt on
+ * @returns {Promise<boolean>} False when another instance claimed it first
+ */
+export const claimPoll = async (transaction, nextPollAt) => {
+    const result = await prisma.fireblocksTransaction.updateMany({
+        where: {
+            id: transaction.id,
+            nextPollAt: transaction.nextPollAt,
+            status: { notIn: FINAL_TRANSACTION_STATUSES }
+        },
+        data: {
+            nextPollAt,
+            lastPolledAt: new Date(),
+            pollAttempts: { increment: 1 }
+        }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * List transactions
+ * vaultId matches either side of the transfer
+ */
+export const listTransactions = async (filters = {}) => {
+    const { vaultId, assetId, status, type, custodyRecordId, operationId, limit = 50, offset = 0 } = filters;
+
+    const where = {};
+    if (vaultId) where.OR = [{ sourceVaultId: vaultId }, { destinationVaultId: vaultId }];
+    if (assetId) where.assetId = assetId;
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (custodyRecordId) where.custodyRecordId = custodyRecordId;
+    if (operationId) where.operationId = operationId;
+
+    const [transactions, total] = await Promise.all([
+        prisma.fireblocksTransaction.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: limit,
+            skip: offset
+        }),
+        prisma.fireblocksTransaction.count({ where })
+    ]);
+
+    return { transactions, total };
+};
+
+export default {
+    createTransaction,
+    findById,
+    findByFireblocksTxId,
+    findByOperationId,
+    recordSubmission,
+    failSubmission,
+    restartSubmission,
+    applyStatus,
+    findDue,
+    claimPoll,
+    listTransactions
+};
@@ -0,0 +1,581 @@
+import Decimal from 'decimal.js';
+import { getFireblocksAdapter, isSimulated } from './fireblocks.adapter.js';
+import { wrapError } from './fireblocks.errors.js';
+import * as transactionRepository from './transaction.repository.js';
+import * as tokenizationService from './tokenization.service.js';
+import * as custodyRepository from '../custody/custody.repository.js';
+import * as operationRepository from '../operation/operation.repository.js';
+import * as operationService from '../operation/operation.service.js';
+import * as auditService from '../audit/audit.service.js';
+import {
+    TransactionStatus,
+    isValidTransactionStatus,
+    isFinalTransactionStatus,
+    isFailedTransactionStatus
+} from '../../enums/transactionStatus.js';
+import { TransactionType } from '../../enums/transactionType.js';
+import { OperationType } from '../../enums/operationType.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { BadRequestError, NotFoundError, ConflictError } from '../../errors/ApiError.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fireblocks Transaction Service
+ * Transfers and contract calls on Fireblocks (live API or simulator, via the adapter), persisted and
+ * tracked until final
+ *
+ * - Every transaction is recorded (SUBMITTING) before it is sent; its ID goes to Fireblocks as
+ *   externalTxId, so an interrupted submission is found again instead of sent twice
+ * - Status, confirmations, fee and txHash are updated by the transaction tracker (polling)
+ *   and by Fireblocks webhooks, whichever comes first
+ * - TRANSFER, BURN and WITHDRAW operations stay EXECUTING until their transaction is final: COMPLETED → EXECUTED,
+ *   failed/cancelled/rejected → FAILED
+ */
+
+/**
+ * Check and normalize a transfer amount
+ * @returns {string} Decimal string
+ */
+const parseAmount = (amount) => {
+    let value;
+    try {
+        value = new Decimal(amount);
+    } catch (error) {
+        throw BadRequestError(`Invalid transfer amount: ${amount}`);
+    }
+
+    if (!value.isFinite() || value.lessThanOrEqualTo(0)) {
+        throw BadRequestError(`Invalid transfer amount: ${amount}`);
+    }
+    return value.toString();
+};
+
+/**
+ * Validate a TRANSFER operation payload
+ * { toVaultId | toAddress (+ tag), amount, assetId?, fromVaultId?, note? }
+ * Without assetId the custody record's token is transferred from its vault.
+ */
+export const validateTransferPayload = (payload = {}) => {
+    const { toVaultId, toAddress, assetId, fromVaultId, amount } = payload;
+
+    if (!toVaultId && !toAddress) {
+        throw BadRequestError('Transfer requires toVaultId or toAddress');
+    }
+    if (toVaultId && toAddress) {
+        throw BadRequestError('Transfer takes either toVaultId or toAddress, not both');
+    }
+    if (amount === undefined || amount === null) {
+        throw BadRequestError('Missing required parameters: amount');
+    }
+    if (assetId && !fromVaultId) {
+        throw BadRequestError('fromVaultId is required when assetId is given');
+    }
+
+    parseAmount(amount);
+};
+
+/**
+ * Next poll time: exponential from the initial delay, capped
+ */
+const nextPollAt = (pollAttempts) => {
+    const { initialDelayMs, maxDelayMs } = config.transactions;
+    const delayMs = Math.min(initialDelayMs * Math.pow(2, pollAttempts), maxDelayMs);
+    return new Date(Date.now() + delayMs);
+};
+
+const toDestination = (transaction) => {
+    if (transaction.type === TransactionType.VAULT_TO_VAULT) {
+        return { type: 'VAULT_ACCOUNT', id: transaction.destinationVaultId };
+    }
+
+    return {
+        type: 'ONE_TIME_ADDRESS',
+        oneTimeAddress: {
+            address: transaction.destinationAddress,
+            ...(transaction.destinationTag && { tag: transaction.destinationTag })
+        }
+    };
+};
+
+/**
+ * Create the Fireblocks transaction for a recorded row
+ */
+const send = async (adapter, transaction) => {
+    const { id, assetId, sourceVaultId, amount } = transaction;
+
+    if (transaction.type === TransactionType.CONTRACT_CALL) {
+        return await adapter.callContractFunction({
+            baseAssetId: assetId,
+            contractAddress: transaction.destinationAddress,
+            vaultAccountId: sourceVaultId,
+            abiFunction: transaction.contractCall.abiFunction,
+            note: transaction.note,
+            externalTxId: id
+        });
+    }
+
+    return await adapter.createTransaction({
+        assetId,
+        source: { type: 'VAULT_ACCOUNT', id: sourceVaultId },
+        destination: toDestination(transaction),
+        amount,
+        note: transaction.note || 'Custody Transfer',
+        externalTxId: id
+    });
+};
+
+/**
+ * Send a recorded transaction to Fireblocks
+ * @param {object} transaction - Row in SUBMITTING
+ * @param {boolean} resumed - A previous submission may have reached Fireblocks; look it up first
+ */
+const submit = async (transaction, resumed = false) => {
+    const adapter = getFireblocksAdapter();
+    const { id, assetId, sourceVaultId, amount } = transaction;
+
+    try {
+        logger.info('Submitting transaction...', { transactionId: id, type: transaction.type, sourceVaultId, assetId, simulated: isSimulated() });
+
+        let result = resumed ? await adapter.getTransactionByExternalId(id) : null;
+        if (!result) {
+            result = await send(adapter, transaction);
+        }
+
+        const submitted = await transactionRepository.recordSubmission(id, {
+            fireblocksTxId: String(result.id),
+            status: result.status || TransactionStatus.SUBMITTED,
+            nextPollAt: nextPollAt(0)
+        });
+
+        await auditService.logEvent('TRANSACTION_SUBMITTED', {
+            transactionId: id,
+            fireblocksTxId: submitted.fireblocksTxId,
+            type: transaction.type,
+            assetId,
+            amount,
+            sourceVaultId,
+            destinationVaultId: transaction.destinationVaultId,
+            destinationAddress: transaction.destinationAddress,
+            ...(transaction.contractCall && { functionName: transaction.contractCall.abiFunction?.name })
+        }, {
+            actor: transaction.createdBy,
+            operationId: transaction.operationId,
+            custodyRecordId: transaction.custodyRecordId
+        });
+
+        logger.info('Transaction submitted', { transactionId: id, fireblocksTxId: submitted.fireblocksTxId, status: submitted.status });
+        return submitted;
+    } catch (error) {
+        const wrapped = wrapError(error, transaction.type === TransactionType.CONTRACT_CALL
+            ? 'Fireblocks contract call failed'
+            : 'Fireblocks transfer failed');
+        await transactionRepository.failSubmission(id, wrapped.message);
+
+        logger.error('Transaction submission failed', { transactionId: id, sourceVaultId, assetId, error: error.message });
+        throw wrapped;
+    }
+};
+
+/**
+ * Record and submit a transfer
+ */
+const createTransfer = async (data, actor) => {
+    const transaction = await transactionRepository.createTransaction({
+        ...data,
+        amount: parseAmount(data.amount),
+        createdBy: actor
+    });
+
+    return await submit(transaction);
+};
+
+/**
+ * Transfer between two vault accounts
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const createVaultTransfer = async ({ fromVaultId, toVaultId, assetId, amount, note, custodyRecordId, operationId }, actor) => {
+    if (!fromVaultId || !toVaultId || !assetId) {
+        throw BadRequestError('Vault transfer requires fromVaultId, toVaultId and assetId');
+    }
+
+    return await createTransfer({
+        type: TransactionType.VAULT_TO_VAULT,
+        sourceVaultId: String(fromVaultId),
+        destinationVaultId: String(toVaultId),
+        assetId,
+        amount,
+        note,
+        custodyRecordId,
+        operationId
+    }, actor);
+};
+
+/**
+ * Transfer from a vault account to an external address
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const createExternalTransfer = async ({ fromVaultId, toAddress, tag, assetId, amount, note, custodyRecordId, operationId }, actor) => {
+    if (!fromVaultId || !toAddress || !assetId) {
+        throw BadRequestError('External transfer requires fromVaultId, toAddress and assetId');
+    }
+
+    return await createTransfer({
+        type: TransactionType.VAULT_TO_EXTERNAL,
+        sourceVaultId: String(fromVaultId),
+        destinationAddress: toAddress,
+        destinationTag: tag,
+        assetId,
+        amount,
+        note,
+        custodyRecordId,
+        operationId
+    }, actor);
+};
+
+/**
+ * Fireblocks asset ID and vault of a custody record's token
+ * @returns {Promise<Object>} { assetId, vaultId }
+ */
+export const resolveToken = async (custodyRecordId) => {
+    const custodyRecord = await custodyRepository.findById(custodyRecordId);
+    if (!custodyRecord) {
+        throw NotFoundError(`Custody record ${custodyRecordId} not found`);
+    }
+    if (custodyRecord.status !== CustodyStatus.MINTED) {
+        throw BadRequestError(`Asset must be in MINTED status. Current status: ${custodyRecord.status}`);
+    }
+    if (!custodyRecord.vaultWallet?.fireblocksId) {
+        throw BadRequestError(`Custody record ${custodyRecordId} has no vault`);
+    }
+
+    let tokenLink;
+    try {
+        tokenLink = await tokenizationService.getTokenizationStatus(custodyRecord.tokenId);
+    } catch (error) {
+        logger.warn('Failed to resolve token asset', { custodyRecordId, tokenId: custodyRecord.tokenId, error: error.message });
+    }
+
+    const assetId = tokenLink?.tokenMetadata?.assetId;
+    if (!assetId) {
+        throw BadRequestError(`Token asset of custody record ${custodyRecordId} could not be resolved; pass assetId and fromVaultId`);
+    }
+
+    return { assetId, vaultId: custodyRecord.vaultWallet.fireblocksId };
+};
+
+/**
+ * Transfer a custody record's token from its vault, to a vault or an external address
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const createTokenTransfer = async ({ custodyRecordId, toVaultId, toAddress, tag, amount, note, operationId }, actor) => {
+    const token = await resolveToken(custodyRecordId);
+    const transfer = { fromVaultId: token.vaultId, assetId: token.assetId, amount, note, custodyRecordId, operationId };
+
+    return toAddress
+        ? await createExternalTransfer({ ...transfer, toAddress, tag }, actor)
+        : await createVaultTransfer({ ...transfer, toVaultId }, actor);
+};
+
+/**
+ * Transfer described by a TRANSFER operation's payload
+ */
+const resolveOperationTransfer = async (operation) => {
+    const { fromVaultId, toVaultId, toAddress, tag, assetId, amount, note } = operation.payload;
+    validateTransferPayload(operation.payload);
+
+    const source = assetId
+        ? { fromVaultId, assetId }
+        : await resolveToken(operation.custodyRecordId).then(token => ({ fromVaultId: token.vaultId, assetId: token.assetId }));
+
+    return {
+        type: toAddress ? TransactionType.VAULT_TO_EXTERNAL : TransactionType.VAULT_TO_VAULT,
+        sourceVaultId: String(source.fromVaultId),
+        destinationVaultId: toVaultId ? String(toVaultId) : null,
+        destinationAddress: toAddress || null,
+        destinationTag: tag || null,
+        assetId: source.assetId,
+        amount: parseAmount(amount),
+        note,
+        custodyRecordId: operation.custodyRecordId,
+        operationId: operation.id
+    };
+};
+
+/**
+ * Record and submit the transaction of an operation (idempotent per operation)
+ * A re-run after a crash or a retryable failure reuses the operation's transaction.
+ * @param {Function} resolve - Builds the transaction data; only called when none is recorded yet
+ */
+const submitForOperation = async (operation, resolve, actor) => {
+    let transaction = await transactionRepository.findByOperationId(operation.id);
+    if (transaction?.fireblocksTxId) return transaction;
+
+    if (!transaction) {
+        const data = await resolve();
+        try {
+            transaction = await transactionRepository.createTransaction({ ...data, createdBy: actor });
+        } catch (error) {
+            if (error.code !== 'P2002') throw error;
+        }
+
+        if (transaction) return await submit(transaction);
+
+        // Recorded concurrently by another run
+        transaction = await transactionRepository.findByOperationId(operation.id);
+        if (transaction.fireblocksTxId) return transaction;
+    }
+
+    if (transaction.status === TransactionStatus.FAILED &&
+        !await transactionRepository.restartSubmission(transaction.id)) {
+        throw ConflictError(`Transaction for operation ${operation.id} is already being submitted`);
+    }
+
+    return await submit(transaction, true);
+};
+
+/**
+ * Submit the transfer of a TRANSFER operation (idempotent per operation)
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const submitOperationTransfer = async (operation, actor = 'SYSTEM') => {
+    return await submitForOperation(operation, () => resolveOperationTransfer(operation), actor);
+};
+
+/**
+ * Submit the transfer of an operation's token from its custody vault to an external address
+ * (idempotent per operation, e.g. a WITHDRAW)
+ * @param {object} transfer - { toAddress, tag, amount, note }
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const submitOperationTokenTransfer = async (operation, transfer, actor = 'SYSTEM') => {
+    return await submitForOperation(operation, async () => {
+        const token = await resolveToken(operation.custodyRecordId);
+
+        return {
+            type: TransactionType.VAULT_TO_EXTERNAL,
+            sourceVaultId: String(token.vaultId),
+            destinationAddress: transfer.toAddress,
+            destinationTag: transfer.tag || null,
+            assetId: token.assetId,
+            amount: parseAmount(transfer.amount),
+            note: transfer.note,
+            custodyRecordId: operation.custodyRecordId,
+            operationId: operation.id
+        };
+    }, actor);
+};
+
+/**
+ * Submit a contract function call for an operation (idempotent per operation, e.g. a BURN)
+ * @param {object} call - { vaultId, baseAssetId, contractAddress, abiFunction, amount, note }
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const submitOperationContractCall = async (operation, call, actor = 'SYSTEM') => {
+    return await submitForOperation(operation, async () => ({
+        type: TransactionType.CONTRACT_CALL,
+        sourceVaultId: String(call.vaultId),
+        destinationAddress: call.contractAddress,
+        assetId: call.baseAssetId,
+        amount: parseAmount(call.amount),
+        note: call.note,
+        contractCall: { abiFunction: call.abiFunction },
+        custodyRecordId: operation.custodyRecordId,
+        operationId: operation.id
+    }), actor);
+};
+
+/**
+ * Network fee reported by Fireblocks
+ */
+const extractFee = (data) => {
+    const fee = data.feeInfo?.networkFee ?? data.networkFee ?? data.fee;
+    return fee === undefined || fee === null ? null : String(fee);
+};
+
+/**
+ * Record the end of a transaction: audit trail and the operation it settles
+ */
+const settle = async (transaction, source) => {
+    const succeeded = transaction.status === TransactionStatus.COMPLETED;
+    const context = {
+        actor: 'system',
+        operationId: transaction.operationId,
+        custodyRecordId: transaction.custodyRecordId
+    };
+
+    await auditService.logEvent(succeeded ? 'TRANSACTION_COMPLETED' : 'TRANSACTION_FAILED', {
+        transactionId: transaction.id,
+        fireblocksTxId: transaction.fireblocksTxId,
+        status: transaction.status,
+        subStatus: transaction.subStatus,
+        txHash: transaction.txHash,
+        numConfirmations: transaction.numConfirmations,
+        fee: transaction.fee,
+        source
+    }, context);
+
+    const operation = transaction.operationId
+        ? await operationRepository.findById(transaction.operationId)
+        : null;
+
+    // A WITHDRAW records the transfer when it moves the custody record to WITHDRAWN
+    if (succeeded && transaction.custodyRecordId && transaction.type === TransactionType.VAULT_TO_EXTERNAL &&
+        operation?.operationType !== OperationType.WITHDRAW) {
+        await auditService.logTokenTransferred(transaction.custodyRecordId, {
+            transactionId: transaction.id,
+            toAddress: transaction.destinationAddress,
+            amount: transaction.amount,
+            txHash: transaction.txHash
+        }, 'system', { operationId: transaction.operationId });
+    }
+
+    logger.info('Transaction final', {
+        transactionId: transaction.id,
+        fireblocksTxId: transaction.fireblocksTxId,
+        status: transaction.status,
+        txHash: transaction.txHash
+    });
+
+    if (!operation) return;
+
+    await operationService.recordOnChainResult(operation, {
+        succeeded,
+        txHash: transaction.txHash,
+        failureReason: transaction.failureReason
+    });
+};
+
+/**
+ * Apply a Fireblocks transaction object (poll result or webhook data) to a tracked transaction
+ * @returns {Promise<boolean>} False when the transaction was already final
+ */
+const applyUpdate = async (transaction, data, source) => {
+    const status = data.status || transaction.status;
+    const final = isFinalTransactionStatus(status);
+    const subStatus = data.subStatus || transaction.subStatus;
+
+    const updates = {
+        status,
+        subStatus,
+        txHash: data.txHash || transaction.txHash,
+        numConfirmations: data.numOfConfirmations ?? transaction.numConfirmations,
+        fee: extractFee(data) ?? transaction.fee,
+        feeCurrency: data.feeCurrency || transaction.feeCurrency
+    };
+
+    if (final) {
+        updates.nextPollAt = null;
+        updates.completedAt = new Date();
+        if (isFailedTransactionStatus(status)) {
+            updates.failureReason = `Fireblocks transaction ${subStatus ? `${status}: ${subStatus}` : status}`;
+        }
+    }
+
+    if (!await transactionRepository.applyStatus(transaction.id, updates)) return false;
+
+    if (final) {
+        await settle({ ...transaction, ...updates }, source);
+    }
+    return true;
+};
+
+/**
+ * Apply a status pushed by Fireblocks (webhook) to the matching transaction
+ * @param {object} data - Fireblocks transaction ({ id, externalTxId, status, ... })
+ * @returns {Promise<Object|null>} The tracked transaction, or null when it is not one of ours
+ */
+export const applyFireblocksUpdate = async (data, source = 'FIREBLOCKS_WEBHOOK') => {
+    let transaction = data.id ? await transactionRepository.findByFireblocksTxId(String(data.id)) : null;
+    if (!transaction && data.externalTxId) {
+        transaction = await transactionRepository.findById(String(data.externalTxId));
+    }
+    if (!transaction) return null;
+
+    // Submission still being recorded: the tracker picks the status up on its first poll
+    if (!transaction.fireblocksTxId) return transaction;
+
+    await applyUpdate(transaction, data, source);
+    return transaction;
+};
+
+/**
+ * Poll Fireblocks once for a transaction whose poll was claimed
+ */
+export const pollTransaction = async (transaction) => {
+    let data;
+    try {
+        data = await getFireblocksAdapter().getTransaction(transaction.fireblocksTxId);
+    } catch (error) {
+        // Retried at the next scheduled poll
+        logger.warn('Transaction poll failed', { transactionId: transaction.id, error: error.message });
+        return false;
+    }
+
+    logger.info('Transaction status update', {
+        transactionId: transaction.id,
+        fireblocksTxId: transaction.fireblocksTxId,
+        status: data.status,
+        numConfirmations: data.numOfConfirmations ?? null
+    });
+
+    return await applyUpdate(transaction, data, 'FIREBLOCKS_POLL');
+};
+
+/**
+ * Poll every due transaction once
+ * @param {Function} shouldStop - Checked between transactions (tracker shutdown)
+ * @returns {Promise<number>} Number of transactions polled
+ */
+export const pollDueTransactions = async (shouldStop = () => false) => {
+    const due = await transactionRepository.findDue(new Date());
+    let polled = 0;
+
+    for (const candidate of due) {
+        if (shouldStop()) break;
+        if (!await transactionRepository.claimPoll(candidate, nextPollAt(candidate.pollAttempts + 1))) continue;
+
+        await pollTransaction(candidate);
+        polled++;
+    }
+
+    return polled;
+};
+
+/**
+ * Get a transaction
+ */
+export const getTransaction = async (id) => {
+    const transaction = await transactionRepository.findById(id);
+    if (!transaction) {
+        throw NotFoundError(`Transaction ${id} not found`);
+    }
+    return transaction;
+};
+
+/**
+ * List transactions (filters: vaultId, assetId, status, type, custodyRecordId, operationId)
+ */
+export const listTransactions = async (filters) => {
+    if (filters.status && !isValidTransactionStatus(filters.status)) {
+        throw BadRequestError(`Invalid transaction status: ${filters.status}`);
+    }
+
+    return await transactionRepository.listTransactions(filters);
+};
+
+export default {
+    validateTransferPayload,
+    createVaultTransfer,
+    createExternalTransfer,
+    resolveToken,
+    createTokenTransfer,
+    submitOperationTransfer,
+    submitOperationTokenTransfer,
+    submitOperationContractCall,
+    applyFireblocksUpdate,
+    pollTransaction,
+    pollDueTransactions,
+    getTransaction,
+    listTransactions
+};
@@ -0,0 +1,66 @@
+import * as transactionService from './transaction.service.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Transaction Tracker
+ * Polls Fireblocks for submitted transfers until they are final (fireblocks_transactions.nextPollAt)
+ *
+ * - Polls back off exponentially per transaction (TRANSACTION_POLL_INITIAL_DELAY_MS .. _MAX_DELAY_MS)
+ * - A poll is claimed by moving nextPollAt on, so several instances never poll the same transfer at once
+ * - Webhooks settle transfers sooner; polling covers missed deliveries
+ */
+
+let ticker = null;
+let ticking = null;
+let stopping = false;
+
+/**
+ * Poll every due transaction once
+ * @returns {Promise<number>} Number of transactions polled
+ */
+export const tick = async () => {
+    return await transactionService.pollDueTransactions(() => stopping);
+};
+
+const run = () => {
+    if (ticking) return;
+
+    ticking = tick()
+        .catch(error => logger.error('Transaction tracker tick failed', { error: error.message }))
+        .finally(() => { ticking = null; });
+};
+
+/**
+ * Start the tracker (also resumes transfers left in flight by a previous process)
+ */
+export const startTransactionTracker = (intervalMs = config.transactions.tickMs) => {
+    if (ticker) return;
+
+    stopping = false;
+    ticker = setInterval(run, intervalMs);
+    ticker.unref?.();
+    run();
+
+    logger.info('Transaction tracker started', { intervalMs });
+};
+
+/**
+ * Stop the tracker and wait for the poll in progress to finish
+ */
+export const stopTransactionTracker = async () => {
+    if (!ticker) return;
+
+    stopping = true;
+    clearInterval(ticker);
+    ticker = null;
+
+    if (ticking) await ticking;
+    logger.info('Transaction tracker stopped');
+};
+
+export default {
+    tick,
+    startTransactionTracker,
+    stopTransactionTracker
+};
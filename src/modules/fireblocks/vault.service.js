@@ -0,0 +1,109 @@
+import { getFireblocksAdapter, isSimulated } from './fireblocks.adapter.js';
+import { wrapError } from './fireblocks.errors.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fireblocks Vault Service
+ * Vault accounts and wallets on Fireblocks (live API or simulator, via the adapter)
+ */
+
+/**
+ * Create a new vault account in Fireblocks
+ * @returns {Promise<Object>} { id, name }
+ */
+export const createVault = async (vaultName, customerRefId) => {
+    try {
+        const vault = await getFireblocksAdapter().createVault({ name: vaultName, customerRefId });
+
+        logger.info('Vault created successfully', {
+            vaultId: vault.id,
+            vaultName: vault.name,
+            simulated: isSimulated()
+        });
+
+        return {
+            id: vault.id,
+            name: vault.name
+        };
+    } catch (error) {
+        logger.error('Failed to create vault', {
+            vaultName,
+            error: error.message
+        });
+        throw wrapError(error, 'Fireblocks vault creation failed');
+    }
+};
+
+/**
+ * Create a vault account for a user or asset, with a unique name
+ * @returns {Promise<Object>} { vaultId, vaultName }
+ */
+export const createUserVault = async (userName, userId) => {
+    const vault = await createVault(`USER_${userName}_${userId}_${Date.now()}`, userId);
+
+    return {
+        vaultId: vault.id,
+        vaultName: vault.name
+    };
+};
+
+/**
+ * Create a wallet (asset) in a vault for a specific blockchain
+ * Returns the existing address if the vault already holds the asset
+ * @returns {Promise<Object>} { blockchain, address }
+ */
+export const createWallet = async (vaultId, blockchain) => {
+    try {
+        const wallet = await getFireblocksAdapter().createWallet(vaultId, blockchain);
+
+        logger.info('Wallet created successfully', {
+            vaultId,
+            blockchain
+        });
+
+        return {
+            blockchain,
+            address: wallet.address
+        };
+    } catch (error) {
+        logger.error('Failed to create wallet', {
+            vaultId,
+            blockchain,
+            error: error.message
+        });
+        throw wrapError(error, 'Fireblocks wallet creation failed');
+    }
+};
+
+/**
+ * Get wallet address for an asset in a vault
+ * Creates the asset if it doesn't exist
+ */
+export const getWalletAddress = async (vaultId, assetId = 'ETH_TEST5') => {
+    const wallet = await createWallet(vaultId, assetId);
+    return wallet.address;
+};
+
+/**
+ * Get vault details including all wallets
+ * @returns {Promise<Object>} { id, name, wallets: [{ blockchain, address, balance }] }
+ */
+export const getVaultDetails = async (vaultId) => {
+    try {
+        return await getFireblocksAdapter().getVault(vaultId);
+    } catch (error) {
+        logger.error('Failed to get vault details', {
+            vaultId,
+            error: error.message
+        });
+        throw wrapError(error, 'Failed to retrieve vault details');
+    }
+};
+
+export default {
+    createVault,
+    createUserVault,
+    createWallet,
+    getWalletAddress,
+    getVaultDetails
+};
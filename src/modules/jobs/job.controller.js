@@ -0,0 +1,58 @@
+import * as jobQueue from './job.queue.js';
+import { isValidJobStatus, JobStatus } from '../../enums/jobStatus.js';
+import { NotFoundError } from '../../errors/ApiError.js';
+import { ValidationError } from '../../errors/ValidationError.js';
+
+/**
+ * Job Controllers
+ * Admin visibility into the background job queue (including dead-lettered jobs)
+ */
+
+/**
+ * List jobs
+ * GET /v1/admin/jobs?status=DEAD&type=EXECUTE_OPERATION
+ */
+export const listJobs = async (req, res, next) => {
+    try {
+        const { status, type, limit, offset } = req.query;
+
+        if (status && !isValidJobStatus(status)) {
+            throw new ValidationError('Invalid status', [
+                { field: 'status', message: `Must be one of: ${Object.values(JobStatus).join(', ')}` }
+            ]);
+        }
+
+        const result = await jobQueue.listJobs({
+            status,
+            type,
+            limit: limit ? parseInt(limit) : 50,
+            offset: offset ? parseInt(offset) : 0
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a job
+ * GET /v1/admin/jobs/:id
+ */
+export const getJob = async (req, res, next) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+        if (!job) {
+            throw NotFoundError('Job not found');
+        }
+
+        res.json(job);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    listJobs,
+    getJob
+};
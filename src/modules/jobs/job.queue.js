@@ -0,0 +1,91 @@
+import * as jobRepository from './job.repository.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Job Queue
+ * Persisted background jobs with retries, exponential backoff and dead-lettering
+ *
+ * Jobs are rows in the jobs table, so enqueuing can share a transaction with the state
+ * change that requires the work, and queued work survives restarts.
+ */
+
+export const JobType = Object.freeze({
+    EXECUTE_OPERATION: 'EXECUTE_OPERATION'
+});
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - JobType value
+ * @param {Function} handler - async (payload, job) => void
+ * @param {object} options
+ * @param {Function} options.isRetryable - (error) => boolean; non-retryable errors dead-letter immediately
+ * @param {Function} options.onDeadLetter - async (job, error) => void; runs once when the job is dead-lettered
+ */
+export const registerHandler = (type, handler, options = {}) => {
+    if (typeof handler !== 'function') {
+        throw new Error(`Job handler for ${type} must be a function`);
+    }
+
+    handlers.set(type, {
+        handler,
+        isRetryable: options.isRetryable || (() => true),
+        onDeadLetter: options.onDeadLetter || null
+    });
+};
+
+export const getHandler = (type) => handlers.get(type) || null;
+
+/**
+ * Enqueue a job
+ * @param {string} type - JobType value
+ * @param {object} payload
+ * @param {object} options - { dedupeKey, runAt, maxAttempts }
+ * @param {object} client - Prisma transaction client, to enqueue atomically with other writes
+ */
+export const enqueue = async (type, payload, options = {}, client) => {
+    const job = await jobRepository.createJob({
+        type,
+        payload,
+        dedupeKey: options.dedupeKey,
+        runAt: options.runAt,
+        maxAttempts: options.maxAttempts || config.jobs.maxAttempts
+    }, client);
+
+    logger.info('Job enqueued', { jobId: job.id, type });
+    return job;
+};
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped
+ */
+export const computeBackoffMs = (attempts) => {
+    const { backoffBaseMs, backoffMaxMs } = config.jobs;
+    return Math.min(backoffBaseMs * Math.pow(2, Math.max(attempts - 1, 0)), backoffMaxMs);
+};
+
+/**
+ * List jobs (admin)
+ */
+export const listJobs = async (filters) => {
+    return await jobRepository.listJobs(filters);
+};
+
+/**
+ * Get a job (admin)
+ */
+export const getJob = async (id) => {
+    return await jobRepository.findById(id);
+};
+
+export default {
+    JobType,
+    registerHandler,
+    getHandler,
+    enqueue,
+    computeBackoffMs,
+    listJobs,
+    getJob
+};
@@ -0,0 +1,146 @@
+import prisma from '../../config/db.js';
+import { JobStatus } from '../../enums/jobStatus.js';
+
+/**
+ * Job Repository
+ * Database operations for the persisted job queue
+ *
+ * Every state change after a claim is conditional on the worker still holding the lease,
+ * so a worker that stalled past its lease cannot overwrite the result of the one that took over.
+ */
+
+/**
+ * Create a job
+ * @param {object} data - { type, payload, dedupeKey, maxAttempts, runAt }
+ * @param {object} client - Prisma client or transaction client
+ */
+export const createJob = async (data, client = prisma) => {
+    return await client.job.create({
+        data: {
+            type: data.type,
+            payload: data.payload || {},
+            dedupeKey: data.dedupeKey,
+            maxAttempts: data.maxAttempts,
+            runAt: data.runAt || new Date()
+        }
+    });
+};
+
+/**
+ * Jobs ready to run: due PENDING jobs and RUNNING jobs whose lease expired
+ */
+const claimableWhere = (now) => ({
+    OR: [
+        { status: JobStatus.PENDING, runAt: { lte: now } },
+        { status: JobStatus.RUNNING, lockedUntil: { lt: now } }
+    ]
+});
+
+/**
+ * Find the next claimable jobs (oldest first)
+ */
+export const findClaimable = async (now = new Date(), limit = 10) => {
+    return await prisma.job.findMany({
+        where: claimableWhere(now),
+        orderBy: { runAt: 'asc' },
+        take: limit
+    });
+};
+
+/**
+ * Lease a job for a worker
+ * @returns {Promise<boolean>} False when another worker claimed it first
+ */
+export const claimJob = async (id, workerId, leaseUntil, now = new Date()) => {
+    const result = await prisma.job.updateMany({
+        where: { id, ...claimableWhere(now) },
+        data: {
+            status: JobStatus.RUNNING,
+            lockedBy: workerId,
+            lockedUntil: leaseUntil,
+            attempts: { increment: 1 }
+        }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Extend a running job's lease
+ */
+export const extendLease = async (id, workerId, leaseUntil) => {
+    const result = await prisma.job.updateMany({
+        where: { id, status: JobStatus.RUNNING, lockedBy: workerId },
+        data: { lockedUntil: leaseUntil }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Release a leased job into a new status
+ */
+const releaseJob = async (id, workerId, data) => {
+    const result = await prisma.job.updateMany({
+        where: { id, status: JobStatus.RUNNING, lockedBy: workerId },
+        data: { lockedBy: null, lockedUntil: null, ...data }
+    });
+
+    return result.count > 0;
+};
+
+export const completeJob = async (id, workerId) => {
+    return await releaseJob(id, workerId, { status: JobStatus.COMPLETED, completedAt: new Date() });
+};
+
+export const rescheduleJob = async (id, workerId, runAt, lastError) => {
+    return await releaseJob(id, workerId, { status: JobStatus.PENDING, runAt, lastError });
+};
+
+export const deadLetterJob = async (id, workerId, lastError) => {
+    return await releaseJob(id, workerId, { status: JobStatus.DEAD, lastError });
+};
+
+/**
+ * Find job by ID
+ */
+export const findById = async (id) => {
+    return await prisma.job.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * List jobs with filters
+ */
+export const listJobs = async (filters = {}) => {
+    const { status, type, limit = 50, offset = 0 } = filters;
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const [jobs, total] = await Promise.all([
+        prisma.job.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: limit,
+            skip: offset
+        }),
+        prisma.job.count({ where })
+    ]);
+
+    return { jobs, total };
+};
+
+export default {
+    createJob,
+    findClaimable,
+    claimJob,
+    extendLease,
+    completeJob,
+    rescheduleJob,
+    deadLetterJob,
+    findById,
+    listJobs
+};
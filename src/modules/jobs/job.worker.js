@@ -0,0 +1,151 @@
+import os from 'os';
+import * as jobRepository from './job.repository.js';
+import { getHandler, computeBackoffMs } from './job.queue.js';
+import { generateUUID } from '../../utils/crypto.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Job Worker
+ * Polls the jobs table, leases due jobs and runs their handlers one at a time
+ *
+ * - A lease (lockedUntil) is renewed while the handler runs; if the process dies, the lease
+ *   expires and any worker picks the job up again
+ * - Failures are retried with exponential backoff until maxAttempts, then dead-lettered
+ */
+
+const workerId = `${os.hostname()}:${process.pid}:${generateUUID().slice(0, 8)}`;
+
+let poller = null;
+let polling = null;
+let stopping = false;
+
+const leaseUntil = () => new Date(Date.now() + config.jobs.leaseMs);
+
+const errorMessage = (error) => error?.message || String(error);
+
+/**
+ * Dead-letter a job and run the handler's dead-letter hook
+ */
+const deadLetter = async (job, registration, error) => {
+    const released = await jobRepository.deadLetterJob(job.id, workerId, errorMessage(error));
+    if (!released) return;
+
+    logger.error('Job dead-lettered', { jobId: job.id, type: job.type, attempts: job.attempts, error: errorMessage(error) });
+
+    if (registration?.onDeadLetter) {
+        try {
+            await registration.onDeadLetter(job, error);
+        } catch (hookError) {
+            logger.error('Dead-letter hook failed', { jobId: job.id, error: hookError.message });
+        }
+    }
+};
+
+/**
+ * Run a claimed job
+ * @param {object} job - Job row as claimed (attempts already incremented)
+ */
+const runJob = async (job) => {
+    const registration = getHandler(job.type);
+    if (!registration) {
+        await deadLetter(job, null, new Error(`No handler registered for job type ${job.type}`));
+        return;
+    }
+
+    // Keep the lease alive while the handler runs
+    const heartbeat = setInterval(() => {
+        jobRepository.extendLease(job.id, workerId, leaseUntil()).catch(error => {
+            logger.warn('Failed to extend job lease', { jobId: job.id, error: error.message });
+        });
+    }, Math.max(Math.floor(config.jobs.leaseMs / 2), 1000));
+    heartbeat.unref?.();
+
+    try {
+        await registration.handler(job.payload, job);
+        await jobRepository.completeJob(job.id, workerId);
+        logger.info('Job completed', { jobId: job.id, type: job.type, attempts: job.attempts });
+    } catch (error) {
+        if (job.attempts < job.maxAttempts && registration.isRetryable(error)) {
+            const delayMs = computeBackoffMs(job.attempts);
+            await jobRepository.rescheduleJob(job.id, workerId, new Date(Date.now() + delayMs), errorMessage(error));
+            logger.warn('Job failed, retry scheduled', { jobId: job.id, type: job.type, attempts: job.attempts, delayMs, error: errorMessage(error) });
+        } else {
+            await deadLetter(job, registration, error);
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+/**
+ * Claim and run due jobs until none are left
+ * @returns {Promise<number>} Number of jobs processed
+ */
+export const processDueJobs = async () => {
+    let processed = 0;
+
+    for (;;) {
+        const candidates = await jobRepository.findClaimable(new Date());
+        if (candidates.length === 0) break;
+
+        let claimedAny = false;
+        for (const candidate of candidates) {
+            if (stopping) return processed;
+
+            if (!await jobRepository.claimJob(candidate.id, workerId, leaseUntil())) continue;
+            claimedAny = true;
+
+            const job = await jobRepository.findById(candidate.id);
+            await runJob(job);
+            processed++;
+        }
+
+        // Every candidate was taken by other workers
+        if (!claimedAny) break;
+    }
+
+    return processed;
+};
+
+const poll = () => {
+    if (polling) return;
+
+    polling = processDueJobs()
+        .catch(error => logger.error('Job worker poll failed', { error: error.message }))
+        .finally(() => { polling = null; });
+};
+
+/**
+ * Start the worker (also resumes jobs left behind by a previous process)
+ */
+export const startWorker = (intervalMs = config.jobs.pollIntervalMs) => {
+    if (poller) return;
+
+    stopping = false;
+    poller = setInterval(poll, intervalMs);
+    poller.unref?.();
+    poll();
+
+    logger.info('Job worker started', { workerId, intervalMs });
+};
+
+/**
+ * Stop polling and wait for the job in progress to finish
+ */
+export const stopWorker = async () => {
+    if (!poller) return;
+
+    stopping = true;
+    clearInterval(poller);
+    poller = null;
+
+    if (polling) await polling;
+    logger.info('Job worker stopped', { workerId });
+};
+
+export default {
+    processDueJobs,
+    startWorker,
+    stopWorker
+};
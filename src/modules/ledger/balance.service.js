@@ -0,0 +1,102 @@
+import prisma from '../../config/db.js';
+import * as ledgerRepository from './ledger.repository.js';
+import { sumAmounts, formatAmount, isZeroAmount } from './ownership.math.js';
+import { LedgerAccountType, LedgerUnitType } from '../../enums/ledgerAccountType.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Balance Service
+ * Keeps Ownership and UserBalance in line with the ledger
+ *
+ * Both tables are projections: they are rewritten from the ledger account balances in the
+ * transaction that posts the entry, and never changed directly.
+ * - Ownership: one row per asset and holder with a non-zero token balance (ISSUER, INVESTOR)
+ * - UserBalance: the user's INVESTOR cash balance in the currency of their balance row
+ */
+
+const HOLDER_TYPES = [LedgerAccountType.ISSUER, LedgerAccountType.INVESTOR];
+
+/**
+ * Rewrite the Ownership row of a token account
+ * @param {Object} account - TOKEN account after the posting
+ * @param {Object} details - { custodyRecordId, purchasePrice, currency } for new rows
+ */
+const projectOwnership = async (account, details, client) => {
+    const where = { assetId_ownerId: { assetId: account.unit, ownerId: account.ownerId } };
+
+    if (isZeroAmount(account.balance)) {
+        await client.ownership.deleteMany({
+            where: { assetId: account.unit, ownerId: account.ownerId }
+        });
+        return;
+    }
+
+    await client.ownership.upsert({
+        where,
+        update: { quantity: formatAmount(account.balance) },
+        create: {
+            assetId: account.unit,
+            custodyRecordId: details.custodyRecordId,
+            tenantId: account.tenantId,
+            ownerId: account.ownerId,
+            quantity: formatAmount(account.balance),
+            purchasePrice: details.purchasePrice ?? '0',
+            currency: details.currency || 'USD'
+        }
+    });
+};
+
+/**
+ * Rewrite the UserBalance row of a user's cash
+ * A user has a single balance row: cash in another currency than the row's is left out.
+ */
+const projectUserBalance = async (ownerId, currency, client) => {
+    const accounts = await ledgerRepository.findOwnerAccounts({
+        ownerId,
+        type: LedgerAccountType.INVESTOR,
+        unit: currency
+    }, client);
+    const balance = formatAmount(sumAmounts(accounts.map(account => account.balance)));
+
+    const existing = await client.userBalance.findUnique({ where: { userId: ownerId } });
+    if (existing && existing.currency !== currency) {
+        logger.warn('User balance kept in another currency, not projected', {
+            userId: ownerId,
+            balanceCurrency: existing.currency,
+            currency
+        });
+        return;
+    }
+
+    if (existing) {
+        await client.userBalance.update({
+            where: { userId: ownerId },
+            data: { balance }
+        });
+    } else {
+        await client.userBalance.create({
+            data: { userId: ownerId, balance, currency }
+        });
+    }
+};
+
+/**
+ * Rewrite the projections of the accounts touched by an entry
+ * @param {Array<Object>} accounts - Accounts after the posting
+ * @param {Object} details - { custodyRecordId, purchasePrice, currency }
+ */
+export const projectAccounts = async (accounts, details = {}, client = prisma) => {
+    for (const account of accounts) {
+        if (!HOLDER_TYPES.includes(account.type)) continue;
+
+        if (account.unitType === LedgerUnitType.TOKEN) {
+            await projectOwnership(account, details, client);
+        } else if (account.type === LedgerAccountType.INVESTOR) {
+            await projectUserBalance(account.ownerId, account.unit, client);
+        }
+    }
+};
+
+export default {
+    projectAccounts
+};
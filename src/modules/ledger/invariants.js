@@ -0,0 +1,236 @@
+import { toDecimal, sumAmounts, formatAmount } from './ownership.math.js';
+import { LedgerAccountType } from '../../enums/ledgerAccountType.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { InvariantStatus } from '../../enums/reconciliationStatus.js';
+
+/**
+ * Ledger Invariants
+ * Checks that an asset's books balance, run by reconciliation (see reconciliation.service.js)
+ *
+ * Every check is a pure function of a snapshot of one asset:
+ * - custodyRecord: the minted supply (custodyRecord.quantity while MINTED, zero once burned or withdrawn)
+ * - ownerships: Ownership rows of the asset (the projection)
+ * - accounts: TOKEN ledger accounts of the asset (holders and the treasury)
+ * - listings: ACTIVE listings of the asset
+ * - vault: { balance } held by the custody vault on Fireblocks, { error }, { inFlight }, or null
+ */
+
+export const Invariant = Object.freeze({
+    OWNERSHIP_MATCHES_SUPPLY: 'OWNERSHIP_MATCHES_SUPPLY',   // Sum of Ownership.quantity = minted supply
+    LEDGER_MATCHES_SUPPLY: 'LEDGER_MATCHES_SUPPLY',         // Holder accounts = supply, treasury = -supply
+    OWNERSHIP_MATCHES_LEDGER: 'OWNERSHIP_MATCHES_LEDGER',   // Each Ownership row = its ledger account
+    LISTINGS_WITHIN_HOLDINGS: 'LISTINGS_WITHIN_HOLDINGS',   // Open listing quantity <= seller's holding
+    VAULT_MATCHES_SUPPLY: 'VAULT_MATCHES_SUPPLY'            // Custody vault token balance = supply
+});
+
+const HOLDER_TYPES = [LedgerAccountType.ISSUER, LedgerAccountType.INVESTOR];
+
+const result = (invariant, status, { expected = null, actual = null, details = null } = {}) => ({
+    invariant,
+    status,
+    expected: expected === null ? null : formatAmount(expected),
+    actual: actual === null ? null : formatAmount(actual),
+    details
+});
+
+/**
+ * Supply that should be held off-chain: the minted quantity, or zero once the token left custody
+ */
+export const expectedSupply = (custodyRecord) => {
+    if (custodyRecord.status !== CustodyStatus.MINTED) return toDecimal(0);
+    return toDecimal(custodyRecord.quantity) || toDecimal(0);
+};
+
+/**
+ * The asset has ledger accounts (assets minted before the ledger get them on first use)
+ */
+const isOpenedInLedger = ({ accounts }) => accounts.length > 0;
+
+const holderBalances = (accounts) => {
+    const balances = new Map();
+    for (const account of accounts) {
+        if (!HOLDER_TYPES.includes(account.type)) continue;
+        balances.set(account.ownerId, (balances.get(account.ownerId) || toDecimal(0)).plus(account.balance || 0));
+    }
+    return balances;
+};
+
+/**
+ * Sum of Ownership.quantity equals the minted supply
+ */
+export const checkOwnershipMatchesSupply = (snapshot) => {
+    if (!isOpenedInLedger(snapshot)) {
+        return result(Invariant.OWNERSHIP_MATCHES_SUPPLY, InvariantStatus.SKIPPED, {
+            details: { reason: 'Asset not yet issued in the ledger' }
+        });
+    }
+
+    const expected = expectedSupply(snapshot.custodyRecord);
+    const actual = sumAmounts(snapshot.ownerships.map(ownership => ownership.quantity));
+
+    return result(
+        Invariant.OWNERSHIP_MATCHES_SUPPLY,
+        actual.equals(expected) ? InvariantStatus.PASS : InvariantStatus.BREAK,
+        { expected, actual, details: { owners: snapshot.ownerships.length } }
+    );
+};
+
+/**
+ * Holder accounts sum to the supply and the treasury carries its negative
+ * (a TOKEN unit sums to zero across all its accounts)
+ */
+export const checkLedgerMatchesSupply = (snapshot) => {
+    if (!isOpenedInLedger(snapshot)) {
+        return result(Invariant.LEDGER_MATCHES_SUPPLY, InvariantStatus.SKIPPED, {
+            details: { reason: 'Asset not yet issued in the ledger' }
+        });
+    }
+
+    const expected = expectedSupply(snapshot.custodyRecord);
+    const held = sumAmounts(snapshot.accounts
+        .filter(account => HOLDER_TYPES.includes(account.type))
+        .map(account => account.balance));
+    const treasury = sumAmounts(snapshot.accounts
+        .filter(account => account.type === LedgerAccountType.TREASURY)
+        .map(account => account.balance));
+    const net = sumAmounts(snapshot.accounts.map(account => account.balance));
+
+    const balanced = held.equals(expected) && treasury.equals(expected.negated()) && net.isZero();
+
+    return result(Invariant.LEDGER_MATCHES_SUPPLY, balanced ? InvariantStatus.PASS : InvariantStatus.BREAK, {
+        expected,
+        actual: held,
+        details: { treasury: formatAmount(treasury), net: formatAmount(net) }
+    });
+};
+
+/**
+ * Every Ownership row equals its ledger holding, and every holding has its row (projection drift)
+ */
+export const checkOwnershipMatchesLedger = (snapshot) => {
+    if (!isOpenedInLedger(snapshot)) {
+        return result(Invariant.OWNERSHIP_MATCHES_LEDGER, InvariantStatus.SKIPPED, {
+            details: { reason: 'Asset not yet issued in the ledger' }
+        });
+    }
+
+    const ledger = holderBalances(snapshot.accounts);
+    const projected = new Map(snapshot.ownerships.map(ownership => [ownership.ownerId, toDecimal(ownership.quantity) || toDecimal(0)]));
+
+    const mismatches = [];
+    for (const ownerId of new Set([...ledger.keys(), ...projected.keys()])) {
+        const held = ledger.get(ownerId) || toDecimal(0);
+        const shown = projected.get(ownerId) || toDecimal(0);
+        if (!held.equals(shown)) {
+            mismatches.push({ ownerId, ledger: formatAmount(held), ownership: formatAmount(shown) });
+        }
+    }
+
+    return result(
+        Invariant.OWNERSHIP_MATCHES_LEDGER,
+        mismatches.length === 0 ? InvariantStatus.PASS : InvariantStatus.BREAK,
+        { details: mismatches.length > 0 ? { mismatches } : null }
+    );
+};
+
+/**
+ * Open listing quantity (listed - sold) of each seller does not exceed the seller's holding,
+ * and an asset that left custody has no active listings
+ */
+export const checkListingsWithinHoldings = (snapshot) => {
+    const { custodyRecord, listings } = snapshot;
+
+    if (custodyRecord.status !== CustodyStatus.MINTED) {
+        return result(
+            Invariant.LISTINGS_WITHIN_HOLDINGS,
+            listings.length === 0 ? InvariantStatus.PASS : InvariantStatus.BREAK,
+            {
+                expected: 0,
+                actual: listings.length,
+                details: listings.length > 0 ? { listingIds: listings.map(listing => listing.id) } : null
+            }
+        );
+    }
+
+    // Holdings from the ledger, or the Ownership rows for assets not yet issued there
+    const holdings = isOpenedInLedger(snapshot)
+        ? holderBalances(snapshot.accounts)
+        : new Map(snapshot.ownerships.map(ownership => [ownership.ownerId, toDecimal(ownership.quantity) || toDecimal(0)]));
+
+    const reserved = new Map();
+    for (const listing of listings) {
+        const open = (toDecimal(listing.quantityListed) || toDecimal(0)).minus(toDecimal(listing.quantitySold) || 0);
+        reserved.set(listing.sellerId, (reserved.get(listing.sellerId) || toDecimal(0)).plus(open));
+    }
+
+    const overReserved = [];
+    for (const [sellerId, quantity] of reserved) {
+        const held = holdings.get(sellerId) || toDecimal(0);
+        if (quantity.greaterThan(held)) {
+            overReserved.push({ sellerId, listed: formatAmount(quantity), held: formatAmount(held) });
+        }
+    }
+
+    return result(
+        Invariant.LISTINGS_WITHIN_HOLDINGS,
+        overReserved.length === 0 ? InvariantStatus.PASS : InvariantStatus.BREAK,
+        { details: overReserved.length > 0 ? { overReserved } : null }
+    );
+};
+
+/**
+ * Token balance of the custody vault on Fireblocks equals the minted supply
+ */
+export const checkVaultMatchesSupply = (snapshot) => {
+    const { custodyRecord, vault } = snapshot;
+
+    if (custodyRecord.status !== CustodyStatus.MINTED || !vault) {
+        return result(Invariant.VAULT_MATCHES_SUPPLY, InvariantStatus.SKIPPED, {
+            details: { reason: custodyRecord.status !== CustodyStatus.MINTED ? 'Token no longer in custody' : 'Vault not checked' }
+        });
+    }
+
+    if (vault.inFlight) {
+        return result(Invariant.VAULT_MATCHES_SUPPLY, InvariantStatus.SKIPPED, {
+            details: { reason: 'On-chain operation in flight', operationId: vault.inFlight }
+        });
+    }
+
+    if (vault.error) {
+        return result(Invariant.VAULT_MATCHES_SUPPLY, InvariantStatus.ERROR, {
+            details: { error: vault.error }
+        });
+    }
+
+    const expected = expectedSupply(custodyRecord);
+    const actual = toDecimal(vault.balance) || toDecimal(0);
+
+    return result(
+        Invariant.VAULT_MATCHES_SUPPLY,
+        actual.equals(expected) ? InvariantStatus.PASS : InvariantStatus.BREAK,
+        { expected, actual, details: { vaultId: vault.vaultId, fireblocksAssetId: vault.fireblocksAssetId } }
+    );
+};
+
+/**
+ * Run every invariant against an asset snapshot
+ * @returns {Array<Object>} [{ invariant, status, expected, actual, details }]
+ */
+export const checkAsset = (snapshot) => [
+    checkOwnershipMatchesSupply(snapshot),
+    checkLedgerMatchesSupply(snapshot),
+    checkOwnershipMatchesLedger(snapshot),
+    checkListingsWithinHoldings(snapshot),
+    checkVaultMatchesSupply(snapshot)
+];
+
+export default {
+    Invariant,
+    expectedSupply,
+    checkOwnershipMatchesSupply,
+    checkLedgerMatchesSupply,
+    checkOwnershipMatchesLedger,
+    checkListingsWithinHoldings,
+    checkVaultMatchesSupply,
+    checkAsset
+};
@@ -0,0 +1,171 @@
+import * as ledgerService from './ledger.service.js';
+import * as reconciliationService from './reconciliation.service.js';
+import { BadRequestError } from '../../errors/ApiError.js';
+
+/**
+ * Ledger Controller
+ * HTTP handlers for the double-entry ledger (holdings, accounts, movement history)
+ */
+
+/**
+ * Parse an optional ISO date query parameter
+ */
+const parseDate = (value, name) => {
+    if (!value) return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw BadRequestError(`Invalid ${name}: ${value}`);
+    }
+    return date;
+};
+
+/**
+ * Holders of an asset, now or at a point in time
+ * GET /v1/ledger/holdings?assetId=&at=
+ */
+export const getHoldings = async (req, res, next) => {
+    try {
+        const holdings = await ledgerService.getHoldings({
+            tenantId: req.auth?.tenantId,
+            assetId: req.query.assetId,
+            at: parseDate(req.query.at, 'at')
+        });
+
+        res.json(holdings);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List accounts
+ * GET /v1/ledger/accounts?ownerId=&type=&unitType=&unit=
+ */
+export const listAccounts = async (req, res, next) => {
+    try {
+        const { ownerId, type, unitType, unit } = req.query;
+
+        const accounts = await ledgerService.listAccounts({
+            tenantId: req.auth?.tenantId,
+            ownerId,
+            type,
+            unitType,
+            unit
+        });
+
+        res.json({ accounts });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Movement history of an account
+ * GET /v1/ledger/accounts/:id/postings?from=&to=
+ */
+export const getAccountPostings = async (req, res, next) => {
+    try {
+        const { limit, offset } = req.query;
+
+        const result = await ledgerService.getAccountPostings(req.auth?.tenantId, req.params.id, {
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to'),
+            limit: limit ? parseInt(limit) : 50,
+            offset: offset ? parseInt(offset) : 0
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List journal entries
+ * GET /v1/ledger/entries?type=&assetId=&custodyRecordId=&from=&to=
+ */
+export const listEntries = async (req, res, next) => {
+    try {
+        const { type, assetId, custodyRecordId, limit, offset } = req.query;
+
+        const result = await ledgerService.listEntries({
+            tenantId: req.auth?.tenantId,
+            type,
+            assetId,
+            custodyRecordId,
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to'),
+            limit: limit ? parseInt(limit) : 50,
+            offset: offset ? parseInt(offset) : 0
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reconcile the tenant's assets now (optionally one asset)
+ * GET /v1/ledger/reconcile?assetId=
+ */
+export const reconcile = async (req, res, next) => {
+    try {
+        const report = await reconciliationService.reconcileOnDemand(
+            req.auth?.tenantId,
+            { assetId: req.query.assetId },
+            req.auth?.publicKey || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+        );
+
+        res.json(report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List reconciliation reports
+ * GET /v1/ledger/reconciliations?status=&trigger=
+ */
+export const listReconciliations = async (req, res, next) => {
+    try {
+        const { status, trigger, limit, offset } = req.query;
+
+        const result = await reconciliationService.listReports({
+            tenantId: req.auth?.tenantId,
+            status,
+            trigger,
+            limit: limit ? parseInt(limit) : 50,
+            offset: offset ? parseInt(offset) : 0
+        });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a reconciliation report
+ * GET /v1/ledger/reconciliations/:id
+ */
+export const getReconciliation = async (req, res, next) => {
+    try {
+        const report = await reconciliationService.getReport(req.auth?.tenantId, req.params.id);
+        res.json(report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getHoldings,
+    listAccounts,
+    getAccountPostings,
+    listEntries,
+    reconcile,
+    listReconciliations,
+    getReconciliation
+};
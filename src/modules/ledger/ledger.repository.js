@@ -0,0 +1,254 @@
+import prisma from '../../config/db.js';
+
+/**
+ * Ledger Repository
+ * Database operations for ledger accounts, journal entries and postings
+ *
+ * Functions that take part in a posting accept a transaction client, so an entry and the
+ * business change it records (e.g. a trade) commit together.
+ */
+
+/**
+ * Find an account by its identity
+ */
+export const findAccount = async ({ tenantId, ownerId, type, unit }, client = prisma) => {
+    return await client.ledgerAccount.findUnique({
+        where: { tenantId_ownerId_type_unit: { tenantId, ownerId, type, unit } }
+    });
+};
+
+/**
+ * Find or open an account
+ */
+export const findOrCreateAccount = async ({ tenantId, ownerId, type, unitType, unit }, client = prisma) => {
+    return await client.ledgerAccount.upsert({
+        where: { tenantId_ownerId_type_unit: { tenantId, ownerId, type, unit } },
+        update: {},
+        create: { tenantId, ownerId, type, unitType, unit }
+    });
+};
+
+/**
+ * Whether an owner has an account of a type and unit in a tenant (in any tenant when tenantId is omitted)
+ */
+export const hasAccount = async ({ tenantId, ownerId, type, unit }, client = prisma) => {
+    const count = await client.ledgerAccount.count({
+        where: { tenantId, ownerId, type, unit }
+    });
+
+    return count > 0;
+};
+
+/**
+ * Set an account balance if nobody changed it since it was read
+ * @returns {Promise<boolean>} False when the account was updated concurrently
+ */
+export const updateBalance = async (account, balance, client = prisma) => {
+    const result = await client.ledgerAccount.updateMany({
+        where: { id: account.id, version: account.version },
+        data: { balance, version: { increment: 1 } }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Find journal entry by idempotency key
+ */
+export const findEntryByKey = async (idempotencyKey, client = prisma) => {
+    return await client.journalEntry.findUnique({
+        where: { idempotencyKey },
+        include: { postings: true }
+    });
+};
+
+/**
+ * Record a journal entry with its postings
+ * Throws Prisma P2002 when the idempotency key was already used
+ */
+export const createEntry = async (data, postings, client = prisma) => {
+    return await client.journalEntry.create({
+        data: {
+            ...data,
+            postings: { create: postings }
+        },
+        include: { postings: true }
+    });
+};
+
+/**
+ * Accounts with a non-zero balance in a unit (e.g. every holder of an asset's token)
+ */
+export const findHoldingAccounts = async ({ tenantId, unit, types }, client = prisma) => {
+    return await client.ledgerAccount.findMany({
+        where: {
+            tenantId,
+            unit,
+            type: { in: types },
+            balance: { not: 0 }
+        }
+    });
+};
+
+/**
+ * Owner accounts of a type and unit across tenants (projections)
+ */
+export const findOwnerAccounts = async ({ ownerId, type, unit }, client = prisma) => {
+    return await client.ledgerAccount.findMany({
+        where: { ownerId, type, unit }
+    });
+};
+
+/**
+ * List accounts
+ */
+export const listAccounts = async (filters = {}) => {
+    const { tenantId, ownerId, type, unitType, unit } = filters;
+
+    const where = { tenantId };
+    if (ownerId) where.ownerId = ownerId;
+    if (type) where.type = type;
+    if (unitType) where.unitType = unitType;
+    if (unit) where.unit = unit;
+
+    return await prisma.ledgerAccount.findMany({
+        where,
+        orderBy: { createdAt: 'asc' }
+    });
+};
+
+/**
+ * Find account by ID
+ */
+export const findAccountById = async (id) => {
+    return await prisma.ledgerAccount.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * Postings of accounts up to a point in time (oldest first)
+ */
+export const findPostingsUntil = async (accountIds, at) => {
+    return await prisma.ledgerPosting.findMany({
+        where: {
+            accountId: { in: accountIds },
+            createdAt: { lte: at }
+        },
+        orderBy: { createdAt: 'asc' }
+    });
+};
+
+/**
+ * Postings of an account in a period with their entries (oldest first)
+ */
+export const findPostingsBetween = async (accountId, { from, to } = {}) => {
+    const where = { accountId };
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = from;
+        if (to) where.createdAt.lte = to;
+    }
+
+    return await prisma.ledgerPosting.findMany({
+        where,
+        include: { entry: true },
+        orderBy: { createdAt: 'asc' }
+    });
+};
+
+/**
+ * Last posting of an account before a point in time (its balanceAfter is the balance then)
+ */
+export const findLastPostingBefore = async (accountId, before) => {
+    return await prisma.ledgerPosting.findFirst({
+        where: { accountId, createdAt: { lt: before } },
+        orderBy: { createdAt: 'desc' }
+    });
+};
+
+/**
+ * Find a journal entry of a tenant by type and external reference, with its postings and accounts
+ */
+export const findEntryByReference = async ({ tenantId, type, externalReference }) => {
+    return await prisma.journalEntry.findFirst({
+        where: { tenantId, type, externalReference },
+        include: { postings: { include: { account: true } } }
+    });
+};
+
+/**
+ * Postings of an account with their entries (newest first)
+ */
+export const listAccountPostings = async (accountId, filters = {}) => {
+    const { from, to, limit = 50, offset = 0 } = filters;
+
+    const where = { accountId };
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = from;
+        if (to) where.createdAt.lte = to;
+    }
+
+    const [postings, total] = await Promise.all([
+        prisma.ledgerPosting.findMany({
+            where,
+            include: { entry: true },
+            orderBy: { createdAt: 'desc' },
+            take: limit,
+            skip: offset
+        }),
+        prisma.ledgerPosting.count({ where })
+    ]);
+
+    return { postings, total };
+};
+
+/**
+ * List journal entries with their postings and accounts (newest first)
+ */
+export const listEntries = async (filters = {}) => {
+    const { tenantId, type, assetId, custodyRecordId, from, to, limit = 50, offset = 0 } = filters;
+
+    const where = { tenantId };
+    if (type) where.type = type;
+    if (assetId) where.assetId = assetId;
+    if (custodyRecordId) where.custodyRecordId = custodyRecordId;
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = from;
+        if (to) where.createdAt.lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+        prisma.journalEntry.findMany({
+            where,
+            include: { postings: { include: { account: true } } },
+            orderBy: { createdAt: 'desc' },
+            take: limit,
+            skip: offset
+        }),
+        prisma.journalEntry.count({ where })
+    ]);
+
+    return { entries, total };
+};
+
+export default {
+    findAccount,
+    findOrCreateAccount,
+    hasAccount,
+    updateBalance,
+    findEntryByKey,
+    createEntry,
+    findHoldingAccounts,
+    findOwnerAccounts,
+    listAccounts,
+    findAccountById,
+    findPostingsUntil,
+    findPostingsBetween,
+    findLastPostingBefore,
+    findEntryByReference,
+    listAccountPostings,
+    listEntries
+};
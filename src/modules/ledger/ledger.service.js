@@ -0,0 +1,677 @@
+import prisma from '../../config/db.js';
+import * as ledgerRepository from './ledger.repository.js';
+import * as balanceService from './balance.service.js';
+import { totalCost } from '../marketplace/pricing.math.js';
+import { toDecimal, formatAmount, sumAmounts, findUnbalancedUnit, applyAmount } from './ownership.math.js';
+import {
+    LedgerAccountType,
+    LedgerUnitType,
+    SYSTEM_OWNER,
+    isNonNegativeAccount
+} from '../../enums/ledgerAccountType.js';
+import { JournalEntryType, isValidJournalEntryType } from '../../enums/journalEntryType.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Ledger Service
+ * Append-only double-entry ledger of token units and cash
+ *
+ * - Every movement is a journal entry whose postings sum to zero per unit; the tenant's
+ *   TREASURY account is the other side of issued supply and of cash entering the system
+ * - Entries carry an idempotency key per business event (mint, trade, burn), so a replay posts nothing
+ * - A pending bid holds its total in the buyer's ESCROW account; the trade settles from it
+ * - Cash deposits credit the user from the treasury; a withdrawal request holds the amount in
+ *   the user's ESCROW account until it is paid out (back to the treasury) or released
+ * - Account balances are updated with an optimistic lock; holder accounts never go negative
+ * - Ownership and UserBalance are rewritten from the balances in the same transaction (balance.service.js)
+ * - Balances carried over from before the ledger are opened lazily: token holdings with the
+ *   asset's MINT entry, UserBalance rows with an OPENING entry when the user's cash account opens
+ *   in the tenant of the user's API keys (or one an admin picks when that is ambiguous)
+ */
+
+/**
+ * Account of an end user's token units: ISSUER for the asset's issuer, INVESTOR otherwise
+ */
+export const tokenAccount = (custodyRecord, ownerId) => ({
+    type: ownerId === custodyRecord.createdBy ? LedgerAccountType.ISSUER : LedgerAccountType.INVESTOR,
+    ownerId,
+    unitType: LedgerUnitType.TOKEN,
+    unit: custodyRecord.assetId
+});
+
+/**
+ * Account of an end user's cash
+ */
+export const cashAccount = (ownerId, currency) => ({
+    type: LedgerAccountType.INVESTOR,
+    ownerId,
+    unitType: LedgerUnitType.CASH,
+    unit: currency
+});
+
+/**
+ * Account of an end user's cash held for pending bids
+ */
+export const escrowAccount = (ownerId, currency) => ({
+    type: LedgerAccountType.ESCROW,
+    ownerId,
+    unitType: LedgerUnitType.CASH,
+    unit: currency
+});
+
+/**
+ * Tenant treasury account of a unit
+ */
+export const treasuryAccount = (unitType, unit) => ({
+    type: LedgerAccountType.TREASURY,
+    ownerId: SYSTEM_OWNER,
+    unitType,
+    unit
+});
+
+/**
+ * Tenant whose books a user's pre-ledger UserBalance opens into: the tenant of the user's API keys
+ * @returns {Promise<string|null>} null when the user has no tenant-bound key or keys in several tenants
+ */
+const resolveLegacyCashTenant = async (ownerId, client) => {
+    const keys = await client.apiKey.findMany({
+        where: { userId: ownerId, tenantId: { not: null } },
+        select: { tenantId: true },
+        distinct: ['tenantId']
+    });
+
+    return keys.length === 1 ? keys[0].tenantId : null;
+};
+
+/**
+ * A user's pre-ledger UserBalance, until their cash account in its currency opens (in any tenant)
+ * Once an account exists the row is the ledger's projection.
+ */
+const findUnopenedLegacyCash = async (ownerId, client) => {
+    const legacy = await client.userBalance.findUnique({ where: { userId: ownerId } });
+    if (!legacy) return null;
+
+    const opened = await ledgerRepository.hasAccount({ ownerId, type: LedgerAccountType.INVESTOR, unit: legacy.currency }, client);
+    return opened ? null : legacy;
+};
+
+/**
+ * A user's pre-ledger UserBalance, if it belongs to the tenant and has not been opened yet
+ * @returns {Promise<Object|null>} UserBalance row, or null
+ */
+export const findLegacyCash = async (tenantId, ownerId, client = prisma) => {
+    const legacy = await findUnopenedLegacyCash(ownerId, client);
+    if (!legacy) return null;
+
+    return await resolveLegacyCashTenant(ownerId, client) === tenantId ? legacy : null;
+};
+
+/**
+ * Post the OPENING entry of a pre-ledger UserBalance into a tenant's books
+ */
+const postOpening = async (tenantId, legacy, createdBy, client) => {
+    const amount = toDecimal(legacy.balance);
+
+    return await postEntry({
+        type: JournalEntryType.OPENING,
+        tenantId,
+        idempotencyKey: `OPENING:${legacy.userId}:${legacy.currency}`,
+        description: 'Balance carried over from before the ledger',
+        createdBy,
+        postings: [
+            { account: treasuryAccount(LedgerUnitType.CASH, legacy.currency), amount: formatAmount(amount.negated()) },
+            { account: cashAccount(legacy.userId, legacy.currency), amount: formatAmount(amount) }
+        ]
+    }, client);
+};
+
+/**
+ * Open a user's pre-ledger UserBalance before their first cash posting, in whichever tenant
+ * The balance opens into the tenant of the user's API keys, not the one posting. When that
+ * tenant cannot be resolved the posting is refused: the balance must be opened explicitly
+ * (openLegacyCashBalance), or the projection would overwrite it.
+ */
+const openLegacyCash = async (ownerId, currency, client) => {
+    const legacy = await findUnopenedLegacyCash(ownerId, client);
+    const amount = toDecimal(legacy?.balance);
+    if (!legacy || legacy.currency !== currency || !amount || !amount.greaterThan(0)) return;
+
+    const tenantId = await resolveLegacyCashTenant(ownerId, client);
+    if (!tenantId) {
+        throw ConflictError(
+            `User ${ownerId} has a ${currency} balance from before the ledger that belongs to no single tenant; open it with POST /v1/admin/cash/opening-balances first`
+        );
+    }
+
+    await postOpening(tenantId, legacy, 'SYSTEM', client);
+};
+
+/**
+ * Open a user's pre-ledger UserBalance into a tenant chosen by an admin
+ * For users whose tenant cannot be resolved from their API keys.
+ * @returns {Promise<Object>} OPENING journal entry
+ */
+export const openLegacyCashBalance = async ({ tenantId, userId }, createdBy) => {
+    return await prisma.$transaction(async (tx) => {
+        const legacy = await findUnopenedLegacyCash(userId, tx);
+        const amount = toDecimal(legacy?.balance);
+        if (!legacy || !amount || !amount.greaterThan(0)) {
+            throw NotFoundError(`User ${userId} has no balance from before the ledger to open`);
+        }
+
+        return await postOpening(tenantId, legacy, createdBy, tx);
+    });
+};
+
+/**
+ * Post an entry inside a transaction
+ */
+const post = async (entry, client) => {
+    const existing = await ledgerRepository.findEntryByKey(entry.idempotencyKey, client);
+    if (existing) {
+        logger.info('Journal entry already posted', { entryId: existing.id, idempotencyKey: entry.idempotencyKey });
+        return existing;
+    }
+
+    if (entry.type !== JournalEntryType.OPENING) {
+        for (const { account } of entry.postings) {
+            if (account.unitType === LedgerUnitType.CASH && account.type === LedgerAccountType.INVESTOR) {
+                await openLegacyCash(account.ownerId, account.unit, client);
+            }
+        }
+    }
+
+    // Apply the postings in order; several may hit the same account
+    const accounts = new Map();
+    const postings = [];
+    for (const { account: identity, amount } of entry.postings) {
+        let account = accounts.get(`${identity.ownerId}:${identity.type}:${identity.unit}`);
+        if (!account) {
+            account = await ledgerRepository.findOrCreateAccount({ tenantId: entry.tenantId, ...identity }, client);
+            account = { ...account, original: account };
+        }
+
+        const balance = applyAmount(account.balance, amount);
+        if (balance.isNegative() && isNonNegativeAccount(account.type)) {
+            throw BadRequestError(
+                `Insufficient ${account.unit} balance for ${account.ownerId}. Available: ${formatAmount(account.balance)}, Required: ${formatAmount(toDecimal(amount).negated())}`
+            );
+        }
+
+        account = { ...account, balance: formatAmount(balance) };
+        accounts.set(`${identity.ownerId}:${identity.type}:${identity.unit}`, account);
+        postings.push({ accountId: account.id, amount, balanceAfter: account.balance });
+    }
+
+    for (const account of accounts.values()) {
+        if (!await ledgerRepository.updateBalance(account.original, account.balance, client)) {
+            throw ConflictError(`Ledger account ${account.id} was updated concurrently; retry`);
+        }
+    }
+
+    const postedAt = new Date();
+    const created = await ledgerRepository.createEntry({
+        type: entry.type,
+        tenantId: entry.tenantId,
+        description: entry.description || null,
+        idempotencyKey: entry.idempotencyKey,
+        assetId: entry.assetId || null,
+        custodyRecordId: entry.custodyRecordId || null,
+        operationId: entry.operationId || null,
+        listingId: entry.listingId || null,
+        bidId: entry.bidId || null,
+        externalReference: entry.externalReference || null,
+        createdBy: entry.createdBy,
+        createdAt: postedAt
+    }, postings.map(posting => ({ ...posting, createdAt: postedAt })), client);
+
+    await balanceService.projectAccounts([...accounts.values()], {
+        custodyRecordId: entry.custodyRecordId,
+        ...entry.projection
+    }, client);
+
+    logger.info('Journal entry posted', {
+        entryId: created.id,
+        type: entry.type,
+        idempotencyKey: entry.idempotencyKey,
+        postings: postings.length
+    });
+
+    return created;
+};
+
+/**
+ * Post a journal entry (idempotent per idempotencyKey)
+ * @param {Object} entry - { type, tenantId, idempotencyKey, description, assetId, custodyRecordId,
+ *   operationId, listingId, bidId, externalReference, createdBy, postings: [{ account, amount }], projection }
+ *   where account is { type, ownerId, unitType, unit } and amount a signed decimal string
+ * @param {Object} [client] - Transaction client; a new transaction is used when omitted
+ * @returns {Promise<Object>} Journal entry with its postings
+ */
+export const postEntry = async (entry, client) => {
+    if (!isValidJournalEntryType(entry.type)) {
+        throw BadRequestError(`Invalid journal entry type: ${entry.type}`);
+    }
+
+    const legs = entry.postings.filter(posting => !toDecimal(posting.amount)?.isZero());
+    if (legs.length < 2 || legs.some(posting => !toDecimal(posting.amount))) {
+        throw BadRequestError('A journal entry needs at least two non-zero postings');
+    }
+
+    const unbalanced = findUnbalancedUnit(legs.map(posting => ({ unit: posting.account.unit, amount: posting.amount })));
+    if (unbalanced) {
+        throw BadRequestError(`Journal entry does not balance for ${unbalanced}`);
+    }
+
+    const normalized = {
+        ...entry,
+        postings: legs.map(posting => ({ ...posting, amount: formatAmount(posting.amount) }))
+    };
+
+    return client
+        ? await post(normalized, client)
+        : await prisma.$transaction(tx => post(normalized, tx));
+};
+
+/**
+ * Record an asset's minted supply: MINT entry from the treasury to the issuer (idempotent)
+ * For assets minted before the ledger, holders found in Ownership keep their units and the
+ * issuer receives the rest of the supply.
+ * @returns {Promise<Object|null>} Journal entry, or null when there is nothing to issue
+ */
+export const recordIssuance = async (custodyRecord, context = {}, client) => {
+    const supply = toDecimal(custodyRecord.quantity) || toDecimal(0);
+    const db = client || prisma;
+
+    const holders = await db.ownership.findMany({
+        where: { assetId: custodyRecord.assetId, ownerId: { not: custodyRecord.createdBy } }
+    });
+    const holdings = holders
+        .map(ownership => ({ ownerId: ownership.ownerId, quantity: toDecimal(ownership.quantity) }))
+        .filter(holding => holding.quantity?.greaterThan(0));
+
+    const held = sumAmounts(holdings.map(holding => holding.quantity));
+    const issuerQuantity = supply.minus(held);
+    const issued = issuerQuantity.isNegative() ? held : supply;
+
+    if (issued.isZero()) return null;
+
+    const postings = [
+        { account: treasuryAccount(LedgerUnitType.TOKEN, custodyRecord.assetId), amount: formatAmount(issued.negated()) },
+        ...holdings.map(holding => ({
+            account: tokenAccount(custodyRecord, holding.ownerId),
+            amount: formatAmount(holding.quantity)
+        }))
+    ];
+    if (issuerQuantity.greaterThan(0)) {
+        postings.push({ account: tokenAccount(custodyRecord, custodyRecord.createdBy), amount: formatAmount(issuerQuantity) });
+    }
+
+    return await postEntry({
+        type: JournalEntryType.MINT,
+        tenantId: custodyRecord.tenantId,
+        idempotencyKey: `MINT:${custodyRecord.id}`,
+        description: `Minted supply of ${custodyRecord.assetId}`,
+        assetId: custodyRecord.assetId,
+        custodyRecordId: custodyRecord.id,
+        operationId: context.operationId,
+        createdBy: context.actor || 'SYSTEM',
+        postings
+    }, client);
+};
+
+/**
+ * Hold a bid's total: buyer cash → buyer escrow (HOLD entry, idempotent per bid)
+ * Rejected when the buyer's available cash does not cover it.
+ * @param {Object} hold - { listing, bid } where bid.heldAmount is the total to hold
+ */
+export const recordHold = async ({ listing, bid }, client) => {
+    const amount = toDecimal(bid.heldAmount);
+    if (!amount || !amount.greaterThan(0)) {
+        throw BadRequestError(`Invalid hold for bid ${bid.id}: ${bid.heldAmount}`);
+    }
+
+    return await postEntry({
+        type: JournalEntryType.HOLD,
+        tenantId: listing.tenantId,
+        idempotencyKey: `HOLD:${bid.id}`,
+        description: `Hold for bid on ${listing.assetId}: ${formatAmount(amount)} ${listing.currency}`,
+        assetId: listing.assetId,
+        custodyRecordId: listing.custodyRecordId,
+        listingId: listing.id,
+        bidId: bid.id,
+        createdBy: bid.buyerId,
+        postings: [
+            { account: cashAccount(bid.buyerId, listing.currency), amount: formatAmount(amount.negated()) },
+            { account: escrowAccount(bid.buyerId, listing.currency), amount: formatAmount(amount) }
+        ]
+    }, client);
+};
+
+/**
+ * Release a bid's hold: buyer escrow → buyer cash (RELEASE entry, idempotent per bid)
+ * @param {Object} release - { listing, bid, reason }
+ * @returns {Promise<Object|null>} Journal entry, or null for bids placed without a hold
+ */
+export const recordRelease = async ({ listing, bid, reason }, client) => {
+    const amount = toDecimal(bid.heldAmount);
+    if (!amount || !amount.greaterThan(0)) return null;
+
+    return await postEntry({
+        type: JournalEntryType.RELEASE,
+        tenantId: listing.tenantId,
+        idempotencyKey: `RELEASE:${bid.id}`,
+        description: `Hold for bid on ${listing.assetId} released (${reason})`,
+        assetId: listing.assetId,
+        custodyRecordId: listing.custodyRecordId,
+        listingId: listing.id,
+        bidId: bid.id,
+        createdBy: bid.buyerId,
+        postings: [
+            { account: escrowAccount(bid.buyerId, listing.currency), amount: formatAmount(amount.negated()) },
+            { account: cashAccount(bid.buyerId, listing.currency), amount: formatAmount(amount) }
+        ]
+    }, client);
+};
+
+/**
+ * Credit a cash deposit: treasury → user cash (CASH_DEPOSIT entry, idempotent per external reference)
+ * @param {Object} deposit - { tenantId, userId, currency, amount, externalReference, description, createdBy }
+ */
+export const recordCashDeposit = async (deposit, client) => {
+    const amount = toDecimal(deposit.amount);
+    if (!amount || !amount.greaterThan(0)) {
+        throw BadRequestError(`Invalid deposit amount: ${deposit.amount}`);
+    }
+
+    return await postEntry({
+        type: JournalEntryType.CASH_DEPOSIT,
+        tenantId: deposit.tenantId,
+        idempotencyKey: `CASH_DEPOSIT:${deposit.tenantId}:${deposit.externalReference}`,
+        description: deposit.description || `Deposit of ${formatAmount(amount)} ${deposit.currency}`,
+        externalReference: deposit.externalReference,
+        createdBy: deposit.createdBy,
+        postings: [
+            { account: treasuryAccount(LedgerUnitType.CASH, deposit.currency), amount: formatAmount(amount.negated()) },
+            { account: cashAccount(deposit.userId, deposit.currency), amount: formatAmount(amount) }
+        ]
+    }, client);
+};
+
+/**
+ * Hold a requested withdrawal: user cash → user escrow (HOLD entry, idempotent per operation)
+ * Rejected when the user's available cash does not cover it.
+ * @param {Object} operation - CASH_WITHDRAWAL operation with payload { userId, currency, amount }
+ */
+export const recordWithdrawalHold = async (operation, client) => {
+    const { userId, currency, amount } = operation.payload;
+
+    return await postEntry({
+        type: JournalEntryType.HOLD,
+        tenantId: operation.tenantId,
+        idempotencyKey: `HOLD:${operation.id}`,
+        description: `Hold for withdrawal of ${amount} ${currency}`,
+        operationId: operation.id,
+        createdBy: operation.initiatedBy,
+        postings: [
+            { account: cashAccount(userId, currency), amount: formatAmount(toDecimal(amount).negated()) },
+            { account: escrowAccount(userId, currency), amount }
+        ]
+    }, client);
+};
+
+/**
+ * Release a withdrawal that will not be paid out: user escrow → user cash (RELEASE entry)
+ * @param {string} reason - REJECTED, CANCELLED, EXPIRED or FAILED
+ * @returns {Promise<Object|null>} Journal entry, or null when nothing was held
+ */
+export const recordWithdrawalRelease = async (operation, reason, client) => {
+    const db = client || prisma;
+    const { userId, currency, amount } = operation.payload;
+
+    // Nothing to release when the hold was never posted, or the withdrawal was already paid out
+    const [hold, payout] = await Promise.all([
+        ledgerRepository.findEntryByKey(`HOLD:${operation.id}`, db),
+        ledgerRepository.findEntryByKey(`CASH_WITHDRAWAL:${operation.id}`, db)
+    ]);
+    if (!hold || payout) return null;
+
+    return await postEntry({
+        type: JournalEntryType.RELEASE,
+        tenantId: operation.tenantId,
+        idempotencyKey: `RELEASE:${operation.id}`,
+        description: `Hold for withdrawal of ${amount} ${currency} released (${reason})`,
+        operationId: operation.id,
+        createdBy: 'SYSTEM',
+        postings: [
+            { account: escrowAccount(userId, currency), amount: formatAmount(toDecimal(amount).negated()) },
+            { account: cashAccount(userId, currency), amount }
+        ]
+    }, client);
+};
+
+/**
+ * Pay out an approved withdrawal: user escrow → treasury (CASH_WITHDRAWAL entry, idempotent per operation)
+ */
+export const recordCashWithdrawal = async (operation, client) => {
+    const { userId, currency, amount, reference } = operation.payload;
+
+    return await postEntry({
+        type: JournalEntryType.CASH_WITHDRAWAL,
+        tenantId: operation.tenantId,
+        idempotencyKey: `CASH_WITHDRAWAL:${operation.id}`,
+        description: `Withdrawal of ${amount} ${currency}`,
+        operationId: operation.id,
+        externalReference: reference || null,
+        createdBy: operation.approvedBy || 'SYSTEM',
+        postings: [
+            { account: escrowAccount(userId, currency), amount: formatAmount(toDecimal(amount).negated()) },
+            { account: treasuryAccount(LedgerUnitType.CASH, currency), amount }
+        ]
+    }, client);
+};
+
+/**
+ * Record an accepted bid: units seller → buyer, cash (bid amount × quantity, rounded to the
+ * listing currency) buyer → seller
+ * A held bid pays from the buyer's escrow; anything held beyond the total returns to their cash.
+ * @param {Object} trade - { custodyRecord, listing, bid, sellerId }
+ */
+export const recordTrade = async ({ custodyRecord, listing, bid, sellerId }, client) => {
+    const quantity = toDecimal(bid.quantity || '1');
+    const price = toDecimal(bid.amount);
+    if (!quantity || !price) {
+        throw BadRequestError(`Invalid bid ${bid.id}: amount ${bid.amount}, quantity ${bid.quantity}`);
+    }
+    const total = totalCost(price, quantity, listing.currency);
+    const held = toDecimal(bid.heldAmount);
+
+    const buyerCash = held
+        ? [
+            { account: escrowAccount(bid.buyerId, listing.currency), amount: formatAmount(held.negated()) },
+            { account: cashAccount(bid.buyerId, listing.currency), amount: formatAmount(held.minus(total)) }
+        ]
+        : [
+            { account: cashAccount(bid.buyerId, listing.currency), amount: formatAmount(total.negated()) }
+        ];
+
+    return await postEntry({
+        type: JournalEntryType.TRADE,
+        tenantId: listing.tenantId,
+        idempotencyKey: `TRADE:${bid.id}`,
+        description: `${formatAmount(quantity)} ${listing.assetId} at ${formatAmount(price)} ${listing.currency}`,
+        assetId: listing.assetId,
+        custodyRecordId: listing.custodyRecordId,
+        listingId: listing.id,
+        bidId: bid.id,
+        createdBy: sellerId,
+        postings: [
+            { account: tokenAccount(custodyRecord, sellerId), amount: formatAmount(quantity.negated()) },
+            { account: tokenAccount(custodyRecord, bid.buyerId), amount: formatAmount(quantity) },
+            ...buyerCash,
+            { account: cashAccount(sellerId, listing.currency), amount: formatAmount(total) }
+        ],
+        projection: { purchasePrice: formatAmount(price), currency: listing.currency }
+    }, client);
+};
+
+/**
+ * Return every holding of an asset that left custody to the treasury (BURN or WITHDRAWAL entry)
+ * @param {string} type - JournalEntryType.BURN or JournalEntryType.WITHDRAWAL
+ * @returns {Promise<Object|null>} Journal entry, or null when nobody held units
+ */
+export const recordRetirement = async (custodyRecord, type, context = {}, client) => {
+    const holdings = await ledgerRepository.findHoldingAccounts({
+        tenantId: custodyRecord.tenantId,
+        unit: custodyRecord.assetId,
+        types: [LedgerAccountType.ISSUER, LedgerAccountType.INVESTOR]
+    }, client || prisma);
+
+    if (holdings.length === 0) return null;
+
+    const total = sumAmounts(holdings.map(account => account.balance));
+
+    return await postEntry({
+        type,
+        tenantId: custodyRecord.tenantId,
+        idempotencyKey: `${type}:${custodyRecord.id}`,
+        description: `${custodyRecord.assetId} left custody (${type.toLowerCase()})`,
+        assetId: custodyRecord.assetId,
+        custodyRecordId: custodyRecord.id,
+        operationId: context.operationId,
+        createdBy: context.actor || 'SYSTEM',
+        postings: [
+            ...holdings.map(account => ({
+                account: { type: account.type, ownerId: account.ownerId, unitType: account.unitType, unit: account.unit },
+                amount: formatAmount(toDecimal(account.balance).negated())
+            })),
+            { account: treasuryAccount(LedgerUnitType.TOKEN, custodyRecord.assetId), amount: formatAmount(total) }
+        ]
+    }, client);
+};
+
+/**
+ * Holders of an asset, now or at a point in time
+ * @param {Object} params - { tenantId, assetId, at }
+ * @returns {Promise<Object>} { assetId, at, holders: [{ ownerId, type, quantity }] }
+ */
+export const getHoldings = async ({ tenantId, assetId, at }) => {
+    if (!assetId) {
+        throw BadRequestError('assetId is required');
+    }
+
+    const accounts = await ledgerRepository.listAccounts({ tenantId, unitType: LedgerUnitType.TOKEN, unit: assetId });
+    const holderAccounts = accounts.filter(account => account.type !== LedgerAccountType.TREASURY);
+
+    let balances;
+    if (at) {
+        const postings = await ledgerRepository.findPostingsUntil(holderAccounts.map(account => account.id), at);
+        balances = new Map(holderAccounts.map(account => [
+            account.id,
+            formatAmount(sumAmounts(postings.filter(posting => posting.accountId === account.id).map(posting => posting.amount)))
+        ]));
+    } else {
+        balances = new Map(holderAccounts.map(account => [account.id, formatAmount(account.balance)]));
+    }
+
+    return {
+        assetId,
+        at: at || new Date(),
+        holders: holderAccounts
+            .map(account => ({ ownerId: account.ownerId, type: account.type, quantity: balances.get(account.id) }))
+            .filter(holder => holder.quantity !== '0')
+    };
+};
+
+/**
+ * Cash of an end user per currency: available (INVESTOR), held for pending bids (ESCROW) and total
+ * A pre-ledger UserBalance counts as available in its tenant until the user's cash account opens.
+ * @param {Object} params - { tenantId, ownerId }
+ * @returns {Promise<Array<Object>>} [{ currency, available, held, total }]
+ */
+export const getCashBalances = async ({ tenantId, ownerId }) => {
+    const accounts = await ledgerRepository.listAccounts({ tenantId, ownerId, unitType: LedgerUnitType.CASH });
+
+    const balances = new Map();
+    const entryOf = (currency) => {
+        if (!balances.has(currency)) balances.set(currency, { currency, available: toDecimal(0), held: toDecimal(0) });
+        return balances.get(currency);
+    };
+
+    for (const account of accounts) {
+        const balance = entryOf(account.unit);
+        if (account.type === LedgerAccountType.INVESTOR) {
+            balance.available = balance.available.plus(account.balance);
+        } else if (account.type === LedgerAccountType.ESCROW) {
+            balance.held = balance.held.plus(account.balance);
+        }
+    }
+
+    const legacy = await findLegacyCash(tenantId, ownerId);
+    if (legacy) {
+        entryOf(legacy.currency).available = toDecimal(legacy.balance) || toDecimal(0);
+    }
+
+    return [...balances.values()].map(({ currency, available, held }) => ({
+        currency,
+        available: formatAmount(available),
+        held: formatAmount(held),
+        total: formatAmount(available.plus(held))
+    }));
+};
+
+/**
+ * List accounts of a tenant
+ */
+export const listAccounts = async (filters) => {
+    return await ledgerRepository.listAccounts(filters);
+};
+
+/**
+ * Movement history of an account
+ */
+export const getAccountPostings = async (tenantId, accountId, filters = {}) => {
+    const account = await ledgerRepository.findAccountById(accountId);
+    if (!account || account.tenantId !== tenantId) {
+        throw NotFoundError(`Ledger account ${accountId} not found`);
+    }
+
+    const { postings, total } = await ledgerRepository.listAccountPostings(accountId, filters);
+    return { account, postings, total };
+};
+
+/**
+ * List journal entries of a tenant
+ */
+export const listEntries = async (filters) => {
+    if (filters.type && !isValidJournalEntryType(filters.type)) {
+        throw BadRequestError(`Invalid journal entry type: ${filters.type}`);
+    }
+
+    return await ledgerRepository.listEntries(filters);
+};
+
+export default {
+    tokenAccount,
+    cashAccount,
+    escrowAccount,
+    treasuryAccount,
+    postEntry,
+    recordIssuance,
+    recordHold,
+    recordRelease,
+    recordTrade,
+    recordCashDeposit,
+    recordWithdrawalHold,
+    recordWithdrawalRelease,
+    recordCashWithdrawal,
+    recordRetirement,
+    getHoldings,
+    getCashBalances,
+    findLegacyCash,
+    openLegacyCashBalance,
+    listAccounts,
+    getAccountPostings,
+    listEntries
+};
@@ -0,0 +1,151 @@
+import Decimal from 'decimal.js';
+import { MathConfig } from '../../config/math.config.js';
+import { BadRequestError } from '../../errors/ApiError.js';
+
+/**
+ * Ownership Math
+ * Exact decimal helpers for ledger amounts (token units and cash)
+ *
+ * Amounts are stored in DECIMAL(36, 18) columns and never go through floating point; values
+ * read back (Prisma.Decimal) and decimal strings are both accepted. Prices and cash totals
+ * follow per-currency rules on top of these (see marketplace/pricing.math.js).
+ */
+
+/**
+ * Parse an amount, or null when it is not a finite decimal
+ */
+export const toDecimal = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+
+    try {
+        const decimal = new Decimal(value);
+        return decimal.isFinite() ? decimal : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parse a user-supplied amount, rejecting anything that is not exact at the given scale
+ * @param {*} value
+ * @param {Object} options - { field, maxDecimals, allowZero }
+ * @returns {Decimal}
+ */
+export const parseDecimal = (value, { field = 'amount', maxDecimals = MathConfig.AMOUNT_DECIMALS, allowZero = false } = {}) => {
+    // JSON numbers are taken at their shortest decimal form (0.1 → "0.1"); strings are exact
+    const decimal = typeof value === 'string' || typeof value === 'number' ? toDecimal(String(value).trim()) : null;
+    if (!decimal) {
+        throw BadRequestError(`Invalid ${field}: ${value}`);
+    }
+
+    if (decimal.isNegative() || (!allowZero && decimal.isZero())) {
+        throw BadRequestError(`${field} must be ${allowZero ? 'zero or more' : 'greater than zero'}. Received: ${value}`);
+    }
+
+    if (decimal.decimalPlaces() > maxDecimals) {
+        throw BadRequestError(`${field} has too many decimal places (at most ${maxDecimals}). Received: ${value}`);
+    }
+
+    if (decimal.abs().greaterThanOrEqualTo(new Decimal(10).pow(MathConfig.AMOUNT_INTEGER_DIGITS))) {
+        throw BadRequestError(`${field} is too large. Received: ${value}`);
+    }
+
+    return decimal;
+};
+
+/**
+ * Parse a token quantity (up to TOKEN_DECIMALS decimal places)
+ * @returns {Decimal}
+ */
+export const parseQuantity = (value, field = 'quantity') => {
+    return parseDecimal(value, { field, maxDecimals: MathConfig.TOKEN_DECIMALS });
+};
+
+/**
+ * Quantity in the token's smallest on-chain unit (quantity × 10^decimals)
+ * @returns {string|null} Integer string, or null when the quantity has more decimals than the token
+ */
+export const toBaseUnits = (quantity, decimals) => {
+    const units = new Decimal(quantity).times(new Decimal(10).pow(decimals));
+    return units.isInteger() ? units.toFixed(0) : null;
+};
+
+/**
+ * Parse a token's supply and decimals for issuance
+ * The supply must be exact in the token's smallest unit (at most `decimals` decimal places)
+ * @returns {Object} { totalSupply, decimals, baseUnits }
+ */
+export const parseTokenSupply = (totalSupply, decimals) => {
+    const places = /^\d+$/.test(String(decimals).trim()) ? Number(decimals) : NaN;
+    if (!Number.isInteger(places) || places > MathConfig.TOKEN_DECIMALS) {
+        throw BadRequestError(`decimals must be an integer between 0 and ${MathConfig.TOKEN_DECIMALS}. Received: ${decimals}`);
+    }
+
+    const supply = parseDecimal(totalSupply, { field: 'totalSupply', maxDecimals: places });
+
+    return {
+        totalSupply: formatAmount(supply),
+        decimals: places,
+        baseUnits: toBaseUnits(supply, places)
+    };
+};
+
+/**
+ * Whether an amount is zero
+ */
+export const isZeroAmount = (value) => {
+    return new Decimal(value || 0).isZero();
+};
+
+/**
+ * Format an amount as a plain decimal string (no exponent notation)
+ */
+export const formatAmount = (value) => {
+    return new Decimal(value).toFixed();
+};
+
+/**
+ * Sum amounts
+ * @returns {Decimal}
+ */
+export const sumAmounts = (amounts) => {
+    return amounts.reduce((total, amount) => total.plus(amount || 0), new Decimal(0));
+};
+
+/**
+ * Check that postings sum to zero for every unit
+ * @param {Array<{ unit: string, amount: string }>} postings
+ * @returns {string|null} First unit that does not balance, or null
+ */
+export const findUnbalancedUnit = (postings) => {
+    const totals = new Map();
+    for (const { unit, amount } of postings) {
+        totals.set(unit, (totals.get(unit) || new Decimal(0)).plus(amount));
+    }
+
+    for (const [unit, total] of totals) {
+        if (!total.isZero()) return unit;
+    }
+    return null;
+};
+
+/**
+ * Balance after applying a signed amount
+ * @returns {Decimal}
+ */
+export const applyAmount = (balance, amount) => {
+    return new Decimal(balance || 0).plus(amount);
+};
+
+export default {
+    toDecimal,
+    parseDecimal,
+    parseQuantity,
+    toBaseUnits,
+    parseTokenSupply,
+    isZeroAmount,
+    formatAmount,
+    sumAmounts,
+    findUnbalancedUnit,
+    applyAmount
+};
@@ -0,0 +1,143 @@
+import prisma from '../../config/db.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { LedgerUnitType } from '../../enums/ledgerAccountType.js';
+import { OperationStatus } from '../../enums/operationStatus.js';
+import { FINAL_TRANSACTION_STATUSES } from '../../enums/transactionStatus.js';
+
+/**
+ * Reconciliation Repository
+ * Reads the books of an asset for the invariant checks, and stores reconciliation reports
+ */
+
+// Assets with a token: minted, or minted and since burned or withdrawn
+const RECONCILED_STATUSES = [CustodyStatus.MINTED, CustodyStatus.BURNED, CustodyStatus.WITHDRAWN];
+
+/**
+ * Custody records to reconcile (all tenants when tenantId is not given)
+ */
+export const findAssetsToReconcile = async ({ tenantId, assetId } = {}) => {
+    const where = { status: { in: RECONCILED_STATUSES } };
+    if (tenantId) where.tenantId = tenantId;
+    if (assetId) where.assetId = assetId;
+
+    return await prisma.custodyRecord.findMany({
+        where,
+        include: { vaultWallet: true },
+        orderBy: { createdAt: 'asc' }
+    });
+};
+
+/**
+ * Off-chain books of an asset: Ownership rows, TOKEN ledger accounts and ACTIVE listings
+ */
+export const findAssetBooks = async (custodyRecord) => {
+    const { assetId, tenantId } = custodyRecord;
+
+    const [ownerships, accounts, listings] = await Promise.all([
+        prisma.ownership.findMany({
+            where: { assetId },
+            select: { ownerId: true, quantity: true }
+        }),
+        prisma.ledgerAccount.findMany({
+            where: { tenantId, unitType: LedgerUnitType.TOKEN, unit: assetId }
+        }),
+        prisma.listing.findMany({
+            where: { assetId, status: 'ACTIVE' },
+            select: { id: true, sellerId: true, quantityListed: true, quantitySold: true }
+        })
+    ]);
+
+    return { ownerships, accounts, listings };
+};
+
+/**
+ * An operation or Fireblocks transfer of the asset that is not final yet (the vault balance may be moving)
+ * @returns {Promise<string|null>} Operation or transaction ID
+ */
+export const findInFlight = async (custodyRecordId) => {
+    const [operation, transaction] = await Promise.all([
+        prisma.custodyOperation.findFirst({
+            where: { custodyRecordId, status: OperationStatus.EXECUTING },
+            select: { id: true }
+        }),
+        prisma.fireblocksTransaction.findFirst({
+            where: { custodyRecordId, status: { notIn: FINAL_TRANSACTION_STATUSES } },
+            select: { id: true }
+        })
+    ]);
+
+    return operation?.id || transaction?.id || null;
+};
+
+/**
+ * Freeze or unfreeze marketplace trading of an asset
+ */
+export const setTradingFreeze = async (custodyRecordId, { frozenAt, reason }) => {
+    return await prisma.custodyRecord.update({
+        where: { id: custodyRecordId },
+        data: {
+            tradingFrozenAt: frozenAt,
+            tradingFrozenReason: reason
+        }
+    });
+};
+
+/**
+ * Store a reconciliation report
+ */
+export const createReport = async (data) => {
+    return await prisma.reconciliationReport.create({ data });
+};
+
+/**
+ * Update a report
+ */
+export const updateReport = async (id, data) => {
+    return await prisma.reconciliationReport.update({
+        where: { id },
+        data
+    });
+};
+
+/**
+ * Find report by ID
+ */
+export const findReportById = async (id) => {
+    return await prisma.reconciliationReport.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * List reports (newest first)
+ */
+export const listReports = async (filters = {}) => {
+    const { tenantId, status, trigger, limit = 50, offset = 0 } = filters;
+
+    const where = { tenantId };
+    if (status) where.status = status;
+    if (trigger) where.trigger = trigger;
+
+    const [reports, total] = await Promise.all([
+        prisma.reconciliationReport.findMany({
+            where,
+            orderBy: { startedAt: 'desc' },
+            take: limit,
+            skip: offset
+        }),
+        prisma.reconciliationReport.count({ where })
+    ]);
+
+    return { reports, total };
+};
+
+export default {
+    findAssetsToReconcile,
+    findAssetBooks,
+    findInFlight,
+    setTradingFreeze,
+    createReport,
+    updateReport,
+    findReportById,
+    listReports
+};
@@ -0,0 +1,69 @@
+import * as reconciliationService from './reconciliation.service.js';
+import { ReconciliationTrigger } from '../../enums/reconciliationStatus.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Reconciliation Scheduler
+ * Runs the ledger invariant checks over every tenant on an interval (LEDGER_RECONCILE_INTERVAL_MS)
+ *
+ * - The first run happens one interval after start, not at boot
+ * - A run still in progress when the next one is due is not overlapped
+ */
+
+let ticker = null;
+let ticking = null;
+let stopping = false;
+
+/**
+ * Reconcile every tenant once
+ * @returns {Promise<Array<Object>>} Reports
+ */
+export const tick = async () => {
+    return await reconciliationService.runReconciliation({
+        trigger: ReconciliationTrigger.SCHEDULED,
+        actor: 'SYSTEM',
+        shouldStop: () => stopping
+    });
+};
+
+const run = () => {
+    if (ticking) return;
+
+    ticking = tick()
+        .catch(error => logger.error('Ledger reconciliation run failed', { error: error.message }))
+        .finally(() => { ticking = null; });
+};
+
+/**
+ * Start the scheduler
+ */
+export const startReconciliationScheduler = (intervalMs = config.ledger.reconcileIntervalMs) => {
+    if (ticker) return;
+
+    stopping = false;
+    ticker = setInterval(run, intervalMs);
+    ticker.unref?.();
+
+    logger.info('Ledger reconciliation scheduler started', { intervalMs });
+};
+
+/**
+ * Stop the scheduler and wait for the run in progress to finish
+ */
+export const stopReconciliationScheduler = async () => {
+    if (!ticker) return;
+
+    stopping = true;
+    clearInterval(ticker);
+    ticker = null;
+
+    if (ticking) await ticking;
+    logger.info('Ledger reconciliation scheduler stopped');
+};
+
+export default {
+    tick,
+    startReconciliationScheduler,
+    stopReconciliationScheduler
+};
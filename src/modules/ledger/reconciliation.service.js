@@ -0,0 +1,302 @@
+import * as reconciliationRepository from './reconciliation.repository.js';
+import * as invariants from './invariants.js';
+import * as fireblocksTransactionService from '../fireblocks/transaction.service.js';
+import * as vaultService from '../fireblocks/vault.service.js';
+import * as auditService from '../audit/audit.service.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import {
+    ReconciliationStatus,
+    ReconciliationTrigger,
+    InvariantStatus
+} from '../../enums/reconciliationStatus.js';
+import { config } from '../../config/env.js';
+import { NotFoundError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Reconciliation Service
+ * Checks that the books of every token in custody balance (see invariants.js)
+ *
+ * - Per asset it compares the minted supply with the Ownership totals, the ledger accounts,
+ *   the units reserved by active listings and the token balance of the custody vault on Fireblocks
+ * - Runs on a schedule (reconciliation.scheduler.js) and on demand (GET /v1/ledger/reconcile);
+ *   each run stores one report per tenant
+ * - A break raises a LEDGER_RECONCILIATION_BREAK audit event; with LEDGER_RECONCILE_FREEZE_ON_BREAK
+ *   the asset's marketplace trading is frozen until a later run finds its books balanced
+ * - A check that cannot run (Fireblocks unreachable) is reported as an error, not a break
+ */
+
+/**
+ * Token balance of a custody record's vault on Fireblocks
+ * Vault details are fetched once per vault and run (cache)
+ * @returns {Promise<Object>} { balance, vaultId, fireblocksAssetId }, { inFlight } or { error }
+ */
+const readVault = async (custodyRecord, cache) => {
+    const inFlight = await reconciliationRepository.findInFlight(custodyRecord.id);
+    if (inFlight) {
+        return { inFlight };
+    }
+
+    try {
+        const { assetId: fireblocksAssetId, vaultId } = await fireblocksTransactionService.resolveToken(custodyRecord.id);
+
+        if (!cache.has(vaultId)) {
+            cache.set(vaultId, vaultService.getVaultDetails(vaultId));
+        }
+        const vault = await cache.get(vaultId);
+        const wallet = (vault.wallets || []).find(entry => entry.blockchain === fireblocksAssetId);
+
+        return { balance: wallet?.balance || '0', vaultId, fireblocksAssetId };
+    } catch (error) {
+        logger.warn('Vault balance unavailable for reconciliation', {
+            custodyRecordId: custodyRecord.id,
+            assetId: custodyRecord.assetId,
+            error: error.message
+        });
+        return { error: error.message };
+    }
+};
+
+/**
+ * Overall result of an asset's checks: BREAK if any broke, ERROR if any could not run, PASS otherwise
+ */
+const summarize = (checks) => {
+    if (checks.some(check => check.status === InvariantStatus.BREAK)) return InvariantStatus.BREAK;
+    if (checks.some(check => check.status === InvariantStatus.ERROR)) return InvariantStatus.ERROR;
+    return InvariantStatus.PASS;
+};
+
+/**
+ * Check one asset against every invariant
+ * @returns {Promise<Object>} { assetId, custodyRecordId, status (PASS, BREAK, ERROR), checks }
+ */
+export const reconcileAsset = async (custodyRecord, vaultCache = new Map()) => {
+    const books = await reconciliationRepository.findAssetBooks(custodyRecord);
+    const vault = custodyRecord.status === CustodyStatus.MINTED
+        ? await readVault(custodyRecord, vaultCache)
+        : null;
+
+    const checks = invariants.checkAsset({ custodyRecord, ...books, vault });
+
+    return {
+        assetId: custodyRecord.assetId,
+        custodyRecordId: custodyRecord.id,
+        status: summarize(checks),
+        checks
+    };
+};
+
+/**
+ * Freeze trading of an asset with breaks, lift the freeze once every check passes again
+ * @returns {Promise<boolean>} True when the asset was frozen by this run
+ */
+const applyTradingFreeze = async (custodyRecord, asset, report) => {
+    const breaks = asset.checks.filter(check => check.status === InvariantStatus.BREAK);
+    const context = { custodyRecordId: custodyRecord.id, actor: 'SYSTEM' };
+
+    if (breaks.length > 0) {
+        if (!config.ledger.freezeOnBreak || custodyRecord.tradingFrozenAt || custodyRecord.status !== CustodyStatus.MINTED) {
+            return false;
+        }
+
+        const reason = `Reconciliation ${report.id}: ${breaks.map(check => check.invariant).join(', ')}`;
+        await reconciliationRepository.setTradingFreeze(custodyRecord.id, { frozenAt: new Date(), reason });
+
+        await auditService.logEvent('ASSET_TRADING_FROZEN', {
+            assetId: custodyRecord.assetId,
+            reportId: report.id,
+            invariants: breaks.map(check => check.invariant),
+            action: 'Marketplace trading frozen: books do not balance'
+        }, context);
+
+        logger.warn('Asset trading frozen', { assetId: custodyRecord.assetId, reportId: report.id });
+        return true;
+    }
+
+    // Only a complete clean run lifts a freeze
+    if (custodyRecord.tradingFrozenAt && asset.status === InvariantStatus.PASS) {
+        await reconciliationRepository.setTradingFreeze(custodyRecord.id, { frozenAt: null, reason: null });
+
+        await auditService.logEvent('ASSET_TRADING_UNFROZEN', {
+            assetId: custodyRecord.assetId,
+            reportId: report.id,
+            frozenAt: custodyRecord.tradingFrozenAt,
+            frozenReason: custodyRecord.tradingFrozenReason,
+            action: 'Marketplace trading resumed: books balance again'
+        }, context);
+
+        logger.info('Asset trading unfrozen', { assetId: custodyRecord.assetId, reportId: report.id });
+    }
+
+    return false;
+};
+
+/**
+ * Reconcile the assets of one tenant and store the report
+ * @returns {Promise<Object>} Report, with the per-asset results under `assets`
+ */
+const reconcileTenant = async (tenantId, custodyRecords, { trigger, actor, context }) => {
+    const startedAt = new Date();
+    const vaultCache = new Map();
+    const assets = [];
+
+    for (const custodyRecord of custodyRecords) {
+        try {
+            assets.push(await reconcileAsset(custodyRecord, vaultCache));
+        } catch (error) {
+            logger.error('Asset reconciliation failed', { assetId: custodyRecord.assetId, error: error.message });
+            assets.push({
+                assetId: custodyRecord.assetId,
+                custodyRecordId: custodyRecord.id,
+                status: InvariantStatus.ERROR,
+                checks: [{ invariant: null, status: InvariantStatus.ERROR, details: { error: error.message } }]
+            });
+        }
+    }
+
+    const breaks = [];
+    const errors = [];
+    for (const asset of assets) {
+        for (const check of asset.checks) {
+            const entry = { assetId: asset.assetId, custodyRecordId: asset.custodyRecordId, invariant: check.invariant };
+            if (check.status === InvariantStatus.BREAK) {
+                breaks.push({ ...entry, expected: check.expected, actual: check.actual, details: check.details });
+            } else if (check.status === InvariantStatus.ERROR) {
+                errors.push({ ...entry, error: check.details?.error });
+            }
+        }
+    }
+
+    const report = await reconciliationRepository.createReport({
+        tenantId,
+        trigger,
+        status: breaks.length > 0 ? ReconciliationStatus.BREAKS : ReconciliationStatus.BALANCED,
+        assetsChecked: assets.length,
+        breakCount: breaks.length,
+        errorCount: errors.length,
+        breaks,
+        errors,
+        frozenAssets: [],
+        createdBy: actor,
+        startedAt,
+        completedAt: new Date()
+    });
+
+    const frozenAssets = [];
+    for (const [index, asset] of assets.entries()) {
+        const custodyRecord = custodyRecords[index];
+
+        if (asset.status === InvariantStatus.BREAK) {
+            await auditService.logEvent('LEDGER_RECONCILIATION_BREAK', {
+                reportId: report.id,
+                assetId: asset.assetId,
+                trigger,
+                breaks: breaks.filter(entry => entry.assetId === asset.assetId),
+                action: 'Ledger reconciliation found books that do not balance'
+            }, {
+                ...context,
+                custodyRecordId: asset.custodyRecordId,
+                actor
+            });
+        }
+
+        if (await applyTradingFreeze(custodyRecord, asset, report)) {
+            frozenAssets.push(asset.assetId);
+        }
+    }
+
+    const stored = frozenAssets.length > 0
+        ? await reconciliationRepository.updateReport(report.id, { frozenAssets })
+        : report;
+
+    logger[breaks.length > 0 ? 'warn' : 'info']('Ledger reconciliation completed', {
+        reportId: report.id,
+        tenantId,
+        trigger,
+        assetsChecked: assets.length,
+        breakCount: breaks.length,
+        errorCount: errors.length,
+        frozenAssets: frozenAssets.length
+    });
+
+    return { ...stored, assets };
+};
+
+/**
+ * Reconcile assets, one report per tenant
+ * @param {Object} options - { tenantId, assetId, trigger, actor, context, shouldStop }
+ * @returns {Promise<Array<Object>>} Reports
+ */
+export const runReconciliation = async (options = {}) => {
+    const {
+        tenantId,
+        assetId,
+        trigger = ReconciliationTrigger.ON_DEMAND,
+        actor = 'SYSTEM',
+        context = {},
+        shouldStop = () => false
+    } = options;
+
+    const custodyRecords = await reconciliationRepository.findAssetsToReconcile({ tenantId, assetId });
+
+    const byTenant = new Map();
+    for (const custodyRecord of custodyRecords) {
+        if (!byTenant.has(custodyRecord.tenantId)) byTenant.set(custodyRecord.tenantId, []);
+        byTenant.get(custodyRecord.tenantId).push(custodyRecord);
+    }
+
+    // A tenant without assets still gets its (empty) report when it asked for one
+    if (tenantId && byTenant.size === 0) {
+        byTenant.set(tenantId, []);
+    }
+
+    const reports = [];
+    for (const [recordTenantId, records] of byTenant) {
+        if (shouldStop()) break;
+        reports.push(await reconcileTenant(recordTenantId, records, { trigger, actor, context }));
+    }
+
+    return reports;
+};
+
+/**
+ * Reconcile a tenant's assets now
+ * @returns {Promise<Object>} Report with per-asset results
+ */
+export const reconcileOnDemand = async (tenantId, { assetId } = {}, actor, context = {}) => {
+    const [report] = await runReconciliation({
+        tenantId,
+        assetId,
+        trigger: ReconciliationTrigger.ON_DEMAND,
+        actor,
+        context
+    });
+
+    return report;
+};
+
+/**
+ * Get a stored report of a tenant
+ */
+export const getReport = async (tenantId, reportId) => {
+    const report = await reconciliationRepository.findReportById(reportId);
+    if (!report || report.tenantId !== tenantId) {
+        throw NotFoundError(`Reconciliation report ${reportId} not found`);
+    }
+    return report;
+};
+
+/**
+ * List stored reports of a tenant
+ */
+export const listReports = async (filters) => {
+    return await reconciliationRepository.listReports(filters);
+};
+
+export default {
+    reconcileAsset,
+    runReconciliation,
+    reconcileOnDemand,
+    getReport,
+    listReports
+};
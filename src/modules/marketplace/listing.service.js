@@ -5,6 +5,13 @@
 
 import prisma from '../../config/db.js';
 import * as auditService from '../audit/audit.service.js';
+import * as operationRepository from '../operation/operation.repository.js';
+import * as ledgerService from '../ledger/ledger.service.js';
+import * as ownershipService from './ownership.service.js';
+import * as pricingMath from './pricing.math.js';
+import * as settlementService from './settlement.service.js';
+import { parseQuantity, toDecimal, formatAmount } from '../ledger/ownership.math.js';
+import { BidExpiryReason } from '../../enums/bidStatus.js';
 import { BadRequestError, NotFoundError, ForbiddenError } from '../../errors/ApiError.js';
 import logger from '../../utils/logger.js';
 
@@ -32,26 +39,42 @@ export const createListing = async (data, sellerId, context = {}) => {
   if (!expiryDate) missingFields.push('expiryDate');
   
   if (missingFields.length > 0) {
-    throw new BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
+    throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
   }
   
+  // Exact amounts: price in the currency's scale, quantity in the token scale
+  const listingPrice = pricingMath.parsePrice(price, currency);
+  const listingQuantity = parseQuantity(quantity ?? '1');
+  
   // Find custody record
   const custodyRecord = await prisma.custodyRecord.findUnique({
     where: { assetId }
   });
   
   if (!custodyRecord) {
-    throw new NotFoundError(`Asset ${assetId} not found`);
+    throw NotFoundError(`Asset ${assetId} not found`);
   }
   
   // Verify custody record is in MINTED status
   if (custodyRecord.status !== 'MINTED') {
-    throw new BadRequestError(`Asset must be minted before listing. Current status: ${custodyRecord.status}`);
+    throw BadRequestError(`Asset must be minted before listing. Current status: ${custodyRecord.status}`);
   }
   
-  // For dashboard users, we need to create an ownership record if it doesn't exist
-  // Check if ownership exists
-  let ownership = await prisma.ownership.findUnique({
+  // No new listings while reconciliation has frozen the asset
+  ownershipService.assertTradable(custodyRecord);
+  
+  // No new listings while the token is leaving custody (burn or withdrawal awaiting approval or on-chain)
+  const pending = await operationRepository.findPendingByCustodyRecord(custodyRecord.id);
+  const leaving = pending.find(operation => ['BURN', 'WITHDRAW'].includes(operation.operationType));
+  if (leaving) {
+    throw BadRequestError(`Asset ${assetId} is leaving custody (${leaving.operationType.toLowerCase()} operation ${leaving.id})`);
+  }
+  
+  // Holdings come from the ledger; the minted supply is issued to the issuer there
+  // (assets minted before the ledger get it issued on their first listing)
+  await ledgerService.recordIssuance(custodyRecord);
+  
+  const ownership = await prisma.ownership.findUnique({
     where: {
       assetId_ownerId: {
         assetId,
@@ -60,33 +83,11 @@ export const createListing = async (data, sellerId, context = {}) => {
     }
   });
   
-  // If no ownership exists, create one (platform owner owns the minted token initially)
-  if (!ownership) {
-    ownership = await prisma.ownership.create({
-      data: {
-        assetId,
-        custodyRecordId: custodyRecord.id,
-        tenantId: custodyRecord.tenantId,
-        ownerId: sellerId,
-        quantity: quantity || '1',
-        purchasePrice: '0', // Initial minting, no purchase price
-        currency: currency || 'USD'
-      }
-    });
-    
-    logger.info('Created initial ownership record for listing', {
-      assetId,
-      ownerId: sellerId,
-      quantity: quantity || '1'
-    });
-  }
-  
   // Verify user has enough quantity to list
-  const availableQuantity = parseFloat(ownership.quantity);
-  const listingQuantity = parseFloat(quantity || '1');
+  const availableQuantity = toDecimal(ownership?.quantity || 0);
   
-  if (availableQuantity < listingQuantity) {
-    throw new BadRequestError(`Insufficient quantity. Available: ${availableQuantity}, Requested: ${listingQuantity}`);
+  if (availableQuantity.lessThan(listingQuantity)) {
+    throw BadRequestError(`Insufficient quantity. Available: ${formatAmount(availableQuantity)}, Requested: ${formatAmount(listingQuantity)}`);
   }
   
   // Create listing
@@ -96,9 +97,9 @@ export const createListing = async (data, sellerId, context = {}) => {
       custodyRecordId: custodyRecord.id,
       tenantId: custodyRecord.tenantId,
       sellerId,
-      price,
+      price: formatAmount(listingPrice),
       currency,
-      quantityListed: quantity || '1',
+      quantityListed: formatAmount(listingQuantity),
       quantitySold: '0',
       status: ListingStatus.ACTIVE,
       expiryDate: new Date(expiryDate)
@@ -109,14 +110,15 @@ export const createListing = async (data, sellerId, context = {}) => {
     listingId: listing.id,
     assetId,
     sellerId,
-    price
+    price: formatAmount(listingPrice)
   });
   
   // Log audit event
   await auditService.logEvent('LISTING_CREATED', {
     listingId: listing.id,
     assetId,
-    price,
+    price: formatAmount(listingPrice),
+    quantity: formatAmount(listingQuantity),
     currency,
     expiryDate
   }, {
@@ -144,7 +146,7 @@ export const getListingDetails = async (listingId) => {
   });
   
   if (!listing) {
-    throw new NotFoundError(`Listing ${listingId} not found`);
+    throw NotFoundError(`Listing ${listingId} not found`);
   }
   
   // Get custody record and asset metadata
@@ -195,11 +197,13 @@ export const listActiveListings = async (filters = {}) => {
     };
   }
   
-  // Price range filter
-  if (priceMin || priceMax) {
+  // Price range filter (DECIMAL column, compared numerically)
+  const minPrice = pricingMath.parsePriceFilter(priceMin, 'priceMin');
+  const maxPrice = pricingMath.parsePriceFilter(priceMax, 'priceMax');
+  if (minPrice || maxPrice) {
     where.price = {};
-    if (priceMin) where.price.gte = priceMin;
-    if (priceMax) where.price.lte = priceMax;
+    if (minPrice) where.price.gte = minPrice;
+    if (maxPrice) where.price.lte = maxPrice;
   }
   
   // Build orderBy clause
@@ -264,72 +268,106 @@ export const cancelListing = async (listingId, userId, context = {}) => {
   });
   
   if (!listing) {
-    throw new NotFoundError(`Listing ${listingId} not found`);
+    throw NotFoundError(`Listing ${listingId} not found`);
   }
   
   // Verify requester is the original seller
   if (listing.sellerId !== userId) {
-    throw new ForbiddenError('Only the seller can cancel this listing');
+    throw ForbiddenError('Only the seller can cancel this listing');
   }
   
   // Check if listing can be cancelled
   if (listing.status !== ListingStatus.ACTIVE) {
-    throw new BadRequestError(`Cannot cancel listing with status ${listing.status}`);
+    throw BadRequestError(`Cannot cancel listing with status ${listing.status}`);
   }
   
-  // Update listing status
-  const updated = await prisma.listing.update({
-    where: { id: listingId },
-    data: {
-      status: ListingStatus.CANCELLED,
-      updatedAt: new Date()
-    }
+  // Update listing status; its pending bids expire and their holds are released
+  const { updated, expiredBids } = await prisma.$transaction(async (tx) => {
+    const updated = await tx.listing.update({
+      where: { id: listingId },
+      data: {
+        status: ListingStatus.CANCELLED,
+        updatedAt: new Date()
+      }
+    });
+    
+    const expiredBids = await settlementService.expirePendingBids(
+      { id: listingId },
+      BidExpiryReason.LISTING_CANCELLED,
+      tx
+    );
+    
+    return { updated, expiredBids };
   });
   
   logger.info('Listing cancelled', {
     listingId,
     assetId: listing.assetId,
-    sellerId: userId
+    sellerId: userId,
+    bidsExpired: expiredBids.length
   });
   
   // Log audit event
   await auditService.logEvent('LISTING_CANCELLED', {
     listingId,
-    assetId: listing.assetId
+    assetId: listing.assetId,
+    bidsExpired: expiredBids.length
   }, {
     custodyRecordId: listing.custodyRecordId,
     actor: userId,
     ...context
   });
   
+  await settlementService.logExpiredBids(expiredBids, BidExpiryReason.LISTING_CANCELLED, context);
+  
   return updated;
 };
 
 /**
- * Expire listings that have passed their expiry date
- * This should be called by a background job
+ * Expire listings that have passed their expiry date, with their pending bids
+ * Called by the listing expiry sweeper (listingExpiry.sweeper.js). Each listing is expired
+ * with a conditional update, so concurrent sweeps expire (and release) it only once.
+ * @returns {Promise<number>} Number of listings expired
  */
 export const expireListings = async () => {
   const now = new Date();
   
-  const expiredListings = await prisma.listing.updateMany({
+  const due = await prisma.listing.findMany({
     where: {
       status: ListingStatus.ACTIVE,
       expiryDate: {
         lt: now
       }
     },
-    data: {
-      status: ListingStatus.EXPIRED,
-      updatedAt: now
-    }
+    select: { id: true }
   });
   
-  logger.info('Expired listings updated', {
-    count: expiredListings.count
-  });
+  let count = 0;
+  for (const { id } of due) {
+    const expiredBids = await prisma.$transaction(async (tx) => {
+      const expired = await tx.listing.updateMany({
+        where: { id, status: ListingStatus.ACTIVE },
+        data: {
+          status: ListingStatus.EXPIRED,
+          updatedAt: now
+        }
+      });
+      if (expired.count === 0) return null;
+      
+      return await settlementService.expirePendingBids({ id }, BidExpiryReason.LISTING_EXPIRED, tx);
+    });
+    
+    if (expiredBids) {
+      count++;
+      await settlementService.logExpiredBids(expiredBids, BidExpiryReason.LISTING_EXPIRED);
+    }
+  }
+  
+  if (count > 0) {
+    logger.info('Expired listings updated', { count });
+  }
   
-  return expiredListings.count;
+  return count;
 };
 
 export default {
@@ -0,0 +1,61 @@
+/**
+ * Listing Expiry Sweeper
+ * Periodically moves active listings past their expiry date to EXPIRED, expiring their
+ * pending bids and releasing the funds those bids hold in escrow
+ *
+ * Safe to run on several instances: each listing is expired with a conditional status update,
+ * so its bids are only released (and audited) once.
+ */
+
+import * as listingService from './listing.service.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+let sweeper = null;
+let running = false;
+
+/**
+ * Run a single sweep (skipped if the previous one is still in progress)
+ */
+export const sweepOnce = async () => {
+  if (running) return 0;
+  running = true;
+
+  try {
+    return await listingService.expireListings();
+  } catch (error) {
+    logger.error('Listing expiry sweep failed', { error: error.message });
+    return 0;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the sweeper
+ */
+export const startListingExpirySweeper = (intervalMs = config.marketplace.expirySweepIntervalMs) => {
+  if (sweeper) return;
+
+  sweeper = setInterval(sweepOnce, intervalMs);
+  // Don't keep the process alive just for the sweeper
+  sweeper.unref?.();
+
+  logger.info('Listing expiry sweeper started', { intervalMs });
+};
+
+/**
+ * Stop the sweeper
+ */
+export const stopListingExpirySweeper = () => {
+  if (!sweeper) return;
+
+  clearInterval(sweeper);
+  sweeper = null;
+};
+
+export default {
+  sweepOnce,
+  startListingExpirySweeper,
+  stopListingExpirySweeper
+};
@@ -5,6 +5,7 @@
 
 import * as listingService from './listing.service.js';
 import * as tradeService from './trade.service.js';
+import * as settlementService from './settlement.service.js';
 import prisma from '../../config/db.js';
 import { ApiError } from '../../errors/ApiError.js';
 import logger from '../../utils/logger.js';
@@ -416,6 +417,39 @@ export const getMyPortfolio = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /v1/marketplace/my-balance
+ * Get the current end user's cash: available, held for pending bids and total
+ */
+export const getMyBalance = async (req, res, next) => {
+  try {
+    const tenantId = req.auth?.tenantId;
+    const userId = req.auth?.endUserId;
+    
+    if (!tenantId) {
+      throw new ApiError(401, 'Tenant ID not found in authentication context');
+    }
+    
+    if (!userId) {
+      throw new ApiError(401, 'X-USER-ID header is required');
+    }
+    
+    logger.info('Getting my balance', { tenantId, userId });
+    
+    const balance = await settlementService.getBalance(tenantId, userId);
+    
+    res.status(200).json({
+      success: true,
+      data: balance
+    });
+  } catch (error) {
+    logger.error('Failed to get my balance', {
+      error: error.message
+    });
+    next(error);
+  }
+};
+
 export default {
   createListing,
   listActiveListings,
@@ -426,5 +460,6 @@ export default {
   rejectBid,
   getListingBids,
   getMyListings,
-  getMyPortfolio
+  getMyPortfolio,
+  getMyBalance
 };
@@ -0,0 +1,139 @@
+/**
+ * Ownership Service
+ * Keeps off-chain ownership in line with tokens that leave custody (burn, withdrawal)
+ *
+ * A token may only leave custody while it is off the marketplace: no active listings and no
+ * units held by anyone but the issuer (the custody record's creator). Once it has left, its
+ * listings and ownership rows are closed so the marketplace can no longer trade it.
+ * Trading is also refused while ledger reconciliation has frozen the asset.
+ */
+
+import Decimal from 'decimal.js';
+import prisma from '../../config/db.js';
+import * as auditService from '../audit/audit.service.js';
+import * as ledgerService from '../ledger/ledger.service.js';
+import * as settlementService from './settlement.service.js';
+import { JournalEntryType } from '../../enums/journalEntryType.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { BidExpiryReason } from '../../enums/bidStatus.js';
+import { ListingStatus } from './listing.service.js';
+import { ConflictError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Reject trading of an asset frozen by ledger reconciliation (its books do not balance)
+ * @param {Object} custodyRecord
+ */
+export const assertTradable = (custodyRecord) => {
+  if (custodyRecord.tradingFrozenAt) {
+    throw ConflictError(
+      `Trading of asset ${custodyRecord.assetId} is frozen: ${custodyRecord.tradingFrozenReason || 'books do not balance'}`,
+      { tradingFrozenAt: custodyRecord.tradingFrozenAt }
+    );
+  }
+};
+
+/**
+ * Reject while the asset is still traded on the marketplace
+ * @param {Object} custodyRecord
+ * @param {string} action - What is being blocked (for the error message), e.g. 'burning'
+ */
+export const assertOffMarket = async (custodyRecord, action = 'leaving custody') => {
+  const { assetId } = custodyRecord;
+
+  const [activeListings, ownerships] = await Promise.all([
+    prisma.listing.count({
+      where: { assetId, status: ListingStatus.ACTIVE }
+    }),
+    prisma.ownership.findMany({
+      where: { assetId, ownerId: { not: custodyRecord.createdBy } },
+      select: { ownerId: true, quantity: true }
+    })
+  ]);
+
+  if (activeListings > 0) {
+    throw ConflictError(
+      `Asset ${assetId} has ${activeListings} active marketplace listing(s); cancel them before ${action}`,
+      { activeListings }
+    );
+  }
+
+  const holders = ownerships.filter(ownership => new Decimal(ownership.quantity || '0').greaterThan(0));
+  if (holders.length > 0) {
+    throw ConflictError(
+      `Asset ${assetId} is held by ${holders.length} marketplace owner(s); units must return to the issuer before ${action}`,
+      { outstandingOwners: holders.length }
+    );
+  }
+};
+
+/**
+ * Close the marketplace positions of an asset that left custody
+ * Cancels its remaining listings (expiring their pending bids and releasing the holds) and returns
+ * every holding to the treasury in the ledger (BURN or WITHDRAWAL entry), which removes the
+ * ownership rows, in one transaction.
+ * Safe to run again: a retired asset has nothing left to close.
+ * @param {Object} custodyRecord
+ * @param {string} reason - Why the asset left custody (BURNED, WITHDRAWN)
+ * @returns {Promise<Object>} { listingsCancelled, ownershipsRemoved }
+ */
+export const retireAsset = async (custodyRecord, reason, context = {}) => {
+  const { assetId } = custodyRecord;
+
+  const { listings, ownerships, expiredBids } = await prisma.$transaction(async (tx) => {
+    const listings = await tx.listing.updateMany({
+      where: { assetId, status: ListingStatus.ACTIVE },
+      data: { status: ListingStatus.CANCELLED }
+    });
+
+    const expiredBids = await settlementService.expirePendingBids({ assetId }, BidExpiryReason.ASSET_RETIRED, tx);
+
+    const removed = await tx.ownership.findMany({
+      where: { assetId },
+      select: { ownerId: true, quantity: true }
+    });
+
+    // Assets minted before the ledger get their supply issued first, so the entry covers every holder
+    const entryType = reason === CustodyStatus.BURNED ? JournalEntryType.BURN : JournalEntryType.WITHDRAWAL;
+    await ledgerService.recordIssuance(custodyRecord, {}, tx);
+    await ledgerService.recordRetirement(custodyRecord, entryType, context, tx);
+
+    // Rows the ledger does not back (e.g. zero-quantity leftovers)
+    await tx.ownership.deleteMany({ where: { assetId } });
+
+    return { listings: listings.count, ownerships: removed, expiredBids };
+  });
+
+  await settlementService.logExpiredBids(expiredBids, BidExpiryReason.ASSET_RETIRED, context);
+
+  if (listings === 0 && ownerships.length === 0) {
+    return { listingsCancelled: 0, ownershipsRemoved: 0 };
+  }
+
+  await auditService.logEvent('OWNERSHIP_RECONCILED', {
+    assetId,
+    reason,
+    listingsCancelled: listings,
+    ownershipsRemoved: ownerships,
+    action: 'Marketplace positions closed, token left custody'
+  }, {
+    custodyRecordId: custodyRecord.id,
+    actor: 'SYSTEM',
+    ...context
+  });
+
+  logger.info('Marketplace positions closed', {
+    assetId,
+    reason,
+    listingsCancelled: listings,
+    ownershipsRemoved: ownerships.length
+  });
+
+  return { listingsCancelled: listings, ownershipsRemoved: ownerships.length };
+};
+
+export default {
+  assertTradable,
+  assertOffMarket,
+  retireAsset
+};
@@ -0,0 +1,107 @@
+/**
+ * Pricing Math
+ * Exact decimal arithmetic for marketplace prices, bid totals and cash balances
+ *
+ * Every currency has a scale (decimal places) and a rounding rule:
+ * - Prices and bid amounts with more decimal places than the currency allows are rejected
+ * - Totals (price × fractional quantity) are rounded to the currency's scale with its rule,
+ *   once, so buyer and seller are charged and credited the same amount
+ * Quantities follow the token scale (see ledger/ownership.math.js).
+ */
+
+import Decimal from 'decimal.js';
+import { MathConfig, SafeMath } from '../../config/math.config.js';
+import { parseDecimal, parseQuantity, toDecimal, formatAmount } from '../ledger/ownership.math.js';
+
+/**
+ * Scale and rounding per currency
+ */
+export const CurrencyRules = Object.freeze({
+  USD: { scale: 2, rounding: Decimal.ROUND_HALF_UP },
+  EUR: { scale: 2, rounding: Decimal.ROUND_HALF_UP },
+  GBP: { scale: 2, rounding: Decimal.ROUND_HALF_UP },
+  CHF: { scale: 2, rounding: Decimal.ROUND_HALF_UP },
+  SGD: { scale: 2, rounding: Decimal.ROUND_HALF_UP },
+  AED: { scale: 2, rounding: Decimal.ROUND_HALF_UP },
+  JPY: { scale: 0, rounding: Decimal.ROUND_HALF_UP },
+  // Stablecoins settle in on-chain units: never round a total up
+  USDC: { scale: 6, rounding: Decimal.ROUND_DOWN },
+  USDT: { scale: 6, rounding: Decimal.ROUND_DOWN }
+});
+
+// Currencies without a rule of their own
+const DEFAULT_RULE = Object.freeze({
+  scale: MathConfig.PRICE_DECIMALS,
+  rounding: MathConfig.ROUNDING_MODE
+});
+
+/**
+ * Scale and rounding rule of a currency
+ * @returns {Object} { scale, rounding }
+ */
+export const getCurrencyRule = (currency) => {
+  return CurrencyRules[String(currency || '').toUpperCase()] || DEFAULT_RULE;
+};
+
+/**
+ * Parse a price or bid amount in a currency (positive, at most the currency's scale)
+ * @returns {Decimal}
+ */
+export const parsePrice = (value, currency, field = 'price') => {
+  return parseDecimal(value, { field, maxDecimals: getCurrencyRule(currency).scale });
+};
+
+/**
+ * Parse a price range bound used to filter listings (zero allowed, any currency)
+ * @returns {string|undefined} Plain decimal string
+ */
+export const parsePriceFilter = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return formatAmount(parseDecimal(value, { field, allowZero: true }));
+};
+
+/**
+ * Round an amount to a currency's scale with its rounding rule
+ * @returns {Decimal}
+ */
+export const roundToCurrency = (amount, currency) => {
+  const { scale, rounding } = getCurrencyRule(currency);
+  return new Decimal(amount).toDecimalPlaces(scale, rounding);
+};
+
+/**
+ * Total of a bid or trade: price × quantity, rounded to the currency
+ * @returns {Decimal}
+ */
+export const totalCost = (price, quantity, currency) => {
+  return roundToCurrency(SafeMath.multiply(price, quantity), currency);
+};
+
+/**
+ * Whether a balance covers an amount
+ */
+export const covers = (balance, amount) => {
+  return !SafeMath.isLessThan(toDecimal(balance) || 0, amount);
+};
+
+/**
+ * Parse a bid: { amount, quantity } in the listing's currency
+ * @returns {Object} { amount, quantity, total } as Decimals
+ */
+export const parseBid = ({ amount, quantity }, currency) => {
+  const price = parsePrice(amount, currency, 'amount');
+  const units = parseQuantity(quantity ?? '1');
+
+  return { amount: price, quantity: units, total: totalCost(price, units, currency) };
+};
+
+export default {
+  CurrencyRules,
+  getCurrencyRule,
+  parsePrice,
+  parsePriceFilter,
+  roundToCurrency,
+  totalCost,
+  covers,
+  parseBid
+};
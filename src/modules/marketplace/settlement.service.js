@@ -0,0 +1,145 @@
+/**
+ * Settlement Service
+ * Holds the funds of pending bids in escrow until the bid is decided
+ *
+ * - Placing a bid holds its total (amount × quantity, rounded to the listing currency) in the
+ *   buyer's ESCROW ledger account, so the buyer cannot bid more than their available cash
+ * - Rejection, or expiry when the listing closes first (expired, cancelled, sold out, asset
+ *   retired), releases the hold back to the buyer's cash
+ * - Acceptance settles the trade from the hold (see ledger.service.js recordTrade)
+ * Bids placed before holds have no heldAmount: nothing to release, they settle from cash.
+ */
+
+import prisma from '../../config/db.js';
+import * as auditService from '../audit/audit.service.js';
+import * as ledgerService from '../ledger/ledger.service.js';
+import { formatAmount } from '../ledger/ownership.math.js';
+import { BidStatus } from '../../enums/bidStatus.js';
+import { OperationType } from '../../enums/operationType.js';
+import { OperationStatus } from '../../enums/operationStatus.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Hold a new bid's total in the buyer's escrow
+ * @param {Object} bid - Bid with heldAmount
+ * @param {Object} listing - Listing the bid is on
+ */
+export const holdBid = async (bid, listing, client) => {
+  return await ledgerService.recordHold({ listing, bid }, client);
+};
+
+/**
+ * Release the hold of a bid that will not trade
+ * @param {string} reason - REJECTED or a BidExpiryReason
+ */
+export const releaseBid = async (bid, listing, reason, client) => {
+  return await ledgerService.recordRelease({ listing, bid, reason }, client);
+};
+
+/**
+ * Expire the pending bids of closed listings and release their holds
+ * @param {Object} where - Listing filter, e.g. { id } or { assetId }
+ * @param {string} reason - BidExpiryReason
+ * @returns {Promise<Array<Object>>} Expired bids with their listing
+ */
+export const expirePendingBids = async (where, reason, client = prisma) => {
+  const bids = await client.bid.findMany({
+    where: { status: BidStatus.PENDING, listing: where },
+    include: { listing: true }
+  });
+
+  for (const bid of bids) {
+    await client.bid.update({
+      where: { id: bid.id },
+      data: { status: BidStatus.EXPIRED, updatedAt: new Date() }
+    });
+    await releaseBid(bid, bid.listing, reason, client);
+  }
+
+  return bids;
+};
+
+/**
+ * Audit bids expired by expirePendingBids (once their transaction committed)
+ */
+export const logExpiredBids = async (bids, reason, context = {}) => {
+  for (const bid of bids) {
+    await auditService.logEvent('BID_EXPIRED', {
+      bidId: bid.id,
+      listingId: bid.listingId,
+      assetId: bid.listing.assetId,
+      buyerId: bid.buyerId,
+      reason,
+      released: bid.heldAmount ? formatAmount(bid.heldAmount) : null
+    }, {
+      custodyRecordId: bid.listing.custodyRecordId,
+      actor: 'SYSTEM',
+      ...context
+    });
+  }
+
+  if (bids.length > 0) {
+    logger.info('Pending bids expired', { count: bids.length, reason });
+  }
+};
+
+// Cash withdrawals whose amount is still held in escrow (see cash.service.js)
+const HOLDING_WITHDRAWAL_STATUSES = [
+  OperationStatus.PENDING_MAKER,
+  OperationStatus.PENDING_CHECKER,
+  OperationStatus.APPROVED,
+  OperationStatus.EXECUTING
+];
+
+/**
+ * Cash of an end user: available, held and total per currency, with the holds of their pending
+ * bids and cash withdrawals
+ * @returns {Promise<Object>} { userId, balances: [{ currency, available, held, total }], holds, withdrawals }
+ */
+export const getBalance = async (tenantId, userId) => {
+  const [balances, bids, withdrawals] = await Promise.all([
+    ledgerService.getCashBalances({ tenantId, ownerId: userId }),
+    prisma.bid.findMany({
+      where: { tenantId, buyerId: userId, status: BidStatus.PENDING, heldAmount: { not: null } },
+      include: { listing: { select: { assetId: true, currency: true } } },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.custodyOperation.findMany({
+      where: {
+        tenantId,
+        operationType: OperationType.CASH_WITHDRAWAL,
+        status: { in: HOLDING_WITHDRAWAL_STATUSES },
+        payload: { path: '$.userId', equals: userId }
+      },
+      orderBy: { createdAt: 'desc' }
+    })
+  ]);
+
+  return {
+    userId,
+    balances,
+    holds: bids.map(bid => ({
+      bidId: bid.id,
+      listingId: bid.listingId,
+      assetId: bid.listing.assetId,
+      currency: bid.listing.currency,
+      amount: formatAmount(bid.heldAmount),
+      createdAt: bid.createdAt
+    })),
+    withdrawals: withdrawals.map(operation => ({
+      operationId: operation.id,
+      status: operation.status,
+      currency: operation.payload.currency,
+      amount: operation.payload.amount,
+      createdAt: operation.createdAt
+    }))
+  };
+};
+
+export default {
+  holdBid,
+  releaseBid,
+  expirePendingBids,
+  logExpiredBids,
+  getBalance
+};
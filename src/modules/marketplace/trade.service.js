@@ -5,18 +5,17 @@
 
 import prisma from '../../config/db.js';
 import * as auditService from '../audit/audit.service.js';
+import * as ledgerService from '../ledger/ledger.service.js';
+import * as ownershipService from './ownership.service.js';
+import * as pricingMath from './pricing.math.js';
+import * as settlementService from './settlement.service.js';
+import { formatAmount, toDecimal } from '../ledger/ownership.math.js';
 import { BadRequestError, NotFoundError, ForbiddenError } from '../../errors/ApiError.js';
 import logger from '../../utils/logger.js';
 import { ListingStatus } from './listing.service.js';
+import { BidStatus, BidExpiryReason } from '../../enums/bidStatus.js';
 
-/**
- * Bid Status Enum
- */
-export const BidStatus = {
-  PENDING: 'PENDING',
-  ACCEPTED: 'ACCEPTED',
-  REJECTED: 'REJECTED'
-};
+export { BidStatus };
 
 /**
  * Place a bid on a listing
@@ -25,7 +24,7 @@ export const placeBid = async (listingId, data, buyerId, context = {}) => {
   const { amount, quantity } = data;
   
   if (!amount) {
-    throw new BadRequestError('Bid amount is required');
+    throw BadRequestError('Bid amount is required');
   }
   
   // Get listing
@@ -34,44 +33,71 @@ export const placeBid = async (listingId, data, buyerId, context = {}) => {
   });
   
   if (!listing) {
-    throw new NotFoundError(`Listing ${listingId} not found`);
+    throw NotFoundError(`Listing ${listingId} not found`);
   }
   
   // Verify listing is in ACTIVE status
   if (listing.status !== ListingStatus.ACTIVE) {
-    throw new BadRequestError(`Cannot bid on listing with status ${listing.status}`);
+    throw BadRequestError(`Cannot bid on listing with status ${listing.status}`);
+  }
+  
+  const custodyRecord = await prisma.custodyRecord.findUnique({
+    where: { id: listing.custodyRecordId }
+  });
+  if (custodyRecord) {
+    ownershipService.assertTradable(custodyRecord);
   }
   
-  // Verify buyer has sufficient balance
+  // Amount in the listing's currency scale, quantity in the token scale; the total is rounded once
+  const { amount: bidAmount, quantity: bidQuantity, total: totalBidAmount } = pricingMath.parseBid(
+    { amount, quantity },
+    listing.currency
+  );
+  
+  if (totalBidAmount.isZero()) {
+    throw BadRequestError(`Bid total rounds to zero ${listing.currency}`);
+  }
+  
+  const remaining = toDecimal(listing.quantityListed).minus(listing.quantitySold);
+  if (bidQuantity.greaterThan(remaining)) {
+    throw BadRequestError(`Insufficient quantity listed. Available: ${formatAmount(remaining)}, Requested: ${formatAmount(bidQuantity)}`);
+  }
+  
+  // Verify buyer has sufficient available balance (cash not held by other bids)
   const userBalance = await prisma.userBalance.findUnique({
     where: { userId: buyerId }
   });
   
-  const bidQuantity = parseFloat(quantity || '1');
-  const totalBidAmount = parseFloat(amount) * bidQuantity;
-  
-  if (!userBalance || parseFloat(userBalance.balance) < totalBidAmount) {
-    throw new BadRequestError(`Insufficient balance. Required: ${totalBidAmount}, Available: ${userBalance?.balance || 0}`);
+  if (!userBalance || !pricingMath.covers(userBalance.balance, totalBidAmount)) {
+    throw BadRequestError(`Insufficient balance. Required: ${formatAmount(totalBidAmount)}, Available: ${formatAmount(userBalance?.balance || 0)}`);
   }
   
-  // Create bid
-  const bid = await prisma.bid.create({
-    data: {
-      listingId,
-      tenantId: listing.tenantId,
-      buyerId,
-      amount,
-      quantity: quantity || '1',
-      status: BidStatus.PENDING
-    }
+  // Create bid and hold its total in the buyer's escrow (the ledger rejects an overdraw)
+  const bid = await prisma.$transaction(async (tx) => {
+    const created = await tx.bid.create({
+      data: {
+        listingId,
+        tenantId: listing.tenantId,
+        buyerId,
+        amount: formatAmount(bidAmount),
+        quantity: formatAmount(bidQuantity),
+        heldAmount: formatAmount(totalBidAmount),
+        status: BidStatus.PENDING
+      }
+    });
+    
+    await settlementService.holdBid(created, listing, tx);
+    
+    return created;
   });
   
   logger.info('Bid placed', {
     bidId: bid.id,
     listingId,
     buyerId,
-    amount,
-    quantity: bidQuantity
+    amount: formatAmount(bidAmount),
+    quantity: formatAmount(bidQuantity),
+    held: formatAmount(totalBidAmount)
   });
   
   // Log audit event
@@ -79,8 +105,9 @@ export const placeBid = async (listingId, data, buyerId, context = {}) => {
     bidId: bid.id,
     listingId,
     assetId: listing.assetId,
-    amount,
-    quantity: bidQuantity
+    amount: formatAmount(bidAmount),
+    quantity: formatAmount(bidQuantity),
+    total: formatAmount(totalBidAmount)
   }, {
     custodyRecordId: listing.custodyRecordId,
     actor: buyerId,
@@ -103,173 +130,81 @@ export const acceptBid = async (bidId, sellerId, context = {}) => {
   });
   
   if (!bid) {
-    throw new NotFoundError(`Bid ${bidId} not found`);
+    throw NotFoundError(`Bid ${bidId} not found`);
   }
   
   const listing = bid.listing;
   
   // Verify seller owns the listing
   if (listing.sellerId !== sellerId) {
-    throw new ForbiddenError('Only the listing owner can accept bids');
+    throw ForbiddenError('Only the listing owner can accept bids');
   }
   
   // Verify bid is still valid
   if (bid.status !== BidStatus.PENDING) {
-    throw new BadRequestError(`Cannot accept bid with status ${bid.status}`);
+    throw BadRequestError(`Cannot accept bid with status ${bid.status}`);
   }
   
   // Verify listing is still active
   if (listing.status !== ListingStatus.ACTIVE) {
-    throw new BadRequestError(`Cannot accept bid for listing with status ${listing.status}`);
+    throw BadRequestError(`Cannot accept bid for listing with status ${listing.status}`);
   }
   
-  const bidQuantity = parseFloat(bid.quantity || '1');
-  const totalAmount = parseFloat(bid.amount) * bidQuantity;
-  
-  // Verify buyer has sufficient funds
-  const buyerBalance = await prisma.userBalance.findUnique({
-    where: { userId: bid.buyerId }
-  });
+  const bidQuantity = toDecimal(bid.quantity);
+  const totalAmount = pricingMath.totalCost(bid.amount, bidQuantity, listing.currency);
   
-  if (!buyerBalance || parseFloat(buyerBalance.balance) < totalAmount) {
-    throw new BadRequestError('Buyer has insufficient funds');
+  const remaining = toDecimal(listing.quantityListed).minus(listing.quantitySold);
+  if (bidQuantity.greaterThan(remaining)) {
+    throw BadRequestError(`Insufficient quantity listed. Available: ${formatAmount(remaining)}, Requested: ${formatAmount(bidQuantity)}`);
   }
   
-  // Execute atomic transaction:
-  // 1. Transfer ownership in off-chain ledger
-  // 2. Update buyer balance (decrease)
-  // 3. Update seller balance (increase)
-  // 4. Update listing status to SOLD (or reduce quantity)
-  // 5. Update bid status to ACCEPTED
-  
-  const result = await prisma.$transaction(async (tx) => {
-    // 1. Transfer ownership
-    // Reduce seller's ownership
-    const sellerOwnership = await tx.ownership.findUnique({
-      where: {
-        assetId_ownerId: {
-          assetId: listing.assetId,
-          ownerId: sellerId
-        }
-      }
+  // Verify buyer has sufficient funds (held bids are covered by their escrow)
+  if (!bid.heldAmount) {
+    const buyerBalance = await prisma.userBalance.findUnique({
+      where: { userId: bid.buyerId }
     });
     
-    if (!sellerOwnership) {
-      throw new BadRequestError('Seller does not own this asset');
-    }
-    
-    const sellerQuantity = parseFloat(sellerOwnership.quantity);
-    if (sellerQuantity < bidQuantity) {
-      throw new BadRequestError(`Insufficient quantity. Available: ${sellerQuantity}, Required: ${bidQuantity}`);
-    }
-    
-    if (sellerQuantity === bidQuantity) {
-      // Delete seller's ownership if selling all
-      await tx.ownership.delete({
-        where: {
-          assetId_ownerId: {
-            assetId: listing.assetId,
-            ownerId: sellerId
-          }
-        }
-      });
-    } else {
-      // Reduce seller's quantity
-      await tx.ownership.update({
-        where: {
-          assetId_ownerId: {
-            assetId: listing.assetId,
-            ownerId: sellerId
-          }
-        },
-        data: {
-          quantity: (sellerQuantity - bidQuantity).toString()
-        }
-      });
-    }
-    
-    // Create or update buyer's ownership
-    const buyerOwnership = await tx.ownership.findUnique({
-      where: {
-        assetId_ownerId: {
-          assetId: listing.assetId,
-          ownerId: bid.buyerId
-        }
-      }
-    });
-    
-    if (buyerOwnership) {
-      // Update existing ownership
-      await tx.ownership.update({
-        where: {
-          assetId_ownerId: {
-            assetId: listing.assetId,
-            ownerId: bid.buyerId
-          }
-        },
-        data: {
-          quantity: (parseFloat(buyerOwnership.quantity) + bidQuantity).toString()
-        }
-      });
-    } else {
-      // Create new ownership
-      await tx.ownership.create({
-        data: {
-          assetId: listing.assetId,
-          custodyRecordId: listing.custodyRecordId,
-          tenantId: listing.tenantId,
-          ownerId: bid.buyerId,
-          quantity: bidQuantity.toString(),
-          purchasePrice: bid.amount,
-          currency: listing.currency
-        }
-      });
-    }
-    
-    // 2. Update buyer balance (decrease)
-    await tx.userBalance.update({
-      where: { userId: bid.buyerId },
-      data: {
-        balance: (parseFloat(buyerBalance.balance) - totalAmount).toString()
-      }
-    });
-    
-    // 3. Update seller balance (increase)
-    const sellerBalance = await tx.userBalance.findUnique({
-      where: { userId: sellerId }
-    });
-    
-    if (sellerBalance) {
-      await tx.userBalance.update({
-        where: { userId: sellerId },
-        data: {
-          balance: (parseFloat(sellerBalance.balance) + totalAmount).toString()
-        }
-      });
-    } else {
-      await tx.userBalance.create({
-        data: {
-          userId: sellerId,
-          balance: totalAmount.toString(),
-          currency: listing.currency
-        }
-      });
+    if (!buyerBalance || !pricingMath.covers(buyerBalance.balance, totalAmount)) {
+      throw BadRequestError('Buyer has insufficient funds');
     }
+  }
+  
+  const custodyRecord = await prisma.custodyRecord.findUnique({
+    where: { id: listing.custodyRecordId }
+  });
+  
+  if (!custodyRecord) {
+    throw NotFoundError(`Custody record ${listing.custodyRecordId} not found`);
+  }
+  
+  // No trades while reconciliation has frozen the asset
+  ownershipService.assertTradable(custodyRecord);
+  
+  // Execute atomic transaction:
+  // 1. Post the trade to the ledger (units seller → buyer, cash from the buyer's hold → seller);
+  //    Ownership and UserBalance are updated from it
+  // 2. Update listing status to SOLD (or reduce quantity)
+  // 3. Update bid status to ACCEPTED
+  // 4. Once SOLD, expire the listing's other pending bids and release their holds
+  
+  const { expiredBids, ...result } = await prisma.$transaction(async (tx) => {
+    // 1. Ledger entry (assets minted before the ledger get their supply issued first)
+    await ledgerService.recordIssuance(custodyRecord, {}, tx);
+    await ledgerService.recordTrade({ custodyRecord, listing, bid, sellerId }, tx);
     
-    // 4. Update listing status
-    const newQuantitySold = parseFloat(listing.quantitySold) + bidQuantity;
-    const totalListed = parseFloat(listing.quantityListed);
+    // 2. Update listing status
+    const newQuantitySold = bidQuantity.plus(listing.quantitySold);
     
     const updatedListing = await tx.listing.update({
       where: { id: listing.id },
       data: {
-        quantitySold: newQuantitySold.toString(),
-        status: newQuantitySold >= totalListed ? ListingStatus.SOLD : ListingStatus.ACTIVE,
+        quantitySold: formatAmount(newQuantitySold),
+        status: newQuantitySold.greaterThanOrEqualTo(listing.quantityListed) ? ListingStatus.SOLD : ListingStatus.ACTIVE,
         updatedAt: new Date()
       }
     });
     
-    // 5. Update bid status to ACCEPTED
+    // 3. Update bid status to ACCEPTED
     const updatedBid = await tx.bid.update({
       where: { id: bidId },
       data: {
@@ -278,20 +213,28 @@ export const acceptBid = async (bidId, sellerId, context = {}) => {
       }
     });
     
+    // 4. Close the remaining bids of a sold-out listing
+    const expiredBids = updatedListing.status === ListingStatus.SOLD
+      ? await settlementService.expirePendingBids({ id: listing.id }, BidExpiryReason.LISTING_SOLD, tx)
+      : [];
+    
     return {
       bid: updatedBid,
-      listing: updatedListing
+      listing: updatedListing,
+      expiredBids
     };
   });
   
+  await settlementService.logExpiredBids(expiredBids, BidExpiryReason.LISTING_SOLD, context);
+  
   logger.info('Bid accepted and trade executed', {
     bidId,
     listingId: listing.id,
     assetId: listing.assetId,
     sellerId,
     buyerId: bid.buyerId,
-    amount: totalAmount,
-    quantity: bidQuantity
+    amount: formatAmount(totalAmount),
+    quantity: formatAmount(bidQuantity)
   });
   
   // Log audit event
@@ -301,8 +244,8 @@ export const acceptBid = async (bidId, sellerId, context = {}) => {
     assetId: listing.assetId,
     sellerId,
     buyerId: bid.buyerId,
-    amount: totalAmount,
-    quantity: bidQuantity
+    amount: formatAmount(totalAmount),
+    quantity: formatAmount(bidQuantity)
   }, {
     custodyRecordId: listing.custodyRecordId,
     actor: sellerId,
@@ -313,8 +256,8 @@ export const acceptBid = async (bidId, sellerId, context = {}) => {
     assetId: listing.assetId,
     fromUserId: sellerId,
     toUserId: bid.buyerId,
-    amount: totalAmount,
-    quantity: bidQuantity
+    amount: formatAmount(totalAmount),
+    quantity: formatAmount(bidQuantity)
   }, {
     custodyRecordId: listing.custodyRecordId,
     actor: 'SYSTEM',
@@ -337,28 +280,34 @@ export const rejectBid = async (bidId, sellerId, context = {}) => {
   });
   
   if (!bid) {
-    throw new NotFoundError(`Bid ${bidId} not found`);
+    throw NotFoundError(`Bid ${bidId} not found`);
   }
   
   const listing = bid.listing;
   
   // Verify seller owns the listing
   if (listing.sellerId !== sellerId) {
-    throw new ForbiddenError('Only the listing owner can reject bids');
+    throw ForbiddenError('Only the listing owner can reject bids');
   }
   
   // Verify bid is still pending
   if (bid.status !== BidStatus.PENDING) {
-    throw new BadRequestError(`Cannot reject bid with status ${bid.status}`);
+    throw BadRequestError(`Cannot reject bid with status ${bid.status}`);
   }
   
-  // Update bid status to REJECTED
-  const updatedBid = await prisma.bid.update({
-    where: { id: bidId },
-    data: {
-      status: BidStatus.REJECTED,
-      updatedAt: new Date()
-    }
+  // Update bid status to REJECTED and release its hold
+  const updatedBid = await prisma.$transaction(async (tx) => {
+    const rejected = await tx.bid.update({
+      where: { id: bidId },
+      data: {
+        status: BidStatus.REJECTED,
+        updatedAt: new Date()
+      }
+    });
+    
+    await settlementService.releaseBid(bid, listing, BidStatus.REJECTED, tx);
+    
+    return rejected;
   });
   
   logger.info('Bid rejected', {
@@ -372,7 +321,8 @@ export const rejectBid = async (bidId, sellerId, context = {}) => {
   await auditService.logEvent('BID_REJECTED', {
     bidId,
     listingId: listing.id,
-    assetId: listing.assetId
+    assetId: listing.assetId,
+    released: bid.heldAmount ? formatAmount(bid.heldAmount) : null
   }, {
     custodyRecordId: listing.custodyRecordId,
     actor: sellerId,
@@ -0,0 +1,54 @@
+import * as approvalPolicyService from './approvalPolicy.service.js';
+import { getSessionContext } from '../auth/auth.controller.js';
+
+/**
+ * Approval Policy Controllers
+ * Admin endpoints for N-of-M operation quorum rules
+ */
+
+/**
+ * List approval policies
+ * GET /v1/admin/approval-policies?includeInactive=true
+ */
+export const listPolicies = async (req, res, next) => {
+    try {
+        const policies = await approvalPolicyService.listPolicies({
+            includeInactive: req.query.includeInactive === 'true'
+        });
+        res.json({ policies });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create an approval policy
+ * POST /v1/admin/approval-policies
+ */
+export const createPolicy = async (req, res, next) => {
+    try {
+        const policy = await approvalPolicyService.createPolicy(req.body || {}, req.user.sub, getSessionContext(req));
+        res.status(201).json(policy);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update (or deactivate) an approval policy
+ * PATCH /v1/admin/approval-policies/:id
+ */
+export const updatePolicy = async (req, res, next) => {
+    try {
+        const policy = await approvalPolicyService.updatePolicy(req.params.id, req.body || {}, req.user.sub, getSessionContext(req));
+        res.json(policy);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    listPolicies,
+    createPolicy,
+    updatePolicy
+};
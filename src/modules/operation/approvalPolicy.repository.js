@@ -0,0 +1,67 @@
+import prisma from '../../config/db.js';
+
+/**
+ * Approval Policy Repository
+ * Database operations for N-of-M approval policies
+ */
+
+/**
+ * List policies (newest first)
+ */
+export const listPolicies = async ({ includeInactive = false } = {}) => {
+    return await prisma.approvalPolicy.findMany({
+        where: includeInactive ? {} : { isActive: true },
+        orderBy: { createdAt: 'desc' }
+    });
+};
+
+/**
+ * Active policies that could apply to a tenant and operation type
+ */
+export const findCandidatePolicies = async (tenantId, operationType) => {
+    return await prisma.approvalPolicy.findMany({
+        where: {
+            isActive: true,
+            AND: [
+                { OR: [{ tenantId: null }, { tenantId }] },
+                { OR: [{ operationType: null }, { operationType }] }
+            ]
+        }
+    });
+};
+
+/**
+ * Find policy by ID
+ */
+export const findById = async (id) => {
+    return await prisma.approvalPolicy.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * Create a policy
+ */
+export const createPolicy = async (data) => {
+    return await prisma.approvalPolicy.create({
+        data
+    });
+};
+
+/**
+ * Update a policy
+ */
+export const updatePolicy = async (id, data) => {
+    return await prisma.approvalPolicy.update({
+        where: { id },
+        data
+    });
+};
+
+export default {
+    listPolicies,
+    findCandidatePolicies,
+    findById,
+    createPolicy,
+    updatePolicy
+};
@@ -0,0 +1,186 @@
+import Decimal from 'decimal.js';
+import * as approvalPolicyRepository from './approvalPolicy.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import { isValidOperationType, OperationType } from '../../enums/operationType.js';
+import { NotFoundError } from '../../errors/ApiError.js';
+import { ValidationError } from '../../errors/ValidationError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Approval Policy Service
+ * N-of-M quorum rules for operations
+ *
+ * A policy matches an operation by tenant, operation type and asset value (null criteria
+ * match everything). When several policies match, the strictest one applies; with none,
+ * a single checker approval is enough.
+ */
+
+export const DEFAULT_REQUIRED_APPROVALS = 1;
+export const MAX_REQUIRED_APPROVALS = 10;
+
+/**
+ * Parse a decimal string, or null when it is not a valid number
+ */
+const toDecimal = (value) => {
+    try {
+        return new Decimal(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Validate policy fields (partial when updating)
+ */
+const validatePolicyInput = (input, { partial = false } = {}) => {
+    const errors = [];
+    const data = {};
+
+    if (input.name !== undefined || !partial) {
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            errors.push({ field: 'name', message: 'Required' });
+        } else {
+            data.name = input.name.trim();
+        }
+    }
+
+    if (input.requiredApprovals !== undefined || !partial) {
+        const required = input.requiredApprovals;
+        if (!Number.isInteger(required) || required < 1 || required > MAX_REQUIRED_APPROVALS) {
+            errors.push({ field: 'requiredApprovals', message: `Must be an integer between 1 and ${MAX_REQUIRED_APPROVALS}` });
+        } else {
+            data.requiredApprovals = required;
+        }
+    }
+
+    if (input.operationType !== undefined) {
+        if (input.operationType !== null && !isValidOperationType(input.operationType)) {
+            errors.push({ field: 'operationType', message: `Must be one of: ${Object.values(OperationType).join(', ')}` });
+        } else {
+            data.operationType = input.operationType;
+        }
+    }
+
+    if (input.minAssetValue !== undefined) {
+        const value = input.minAssetValue === null ? null : toDecimal(input.minAssetValue);
+        if (input.minAssetValue !== null && (!value || value.isNegative())) {
+            errors.push({ field: 'minAssetValue', message: 'Must be a non-negative decimal string' });
+        } else {
+            data.minAssetValue = value ? value.toString() : null;
+        }
+    }
+
+    if (input.tenantId !== undefined) {
+        data.tenantId = input.tenantId || null;
+    }
+
+    for (const field of ['carryOverOnRetry', 'isActive']) {
+        if (input[field] === undefined) continue;
+        if (typeof input[field] !== 'boolean') {
+            errors.push({ field, message: 'Must be a boolean' });
+        } else {
+            data[field] = input[field];
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid approval policy', errors);
+    }
+
+    return data;
+};
+
+/**
+ * Check whether a policy's value threshold covers an asset value
+ * Policies with a threshold do not apply when the value is unknown
+ */
+const matchesAssetValue = (policy, assetValue) => {
+    if (policy.minAssetValue === null || policy.minAssetValue === undefined) return true;
+
+    const value = assetValue !== null && assetValue !== undefined ? toDecimal(assetValue) : null;
+    return !!value && value.greaterThanOrEqualTo(policy.minAssetValue);
+};
+
+/**
+ * Resolve the quorum for a new operation
+ * @param {object} params - { tenantId, operationType, assetValue }
+ * @returns {Promise<{ requiredApprovals: number, approvalPolicyId: string|null }>}
+ */
+export const resolveRequirement = async ({ tenantId, operationType, assetValue }) => {
+    const candidates = await approvalPolicyRepository.findCandidatePolicies(tenantId, operationType);
+    const strictest = candidates
+        .filter(policy => matchesAssetValue(policy, assetValue))
+        .sort((a, b) => b.requiredApprovals - a.requiredApprovals)[0];
+
+    if (!strictest) {
+        return { requiredApprovals: DEFAULT_REQUIRED_APPROVALS, approvalPolicyId: null };
+    }
+
+    return { requiredApprovals: strictest.requiredApprovals, approvalPolicyId: strictest.id };
+};
+
+/**
+ * List policies
+ */
+export const listPolicies = async (options = {}) => {
+    return await approvalPolicyRepository.listPolicies(options);
+};
+
+/**
+ * Create a policy
+ */
+export const createPolicy = async (input, adminId, context = {}) => {
+    const data = validatePolicyInput(input);
+    const policy = await approvalPolicyRepository.createPolicy({ ...data, createdBy: adminId });
+
+    await auditService.logEvent('APPROVAL_POLICY_CREATED', {
+        policyId: policy.id,
+        name: policy.name,
+        tenantId: policy.tenantId,
+        operationType: policy.operationType,
+        minAssetValue: policy.minAssetValue,
+        requiredApprovals: policy.requiredApprovals,
+        carryOverOnRetry: policy.carryOverOnRetry
+    }, {
+        actor: adminId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.info('Approval policy created', { policyId: policy.id, requiredApprovals: policy.requiredApprovals });
+    return policy;
+};
+
+/**
+ * Update a policy (operations already initiated keep the quorum they were created with)
+ */
+export const updatePolicy = async (id, input, adminId, context = {}) => {
+    const existing = await approvalPolicyRepository.findById(id);
+    if (!existing) {
+        throw NotFoundError('Approval policy not found');
+    }
+
+    const data = validatePolicyInput(input, { partial: true });
+    const policy = await approvalPolicyRepository.updatePolicy(id, data);
+
+    await auditService.logEvent('APPROVAL_POLICY_UPDATED', {
+        policyId: id,
+        changes: data
+    }, {
+        actor: adminId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.info('Approval policy updated', { policyId: id });
+    return policy;
+};
+
+export default {
+    DEFAULT_REQUIRED_APPROVALS,
+    MAX_REQUIRED_APPROVALS,
+    resolveRequirement,
+    listPolicies,
+    createPolicy,
+    updatePolicy
+};
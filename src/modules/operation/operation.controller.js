@@ -1,4 +1,6 @@
 import * as operationService from './operation.service.js';
+import { OperationStatus } from '../../enums/operationStatus.js';
+import { OperationType } from '../../enums/operationType.js';
 import { ValidationError } from '../../errors/ValidationError.js';
 
 /**
@@ -20,8 +22,8 @@ export const initiateOperation = async (req, res, next) => {
 
         const operation = await operationService.initiateOperation(
             { custodyRecordId, operationType, payload },
-            req.auth?.publicKey || 'anonymous',
-            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
         );
 
         res.status(201).json(operation);
@@ -40,8 +42,56 @@ export const initiateMintOperation = async (req, res, next) => {
 
         const operation = await operationService.initiateMintOperation(
             { assetId, tokenSymbol, tokenName, totalSupply, decimals, blockchainId, vaultWalletId },
-            req.auth?.publicKey || 'anonymous',
-            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
+        );
+
+        res.status(201).json(operation);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Initiate burn operation (physical redemption)
+ * POST /v1/operations/burn
+ */
+export const initiateBurnOperation = async (req, res, next) => {
+    try {
+        const { custodyRecordId, reason, recipient, quantity } = req.body;
+
+        if (!custodyRecordId) {
+            throw new ValidationError('Custody Record ID is required');
+        }
+
+        const operation = await operationService.initiateOperation(
+            { custodyRecordId, operationType: OperationType.BURN, payload: { reason, recipient, quantity } },
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
+        );
+
+        res.status(201).json(operation);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Initiate withdraw operation (token leaves custody to an allowlisted address)
+ * POST /v1/operations/withdraw
+ */
+export const initiateWithdrawOperation = async (req, res, next) => {
+    try {
+        const { custodyRecordId, destinationAddress, blockchain, quantity } = req.body;
+
+        if (!custodyRecordId) {
+            throw new ValidationError('Custody Record ID is required');
+        }
+
+        const operation = await operationService.initiateOperation(
+            { custodyRecordId, operationType: OperationType.WITHDRAW, payload: { destinationAddress, blockchain, quantity } },
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
         );
 
         res.status(201).json(operation);
@@ -60,11 +110,12 @@ export const approveOperation = async (req, res, next) => {
 
         const result = await operationService.approveOperation(
             id,
-            req.auth?.publicKey || 'anonymous',
-            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
         );
 
-        res.json(result);
+        // 202 once the quorum is reached and execution is queued
+        res.status(result.status === OperationStatus.EXECUTING ? 202 : 200).json(result);
     } catch (error) {
         next(error);
     }
@@ -81,9 +132,31 @@ export const rejectOperation = async (req, res, next) => {
 
         const result = await operationService.rejectOperation(
             id,
-            req.auth?.publicKey || 'anonymous',
+            req.auth?.actorId || 'anonymous',
             reason,
-            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
+        );
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel operation (initiating maker only)
+ * POST /v1/operations/:id/cancel
+ */
+export const cancelOperation = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        const result = await operationService.cancelOperation(
+            id,
+            req.auth?.actorId || 'anonymous',
+            reason,
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
         );
 
         res.json(result);
@@ -92,6 +165,26 @@ export const rejectOperation = async (req, res, next) => {
     }
 };
 
+/**
+ * Retry a failed operation (initiating maker only)
+ * POST /v1/operations/:id/retry
+ */
+export const retryOperation = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const result = await operationService.retryOperation(
+            id,
+            req.auth?.actorId || 'anonymous',
+            { ipAddress: req.ip, userAgent: req.get('user-agent'), publicKey: req.auth?.publicKey }
+        );
+
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * List operations
  * GET /v1/operations
@@ -128,13 +221,31 @@ export const getOperationDetails = async (req, res, next) => {
     }
 };
 
+/**
+ * Get mint monitor state of an operation
+ * GET /v1/operations/:id/monitor
+ */
+export const getOperationMonitor = async (req, res, next) => {
+    try {
+        const monitor = await operationService.getOperationMonitor(req.params.id);
+        res.json(monitor);
+    } catch (error) {
+        next(error);
+    }
+};
+
 export default {
     initiateOperation,
     initiateMintOperation,
+    initiateBurnOperation,
+    initiateWithdrawOperation,
     approveOperation,
     rejectOperation,
+    cancelOperation,
+    retryOperation,
     listOperations,
-    getOperationDetails
+    getOperationDetails,
+    getOperationMonitor
 };
 
 /**
@@ -160,7 +271,7 @@ export const initiateMintOperationDashboard = async (req, res, next) => {
                 blockchainId: blockchain || 'ETH_TEST5',
                 vaultWalletId 
             },
-            `dashboard_user_${userId}`,
+            userId,
             { ipAddress: req.ip, userAgent: req.get('user-agent') }
         );
 
@@ -204,12 +315,11 @@ export const approveOperationDashboard = async (req, res, next) => {
 
         const result = await operationService.approveOperation(
             id,
-            `dashboard_user_${userId}`,
-            { ipAddress: req.ip, userAgent: req.get('user-agent') },
-            true // Skip maker-checker validation for dashboard
+            userId,
+            { ipAddress: req.ip, userAgent: req.get('user-agent') }
         );
 
-        res.json(result);
+        res.status(result.status === OperationStatus.EXECUTING ? 202 : 200).json(result);
     } catch (error) {
         next(error);
     }
@@ -227,7 +337,7 @@ export const rejectOperationDashboard = async (req, res, next) => {
 
         const result = await operationService.rejectOperation(
             id,
-            `dashboard_user_${userId}`,
+            userId,
             reason || 'No reason provided',
             { ipAddress: req.ip, userAgent: req.get('user-agent') }
         );
@@ -237,3 +347,47 @@ export const rejectOperationDashboard = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Cancel operation from dashboard
+ * POST /v1/operations/dashboard/:id/cancel
+ */
+export const cancelOperationDashboard = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+        const userId = req.user.sub;
+
+        const result = await operationService.cancelOperation(
+            id,
+            userId,
+            reason,
+            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+        );
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Retry a failed operation from dashboard
+ * POST /v1/operations/dashboard/:id/retry
+ */
+export const retryOperationDashboard = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.sub;
+
+        const result = await operationService.retryOperation(
+            id,
+            userId,
+            { ipAddress: req.ip, userAgent: req.get('user-agent') }
+        );
+
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -8,16 +8,23 @@ import { OperationStatus } from '../../enums/operationStatus.js';
 
 /**
  * Create a new operation
+ * Pass a transaction client to combine it with other writes
  */
-export const createOperation = async (data) => {
-    return await prisma.custodyOperation.create({
+export const createOperation = async (data, client = prisma) => {
+    return await client.custodyOperation.create({
         data: {
             operationType: data.operationType,
             status: data.status || OperationStatus.PENDING_CHECKER,
+            tenantId: data.tenantId,
             custodyRecordId: data.custodyRecordId,
             vaultWalletId: data.vaultWalletId,
             payload: data.payload || {},
             initiatedBy: data.initiatedBy,
+            requiredApprovals: data.requiredApprovals ?? 1,
+            approvalPolicyId: data.approvalPolicyId,
+            expiresAt: data.expiresAt,
+            parentOperationId: data.parentOperationId,
+            attempt: data.attempt ?? 1,
             idempotencyKey: data.idempotencyKey
         },
         include: {
@@ -35,7 +42,17 @@ export const findById = async (id) => {
         where: { id },
         include: {
             custodyRecord: true,
-            vaultWallet: true
+            vaultWallet: true,
+            approvals: {
+                orderBy: { createdAt: 'asc' }
+            },
+            approvalPolicy: true,
+            parentOperation: {
+                select: { id: true, status: true, attempt: true, failureReason: true, parentOperationId: true }
+            },
+            retry: {
+                select: { id: true, status: true, attempt: true, createdAt: true }
+            }
         }
     });
 };
@@ -69,6 +86,55 @@ export const updateStatus = async (id, status, updates = {}) => {
     });
 };
 
+/**
+ * Move an operation between statuses only if it is still in the expected one
+ * Pass a transaction client to combine it with other writes
+ * @returns {Promise<boolean>} False when another request already moved it
+ */
+export const transitionStatus = async (id, fromStatus, toStatus, updates = {}, client = prisma) => {
+    const result = await client.custodyOperation.updateMany({
+        where: { id, status: fromStatus },
+        data: { status: toStatus, ...updates }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Find the operation submitted to Fireblocks under a task ID (transaction or token link)
+ */
+export const findByFireblocksTaskId = async (fireblocksTaskId) => {
+    return await prisma.custodyOperation.findUnique({
+        where: { fireblocksTaskId }
+    });
+};
+
+/**
+ * Record a checker approval
+ * The (operationId, approvedBy) unique key rejects a second approval by the same actor
+ */
+export const createApproval = async (data) => {
+    return await prisma.operationApproval.create({
+        data: {
+            operationId: data.operationId,
+            approvedBy: data.approvedBy,
+            carriedOverFrom: data.carriedOverFrom,
+            ipAddress: data.ipAddress,
+            userAgent: data.userAgent
+        }
+    });
+};
+
+/**
+ * List approvals for an operation (oldest first)
+ */
+export const findApprovals = async (operationId) => {
+    return await prisma.operationApproval.findMany({
+        where: { operationId },
+        orderBy: { createdAt: 'asc' }
+    });
+};
+
 /**
  * List operations with filters
  */
@@ -80,11 +146,12 @@ export const listOperations = async (filters = {}) => {
     if (operationType) where.operationType = operationType;
     if (custodyRecordId) where.custodyRecordId = custodyRecordId;
     
-    // Filter by tenantId through custodyRecord relation
+    // Filter by tenantId through custodyRecord relation (or the operation's own, e.g. cash withdrawals)
     if (tenantId) {
-        where.custodyRecord = {
-            tenantId: tenantId
-        };
+        where.OR = [
+            { custodyRecord: { tenantId: tenantId } },
+            { tenantId: tenantId }
+        ];
     }
 
     const [operations, total] = await Promise.all([
@@ -112,22 +179,46 @@ export const listOperations = async (filters = {}) => {
 
 /**
  * Find pending operations for a specific custody record
+ * Operations past their expiry no longer block new ones, even before the sweeper runs
  */
 export const findPendingByCustodyRecord = async (custodyRecordId) => {
     return await prisma.custodyOperation.findMany({
         where: {
             custodyRecordId,
-            status: {
-                in: [OperationStatus.PENDING_MAKER, OperationStatus.PENDING_CHECKER, OperationStatus.APPROVED]
-            }
+            OR: [
+                { status: { in: [OperationStatus.APPROVED, OperationStatus.EXECUTING] } },
+                {
+                    status: { in: [OperationStatus.PENDING_MAKER, OperationStatus.PENDING_CHECKER] },
+                    OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+                }
+            ]
         }
     });
 };
 
+/**
+ * Find pending operations whose time-to-live has elapsed
+ */
+export const findExpiredPending = async (now = new Date(), limit = 100) => {
+    return await prisma.custodyOperation.findMany({
+        where: {
+            status: { in: [OperationStatus.PENDING_MAKER, OperationStatus.PENDING_CHECKER] },
+            expiresAt: { lte: now }
+        },
+        orderBy: { expiresAt: 'asc' },
+        take: limit
+    });
+};
+
 export default {
     createOperation,
     findById,
     updateStatus,
+    transitionStatus,
+    findByFireblocksTaskId,
+    createApproval,
+    findApprovals,
     listOperations,
-    findPendingByCustodyRecord
+    findPendingByCustodyRecord,
+    findExpiredPending
 };
@@ -2,14 +2,24 @@ import * as operationRepository from './operation.repository.js';
 import * as custodyRepository from '../custody/custody.repository.js';
 import * as auditService from '../audit/audit.service.js';
 import * as custodyService from '../custody/custody.service.js';
-import * as fireblocksService from '../vault/fireblocks.service.js';
+import * as fireblocksVaultService from '../fireblocks/vault.service.js';
+import * as fireblocksTransactionService from '../fireblocks/transaction.service.js';
 import * as mintService from '../token-lifecycle/mint.service.js';
+import * as burnService from '../token-lifecycle/burn.service.js';
+import * as withdrawService from '../token-lifecycle/withdraw.service.js';
 import * as assetService from '../asset-linking/asset.service.js';
 import * as assetRepository from '../asset-linking/asset.repository.js';
+import * as tenantPolicyService from '../tenant/tenantPolicy.service.js';
+import * as approvalPolicyService from './approvalPolicy.service.js';
+import * as cashService from '../cash/cash.service.js';
+import { FailureClass, classifyFailure } from './operationFailure.js';
+import * as jobQueue from '../jobs/job.queue.js';
 import { OperationStatus, canTransitionTo } from '../../enums/operationStatus.js';
 import { OperationType } from '../../enums/operationType.js';
 import { CustodyStatus } from '../../enums/custodyStatus.js';
-import { BadRequestError, ForbiddenError, NotFoundError } from '../../errors/ApiError.js';
+import { parseTokenSupply } from '../ledger/ownership.math.js';
+import { BadRequestError, NotFoundError, ConflictError, ForbiddenError } from '../../errors/ApiError.js';
+import { config } from '../../config/env.js';
 import logger from '../../utils/logger.js';
 import prisma from '../../config/db.js';
 
@@ -18,11 +28,86 @@ import prisma from '../../config/db.js';
  * Manages operation lifecycle, maker-checker logic, and execution
  */
 
+/**
+ * Time-to-live for an operation type (per-type override, else the default)
+ */
+export const getOperationTtlSeconds = (operationType) => {
+    return config.operations.ttlSecondsByType[operationType] || config.operations.ttlSeconds;
+};
+
+const computeExpiresAt = (operationType) => {
+    return new Date(Date.now() + getOperationTtlSeconds(operationType) * 1000);
+};
+
+/**
+ * Resolve the approval quorum for a new operation
+ * The asset value is the payload's estimatedValue, else the linked asset's valuation
+ */
+const resolveApprovalRequirement = async ({ operationType, custodyRecord, payload }) => {
+    let assetValue = payload?.estimatedValue ?? null;
+    if (assetValue === null && custodyRecord?.id) {
+        const metadata = await assetRepository.findByCustodyRecordId(custodyRecord.id);
+        assetValue = metadata?.estimatedValue ?? null;
+    }
+
+    return await approvalPolicyService.resolveRequirement({
+        tenantId: custodyRecord?.tenantId,
+        operationType,
+        assetValue
+    });
+};
+
+/**
+ * Return the held amount of a cash withdrawal that will not be paid out (no-op for other types)
+ * @returns {Promise<Object|null>} RELEASE journal entry, or null
+ */
+const releaseCashHold = async (operation, reason, client) => {
+    if (operation.operationType !== OperationType.CASH_WITHDRAWAL) return null;
+    return await cashService.releaseWithdrawal(operation, reason, client);
+};
+
+/**
+ * Audit a released cash withdrawal hold (once its transaction committed)
+ */
+const logCashRelease = async (operation, release, reason, context = {}) => {
+    if (!release) return;
+    await cashService.logWithdrawalEvent('CASH_WITHDRAWAL_RELEASED', operation, {
+        entryId: release.id,
+        reason,
+        action: 'Held withdrawal amount returned to the user\'s cash'
+    }, context);
+};
+
+/**
+ * Summarize quorum progress for API responses
+ */
+export const getApprovalProgress = (operation) => {
+    const approvals = operation.approvals || [];
+    const required = operation.requiredApprovals ?? 1;
+
+    return {
+        required,
+        received: approvals.length,
+        remaining: Math.max(required - approvals.length, 0),
+        quorumReached: approvals.length >= required,
+        approvals: approvals.map(approval => ({
+            approvedBy: approval.approvedBy,
+            approvedAt: approval.createdAt
+        }))
+    };
+};
+
 /**
  * Initiate a new operation (MAKER role)
  */
 export const initiateOperation = async (data, actor, context = {}) => {
-    const { custodyRecordId, operationType, payload } = data;
+    const { custodyRecordId, operationType } = data;
+    let { payload } = data;
+
+    // Cash withdrawals hold the user's funds when created (see initiateCashWithdrawalOperation)
+    if (operationType === OperationType.CASH_WITHDRAWAL) {
+        throw BadRequestError('Cash withdrawals are requested through POST /v1/cash/withdrawals');
+    }
 
     // Check if custody record exists
     const custodyRecord = await custodyService.getCustodyRecordById(custodyRecordId);
@@ -33,20 +118,41 @@ export const initiateOperation = async (data, actor, context = {}) => {
         throw BadRequestError(`Custody record ${custodyRecordId} already has pending operations`);
     }
 
+    if (operationType === OperationType.TRANSFER) {
+        fireblocksTransactionService.validateTransferPayload(payload);
+    } else if (operationType === OperationType.BURN) {
+        payload = await burnService.validateBurnRequest(custodyRecord, payload);
+    } else if (operationType === OperationType.WITHDRAW) {
+        payload = await withdrawService.validateWithdrawalRequest(custodyRecord, payload);
+    }
+
+    const approval = await resolveApprovalRequirement({ operationType, custodyRecord, payload });
+
     // Create operation in PENDING_CHECKER state
     const operation = await operationRepository.createOperation({
         operationType,
         custodyRecordId,
         payload,
         initiatedBy: actor,
-        status: OperationStatus.PENDING_CHECKER
+        status: OperationStatus.PENDING_CHECKER,
+        expiresAt: computeExpiresAt(operationType),
+        ...approval
     });
 
     // Log audit event
     await auditService.logEvent('OPERATION_CREATED', {
         operationId: operation.id,
         operationType,
-        initiatedBy: actor
+        initiatedBy: actor,
+        requiredApprovals: operation.requiredApprovals,
+        ...(operationType === OperationType.BURN && {
+            redemptionReason: payload.reason,
+            releaseRecipient: payload.recipient
+        }),
+        ...(operationType === OperationType.WITHDRAW && {
+            destinationAddress: payload.destinationAddress,
+            blockchain: payload.blockchain
+        })
     }, {
         custodyRecordId,
         operationId: operation.id,
@@ -78,6 +184,9 @@ export const initiateMintOperation = async (data, actor, context = {}) => {
         throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
     }
 
+    // Supply must be exact in the token's smallest unit
+    const supply = parseTokenSupply(totalSupply, decimals);
+
     // Find custody record by assetId
     const custodyRecord = await custodyRepository.findByAssetId(assetId);
     if (!custodyRecord) {
@@ -95,6 +204,8 @@ export const initiateMintOperation = async (data, actor, context = {}) => {
         throw BadRequestError(`Asset ${assetId} already has pending operations`);
     }
 
+    const approval = await resolveApprovalRequirement({ operationType: OperationType.MINT, custodyRecord });
+
     // Create operation in PENDING_CHECKER state
     const operation = await operationRepository.createOperation({
         operationType: OperationType.MINT,
@@ -104,12 +215,14 @@ export const initiateMintOperation = async (data, actor, context = {}) => {
             assetId,
             tokenSymbol,
             tokenName,
-            totalSupply,
-            decimals,
+            totalSupply: supply.totalSupply,
+            decimals: supply.decimals,
             blockchainId
         },
         initiatedBy: actor,
-        status: OperationStatus.PENDING_CHECKER
+        status: OperationStatus.PENDING_CHECKER,
+        expiresAt: computeExpiresAt(OperationType.MINT),
+        ...approval
     });
 
     // Log audit event
@@ -118,7 +231,8 @@ export const initiateMintOperation = async (data, actor, context = {}) => {
         operationType: OperationType.MINT,
         assetId,
         tokenSymbol,
-        initiatedBy: actor
+        initiatedBy: actor,
+        requiredApprovals: operation.requiredApprovals
     }, {
         custodyRecordId: custodyRecord.id,
         operationId: operation.id,
@@ -136,36 +250,154 @@ export const initiateMintOperation = async (data, actor, context = {}) => {
     return operation;
 };
 
+/**
+ * Initiate a cash withdrawal of an end user (MAKER role)
+ * The amount is held in the user's escrow with the operation, so it cannot be spent or
+ * withdrawn twice while checkers decide; approval policies compare their minAssetValue
+ * with the withdrawal amount
+ * @param {Object} data - { tenantId, payload: { userId, currency, amount, destination, reference } }
+ */
+export const initiateCashWithdrawalOperation = async (data, actor, context = {}) => {
+    const { tenantId } = data;
+    if (!tenantId) {
+        throw BadRequestError('Tenant ID is required');
+    }
+
+    const payload = cashService.validateWithdrawalRequest(data.payload);
+
+    const approval = await approvalPolicyService.resolveRequirement({
+        tenantId,
+        operationType: OperationType.CASH_WITHDRAWAL,
+        assetValue: payload.amount
+    });
+
+    // Create operation in PENDING_CHECKER state with its hold (the ledger rejects an overdraw)
+    const operation = await prisma.$transaction(async (tx) => {
+        const created = await operationRepository.createOperation({
+            operationType: OperationType.CASH_WITHDRAWAL,
+            tenantId,
+            payload,
+            initiatedBy: actor,
+            status: OperationStatus.PENDING_CHECKER,
+            expiresAt: computeExpiresAt(OperationType.CASH_WITHDRAWAL),
+            ...approval
+        }, tx);
+
+        await cashService.holdWithdrawal(created, tx);
+        return created;
+    });
+
+    // Log audit event
+    await auditService.logEvent('OPERATION_CREATED', {
+        operationId: operation.id,
+        operationType: OperationType.CASH_WITHDRAWAL,
+        initiatedBy: actor,
+        requiredApprovals: operation.requiredApprovals,
+        userId: payload.userId,
+        currency: payload.currency,
+        amount: payload.amount,
+        destination: payload.destination
+    }, {
+        operationId: operation.id,
+        actor,
+        ...context
+    });
+
+    logger.info('Cash withdrawal initiated', {
+        operationId: operation.id,
+        userId: payload.userId,
+        currency: payload.currency,
+        initiatedBy: actor
+    });
+
+    return operation;
+};
+
 /**
  * Approve an operation (CHECKER role)
+ * Each approval is recorded individually; once the quorum is reached the operation moves
+ * to EXECUTING and its execution is queued
  */
-export const approveOperation = async (operationId, actor, context = {}, skipMakerCheckerValidation = false) => {
+export const approveOperation = async (operationId, actor, context = {}) => {
     const operation = await operationRepository.findById(operationId);
     if (!operation) {
         throw NotFoundError(`Operation ${operationId} not found`);
     }
 
-    // Basic Maker-Checker segregation (skip for dashboard operations)
-    if (!skipMakerCheckerValidation && operation.initiatedBy === actor) {
-        throw ForbiddenError('Maker cannot approve their own operation');
-    }
+    // Maker-Checker segregation (bypass only via an audited tenant policy)
+    await tenantPolicyService.enforceSegregationOfDuties({
+        maker: operation.initiatedBy,
+        checker: actor,
+        tenantId: operation.custodyRecord?.tenantId ?? operation.tenantId,
+        message: 'Maker cannot approve their own operation'
+    }, { custodyRecordId: operation.custodyRecordId, operationId, ...context });
+
+    await ensureNotExpired(operation, context);
 
-    // Check state transition
+    // Only operations awaiting checkers collect approvals
     if (!canTransitionTo(operation.status, OperationStatus.APPROVED)) {
         throw BadRequestError(`Cannot approve operation in status ${operation.status}`);
     }
 
-    // Update status to APPROVED
-    const updated = await operationRepository.updateStatus(operationId, OperationStatus.APPROVED, {
-        approvedBy: actor
-    });
+    if (operation.approvals.some(approval => approval.approvedBy === actor)) {
+        throw ConflictError('You have already approved this operation');
+    }
+
+    try {
+        await operationRepository.createApproval({
+            operationId,
+            approvedBy: actor,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+        });
+    } catch (error) {
+        // Concurrent duplicate approval by the same actor
+        if (error.code === 'P2002') {
+            throw ConflictError('You have already approved this operation');
+        }
+        throw error;
+    }
+
+    const approvals = await operationRepository.findApprovals(operationId);
+    const progress = getApprovalProgress({ ...operation, approvals });
 
     // Log audit event with checker identity
+    await auditService.logEvent('OPERATION_APPROVAL_RECORDED', {
+        operationId,
+        approvedBy: actor,
+        checkerIdentity: actor,
+        approvalsReceived: progress.received,
+        approvalsRequired: progress.required
+    }, {
+        custodyRecordId: operation.custodyRecordId,
+        operationId,
+        actor,
+        ...context
+    });
+
+    if (!progress.quorumReached) {
+        logger.info('Operation approval recorded, awaiting quorum', {
+            operationId,
+            approvedBy: actor,
+            received: progress.received,
+            required: progress.required
+        });
+        return { ...operation, approvals, approvalProgress: progress };
+    }
+
+    // Quorum reached: only one request may queue the execution
+    const queued = await queueExecution(operationId, actor);
+    if (!queued) {
+        return await getOperationDetails(operationId);
+    }
+
     await auditService.logEvent('OPERATION_APPROVED', {
         operationId,
         approvedBy: actor,
         checkerIdentity: actor,
-        action: 'Operation approved by checker'
+        approvers: progress.approvals.map(approval => approval.approvedBy),
+        action: progress.required > 1 ? 'Approval quorum reached' : 'Operation approved by checker',
+        executionQueued: true
     }, {
         custodyRecordId: operation.custodyRecordId,
         operationId,
@@ -173,10 +405,10 @@ export const approveOperation = async (operationId, actor, context = {}, skipMak
         ...context
     });
 
-    logger.info('Operation approved', { operationId, approvedBy: actor });
+    logger.info('Operation approved, execution queued', { operationId, approvedBy: actor, approvals: progress.received });
 
-    // For Sprint 4 (Mocking), we auto-execute approved operations
-    return await executeOperation(operationId, actor, context);
+    // Executed asynchronously by the job worker (see operationExecution.job.js)
+    return await getOperationDetails(operationId);
 };
 
 /**
@@ -188,14 +420,25 @@ export const rejectOperation = async (operationId, actor, reason, context = {})
         throw NotFoundError(`Operation ${operationId} not found`);
     }
 
+    await ensureNotExpired(operation, context);
+
     if (!canTransitionTo(operation.status, OperationStatus.REJECTED)) {
-        throw new BadRequestError(`Cannot reject operation in status ${operation.status}`);
+        throw BadRequestError(`Cannot reject operation in status ${operation.status}`);
     }
 
-    const updated = await operationRepository.updateStatus(operationId, OperationStatus.REJECTED, {
-        rejectedBy: actor,
-        rejectionReason: reason
+    // Only from PENDING_CHECKER, so a reject racing the approval that queues execution cannot also release a paid hold
+    let release = null;
+    const rejected = await prisma.$transaction(async (tx) => {
+        const moved = await operationRepository.transitionStatus(operationId, OperationStatus.PENDING_CHECKER, OperationStatus.REJECTED, {
+            rejectedBy: actor,
+            rejectionReason: reason
+        }, tx);
+        if (moved) release = await releaseCashHold(operation, OperationStatus.REJECTED, tx);
+        return moved;
     });
+    if (!rejected) {
+        throw ConflictError('Operation changed status while rejecting; reload and retry');
+    }
 
     // Log audit event
     await auditService.logEvent('OPERATION_REJECTED', {
@@ -209,9 +452,272 @@ export const rejectOperation = async (operationId, actor, reason, context = {})
         ...context
     });
 
+    await logCashRelease(operation, release, OperationStatus.REJECTED, { actor, ...context });
+
     logger.info('Operation rejected', { operationId, rejectedBy: actor });
 
-    return updated;
+    return await operationRepository.findById(operationId);
+};
+
+/**
+ * Cancel an operation (the initiating MAKER only, before approval)
+ */
+export const cancelOperation = async (operationId, actor, reason, context = {}) => {
+    const operation = await operationRepository.findById(operationId);
+    if (!operation) {
+        throw NotFoundError(`Operation ${operationId} not found`);
+    }
+
+    if (operation.initiatedBy !== actor) {
+        throw ForbiddenError('Only the maker who initiated an operation can cancel it');
+    }
+
+    await ensureNotExpired(operation, context);
+
+    if (!canTransitionTo(operation.status, OperationStatus.CANCELLED)) {
+        throw BadRequestError(`Cannot cancel operation in status ${operation.status}`);
+    }
+
+    let release = null;
+    const cancelled = await prisma.$transaction(async (tx) => {
+        const moved = await operationRepository.transitionStatus(operationId, operation.status, OperationStatus.CANCELLED, {
+            cancelledBy: actor,
+            cancelledAt: new Date()
+        }, tx);
+        if (moved) release = await releaseCashHold(operation, OperationStatus.CANCELLED, tx);
+        return moved;
+    });
+    if (!cancelled) {
+        throw ConflictError('Operation changed status while cancelling; reload and retry');
+    }
+
+    await auditService.logEvent('OPERATION_CANCELLED', {
+        operationId,
+        cancelledBy: actor,
+        reason: reason || null
+    }, {
+        custodyRecordId: operation.custodyRecordId,
+        operationId,
+        actor,
+        ...context
+    });
+
+    await logCashRelease(operation, release, OperationStatus.CANCELLED, { actor, ...context });
+
+    logger.info('Operation cancelled', { operationId, cancelledBy: actor });
+
+    return await getOperationDetails(operationId);
+};
+
+/**
+ * Retry a FAILED operation (the initiating MAKER only)
+ * Creates a linked child operation. Approvals carry over when the operation's approval policy
+ * allows it (or, without a policy, when OPERATION_RETRY_CARRIES_APPROVAL is on); the child's
+ * execution is then queued immediately, otherwise it waits for checkers like any new operation.
+ */
+export const retryOperation = async (operationId, actor, context = {}) => {
+    const operation = await operationRepository.findById(operationId);
+    if (!operation) {
+        throw NotFoundError(`Operation ${operationId} not found`);
+    }
+
+    if (operation.initiatedBy !== actor) {
+        throw ForbiddenError('Only the maker who initiated an operation can retry it');
+    }
+
+    if (operation.status !== OperationStatus.FAILED) {
+        throw BadRequestError(`Only FAILED operations can be retried. Current status: ${operation.status}`);
+    }
+
+    // The hold of a failed withdrawal was released; the user's cash may have moved since
+    if (operation.operationType === OperationType.CASH_WITHDRAWAL) {
+        throw BadRequestError('Failed cash withdrawals cannot be retried; request a new withdrawal');
+    }
+
+    if (operation.retry) {
+        throw ConflictError(`Operation ${operationId} was already retried as ${operation.retry.id}`);
+    }
+
+    const failureClass = classifyFailure(operation.failureReason);
+    if (failureClass === FailureClass.PERMANENT) {
+        throw BadRequestError(`Failure is permanent and cannot be retried (${operation.failureReason || 'no reason recorded'}); initiate a new operation`);
+    }
+
+    if (operation.attempt >= config.operations.maxAttempts) {
+        throw BadRequestError(`Retry limit reached (${config.operations.maxAttempts} attempts)`);
+    }
+
+    if (operation.custodyRecordId) {
+        const pending = await operationRepository.findPendingByCustodyRecord(operation.custodyRecordId);
+        if (pending.length > 0) {
+            throw BadRequestError(`Custody record ${operation.custodyRecordId} already has pending operations`);
+        }
+    }
+
+    let retry;
+    try {
+        retry = await operationRepository.createOperation({
+            operationType: operation.operationType,
+            custodyRecordId: operation.custodyRecordId,
+            vaultWalletId: operation.vaultWalletId,
+            payload: operation.payload,
+            initiatedBy: operation.initiatedBy,
+            status: OperationStatus.PENDING_CHECKER,
+            requiredApprovals: operation.requiredApprovals,
+            approvalPolicyId: operation.approvalPolicyId,
+            expiresAt: computeExpiresAt(operation.operationType),
+            parentOperationId: operation.id,
+            attempt: operation.attempt + 1
+        });
+    } catch (error) {
+        // Concurrent retry of the same operation
+        if (error.code === 'P2002') {
+            throw ConflictError(`Operation ${operationId} was already retried`);
+        }
+        throw error;
+    }
+
+    const carryOver = (operation.approvalPolicy
+        ? operation.approvalPolicy.carryOverOnRetry
+        : config.operations.retryCarriesApproval) && operation.approvals.length > 0;
+
+    if (carryOver) {
+        for (const approval of operation.approvals) {
+            await operationRepository.createApproval({
+                operationId: retry.id,
+                approvedBy: approval.approvedBy,
+                carriedOverFrom: approval.id
+            });
+        }
+    }
+
+    await auditService.logEvent('OPERATION_RETRIED', {
+        operationId,
+        retryOperationId: retry.id,
+        failureReason: operation.failureReason,
+        failureClass,
+        attempt: retry.attempt,
+        approvalCarriedOver: carryOver
+    }, {
+        custodyRecordId: operation.custodyRecordId,
+        operationId,
+        actor,
+        ...context
+    });
+
+    await auditService.logEvent('OPERATION_CREATED', {
+        operationId: retry.id,
+        operationType: retry.operationType,
+        initiatedBy: retry.initiatedBy,
+        parentOperationId: operationId,
+        attempt: retry.attempt,
+        requiredApprovals: retry.requiredApprovals
+    }, {
+        custodyRecordId: retry.custodyRecordId,
+        operationId: retry.id,
+        actor,
+        ...context
+    });
+
+    logger.info('Operation retry created', {
+        operationId,
+        retryOperationId: retry.id,
+        attempt: retry.attempt,
+        approvalCarriedOver: carryOver
+    });
+
+    if (!carryOver || operation.approvals.length < retry.requiredApprovals) {
+        return await getOperationDetails(retry.id);
+    }
+
+    // Approvals carried over: the retry is approved and queued straight away
+    const approvers = operation.approvals.map(approval => approval.approvedBy);
+    await queueExecution(retry.id, operation.approvedBy);
+
+    await auditService.logEvent('OPERATION_APPROVED', {
+        operationId: retry.id,
+        approvedBy: operation.approvedBy,
+        approvers,
+        carriedOverFrom: operationId,
+        action: 'Approval carried over from failed operation',
+        executionQueued: true
+    }, {
+        custodyRecordId: retry.custodyRecordId,
+        operationId: retry.id,
+        actor,
+        ...context
+    });
+
+    return await getOperationDetails(retry.id);
+};
+
+/**
+ * Move a pending operation to EXPIRED
+ * @returns {Promise<boolean>} False when the operation had already left its pending status
+ */
+export const expireOperation = async (operation, context = {}) => {
+    let release = null;
+    const expired = await prisma.$transaction(async (tx) => {
+        const moved = await operationRepository.transitionStatus(operation.id, operation.status, OperationStatus.EXPIRED, {
+            expiredAt: new Date()
+        }, tx);
+        if (moved) release = await releaseCashHold(operation, OperationStatus.EXPIRED, tx);
+        return moved;
+    });
+    if (!expired) return false;
+
+    await auditService.logEvent('OPERATION_EXPIRED', {
+        operationId: operation.id,
+        operationType: operation.operationType,
+        previousStatus: operation.status,
+        initiatedBy: operation.initiatedBy,
+        expiresAt: operation.expiresAt
+    }, {
+        custodyRecordId: operation.custodyRecordId,
+        operationId: operation.id,
+        actor: 'SYSTEM',
+        ...context
+    });
+
+    await logCashRelease(operation, release, OperationStatus.EXPIRED, context);
+
+    logger.info('Operation expired', { operationId: operation.id, expiresAt: operation.expiresAt });
+    return true;
+};
+
+/**
+ * Reject actions on an operation whose time-to-live has elapsed (expiring it on the spot)
+ */
+const ensureNotExpired = async (operation, context = {}) => {
+    if (!operation.expiresAt || new Date(operation.expiresAt) > new Date()) return;
+    if (canTransitionTo(operation.status, OperationStatus.EXPIRED)) {
+        await expireOperation(operation, context);
+        throw BadRequestError(`Operation ${operation.id} has expired`);
+    }
+};
+
+/**
+ * Expire every pending operation past its time-to-live (run by the expiry sweeper)
+ * @returns {Promise<number>} Number of operations expired
+ */
+export const expireStaleOperations = async (batchSize = 100) => {
+    let total = 0;
+
+    for (;;) {
+        const stale = await operationRepository.findExpiredPending(new Date(), batchSize);
+        if (stale.length === 0) break;
+
+        let expiredInBatch = 0;
+        for (const operation of stale) {
+            if (await expireOperation(operation)) expiredInBatch++;
+        }
+        total += expiredInBatch;
+
+        // Nothing changed (all lost to concurrent transitions) or last page
+        if (expiredInBatch === 0 || stale.length < batchSize) break;
+    }
+
+    return total;
 };
 
 /**
@@ -223,9 +729,6 @@ export const executeOperation = async (operationId, actor, context = {}) => {
     if (!operation) throw NotFoundError('Operation not found');
 
     try {
-        let fireblocksTaskId = null;
-        let txHash = null;
-
         // Perform real Fireblocks execution
         if (operation.operationType === OperationType.MINT) {
             // Get the custody record to get the assetId
@@ -292,21 +795,68 @@ export const executeOperation = async (operationId, actor, context = {}) => {
                 custodyRecordId: operation.custodyRecordId
             });
 
-            fireblocksTaskId = result.tokenLinkId;
+            // Stays EXECUTING until the mint monitor or webhook reports the tokenization final (see mint.service.js)
+            const updated = await operationRepository.updateStatus(operationId, OperationStatus.EXECUTING, {
+                fireblocksTaskId: result.tokenLinkId
+            });
+
+            logger.info('Mint submitted to Fireblocks, awaiting completion', {
+                operationId,
+                tokenLinkId: result.tokenLinkId
+            });
+
+            return updated;
         } else if (operation.operationType === OperationType.TRANSFER) {
-            const { fromVaultId, toVaultId, assetId, amount } = operation.payload;
-            fireblocksTaskId = await fireblocksService.transferTokens(
-                fromVaultId || operation.vaultWalletId,
-                toVaultId,
-                assetId,
-                amount
-            );
+            // Stays EXECUTING until the transaction is final (see transaction.service.js)
+            const transaction = await fireblocksTransactionService.submitOperationTransfer(operation);
+
+            const updated = await operationRepository.updateStatus(operationId, OperationStatus.EXECUTING, {
+                fireblocksTaskId: transaction.fireblocksTxId
+            });
+
+            logger.info('Transfer submitted to Fireblocks, awaiting confirmation', {
+                operationId,
+                transactionId: transaction.id,
+                fireblocksTxId: transaction.fireblocksTxId
+            });
+
+            return updated;
+        } else if (operation.operationType === OperationType.BURN) {
+            // Stays EXECUTING until the burn transaction is final (see burn.service.js)
+            const transaction = await burnService.executeBurn(operation, context);
+
+            const updated = await operationRepository.updateStatus(operationId, OperationStatus.EXECUTING, {
+                fireblocksTaskId: transaction.fireblocksTxId
+            });
+
+            logger.info('Burn submitted to Fireblocks, awaiting confirmation', {
+                operationId,
+                transactionId: transaction.id,
+                fireblocksTxId: transaction.fireblocksTxId
+            });
+
+            return updated;
+        } else if (operation.operationType === OperationType.WITHDRAW) {
+            // Stays EXECUTING until the withdrawal transfer is final (see withdraw.service.js)
+            const transaction = await withdrawService.executeWithdrawal(operation, context);
+
+            const updated = await operationRepository.updateStatus(operationId, OperationStatus.EXECUTING, {
+                fireblocksTaskId: transaction.fireblocksTxId
+            });
+
+            logger.info('Withdrawal submitted to Fireblocks, awaiting confirmation', {
+                operationId,
+                transactionId: transaction.id,
+                fireblocksTxId: transaction.fireblocksTxId
+            });
+
+            return updated;
         } else if (operation.operationType === OperationType.LINK_ASSET) {
             const { assetId, ...metadata } = operation.payload;
 
             // Create a new vault for this specific asset during asset link approval
             const vaultName = `${assetId.replace(/[^a-zA-Z0-9]/g, '_')}_VAULT_${Date.now()}`;
-            const vaultResult = await fireblocksService.createUserVault(vaultName, operation.custodyRecordId);
+            const vaultResult = await fireblocksVaultService.createUserVault(vaultName, operation.custodyRecordId);
             const fireblocksVaultId = vaultResult.vaultId;
 
             // Create a VaultWallet record in the database to track this vault
@@ -341,33 +891,158 @@ export const executeOperation = async (operationId, actor, context = {}) => {
             return await operationRepository.updateStatus(operationId, OperationStatus.EXECUTED, {
                 executedAt: new Date()
             });
+        } else if (operation.operationType === OperationType.CASH_WITHDRAWAL) {
+            // Paid out from the user's escrow together with the status change (no on-chain task)
+            const executed = await prisma.$transaction(async (tx) => {
+                const moved = await operationRepository.transitionStatus(
+                    operationId,
+                    OperationStatus.EXECUTING,
+                    OperationStatus.EXECUTED,
+                    { executedAt: new Date() },
+                    tx
+                );
+                if (!moved) return null;
+
+                return await cashService.payOutWithdrawal(operation, tx);
+            });
+
+            if (executed) {
+                await cashService.logWithdrawalEvent('CASH_WITHDRAWAL_PAID', operation, {
+                    entryId: executed.id,
+                    approvedBy: operation.approvedBy,
+                    action: 'Cash withdrawal paid out'
+                }, context);
+                logger.info('Cash withdrawal paid out', { operationId, userId: operation.payload.userId });
+            }
+
+            return await operationRepository.findById(operationId);
         }
 
-        // Update status to EXECUTED (or SUBMITTED/PENDING if we want to monitor)
-        // For now, we'll mark as EXECUTED once the task is created, but in production,
-        // we should wait for COMPLETED via webhook or polling.
+        // Nothing to submit on-chain (e.g. UPDATE_VAULT): executed once approved
         const updated = await operationRepository.updateStatus(operationId, OperationStatus.EXECUTED, {
-            fireblocksTaskId,
             executedAt: new Date()
         });
 
-        // Log audit event
-        await auditService.logOperationExecuted(operationId, 'PENDING_ON_CHAIN', context);
-
-        logger.info('Operation submitted to Fireblocks', { operationId, fireblocksTaskId });
+        await auditService.logOperationExecuted(operationId, null, context);
 
         return updated;
     } catch (error) {
+        // The execution job decides whether to retry or record the failure (failOperation)
         logger.error('Fireblocks execution failed', { operationId, error: error.message });
-        const errorMessage = error.message.includes('ENOENT') ? 'Fireblocks Secret Key Missing' : error.message;
-        await auditService.logOperationFailed(operationId, { message: errorMessage }, context);
-        await operationRepository.updateStatus(operationId, OperationStatus.FAILED, {
-            failureReason: errorMessage
-        });
         throw error;
     }
 };
 
+/**
+ * Failure reason recorded for an execution error
+ */
+export const getFailureReason = (error) => {
+    const message = error?.message || String(error);
+    return message.includes('ENOENT') ? 'Fireblocks Secret Key Missing' : message;
+};
+
+/**
+ * Record a failed execution (EXECUTING → FAILED + audit event)
+ * A cash withdrawal's hold is released in the same transaction, only when the status moved.
+ * @returns {Promise<boolean>} False when the operation had already left EXECUTING (nothing changed)
+ */
+export const failOperation = async (operationId, error, context = {}) => {
+    const failureReason = getFailureReason(error);
+
+    const operation = await operationRepository.findById(operationId);
+    if (!operation) throw NotFoundError('Operation not found');
+
+    let release = null;
+    const failed = await prisma.$transaction(async (tx) => {
+        const moved = await operationRepository.transitionStatus(operationId, OperationStatus.EXECUTING, OperationStatus.FAILED, {
+            failureReason
+        }, tx);
+        if (moved) release = await releaseCashHold(operation, OperationStatus.FAILED, tx);
+        return moved;
+    });
+    if (!failed) {
+        logger.info('Operation already left EXECUTING, failure not recorded', { operationId, failureReason });
+        return false;
+    }
+
+    await auditService.logOperationFailed(operationId, { message: failureReason }, context);
+    await logCashRelease(operation, release, OperationStatus.FAILED, context);
+    return true;
+};
+
+/**
+ * Record the on-chain outcome Fireblocks reported for a submitted operation
+ * Mints, transfers, burns and withdrawals stay EXECUTING until Fireblocks reports them final.
+ * A confirmation stores the txHash (EXECUTING → EXECUTED), a confirmed burn or withdrawal also moves
+ * the custody record to BURNED or WITHDRAWN; a failure moves the operation to FAILED.
+ * @param {object} operation - Operation row
+ * @param {object} result - { succeeded, txHash, failureReason }
+ * @returns {Promise<boolean>} False when the operation was no longer EXECUTING (nothing changed)
+ */
+export const recordOnChainResult = async (operation, { succeeded, txHash, failureReason }, context = {}) => {
+    if (operation.status !== OperationStatus.EXECUTING) return false;
+
+    const auditContext = {
+        ...context,
+        operationId: operation.id,
+        custodyRecordId: operation.custodyRecordId
+    };
+
+    if (succeeded) {
+        if (operation.operationType === OperationType.BURN) {
+            await burnService.completeBurn(operation, { txHash: txHash || operation.txHash });
+        } else if (operation.operationType === OperationType.WITHDRAW) {
+            await withdrawService.completeWithdrawal(operation, { txHash: txHash || operation.txHash });
+        }
+
+        const executed = await operationRepository.transitionStatus(
+            operation.id,
+            OperationStatus.EXECUTING,
+            OperationStatus.EXECUTED,
+            { txHash: txHash || operation.txHash, executedAt: new Date() }
+        );
+        if (executed) {
+            await auditService.logOperationExecuted(operation.id, txHash || operation.txHash, auditContext);
+        }
+        return executed;
+    }
+
+    const failed = await operationRepository.transitionStatus(
+        operation.id,
+        OperationStatus.EXECUTING,
+        OperationStatus.FAILED,
+        { failureReason, ...(txHash && { txHash }) }
+    );
+    if (failed) {
+        await auditService.logOperationFailed(operation.id, { message: failureReason }, auditContext);
+        logger.warn('Operation failed on-chain after submission', { operationId: operation.id, failureReason });
+    }
+    return failed;
+};
+
+/**
+ * Mark an operation whose quorum was reached as EXECUTING and queue its execution
+ * Both writes share a transaction, so an operation is never EXECUTING without a job.
+ * @returns {Promise<boolean>} False when another request already moved the operation on
+ */
+const queueExecution = async (operationId, approvedBy) => {
+    return await prisma.$transaction(async (tx) => {
+        const claimed = await operationRepository.transitionStatus(
+            operationId,
+            OperationStatus.PENDING_CHECKER,
+            OperationStatus.EXECUTING,
+            { approvedBy },
+            tx
+        );
+        if (!claimed) return false;
+
+        await jobQueue.enqueue(jobQueue.JobType.EXECUTE_OPERATION, { operationId }, {
+            dedupeKey: `operation:${operationId}:execute`
+        }, tx);
+        return true;
+    });
+};
+
 
 /**
  * List operations
@@ -384,15 +1059,52 @@ export const getOperationDetails = async (id) => {
     if (!operation) {
         throw NotFoundError(`Operation ${id} not found`);
     }
-    return operation;
+    return {
+        ...operation,
+        approvalProgress: getApprovalProgress(operation),
+        ...(operation.status === OperationStatus.FAILED && {
+            failureClass: classifyFailure(operation.failureReason)
+        })
+    };
+};
+
+/**
+ * Get the mint monitor (Fireblocks polling state) of a MINT operation
+ */
+export const getOperationMonitor = async (id) => {
+    const operation = await operationRepository.findById(id);
+    if (!operation) {
+        throw NotFoundError(`Operation ${id} not found`);
+    }
+    if (operation.operationType !== OperationType.MINT) {
+        throw BadRequestError('Only MINT operations have a mint monitor');
+    }
+
+    const monitor = await mintService.getOperationMonitor(id);
+    if (!monitor) {
+        throw NotFoundError(`Operation ${id} has not started minting`);
+    }
+
+    return monitor;
 };
 
 export default {
     initiateOperation,
     initiateMintOperation,
+    initiateCashWithdrawalOperation,
     approveOperation,
     rejectOperation,
+    cancelOperation,
+    retryOperation,
+    expireOperation,
+    expireStaleOperations,
+    getOperationTtlSeconds,
     executeOperation,
+    getFailureReason,
+    failOperation,
+    recordOnChainResult,
+    getApprovalProgress,
     listOperations,
-    getOperationDetails
+    getOperationDetails,
+    getOperationMonitor
 };
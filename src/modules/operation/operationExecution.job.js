@@ -0,0 +1,53 @@
+import * as operationRepository from './operation.repository.js';
+import * as operationService from './operation.service.js';
+import { registerHandler, JobType } from '../jobs/job.queue.js';
+import { isRetryableFailure } from './operationFailure.js';
+import { OperationStatus } from '../../enums/operationStatus.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Operation Execution Job
+ * Runs queued executions of approved operations (EXECUTING → EXECUTED / FAILED)
+ *
+ * Transient failures (see operationFailure.js) are retried by the queue with backoff;
+ * permanent failures and exhausted retries mark the operation FAILED.
+ */
+
+/**
+ * Execute one queued operation
+ * Operations that already left EXECUTING (e.g. a job resumed after a crash) are skipped
+ */
+export const handleExecuteOperation = async ({ operationId }, job) => {
+    const operation = await operationRepository.findById(operationId);
+    if (!operation) {
+        logger.warn('Queued operation not found, skipping', { operationId, jobId: job.id });
+        return;
+    }
+
+    if (operation.status !== OperationStatus.EXECUTING) {
+        logger.info('Queued operation already settled, skipping', { operationId, status: operation.status, jobId: job.id });
+        return;
+    }
+
+    await operationService.executeOperation(operationId, 'SYSTEM');
+};
+
+/**
+ * Register the handler with the job queue (call once at startup)
+ */
+export const registerOperationJobs = () => {
+    registerHandler(JobType.EXECUTE_OPERATION, handleExecuteOperation, {
+        isRetryable: (error) => isRetryableFailure(operationService.getFailureReason(error)),
+        onDeadLetter: async (job, error) => {
+            const operation = await operationRepository.findById(job.payload.operationId);
+            if (operation?.status === OperationStatus.EXECUTING) {
+                await operationService.failOperation(operation.id, error);
+            }
+        }
+    });
+};
+
+export default {
+    handleExecuteOperation,
+    registerOperationJobs
+};
@@ -0,0 +1,64 @@
+import * as operationService from './operation.service.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Operation Expiry Sweeper
+ * Periodically moves pending operations past their time-to-live to EXPIRED
+ *
+ * Safe to run on several instances: each expiry is a conditional status update,
+ * so an operation is only expired (and audited) once.
+ */
+
+let sweeper = null;
+let running = false;
+
+/**
+ * Run a single sweep (skipped if the previous one is still in progress)
+ */
+export const sweepOnce = async () => {
+    if (running) return 0;
+    running = true;
+
+    try {
+        const expired = await operationService.expireStaleOperations();
+        if (expired > 0) {
+            logger.info('Expired stale operations', { count: expired });
+        }
+        return expired;
+    } catch (error) {
+        logger.error('Operation expiry sweep failed', { error: error.message });
+        return 0;
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the sweeper
+ */
+export const startExpirySweeper = (intervalMs = config.operations.expirySweepIntervalMs) => {
+    if (sweeper) return;
+
+    sweeper = setInterval(sweepOnce, intervalMs);
+    // Don't keep the process alive just for the sweeper
+    sweeper.unref?.();
+
+    logger.info('Operation expiry sweeper started', { intervalMs });
+};
+
+/**
+ * Stop the sweeper
+ */
+export const stopExpirySweeper = () => {
+    if (!sweeper) return;
+
+    clearInterval(sweeper);
+    sweeper = null;
+};
+
+export default {
+    sweepOnce,
+    startExpirySweeper,
+    stopExpirySweeper
+};
@@ -0,0 +1,59 @@
+/**
+ * Operation Failure Classification
+ * Decides from a recorded failureReason whether a FAILED operation can be retried
+ *
+ * Retryable: transient infrastructure problems (timeouts, connection resets, rate limits,
+ * Fireblocks 5xx) and conditions an operator can fix without changing the request (gas).
+ * Anything else, including unrecognised reasons, is permanent and needs a new operation.
+ */
+
+export const FailureClass = Object.freeze({
+    RETRYABLE: 'RETRYABLE',
+    PERMANENT: 'PERMANENT'
+});
+
+// Checked first: configuration and request errors never succeed on retry
+const PERMANENT_PATTERNS = [
+    /secret key missing/i,
+    /not configured/i,
+    /not initialized/i,
+    /unauthori[sz]ed|forbidden|\b40[13]\b/i,
+    /invalid|malformed|missing required/i,
+    /not found|\b404\b/i,
+    /already (exists|minted|in progress)/i
+];
+
+const RETRYABLE_PATTERNS = [
+    /time(d)?\s?out|ETIMEDOUT|ESOCKETTIMEDOUT/i,
+    /ECONNRESET|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|socket hang up|network/i,
+    /rate limit|too many requests|\b429\b/i,
+    /\b50[0234]\b|service unavailable|bad gateway|temporarily unavailable/i,
+    /\bgas\b/i
+];
+
+/**
+ * Classify a failure reason
+ * @param {string|null} failureReason
+ * @returns {string} FailureClass value
+ */
+export const classifyFailure = (failureReason) => {
+    if (!failureReason) return FailureClass.PERMANENT;
+
+    if (PERMANENT_PATTERNS.some(pattern => pattern.test(failureReason))) {
+        return FailureClass.PERMANENT;
+    }
+
+    return RETRYABLE_PATTERNS.some(pattern => pattern.test(failureReason))
+        ? FailureClass.RETRYABLE
+        : FailureClass.PERMANENT;
+};
+
+export const isRetryableFailure = (failureReason) => {
+    return classifyFailure(failureReason) === FailureClass.RETRYABLE;
+};
+
+export default {
+    FailureClass,
+    classifyFailure,
+    isRetryableFailure
+};
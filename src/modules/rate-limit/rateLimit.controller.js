@@ -0,0 +1,106 @@
+import * as rateLimitService from './rateLimit.service.js';
+import { BadRequestError } from '../../errors/ApiError.js';
+import { ValidationError } from '../../errors/ValidationError.js';
+
+/**
+ * Rate Limit Controllers
+ * Admin endpoints for plans, overrides and current usage
+ */
+
+/**
+ * Validate a { plan, rateLimits } body
+ */
+const parseLimitsBody = (body = {}) => {
+    const { plan, rateLimits } = body;
+
+    if (plan !== undefined && plan !== null && !rateLimitService.isValidPlan(plan)) {
+        throw new ValidationError('Invalid plan', [
+            { field: 'plan', message: `Must be one of: ${Object.keys(rateLimitService.RATE_LIMIT_PLANS).join(', ')}` }
+        ]);
+    }
+
+    rateLimitService.validateLimitOverrides(rateLimits);
+
+    if (plan === undefined && rateLimits === undefined) {
+        throw BadRequestError('Provide plan and/or rateLimits');
+    }
+
+    return { plan, rateLimits };
+};
+
+/**
+ * List available plans
+ * GET /v1/admin/rate-limits/plans
+ */
+export const listPlans = async (req, res, next) => {
+    try {
+        res.json({ plans: rateLimitService.RATE_LIMIT_PLANS });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get current usage for an API key or a tenant
+ * GET /v1/admin/rate-limits/usage?apiKeyId=... | ?tenantId=...
+ */
+export const getUsage = async (req, res, next) => {
+    try {
+        const { apiKeyId, tenantId } = req.query;
+
+        if (!apiKeyId && !tenantId) {
+            throw BadRequestError('apiKeyId or tenantId query parameter is required');
+        }
+
+        const usage = await rateLimitService.getUsage({ apiKeyId, tenantId });
+        res.json(usage);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set plan / limit overrides for an API key
+ * PUT /v1/admin/api-keys/:id/rate-limits
+ */
+export const setApiKeyLimits = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const limits = parseLimitsBody(req.body);
+
+        const apiKey = await rateLimitService.setApiKeyLimits(id, limits);
+        res.json({
+            id: apiKey.id,
+            rateLimitPlan: apiKey.rateLimitPlan,
+            rateLimits: apiKey.rateLimits
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set plan / limit overrides for a tenant
+ * PUT /v1/admin/tenants/:tenantId/rate-limits
+ */
+export const setTenantPlan = async (req, res, next) => {
+    try {
+        const { tenantId } = req.params;
+        const { plan, rateLimits } = parseLimitsBody(req.body);
+
+        const tenantPlan = await rateLimitService.setTenantPlan(tenantId, {
+            plan: plan ?? undefined,
+            rateLimits
+        });
+        res.json(tenantPlan);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    listPlans,
+    getUsage,
+    setApiKeyLimits,
+    setTenantPlan
+};
@@ -0,0 +1,102 @@
+import { resolveLimits, consume, RateLimitBucket } from './rateLimit.service.js';
+import { TooManyRequestsError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Rate Limit Middleware
+ * Enforces per-API-key and per-tenant limits on HMAC-authenticated requests
+ */
+
+/**
+ * Set standard RateLimit-* headers from the most constrained bucket
+ */
+const setRateLimitHeaders = (res, buckets) => {
+    if (buckets.length === 0) return;
+
+    const now = Date.now();
+    const tightest = buckets.reduce((current, bucket) => {
+        if (bucket.remaining !== current.remaining) {
+            return bucket.remaining < current.remaining ? bucket : current;
+        }
+        return bucket.resetAt < current.resetAt ? bucket : current;
+    });
+
+    res.set({
+        'RateLimit-Policy': buckets.map(bucket => `${bucket.limit};w=${Math.round(bucket.windowMs / 1000)}`).join(', '),
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(Math.max(0, Math.ceil((tightest.resetAt - now) / 1000)))
+    });
+};
+
+/**
+ * Count the request against a bucket and reject it when any limit is exceeded
+ */
+const enforce = async (req, res, bucket) => {
+    const buckets = await consume(
+        { apiKeyId: req.auth.apiKeyId, tenantId: req.auth.tenantId },
+        req.rateLimits,
+        bucket
+    );
+
+    // Headers reflect every bucket this request was counted against
+    req.rateLimitState = [...(req.rateLimitState || []), ...buckets];
+    setRateLimitHeaders(res, req.rateLimitState);
+
+    const exceeded = buckets.filter(state => state.exceeded);
+    if (exceeded.length > 0) {
+        // The request can only be retried once the last exceeded window resets
+        const resetAt = Math.max(...exceeded.map(state => state.resetAt));
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+        logger.warn('Rate limit exceeded', {
+            apiKeyId: req.auth.apiKeyId,
+            tenantId: req.auth.tenantId,
+            limits: exceeded.map(state => `${state.scope}:${state.name}`)
+        });
+
+        res.set('Retry-After', String(retryAfter));
+        throw TooManyRequestsError('Rate limit exceeded', {
+            limits: exceeded.map(state => ({
+                scope: state.scope,
+                name: state.name,
+                limit: state.limit,
+                resetAt: new Date(state.resetAt).toISOString()
+            })),
+            retryAfter
+        });
+    }
+};
+
+/**
+ * Apply the general request limits and daily quota for an authenticated API key
+ * Called by authenticate() once the key is verified
+ * @param {object} apiKey - API key record
+ */
+export const rateLimitApiKey = async (req, res, apiKey) => {
+    req.rateLimits = await resolveLimits(apiKey);
+    await enforce(req, res, RateLimitBucket.REQUESTS);
+};
+
+/**
+ * Separate, tighter bucket for expensive routes (vault creation, minting)
+ * Must run after authenticate()
+ */
+export const expensiveRateLimit = async (req, res, next) => {
+    try {
+        if (!req.rateLimits) {
+            // Not an API key request (e.g. dashboard JWT); key limits do not apply
+            return next();
+        }
+
+        await enforce(req, res, RateLimitBucket.EXPENSIVE);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    rateLimitApiKey,
+    expensiveRateLimit
+};
@@ -0,0 +1,284 @@
+import * as tenantPlanRepository from './tenantPlan.repository.js';
+import * as apiKeyRepository from '../auth/apiKey.repository.js';
+import { getRateLimitStore } from './rateLimit.store.js';
+import { NotFoundError } from '../../errors/ApiError.js';
+import { ValidationError } from '../../errors/ValidationError.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Rate Limit Service
+ * Per-API-key and per-tenant request limits, expensive-route buckets and daily quotas
+ *
+ * Each plan defines limits for a single key and for the tenant as a whole:
+ *   requests  - requests per window (config.rateLimit.keyWindowMs)
+ *   expensive - requests per window to expensive routes (vault creation, minting)
+ *   daily     - requests per UTC day
+ * A null limit means unlimited. Keys and tenants may override individual limits.
+ */
+
+export const RATE_LIMIT_PLANS = Object.freeze({
+    standard: {
+        key: { requests: 120, expensive: 10, daily: 20000 },
+        tenant: { requests: 600, expensive: 30, daily: 100000 }
+    },
+    pro: {
+        key: { requests: 600, expensive: 60, daily: 200000 },
+        tenant: { requests: 3000, expensive: 200, daily: 1000000 }
+    },
+    enterprise: {
+        key: { requests: 3000, expensive: 300, daily: 2000000 },
+        tenant: { requests: 15000, expensive: 1000, daily: 10000000 }
+    }
+});
+
+export const RateLimitBucket = Object.freeze({
+    REQUESTS: 'requests',
+    EXPENSIVE: 'expensive'
+});
+
+const LIMIT_FIELDS = ['requests', 'expensive', 'daily'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tenant plans are read on every authenticated request, so keep them briefly in memory
+const TENANT_PLAN_CACHE_MS = 60 * 1000;
+const tenantPlanCache = new Map();
+
+/**
+ * Check if a plan name exists
+ */
+export const isValidPlan = (plan) => Object.prototype.hasOwnProperty.call(RATE_LIMIT_PLANS, plan);
+
+const getPlanName = (plan) => {
+    if (plan && isValidPlan(plan)) return plan;
+    if (plan) {
+        logger.warn('Unknown rate limit plan, falling back to default', { plan, defaultPlan: config.rateLimit.defaultPlan });
+    }
+    return isValidPlan(config.rateLimit.defaultPlan) ? config.rateLimit.defaultPlan : 'standard';
+};
+
+/**
+ * Keep only known limit fields from an override object
+ */
+const pickLimits = (overrides) => {
+    if (!overrides || typeof overrides !== 'object') return {};
+
+    return Object.fromEntries(
+        Object.entries(overrides).filter(([field]) => LIMIT_FIELDS.includes(field))
+    );
+};
+
+/**
+ * Validate limit overrides
+ * Values must be non-negative integers or null (unlimited)
+ */
+export const validateLimitOverrides = (overrides, field = 'rateLimits') => {
+    if (overrides === undefined || overrides === null) return overrides;
+
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new ValidationError('Invalid rate limits', [
+            { field, message: `Must be an object with any of: ${LIMIT_FIELDS.join(', ')}` }
+        ]);
+    }
+
+    const errors = [];
+    for (const [name, value] of Object.entries(overrides)) {
+        if (!LIMIT_FIELDS.includes(name)) {
+            errors.push({ field: `${field}.${name}`, message: `Unknown limit (allowed: ${LIMIT_FIELDS.join(', ')})` });
+        } else if (value !== null && (!Number.isInteger(value) || value < 0)) {
+            errors.push({ field: `${field}.${name}`, message: 'Must be a non-negative integer or null' });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid rate limits', errors);
+    }
+
+    return overrides;
+};
+
+/**
+ * Get a tenant's plan (cached)
+ */
+const getTenantPlan = async (tenantId) => {
+    const cached = tenantPlanCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const value = await tenantPlanRepository.findByTenantId(tenantId);
+    tenantPlanCache.set(tenantId, { value, expiresAt: Date.now() + TENANT_PLAN_CACHE_MS });
+    return value;
+};
+
+/**
+ * Resolve the limits that apply to an API key and its tenant
+ * Precedence: key overrides > key plan > tenant plan > default plan
+ * @param {object} apiKey - API key record (id, tenantId, rateLimitPlan, rateLimits)
+ */
+export const resolveLimits = async (apiKey) => {
+    const tenantPlan = apiKey.tenantId ? await getTenantPlan(apiKey.tenantId) : null;
+    const tenantPlanName = getPlanName(tenantPlan?.plan);
+    const keyPlanName = getPlanName(apiKey.rateLimitPlan || tenantPlan?.plan);
+
+    return {
+        plan: keyPlanName,
+        tenantPlan: apiKey.tenantId ? tenantPlanName : null,
+        key: { ...RATE_LIMIT_PLANS[keyPlanName].key, ...pickLimits(apiKey.rateLimits) },
+        tenant: apiKey.tenantId
+            ? { ...RATE_LIMIT_PLANS[tenantPlanName].tenant, ...pickLimits(tenantPlan?.rateLimits) }
+            : null
+    };
+};
+
+/**
+ * Describe the counters a request touches
+ * Windows are fixed and aligned to the epoch, so daily quotas reset at 00:00 UTC
+ */
+const describeBuckets = (scope, id, limits, bucket, now) => {
+    const windows = bucket === RateLimitBucket.EXPENSIVE
+        ? [{ name: 'expensive', limit: limits.expensive, windowMs: config.rateLimit.keyWindowMs }]
+        : [
+            { name: 'requests', limit: limits.requests, windowMs: config.rateLimit.keyWindowMs },
+            { name: 'daily', limit: limits.daily, windowMs: DAY_MS }
+        ];
+
+    return windows
+        .filter(window => window.limit !== null && window.limit !== undefined)
+        .map(window => {
+            const windowStart = Math.floor(now / window.windowMs) * window.windowMs;
+            return {
+                scope,
+                name: window.name,
+                limit: window.limit,
+                windowMs: window.windowMs,
+                resetAt: windowStart + window.windowMs,
+                storeKey: `ratelimit:${scope}:${id}:${window.name}:${windowStart}`
+            };
+        });
+};
+
+const collectBuckets = ({ apiKeyId, tenantId }, limits, bucket, now) => [
+    ...describeBuckets('key', apiKeyId, limits.key, bucket, now),
+    ...(tenantId && limits.tenant ? describeBuckets('tenant', tenantId, limits.tenant, bucket, now) : [])
+];
+
+/**
+ * Count a request against the key and tenant buckets
+ * @param {object} subject - { apiKeyId, tenantId }
+ * @param {object} limits - Output of resolveLimits()
+ * @param {string} bucket - RateLimitBucket value
+ * @returns {Promise<Array>} Bucket states ({ scope, name, limit, count, remaining, resetAt, exceeded })
+ */
+export const consume = async (subject, limits, bucket = RateLimitBucket.REQUESTS) => {
+    const now = Date.now();
+    const store = getRateLimitStore();
+    const buckets = collectBuckets(subject, limits, bucket, now);
+
+    return await Promise.all(buckets.map(async ({ storeKey, ...state }) => {
+        const count = await store.increment(storeKey, state.resetAt - now);
+        return {
+            ...state,
+            count,
+            remaining: Math.max(0, state.limit - count),
+            exceeded: count > state.limit
+        };
+    }));
+};
+
+/**
+ * Read current usage without counting a request
+ */
+const readUsage = async (subject, limits) => {
+    const now = Date.now();
+    const store = getRateLimitStore();
+    const buckets = [
+        ...collectBuckets(subject, limits, RateLimitBucket.REQUESTS, now),
+        ...collectBuckets(subject, limits, RateLimitBucket.EXPENSIVE, now)
+    ];
+
+    return await Promise.all(buckets.map(async ({ storeKey, ...state }) => {
+        const count = await store.get(storeKey);
+        return {
+            scope: state.scope,
+            name: state.name,
+            limit: state.limit,
+            used: count,
+            remaining: Math.max(0, state.limit - count),
+            resetAt: new Date(state.resetAt).toISOString()
+        };
+    }));
+};
+
+/**
+ * Get current usage for an API key (with its tenant) or for a tenant
+ * @param {object} filters - { apiKeyId } or { tenantId }
+ */
+export const getUsage = async ({ apiKeyId, tenantId }) => {
+    if (apiKeyId) {
+        const apiKey = await apiKeyRepository.findById(apiKeyId);
+        if (!apiKey) {
+            throw NotFoundError('API key not found');
+        }
+
+        const limits = await resolveLimits(apiKey);
+        return {
+            apiKeyId: apiKey.id,
+            tenantId: apiKey.tenantId,
+            plan: limits.plan,
+            tenantPlan: limits.tenantPlan,
+            limits: { key: limits.key, tenant: limits.tenant },
+            usage: await readUsage({ apiKeyId: apiKey.id, tenantId: apiKey.tenantId }, limits)
+        };
+    }
+
+    const tenantPlan = await getTenantPlan(tenantId);
+    const planName = getPlanName(tenantPlan?.plan);
+    const tenantLimits = { ...RATE_LIMIT_PLANS[planName].tenant, ...pickLimits(tenantPlan?.rateLimits) };
+    const usage = await readUsage({ tenantId }, { key: {}, tenant: tenantLimits });
+
+    return {
+        tenantId,
+        tenantPlan: planName,
+        limits: { tenant: tenantLimits },
+        usage: usage.filter(bucket => bucket.scope === 'tenant')
+    };
+};
+
+/**
+ * Set the plan and/or limit overrides for an API key
+ */
+export const setApiKeyLimits = async (apiKeyId, { plan, rateLimits }) => {
+    const apiKey = await apiKeyRepository.findById(apiKeyId);
+    if (!apiKey) {
+        throw NotFoundError('API key not found');
+    }
+
+    return await apiKeyRepository.updateApiKey(apiKeyId, {
+        rateLimitPlan: plan,
+        rateLimits
+    });
+};
+
+/**
+ * Set the plan and/or limit overrides for a tenant
+ */
+export const setTenantPlan = async (tenantId, { plan, rateLimits }) => {
+    const tenantPlan = await tenantPlanRepository.upsertTenantPlan(tenantId, { plan, rateLimits });
+    tenantPlanCache.delete(tenantId);
+
+    logger.info('Tenant rate limit plan updated', { tenantId, plan: tenantPlan.plan });
+    return tenantPlan;
+};
+
+export default {
+    RATE_LIMIT_PLANS,
+    RateLimitBucket,
+    isValidPlan,
+    validateLimitOverrides,
+    resolveLimits,
+    consume,
+    getUsage,
+    setApiKeyLimits,
+    setTenantPlan
+};
@@ -0,0 +1,77 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Rate Limit Counter Store
+ * Fixed-window counters shared by the per-key and per-tenant limiters (and MFA code attempts)
+ *
+ * A backend is any object implementing:
+ *   increment(key, ttlMs) -> Promise<number>   (creates the counter with a TTL, returns the new count)
+ *   get(key)              -> Promise<number>   (current count, 0 when missing or expired)
+ * Register a shared backend (e.g. Redis INCR + PEXPIRE) with setRateLimitStore()
+ * when running more than one instance so all instances enforce the same limits.
+ */
+
+/**
+ * In-memory counter store (single-instance default)
+ */
+export class MemoryRateLimitStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.counters = new Map();
+
+        // Periodically drop expired counters so the map does not grow unbounded
+        this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+        this.sweeper.unref?.();
+    }
+
+    async increment(key, ttlMs) {
+        const now = Date.now();
+        const entry = this.counters.get(key);
+
+        if (!entry || entry.expiresAt <= now) {
+            this.counters.set(key, { count: 1, expiresAt: now + ttlMs });
+            return 1;
+        }
+
+        entry.count += 1;
+        return entry.count;
+    }
+
+    async get(key) {
+        const entry = this.counters.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) return 0;
+        return entry.count;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.counters.entries()) {
+            if (entry.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+let rateLimitStore = new MemoryRateLimitStore();
+
+/**
+ * Replace the counter store backend
+ */
+export const setRateLimitStore = (store) => {
+    if (!store || typeof store.increment !== 'function' || typeof store.get !== 'function') {
+        throw new Error('Rate limit store must implement increment(key, ttlMs) and get(key)');
+    }
+    rateLimitStore = store;
+    logger.info('Rate limit store backend registered', { backend: store.constructor?.name });
+};
+
+/**
+ * Get the active counter store
+ */
+export const getRateLimitStore = () => rateLimitStore;
+
+export default {
+    MemoryRateLimitStore,
+    setRateLimitStore,
+    getRateLimitStore
+};
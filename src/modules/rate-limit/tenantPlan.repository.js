@@ -0,0 +1,40 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../../config/db.js';
+
+/**
+ * Tenant Plan Repository
+ * Database operations for tenant rate limit plans
+ */
+
+/**
+ * Find a tenant's plan
+ */
+export const findByTenantId = async (tenantId) => {
+    return await prisma.tenantPlan.findUnique({
+        where: { tenantId }
+    });
+};
+
+/**
+ * Create or update a tenant's plan
+ * @param {string} tenantId
+ * @param {object} data - { plan, rateLimits } (undefined fields are left unchanged)
+ */
+export const upsertTenantPlan = async (tenantId, data) => {
+    const { plan, rateLimits } = data;
+
+    const updateData = {};
+    if (plan !== undefined) updateData.plan = plan;
+    if (rateLimits !== undefined) updateData.rateLimits = rateLimits ?? Prisma.DbNull;
+
+    return await prisma.tenantPlan.upsert({
+        where: { tenantId },
+        create: { tenantId, ...updateData },
+        update: updateData
+    });
+};
+
+export default {
+    findByTenantId,
+    upsertTenantPlan
+};
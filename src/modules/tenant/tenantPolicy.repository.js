@@ -0,0 +1,31 @@
+import prisma from '../../config/db.js';
+
+/**
+ * Tenant Policy Repository
+ * Database operations for tenant governance policies
+ */
+
+/**
+ * Find a tenant's policy
+ */
+export const findByTenantId = async (tenantId) => {
+    return await prisma.tenantPolicy.findUnique({
+        where: { tenantId }
+    });
+};
+
+/**
+ * Create or update a tenant's policy
+ */
+export const upsertPolicy = async (tenantId, { allowSelfApproval, reason, updatedBy }) => {
+    return await prisma.tenantPolicy.upsert({
+        where: { tenantId },
+        create: { tenantId, allowSelfApproval, reason, updatedBy },
+        update: { allowSelfApproval, reason, updatedBy }
+    });
+};
+
+export default {
+    findByTenantId,
+    upsertPolicy
+};
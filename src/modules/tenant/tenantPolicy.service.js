@@ -0,0 +1,99 @@
+import * as tenantPolicyRepository from './tenantPolicy.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import { BadRequestError, ForbiddenError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Tenant Policy Service
+ * Tenant-level governance settings, currently the maker-checker bypass
+ *
+ * Maker-checker segregation is always enforced unless the tenant has an explicit
+ * allowSelfApproval policy (set by an admin, with a reason). Every use of the
+ * bypass is written to the audit trail.
+ */
+
+/**
+ * Get a tenant's policy (defaults when none is stored)
+ */
+export const getPolicy = async (tenantId) => {
+    const policy = tenantId ? await tenantPolicyRepository.findByTenantId(tenantId) : null;
+
+    return {
+        tenantId,
+        allowSelfApproval: !!policy?.allowSelfApproval,
+        reason: policy?.reason || null,
+        updatedBy: policy?.updatedBy || null,
+        updatedAt: policy?.updatedAt || null
+    };
+};
+
+/**
+ * Update a tenant's policy
+ * Enabling self-approval requires a reason, which is kept on the policy and in the audit log
+ */
+export const setPolicy = async (tenantId, { allowSelfApproval, reason }, adminId, context = {}) => {
+    if (typeof allowSelfApproval !== 'boolean') {
+        throw BadRequestError('allowSelfApproval must be a boolean');
+    }
+    if (allowSelfApproval && (!reason || !String(reason).trim())) {
+        throw BadRequestError('A reason is required to allow self-approval');
+    }
+
+    const policy = await tenantPolicyRepository.upsertPolicy(tenantId, {
+        allowSelfApproval,
+        reason: allowSelfApproval ? String(reason).trim() : null,
+        updatedBy: adminId
+    });
+
+    await auditService.logEvent('TENANT_POLICY_UPDATED', {
+        tenantId,
+        allowSelfApproval,
+        reason: policy.reason
+    }, {
+        actor: adminId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.warn('Tenant maker-checker policy updated', { tenantId, allowSelfApproval, updatedBy: adminId });
+    return policy;
+};
+
+/**
+ * Enforce maker-checker segregation
+ * Throws unless maker and checker differ, or the tenant's policy allows self-approval (audited).
+ * Both are user identities (req.auth.actorId), not credentials: a user's API keys and dashboard
+ * session are the same actor.
+ * @param {object} params
+ * @param {string} params.maker - User who initiated
+ * @param {string} params.checker - User approving
+ * @param {string} params.tenantId - Tenant owning the record
+ * @param {string} params.message - Error message when segregation is violated
+ * @param {object} auditContext - { custodyRecordId, operationId, ipAddress, userAgent }
+ */
+export const enforceSegregationOfDuties = async ({ maker, checker, tenantId, message }, auditContext = {}) => {
+    if (!maker || maker !== checker) return;
+
+    const policy = await getPolicy(tenantId);
+    if (!policy.allowSelfApproval) {
+        throw ForbiddenError(message || 'Maker cannot approve their own request');
+    }
+
+    await auditService.logEvent('MAKER_CHECKER_BYPASSED', {
+        tenantId,
+        actor: checker,
+        policyReason: policy.reason,
+        policyUpdatedBy: policy.updatedBy
+    }, {
+        ...auditContext,
+        actor: checker
+    });
+
+    logger.warn('Maker-checker bypassed by tenant policy', { tenantId, actor: checker, ...auditContext });
+};
+
+export default {
+    getPolicy,
+    setPolicy,
+    enforceSegregationOfDuties
+};
@@ -0,0 +1,215 @@
+import Decimal from 'decimal.js';
+import * as tokenizationService from '../fireblocks/tokenization.service.js';
+import * as fireblocksTransactionService from '../fireblocks/transaction.service.js';
+import * as custodyService from '../custody/custody.service.js';
+import * as custodyRepository from '../custody/custody.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import * as ownershipService from '../marketplace/ownership.service.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { BadRequestError, NotFoundError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Token Burn Service
+ * Burns a custody record's token supply when the physical asset is redeemed (BURN operations)
+ *
+ * - Only allowed while the token is off the marketplace (see ownership.service.js); checked at
+ *   initiation and execution
+ * - The full supply is burned by calling the token contract's burn(amount) from the custody vault,
+ *   tracked as a Fireblocks transaction (see transaction.service.js) until it is final
+ * - On completion the custody record moves MINTED → BURNED; the redemption reason and the recipient
+ *   of the released physical asset are recorded with the TOKEN_BURNED audit event
+ */
+
+/**
+ * Validate a BURN request against its custody record
+ * Payload: { reason, recipient: { name, deliveryAddress?, reference? }, quantity? }
+ * A redemption burns the full supply, so a quantity (if given) must match it.
+ * @returns {Promise<Object>} Normalized payload stored on the operation
+ */
+export const validateBurnRequest = async (custodyRecord, payload = {}) => {
+    const { reason, recipient, quantity } = payload || {};
+
+    if (custodyRecord.status !== CustodyStatus.MINTED) {
+        throw BadRequestError(`Asset must be in MINTED status. Current status: ${custodyRecord.status}`);
+    }
+
+    const missingFields = [];
+    if (typeof reason !== 'string' || !reason.trim()) missingFields.push('reason');
+    if (typeof recipient?.name !== 'string' || !recipient.name.trim()) missingFields.push('recipient.name');
+
+    if (missingFields.length > 0) {
+        throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
+    }
+
+    const supply = custodyRecord.quantity || '0';
+    if (quantity !== undefined && quantity !== null) {
+        let requested;
+        try {
+            requested = new Decimal(quantity);
+        } catch (error) {
+            throw BadRequestError(`Invalid burn quantity: ${quantity}`);
+        }
+
+        if (!requested.equals(supply)) {
+            throw BadRequestError(`Redemption burns the full supply (${supply}); requested quantity ${quantity}`);
+        }
+    }
+
+    await ownershipService.assertOffMarket(custodyRecord, 'burning');
+
+    return {
+        reason: reason.trim(),
+        recipient: {
+            name: recipient.name.trim(),
+            ...(recipient.deliveryAddress && { deliveryAddress: String(recipient.deliveryAddress) }),
+            ...(recipient.reference && { reference: String(recipient.reference) })
+        },
+        quantity: supply
+    };
+};
+
+/**
+ * ABI of the token's burn(uint256) with the amount in base units
+ */
+const burnFunction = (units) => ({
+    type: 'function',
+    name: 'burn',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'amount', type: 'uint256', value: units }],
+    outputs: []
+});
+
+/**
+ * Contract call that burns a custody record's supply from its vault
+ */
+const resolveBurnCall = async (custodyRecord) => {
+    if (!custodyRecord.vaultWallet?.fireblocksId) {
+        throw BadRequestError(`Custody record ${custodyRecord.id} has no vault`);
+    }
+
+    const tokenLink = await tokenizationService.getTokenizationStatus(custodyRecord.tokenId);
+    const metadata = tokenLink.tokenMetadata || {};
+
+    const contractAddress = metadata.contractAddress || custodyRecord.tokenAddress;
+    if (!contractAddress?.startsWith('0x')) {
+        throw BadRequestError(`Token contract of custody record ${custodyRecord.id} could not be resolved`);
+    }
+
+    const decimals = parseInt(metadata.decimals ?? 18);
+    const units = new Decimal(custodyRecord.quantity || '0').times(new Decimal(10).pow(decimals));
+    if (!units.isInteger() || units.lessThanOrEqualTo(0)) {
+        throw BadRequestError(`Invalid burn quantity: ${custodyRecord.quantity} (${decimals} decimals)`);
+    }
+
+    return {
+        vaultId: custodyRecord.vaultWallet.fireblocksId,
+        baseAssetId: custodyRecord.blockchain || tokenLink.blockchainId || 'ETH_TEST5',
+        contractAddress,
+        abiFunction: burnFunction(units.toFixed(0)),
+        amount: custodyRecord.quantity,
+        symbol: metadata.symbol
+    };
+};
+
+/**
+ * Execute an approved BURN operation: submit the burn call to Fireblocks
+ * The operation stays EXECUTING until the transaction is final (see completeBurn)
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const executeBurn = async (operation, context = {}) => {
+    const custodyRecord = await custodyRepository.findById(operation.custodyRecordId);
+    if (!custodyRecord) {
+        throw NotFoundError(`Custody record ${operation.custodyRecordId} not found`);
+    }
+
+    if (custodyRecord.status !== CustodyStatus.MINTED) {
+        throw BadRequestError(`Asset must be in MINTED status. Current status: ${custodyRecord.status}`);
+    }
+
+    // Listings or trades may have appeared while the operation awaited approval
+    await ownershipService.assertOffMarket(custodyRecord, 'burning');
+
+    const call = await resolveBurnCall(custodyRecord);
+
+    logger.info('Initiating token burn via Fireblocks', {
+        operationId: operation.id,
+        assetId: custodyRecord.assetId,
+        contractAddress: call.contractAddress,
+        quantity: call.amount
+    });
+
+    const transaction = await fireblocksTransactionService.submitOperationContractCall(operation, {
+        ...call,
+        note: `Burn ${call.symbol || custodyRecord.assetId} (physical redemption)`
+    }, 'SYSTEM');
+
+    await auditService.logEvent('TOKEN_BURN_INITIATED', {
+        transactionId: transaction.id,
+        fireblocksTxId: transaction.fireblocksTxId,
+        assetId: custodyRecord.assetId,
+        contractAddress: call.contractAddress,
+        quantity: call.amount,
+        action: 'Token burn initiated via Fireblocks'
+    }, {
+        ...context,
+        custodyRecordId: custodyRecord.id,
+        operationId: operation.id,
+        actor: 'SYSTEM'
+    });
+
+    return transaction;
+};
+
+/**
+ * Record a confirmed burn: custody record MINTED → BURNED (burnedAt) with the redemption details
+ * The status update is skipped if the record was already moved to BURNED; the marketplace
+ * positions are still closed, so a retry finishes a completion that failed after the update.
+ */
+export const completeBurn = async (operation, { txHash }) => {
+    const custodyRecord = await custodyRepository.findById(operation.custodyRecordId);
+    if (!custodyRecord) {
+        throw NotFoundError(`Custody record ${operation.custodyRecordId} not found`);
+    }
+
+    if (custodyRecord.status === CustodyStatus.BURNED) {
+        logger.info('Custody record already burned, skipping update', { operationId: operation.id, custodyRecordId: custodyRecord.id });
+        await ownershipService.retireAsset(custodyRecord, CustodyStatus.BURNED, { operationId: operation.id });
+        return;
+    }
+
+    const { reason, recipient, quantity } = operation.payload || {};
+
+    await custodyService.updateCustodyStatus(
+        custodyRecord.id,
+        CustodyStatus.BURNED,
+        {
+            assetId: custodyRecord.assetId,
+            tokenAddress: custodyRecord.tokenAddress,
+            quantity: quantity || custodyRecord.quantity,
+            txHash,
+            redemptionReason: reason,
+            releaseRecipient: recipient,
+            initiatedBy: operation.initiatedBy,
+            approvers: (operation.approvals || []).map(approval => approval.approvedBy)
+        },
+        'SYSTEM',
+        { operationId: operation.id }
+    );
+
+    // The remaining marketplace positions refer to tokens that no longer exist
+    await ownershipService.retireAsset(custodyRecord, CustodyStatus.BURNED, { operationId: operation.id });
+
+    logger.info('Token burned, asset released for redemption', {
+        operationId: operation.id,
+        custodyRecordId: custodyRecord.id,
+        assetId: custodyRecord.assetId,
+        txHash
+    });
+};
+
+export default {
+    validateBurnRequest,
+    executeBurn,
+    completeBurn
+};
@@ -1,25 +1,33 @@
 /**
  * Token Minting Service
  * Handles the minting of tokens via Fireblocks
+ *
+ * Each mint is tracked by a persisted monitor (mint_monitors): it locks the asset while the
+ * mint is active and holds the polling state, so monitoring survives restarts and a second
+ * mint of the same asset is rejected on every instance.
  */
 
-import * as fireblocksService from '../fireblocks/fireblocks.client.js';
-import * as vaultFireblocksService from '../vault/fireblocks.service.js';
+import * as tokenizationService from '../fireblocks/tokenization.service.js';
+import * as fireblocksVaultService from '../fireblocks/vault.service.js';
+import * as fireblocksTransactionService from '../fireblocks/transaction.service.js';
+import { FireblocksError } from '../fireblocks/fireblocks.errors.js';
 import * as custodyService from '../custody/custody.service.js';
 import * as custodyRepository from '../custody/custody.repository.js';
 import * as auditService from '../audit/audit.service.js';
+import * as ledgerService from '../ledger/ledger.service.js';
+import { parseTokenSupply } from '../ledger/ownership.math.js';
+import * as mintMonitorRepository from './mintMonitor.repository.js';
+import * as operationRepository from '../operation/operation.repository.js';
+import * as operationService from '../operation/operation.service.js';
 import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { MintMonitorStatus } from '../../enums/mintMonitorStatus.js';
+import { config } from '../../config/env.js';
 import { NotFoundError, BadRequestError } from '../../errors/ApiError.js';
 import logger from '../../utils/logger.js';
 
 // Fixed gas vault ID
 const GAS_VAULT_ID = '88';
 
-// Global tracking for active monitors to prevent duplicate monitoring across the application
-// Using separate Maps for operation tracking and monitoring tracking
-const activeMintOperations = new Map(); // Tracks mint operations by assetId to prevent duplicate mint attempts
-const activeMintMonitors = new Map();   // Tracks active monitoring by tokenLinkId to prevent duplicate monitoring
-
 /**
  * Mint a new token on the blockchain via Fireblocks
  * @param {Object} mintData - Token minting parameters
@@ -69,6 +77,9 @@ export const mintToken = async (mintData, actor, context = {}) => {
     throw BadRequestError('Missing required mint parameter: blockchainId');
   }
 
+  // Supply must be exact in the token's smallest unit
+  const supply = parseTokenSupply(totalSupply, decimals);
+
   // Find custody record by assetId
   const custodyRecord = await custodyRepository.findByAssetId(assetId);
   if (!custodyRecord) {
@@ -80,28 +91,38 @@ export const mintToken = async (mintData, actor, context = {}) => {
     throw BadRequestError(`Asset must be in LINKED status. Current status: ${custodyRecord.status}`);
   }
 
-  // Check if a mint operation is already in progress for this asset
-  const mintOperationKey = `mint_op_${assetId}`;
-  if (activeMintOperations.has(mintOperationKey)) {
-    logger.warn('Mint operation already in progress for this asset, skipping duplicate', { assetId });
-    throw BadRequestError(`Mint operation already in progress for asset ${assetId}`);
-  }
+  // Lock the asset for this mint (rejects a concurrent mint of the same asset)
+  const monitor = await acquireMintLock(custodyRecord, supply.totalSupply, actor, context);
 
-  // Add to active operations to prevent duplicate mint attempts
-  activeMintOperations.set(mintOperationKey, {
-    startedAt: Date.now(),
-    assetId
-  });
+  // Execution resumed after the token was already issued: keep monitoring, don't issue twice
+  if (monitor.tokenLinkId) {
+    logger.info('Token already issued for this operation, resuming monitor', {
+      assetId,
+      tokenLinkId: monitor.tokenLinkId,
+      monitorId: monitor.id
+    });
+
+    return {
+      success: true,
+      tokenLinkId: monitor.tokenLinkId,
+      status: monitor.fireblocksStatus,
+      assetId,
+      tokenSymbol,
+      monitorId: monitor.id
+    };
+  }
 
   // Prepare token configuration
   const tokenConfig = {
     name: tokenName,
     symbol: tokenSymbol,
-    decimals: parseInt(decimals) || 18,
-    totalSupply: totalSupply.toString(),
+    decimals: supply.decimals,
+    totalSupply: supply.totalSupply,
     blockchainId: blockchainId
   };
 
+  let tokenLinkId = null;
+
   try {
     logger.info('Initiating token mint via Fireblocks', {
       assetId,
@@ -113,19 +134,30 @@ export const mintToken = async (mintData, actor, context = {}) => {
     await ensureGasForVault(vaultWalletId, blockchainId);
 
     // Issue token via Fireblocks
-    const result = await fireblocksService.issueToken(vaultWalletId, tokenConfig);
-    
+    const result = await tokenizationService.issueToken(vaultWalletId, tokenConfig);
+    tokenLinkId = result.tokenLinkId;
+
+    // Hand the mint over to the monitor scheduler
+    await mintMonitorRepository.updateMonitor(monitor.id, {
+      status: MintMonitorStatus.MONITORING,
+      tokenLinkId,
+      fireblocksStatus: result.status || null,
+      nextPollAt: new Date(Date.now() + config.mintMonitor.initialDelayMs)
+    });
+
     logger.info('Token mint initiated successfully', {
-      tokenLinkId: result.tokenLinkId,
+      tokenLinkId,
       assetId,
-      tokenSymbol
+      tokenSymbol,
+      monitorId: monitor.id
     });
 
     // Log audit event
     await auditService.logEvent('TOKEN_MINT_INITIATED', {
-      tokenLinkId: result.tokenLinkId,
+      tokenLinkId,
       assetId,
       tokenSymbol,
+      monitorId: monitor.id,
       initiatedBy: actor,
       action: 'Token minting initiated via Fireblocks'
     }, {
@@ -134,51 +166,37 @@ export const mintToken = async (mintData, actor, context = {}) => {
       tokenSymbol
     });
 
-    // Start monitoring the minting process
-    // Note: We don't await this to avoid blocking the response,
-    // but we'll remove the operation key from active monitors after a delay
-    try {
-      monitorMintingStatus(result.tokenLinkId, custodyRecord.id, totalSupply.toString(), actor, context);
-    } catch (monitoringError) {
-      logger.error('Failed to start mint monitoring', {
-        tokenLinkId: result.tokenLinkId,
-        assetId,
-        error: monitoringError.message
-      });
-    }
-
-    // Clean up the mint operation key after a delay to allow monitoring to start
-    setTimeout(() => {
-      const mintOperationKey = `mint_op_${assetId}`;
-      if (activeMintOperations.has(mintOperationKey)) {
-        activeMintOperations.delete(mintOperationKey);
-      }
-    }, 5000); // 5 seconds delay before cleanup
-
     return {
       success: true,
-      tokenLinkId: result.tokenLinkId,
+      tokenLinkId,
       status: result.status,
       assetId,
-      tokenSymbol
+      tokenSymbol,
+      monitorId: monitor.id
     };
   } catch (error) {
     logger.error('Token mint failed', {
       assetId,
       tokenSymbol,
+      tokenLinkId,
       error: error.message
     });
 
-    // Clean up the mint operation key on error
-    const mintOperationKey = `mint_op_${assetId}`;
-    if (activeMintOperations.has(mintOperationKey)) {
-      activeMintOperations.delete(mintOperationKey);
+    // Release the asset only if nothing was issued; an issued token keeps its lock
+    if (!tokenLinkId) {
+      await mintMonitorRepository.updateMonitor(monitor.id, {
+        status: MintMonitorStatus.FAILED,
+        lockKey: null,
+        lastError: error.message,
+        completedAt: new Date()
+      });
     }
 
     // Log failure audit event
     await auditService.logEvent('TOKEN_MINT_FAILED', {
       assetId,
       tokenSymbol,
+      monitorId: monitor.id,
       error: error.message,
       action: 'Token minting failed'
     }, {
@@ -191,6 +209,36 @@ export const mintToken = async (mintData, actor, context = {}) => {
   }
 };
 
+/**
+ * Create the monitor that locks an asset for minting
+ * The same operation re-running after issuance gets its existing monitor back.
+ */
+const acquireMintLock = async (custodyRecord, totalSupply, actor, context) => {
+  try {
+    return await mintMonitorRepository.createMonitor({
+      assetId: custodyRecord.assetId,
+      custodyRecordId: custodyRecord.id,
+      operationId: context.operationId,
+      totalSupply,
+      actor,
+      maxAttempts: config.mintMonitor.maxAttempts
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const active = await mintMonitorRepository.findActiveByAssetId(custodyRecord.assetId);
+  if (active?.tokenLinkId && context.operationId && active.operationId === context.operationId) {
+    return active;
+  }
+
+  logger.warn('Mint operation already in progress for this asset, skipping duplicate', {
+    assetId: custodyRecord.assetId,
+    monitorId: active?.id
+  });
+  throw BadRequestError(`Mint operation already in progress for asset ${custodyRecord.assetId}`);
+};
+
 // Cache for gas balance checks to reduce API calls
 // Using a Map for efficient lookups and automatic cleanup
 const gasBalanceCache = new Map();
@@ -225,7 +273,7 @@ const ensureGasForVault = async (vaultId, blockchainId) => {
     logger.info('Checking gas balance for vault', { vaultId, blockchainId });
 
     // Get vault account information to check gas balance
-    const vaultInfo = await fireblocksService.getVaultDetails(vaultId);
+    const vaultInfo = await fireblocksVaultService.getVaultDetails(vaultId);
 
     // Find the gas asset (e.g., ETH_TEST5 for Ethereum testnets)
     const gasAsset = vaultInfo.wallets.find(wallet => wallet.blockchain === blockchainId);
@@ -251,12 +299,14 @@ const ensureGasForVault = async (vaultId, blockchainId) => {
       // Transfer gas from the gas vault (88) to the target vault
       const transferAmount = 0.002; // Transfer 0.002 ETH equivalent
 
-      const transferResult = await vaultFireblocksService.transferTokens(
-        GAS_VAULT_ID,  // Source: gas vault
-        vaultId,       // Destination: target vault
-        blockchainId,  // Asset to transfer (gas token)
-        transferAmount // Amount to transfer
-      );
+      const transfer = await fireblocksTransactionService.createVaultTransfer({
+        fromVaultId: GAS_VAULT_ID, // Source: gas vault
+        toVaultId: vaultId,        // Destination: target vault
+        assetId: blockchainId,     // Asset to transfer (gas token)
+        amount: transferAmount,    // Amount to transfer
+        note: 'Gas top-up'
+      }, 'SYSTEM');
+      const transferResult = transfer.fireblocksTxId;
       
       logger.info('Gas transfer initiated', {
         transferId: transferResult,
@@ -309,233 +359,355 @@ const waitForTransferCompletion = async (transferId) => {
   await new Promise(resolve => setTimeout(resolve, 30000)); // Wait 30 seconds
 };
 
+// Fireblocks tokenization statuses that end a mint without a token
+const MINT_FAILURE_STATUSES = ['FAILED', 'REJECTED', 'CANCELLED'];
+
+// Delay before the next poll after a rate-limit or authentication error
+const RATE_LIMIT_DELAY_MS = 300000; // 5 minutes
+
+/**
+ * Delay before poll number `attempts`: grows by a minute per attempt, capped
+ * (2min, 3min, 4min, ... up to 10 minutes with the defaults)
+ */
+const nextPollDelay = (attempts) => {
+  return Math.min(config.mintMonitor.initialDelayMs + (attempts * 60000), config.mintMonitor.maxDelayMs);
+};
+
 /**
- * Monitor minting status and update custody record when complete
+ * Poll Fireblocks once for a leased monitor and record the outcome
+ * Called by the mint monitor scheduler, which holds the monitor's lease for the duration
+ * @param {Object} monitor - Monitor row as claimed
+ * @param {string} schedulerId - Lease holder
  */
-const monitorMintingStatus = async (tokenLinkId, custodyRecordId, totalSupply, actor, context) => {
-  logger.info('Starting mint status monitoring', { tokenLinkId, custodyRecordId, totalSupply });
+export const pollMintMonitor = async (monitor, schedulerId) => {
+  const { tokenLinkId, custodyRecordId } = monitor;
+  const attempts = monitor.attempts;
 
-  let attempts = 0;
-  const maxAttempts = 20; // Reduced attempts to reduce total API calls
-  const initialDelay = 120000; // 2 minutes (increased to reduce API calls)
-  const maxDelay = 600000; // 10 minutes maximum delay between polls
+  try {
+    const statusData = await tokenizationService.getTokenizationStatus(tokenLinkId);
 
-  // Track active monitoring to prevent duplicate monitors
-  const monitoringKey = `mint_${tokenLinkId}`;
+    const currentStatus = statusData.status;
 
-  // Check if monitoring is already active using Map
-  if (activeMintMonitors.has(monitoringKey)) {
-    logger.info('Mint monitoring already active for this tokenLinkId, skipping duplicate', { tokenLinkId });
-    return;
+    logger.info('Mint status update', {
+      tokenLinkId,
+      status: currentStatus,
+      txHash: statusData.txHash || null,
+      attempts
+    });
+
+    // Log granular progress for the live terminal
+    if (attempts === 2) {
+      await auditService.logEvent('ON_CHAIN_SUBMISSION', { tokenLinkId }, { custodyRecordId });
+    }
+    if (attempts === 5) {
+      await auditService.logEvent('BLOCK_PROPAGATION', { tokenLinkId }, { custodyRecordId });
+    }
+    if (attempts === 10) {
+      await auditService.logEvent('FINALIZING_SETTLEMENT', { tokenLinkId }, { custodyRecordId });
+    }
+
+    if (await settleMonitor(monitor, schedulerId, statusData)) return;
+
+    await scheduleNextPoll(monitor, schedulerId, nextPollDelay(attempts + 1), {
+      fireblocksStatus: currentStatus,
+      lastError: null
+    });
+  } catch (error) {
+    logger.error('Mint monitoring error', {
+      tokenLinkId,
+      error: error.message
+    });
+
+    // If it's a rate limit error or authentication error, wait longer before retrying
+    const rateLimited = error instanceof FireblocksError
+      ? [401, 403, 429].includes(error.fireblocksStatus)
+      : error.message.includes('Too Many Requests') || error.message.includes('429') || error.message.includes('Unauthorized');
+
+    await scheduleNextPoll(
+      monitor,
+      schedulerId,
+      rateLimited ? RATE_LIMIT_DELAY_MS : nextPollDelay(attempts + 1),
+      { lastError: error.message }
+    );
   }
+};
 
-  // Add to active monitors
-  activeMintMonitors.set(monitoringKey, {
-    startedAt: Date.now(),
-    custodyRecordId
-  });
+/**
+ * Apply a tokenization status pushed by Fireblocks (webhook) to the matching monitor
+ * Takes the monitor's lease like a poll does; if a poll holds it, the poll reports the same status.
+ * @param {string} tokenLinkId
+ * @param {Object} statusData - Tokenization data from the event ({ status, txHash, tokenMetadata, ... })
+ * @param {string} holderId - Lease holder (e.g. the webhook event ID)
+ * @returns {Promise<Object|null>} { monitorId, status, applied } or null if no monitor tracks the token link
+ */
+export const applyTokenizationUpdate = async (tokenLinkId, statusData, holderId) => {
+  const monitor = await mintMonitorRepository.findByTokenLinkId(tokenLinkId);
+  if (!monitor) return null;
 
-  const poll = async () => {
-    try {
-      const statusData = await fireblocksService.getTokenizationStatus(tokenLinkId);
+  if (monitor.status !== MintMonitorStatus.MONITORING) {
+    return { monitorId: monitor.id, status: monitor.status, applied: false };
+  }
 
-      const currentStatus = statusData.status;
-      const txHash = statusData.txHash;
+  const leaseUntil = new Date(Date.now() + config.mintMonitor.leaseMs);
+  if (!await mintMonitorRepository.claimForUpdate(monitor.id, holderId, leaseUntil)) {
+    logger.info('Mint monitor busy, leaving tokenization update to the poll', { monitorId: monitor.id, tokenLinkId });
+    return { monitorId: monitor.id, status: monitor.status, applied: false };
+  }
 
-      // Log actual Fireblocks status response
-      console.log(`\n🔥 FIREBLOCKS STATUS UPDATE #${attempts}:`);
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      console.log(JSON.stringify(statusData, null, 2));
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-      
-      logger.info('Mint status update', {
-        tokenLinkId,
-        status: currentStatus,
-        attempts
-      });
+  try {
+    if (await settleMonitor(monitor, holderId, statusData)) {
+      const settled = await mintMonitorRepository.findById(monitor.id);
+      return { monitorId: monitor.id, status: settled.status, applied: true };
+    }
 
-      // Log granular progress for the live terminal
-      if (attempts === 2) {
-        await auditService.logEvent('ON_CHAIN_SUBMISSION', { tokenLinkId }, { custodyRecordId });
-      }
-      if (attempts === 5) {
-        await auditService.logEvent('BLOCK_PROPAGATION', { tokenLinkId }, { custodyRecordId });
-      }
-      if (attempts === 10) {
-        await auditService.logEvent('FINALIZING_SETTLEMENT', { tokenLinkId }, { custodyRecordId });
-      }
+    // Not final yet: record the status and keep the poll schedule
+    await mintMonitorRepository.releaseMonitor(monitor.id, holderId, {
+      fireblocksStatus: statusData.status || monitor.fireblocksStatus
+    });
+    return { monitorId: monitor.id, status: monitor.status, applied: true };
+  } catch (error) {
+    // Hand the monitor back to the poller before surfacing the error
+    await mintMonitorRepository.releaseMonitor(monitor.id, holderId, { lastError: error.message });
+    throw error;
+  }
+};
 
-      if (currentStatus === 'COMPLETED') {
-        logger.info('Token mint completed successfully', {
-          tokenLinkId,
-          txHash,
-          custodyRecordId
-        });
+/**
+ * Settle a leased monitor if Fireblocks reports a final tokenization status
+ * @returns {Promise<boolean>} True when the monitor reached COMPLETED or FAILED
+ */
+const settleMonitor = async (monitor, holderId, statusData) => {
+  const { tokenLinkId, custodyRecordId } = monitor;
+  const currentStatus = statusData.status;
+  const txHash = statusData.txHash;
 
-        // Update custody record status to MINTED
-        await custodyService.updateCustodyStatus(
-          custodyRecordId,
-          CustodyStatus.MINTED,
-          {
-            blockchain: statusData.blockchainId || 'ETH_TEST5',
-            tokenStandard: statusData.tokenMetadata?.tokenStandard || 'ERC20', // Default to ERC20
-            tokenAddress: statusData.tokenMetadata?.contractAddress || tokenLinkId,
-            tokenId: statusData.tokenId || tokenLinkId,
-            quantity: totalSupply || '1', // Use the actual total supply from minting
-            txHash: txHash,
-            mintedAt: new Date()
-          },
-          actor,
-          context
-        );
-
-        // Log successful minting event
-        await auditService.logTokenMinted(
-          custodyRecordId,
-          {
-            tokenLinkId,
-            contractAddress: statusData.tokenMetadata?.contractAddress,
-            txHash
-          },
-          actor,
-          context
-        );
-
-        // Remove from active monitors
-        activeMintMonitors.delete(monitoringKey);
-        return;
-      }
+  if (currentStatus === 'COMPLETED') {
+    logger.info('Token mint completed successfully', {
+      tokenLinkId,
+      txHash,
+      custodyRecordId
+    });
 
-      if (['FAILED', 'REJECTED', 'CANCELLED'].includes(currentStatus)) {
-        logger.warn('Token mint failed', {
-          tokenLinkId,
-          status: currentStatus,
-          custodyRecordId
-        });
+    await recordMinted(monitor, statusData);
 
-        // Log failure
-        await auditService.logEvent('TOKEN_MINT_FAILED', {
-          tokenLinkId,
-          status: currentStatus,
-          action: `Token mint failed with status: ${currentStatus}`
-        }, { custodyRecordId });
+    await finishMonitor(monitor, holderId, MintMonitorStatus.COMPLETED, {
+      fireblocksStatus: currentStatus
+    });
+    await settleOperation(monitor, { succeeded: true, txHash });
+    return true;
+  }
 
-        // Remove from active monitors
-        activeMintMonitors.delete(monitoringKey);
-        return;
-      }
+  if (MINT_FAILURE_STATUSES.includes(currentStatus)) {
+    logger.warn('Token mint failed', {
+      tokenLinkId,
+      status: currentStatus,
+      custodyRecordId
+    });
 
-      if (attempts < maxAttempts) {
-        attempts++;
-        // Use exponential backoff with maximum cap to reduce API calls
-        // Start with 2min, then 3min, 4min, etc., up to 10 minutes
-        const exponentialDelay = Math.min(initialDelay + (attempts * 60000), maxDelay);
-        logger.info('Waiting before next status check', {
-          tokenLinkId,
-          attempts,
-          delay: exponentialDelay
-        });
+    // Log failure
+    await auditService.logEvent('TOKEN_MINT_FAILED', {
+      tokenLinkId,
+      status: currentStatus,
+      action: `Token mint failed with status: ${currentStatus}`
+    }, { custodyRecordId });
 
-        await new Promise(resolve => setTimeout(resolve, exponentialDelay));
-        await poll(); // Recursive call instead of setTimeout
-      } else {
-        logger.error('Mint monitoring timeout', {
-          tokenLinkId,
-          custodyRecordId
-        });
+    await finishMonitor(monitor, holderId, MintMonitorStatus.FAILED, {
+      fireblocksStatus: currentStatus,
+      lastError: `Token mint failed with status: ${currentStatus}`
+    });
+    await settleOperation(monitor, {
+      succeeded: false,
+      txHash,
+      failureReason: `Token mint failed with status: ${currentStatus}`
+    });
+    return true;
+  }
 
-        await auditService.logEvent('TOKEN_MINT_TIMEOUT', {
-          tokenLinkId,
-          action: 'Token mint monitoring timed out'
-        }, { custodyRecordId });
+  return false;
+};
 
-        // Remove from active monitors
-        activeMintMonitors.delete(monitoringKey);
-      }
-    } catch (error) {
-      logger.error('Mint monitoring error', {
-        tokenLinkId,
-        error: error.message
-      });
+/**
+ * Move the MINT operation that started the monitor out of EXECUTING (→ EXECUTED or FAILED)
+ */
+const settleOperation = async (monitor, result) => {
+  if (!monitor.operationId) return;
 
-      // If it's a rate limit error or authentication error, wait longer before retrying
-      if (error.message.includes('Too Many Requests') ||
-          error.message.includes('429') ||
-          error.message.includes('Unauthorized')) {
-        const rateLimitDelay = 300000; // 5 minutes for rate limit or auth errors
-        logger.info('Rate limit or auth error, waiting longer before retry', {
-          tokenLinkId,
-          delay: rateLimitDelay,
-          error: error.message
-        });
-        await new Promise(resolve => setTimeout(resolve, rateLimitDelay));
-        if (attempts < maxAttempts) {
-          attempts++;
-          await poll(); // Retry after longer delay
-        } else {
-          activeMintMonitors.delete(monitoringKey);
-        }
-      } else if (attempts < maxAttempts) {
-        attempts++;
-        // Use exponential backoff for other errors too, with maximum cap
-        const exponentialDelay = Math.min(initialDelay + (attempts * 60000), maxDelay);
-        logger.info('Waiting before retry after error', {
-          tokenLinkId,
-          attempts,
-          delay: exponentialDelay
-        });
-        await new Promise(resolve => setTimeout(resolve, exponentialDelay));
-        await poll(); // Recursive call instead of setTimeout
-      } else {
-        activeMintMonitors.delete(monitoringKey);
-      }
-    }
-  };
+  const operation = await operationRepository.findById(monitor.operationId);
+  if (operation) {
+    await operationService.recordOnChainResult(operation, result);
+  }
+};
 
-  // Check the initial status before starting monitoring
-  try {
-    const initialStatus = await fireblocksService.getTokenizationStatus(tokenLinkId);
-    if (initialStatus.status === 'COMPLETED') {
-      logger.info('Token mint already completed, skipping monitoring', { tokenLinkId });
-      activeMintMonitors.delete(monitoringKey);
-      return;
-    }
-  } catch (error) {
-    logger.warn('Could not get initial status, proceeding with monitoring', {
+/**
+ * Update the custody record to MINTED
+ * Skipped if a previous poll already did so before its result was recorded
+ */
+const recordMinted = async (monitor, statusData) => {
+  const { tokenLinkId, custodyRecordId, actor } = monitor;
+  const context = { operationId: monitor.operationId || undefined, custodyRecordId };
+
+  const custodyRecord = await custodyRepository.findById(custodyRecordId);
+  if (custodyRecord?.status === CustodyStatus.MINTED) {
+    logger.info('Custody record already minted, skipping update', { tokenLinkId, custodyRecordId });
+    await ledgerService.recordIssuance(custodyRecord, { ...context, actor });
+    return;
+  }
+
+  // Update custody record status to MINTED
+  const minted = await custodyService.updateCustodyStatus(
+    custodyRecordId,
+    CustodyStatus.MINTED,
+    {
+      blockchain: statusData.blockchainId || 'ETH_TEST5',
+      tokenStandard: statusData.tokenMetadata?.tokenStandard || 'ERC20', // Default to ERC20
+      tokenAddress: statusData.tokenMetadata?.contractAddress || tokenLinkId,
+      tokenId: statusData.tokenId || tokenLinkId,
+      quantity: monitor.totalSupply || '1', // Use the actual total supply from minting
+      txHash: statusData.txHash,
+      mintedAt: new Date()
+    },
+    actor,
+    context
+  );
+
+  // Issue the minted supply to the issuer in the ledger
+  await ledgerService.recordIssuance(minted, { ...context, actor });
+
+  // Log successful minting event
+  await auditService.logTokenMinted(
+    custodyRecordId,
+    {
       tokenLinkId,
-      error: error.message
+      contractAddress: statusData.tokenMetadata?.contractAddress,
+      txHash: statusData.txHash
+    },
+    actor,
+    context
+  );
+};
+
+/**
+ * Schedule the next poll, or time the monitor out once its attempts are used up
+ */
+const scheduleNextPoll = async (monitor, schedulerId, delayMs, data) => {
+  const attempts = monitor.attempts + 1;
+
+  if (attempts > monitor.maxAttempts) {
+    logger.error('Mint monitoring timeout', {
+      tokenLinkId: monitor.tokenLinkId,
+      custodyRecordId: monitor.custodyRecordId
     });
+
+    await auditService.logEvent('TOKEN_MINT_TIMEOUT', {
+      tokenLinkId: monitor.tokenLinkId,
+      action: 'Token mint monitoring timed out'
+    }, { custodyRecordId: monitor.custodyRecordId });
+
+    await finishMonitor(monitor, schedulerId, MintMonitorStatus.TIMED_OUT, { ...data, attempts });
+    return;
   }
 
-  // Start monitoring after a short delay
-  await new Promise(resolve => setTimeout(resolve, initialDelay));
-  await poll();
+  logger.info('Waiting before next status check', {
+    tokenLinkId: monitor.tokenLinkId,
+    attempts,
+    delay: delayMs
+  });
+
+  const released = await mintMonitorRepository.releaseMonitor(monitor.id, schedulerId, {
+    ...data,
+    attempts,
+    lastPolledAt: new Date(),
+    nextPollAt: new Date(Date.now() + delayMs)
+  });
+
+  if (!released) {
+    logger.warn('Mint monitor lease lost before poll was recorded', { monitorId: monitor.id });
+  }
 };
 
-// Clean up active monitors periodically to prevent memory leaks
-setInterval(() => {
-  const now = Date.now();
-  const expiredKeys = [];
+/**
+ * Move a monitor to a final status and release the asset lock
+ */
+const finishMonitor = async (monitor, schedulerId, status, data = {}) => {
+  const now = new Date();
+  const released = await mintMonitorRepository.releaseMonitor(monitor.id, schedulerId, {
+    ...data,
+    status,
+    lockKey: null,
+    nextPollAt: null,
+    lastPolledAt: now,
+    completedAt: now
+  });
 
-  for (const [key, monitor] of activeMintMonitors.entries()) {
-    // Clean up monitors that have been active for more than 24 hours
-    if (now - monitor.startedAt > 24 * 60 * 60 * 1000) {
-      expiredKeys.push(key);
-    }
+  if (!released) {
+    logger.warn('Mint monitor lease lost before result was recorded', { monitorId: monitor.id, status });
   }
+};
+
+/**
+ * Fail submissions that never recorded a token link (e.g. the process died mid-issue)
+ * Their asset lock is released; Fireblocks should be checked before minting again.
+ * @returns {Promise<number>} Number of submissions failed
+ */
+export const failStaleSubmissions = async (now = new Date()) => {
+  const before = new Date(now.getTime() - config.mintMonitor.submitTimeoutMs);
+  const stale = await mintMonitorRepository.findStaleSubmissions(before);
+  const lastError = 'Mint submission interrupted before Fireblocks returned a token link';
+
+  let failed = 0;
+  for (const monitor of stale) {
+    if (!await mintMonitorRepository.failStaleSubmission(monitor.id, before, lastError)) continue;
+    failed++;
+
+    logger.error('Stale mint submission failed', { monitorId: monitor.id, assetId: monitor.assetId });
 
-  for (const key of expiredKeys) {
-    activeMintMonitors.delete(key);
-    logger.info('Cleaned up expired monitor', { key });
+    await auditService.logEvent('TOKEN_MINT_FAILED', {
+      assetId: monitor.assetId,
+      monitorId: monitor.id,
+      error: lastError,
+      action: 'Token minting failed'
+    }, {
+      custodyRecordId: monitor.custodyRecordId,
+      operationId: monitor.operationId || undefined
+    });
   }
-}, 60 * 60 * 1000); // Run cleanup every hour
+
+  return failed;
+};
+
+/**
+ * Get the polling state of the latest mint started by an operation
+ * @returns {Promise<Object|null>} Monitor state, or null if the operation never started a mint
+ */
+export const getOperationMonitor = async (operationId) => {
+  const monitor = await mintMonitorRepository.findLatestByOperation(operationId);
+  if (!monitor) return null;
+
+  return {
+    id: monitor.id,
+    operationId: monitor.operationId,
+    assetId: monitor.assetId,
+    tokenLinkId: monitor.tokenLinkId,
+    status: monitor.status,
+    fireblocksStatus: monitor.fireblocksStatus,
+    attempts: monitor.attempts,
+    maxAttempts: monitor.maxAttempts,
+    nextPollAt: monitor.nextPollAt,
+    lastPolledAt: monitor.lastPolledAt,
+    lastError: monitor.lastError,
+    polling: !!monitor.lockedUntil && monitor.lockedUntil > new Date(),
+    completedAt: monitor.completedAt,
+    createdAt: monitor.createdAt,
+    updatedAt: monitor.updatedAt
+  };
+};
 
 /**
  * Get minting status for a specific token link
  */
 export const getMintStatus = async (tokenLinkId) => {
   try {
-    const statusData = await fireblocksService.getTokenizationStatus(tokenLinkId);
+    const statusData = await tokenizationService.getTokenizationStatus(tokenLinkId);
     return statusData;
   } catch (error) {
     logger.error('Failed to get mint status', {
@@ -548,5 +720,9 @@ export const getMintStatus = async (tokenLinkId) => {
 
 export default {
   mintToken,
+  pollMintMonitor,
+  applyTokenizationUpdate,
+  failStaleSubmissions,
+  getOperationMonitor,
   getMintStatus
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+import prisma from '../../config/db.js';
+import { MintMonitorStatus } from '../../enums/mintMonitorStatus.js';
+
+/**
+ * Mint Monitor Repository
+ * Database operations for persisted Fireblocks tokenization monitors
+ *
+ * lockKey is unique and holds the assetId while a mint is active, so a second mint
+ * for the same asset fails on insert. Updates made while polling are conditional on
+ * the scheduler still holding the lease.
+ */
+
+/**
+ * Create a monitor in SUBMITTING state
+ * Throws Prisma P2002 when the asset already has an active mint
+ */
+export const createMonitor = async (data) => {
+    return await prisma.mintMonitor.create({
+        data: {
+            assetId: data.assetId,
+            lockKey: data.assetId,
+            custodyRecordId: data.custodyRecordId,
+            operationId: data.operationId || null,
+            totalSupply: data.totalSupply,
+            actor: data.actor,
+            status: MintMonitorStatus.SUBMITTING,
+            maxAttempts: data.maxAttempts
+        }
+    });
+};
+
+/**
+ * Find monitor by ID
+ */
+export const findById = async (id) => {
+    return await prisma.mintMonitor.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * Find the active monitor holding an asset's mint lock
+ */
+export const findActiveByAssetId = async (assetId) => {
+    return await prisma.mintMonitor.findUnique({
+        where: { lockKey: assetId }
+    });
+};
+
+/**
+ * Find the monitor of an issued token link
+ */
+export const findByTokenLinkId = async (tokenLinkId) => {
+    return await prisma.mintMonitor.findUnique({
+        where: { tokenLinkId }
+    });
+};
+
+/**
+ * Find the most recent monitor started by an operation
+ */
+export const findLatestByOperation = async (operationId) => {
+    return await prisma.mintMonitor.findFirst({
+        where: { operationId },
+        orderBy: { createdAt: 'desc' }
+    });
+};
+
+/**
+ * Update a monitor (submission phase, not leased)
+ */
+export const updateMonitor = async (id, data) => {
+    return await prisma.mintMonitor.update({
+        where: { id },
+        data
+    });
+};
+
+/**
+ * Monitors due for a poll: MONITORING, nextPollAt reached, not leased (or lease expired)
+ */
+const dueWhere = (now) => ({
+    status: MintMonitorStatus.MONITORING,
+    nextPollAt: { lte: now },
+    OR: [
+        { lockedUntil: null },
+        { lockedUntil: { lt: now } }
+    ]
+});
+
+/**
+ * Find monitors due for a poll (oldest first)
+ */
+export const findDue = async (now = new Date(), limit = 10) => {
+    return await prisma.mintMonitor.findMany({
+        where: dueWhere(now),
+        orderBy: { nextPollAt: 'asc' },
+        take: limit
+    });
+};
+
+/**
+ * Lease a monitor for one poll
+ * @returns {Promise<boolean>} False when another scheduler claimed it first
+ */
+export const claimMonitor = async (id, schedulerId, leaseUntil, now = new Date()) => {
+    const result = await prisma.mintMonitor.updateMany({
+        where: { id, ...dueWhere(now) },
+        data: { lockedBy: schedulerId, lockedUntil: leaseUntil }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Lease a monitor outside its poll schedule (status pushed by a webhook)
+ * @returns {Promise<boolean>} False when it is settled or leased by someone else
+ */
+export const claimForUpdate = async (id, holderId, leaseUntil, now = new Date()) => {
+    const result = await prisma.mintMonitor.updateMany({
+        where: {
+            id,
+            status: MintMonitorStatus.MONITORING,
+            OR: [
+                { lockedUntil: null },
+                { lockedUntil: { lt: now } }
+            ]
+        },
+        data: { lockedBy: holderId, lockedUntil: leaseUntil }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Record a poll result and release the lease
+ * @returns {Promise<boolean>} False when the lease was lost
+ */
+export const releaseMonitor = async (id, holderId, data) => {
+    const result = await prisma.mintMonitor.updateMany({
+        where: { id, status: MintMonitorStatus.MONITORING, lockedBy: holderId },
+        data: { lockedBy: null, lockedUntil: null, ...data }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Find SUBMITTING monitors that have not progressed since a cutoff
+ */
+export const findStaleSubmissions = async (before, limit = 10) => {
+    return await prisma.mintMonitor.findMany({
+        where: { status: MintMonitorStatus.SUBMITTING, updatedAt: { lt: before } },
+        orderBy: { updatedAt: 'asc' },
+        take: limit
+    });
+};
+
+/**
+ * Fail a stale submission and release the asset lock
+ * @returns {Promise<boolean>} False when it progressed in the meantime
+ */
+export const failStaleSubmission = async (id, before, lastError) => {
+    const result = await prisma.mintMonitor.updateMany({
+        where: { id, status: MintMonitorStatus.SUBMITTING, updatedAt: { lt: before } },
+        data: { status: MintMonitorStatus.FAILED, lockKey: null, lastError, completedAt: new Date() }
+    });
+
+    return result.count > 0;
+};
+
+export default {
+    createMonitor,
+    findById,
+    findActiveByAssetId,
+    findByTokenLinkId,
+    findLatestByOperation,
+    updateMonitor,
+    findDue,
+    claimMonitor,
+    claimForUpdate,
+    releaseMonitor,
+    findStaleSubmissions,
+    failStaleSubmission
+};
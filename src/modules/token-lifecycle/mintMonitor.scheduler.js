@@ -0,0 +1,92 @@
+import os from 'os';
+import * as mintMonitorRepository from './mintMonitor.repository.js';
+import * as mintService from './mint.service.js';
+import { generateUUID } from '../../utils/crypto.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Mint Monitor Scheduler
+ * Polls Fireblocks for mints whose monitor is due (mint_monitors.nextPollAt)
+ *
+ * - Each poll runs under a lease (lockedUntil), so several instances never poll the same mint
+ * - Monitoring state lives in the database, so mints in flight resume after a restart
+ * - Submissions interrupted before Fireblocks returned a token link are failed after a timeout
+ */
+
+const schedulerId = `${os.hostname()}:${process.pid}:${generateUUID().slice(0, 8)}`;
+
+let ticker = null;
+let ticking = null;
+let stopping = false;
+
+const leaseUntil = () => new Date(Date.now() + config.mintMonitor.leaseMs);
+
+/**
+ * Poll every due monitor once
+ * @returns {Promise<number>} Number of monitors polled
+ */
+export const tick = async () => {
+    await mintService.failStaleSubmissions();
+
+    const due = await mintMonitorRepository.findDue(new Date());
+    let polled = 0;
+
+    for (const candidate of due) {
+        if (stopping) break;
+
+        if (!await mintMonitorRepository.claimMonitor(candidate.id, schedulerId, leaseUntil())) continue;
+
+        try {
+            await mintService.pollMintMonitor(candidate, schedulerId);
+            polled++;
+        } catch (error) {
+            // Lease expires and the monitor is picked up again
+            logger.error('Mint monitor poll failed', { monitorId: candidate.id, error: error.message });
+        }
+    }
+
+    return polled;
+};
+
+const run = () => {
+    if (ticking) return;
+
+    ticking = tick()
+        .catch(error => logger.error('Mint monitor tick failed', { error: error.message }))
+        .finally(() => { ticking = null; });
+};
+
+/**
+ * Start the scheduler (also resumes monitors left behind by a previous process)
+ */
+export const startMintMonitorScheduler = (intervalMs = config.mintMonitor.tickMs) => {
+    if (ticker) return;
+
+    stopping = false;
+    ticker = setInterval(run, intervalMs);
+    ticker.unref?.();
+    run();
+
+    logger.info('Mint monitor scheduler started', { schedulerId, intervalMs });
+};
+
+/**
+ * Stop the scheduler and wait for the poll in progress to finish
+ */
+export const stopMintMonitorScheduler = async () => {
+    if (!ticker) return;
+
+    stopping = true;
+    clearInterval(ticker);
+    ticker = null;
+
+    if (ticking) await ticking;
+    logger.info('Mint monitor scheduler stopped', { schedulerId });
+};
+
+export default {
+    tick,
+    startMintMonitorScheduler,
+    stopMintMonitorScheduler
+};
@@ -0,0 +1,197 @@
+import Decimal from 'decimal.js';
+import * as fireblocksTransactionService from '../fireblocks/transaction.service.js';
+import * as withdrawalAddressService from './withdrawalAddress.service.js';
+import * as custodyService from '../custody/custody.service.js';
+import * as custodyRepository from '../custody/custody.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import * as ownershipService from '../marketplace/ownership.service.js';
+import { CustodyStatus } from '../../enums/custodyStatus.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../../errors/ApiError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Token Withdrawal Service
+ * Sends a custody record's token out of custody to an external address (WITHDRAW operations)
+ *
+ * - The destination must be a valid EVM address on the record's chain and on the tenant's
+ *   withdrawal allowlist (see withdrawalAddress.service.js); checked at initiation and execution
+ * - Only allowed while the token is off the marketplace (see ownership.service.js)
+ * - The full supply is transferred from the custody vault, tracked as a Fireblocks transaction
+ *   (see transaction.service.js) until it is final
+ * - On completion the custody record moves MINTED → WITHDRAWN with the destination and txHash,
+ *   and the asset's marketplace positions are closed
+ */
+
+/**
+ * Check that a destination is still allowlisted for the custody record's tenant
+ */
+const assertAllowlisted = async (custodyRecord, blockchain, address) => {
+    const entry = await withdrawalAddressService.findAllowed(custodyRecord.tenantId, blockchain, address);
+    if (!entry) {
+        throw ForbiddenError(`Address ${address} is not on the withdrawal allowlist for ${blockchain}`);
+    }
+    return entry;
+};
+
+/**
+ * Validate a WITHDRAW request against its custody record
+ * Payload: { destinationAddress, blockchain, quantity? }
+ * A withdrawal moves the full supply, so a quantity (if given) must match it.
+ * @returns {Promise<Object>} Normalized payload stored on the operation
+ */
+export const validateWithdrawalRequest = async (custodyRecord, payload = {}) => {
+    const { destinationAddress, blockchain, quantity } = payload || {};
+
+    if (custodyRecord.status !== CustodyStatus.MINTED) {
+        throw BadRequestError(`Asset must be in MINTED status. Current status: ${custodyRecord.status}`);
+    }
+
+    const missingFields = [];
+    if (!destinationAddress) missingFields.push('destinationAddress');
+    if (!blockchain) missingFields.push('blockchain');
+
+    if (missingFields.length > 0) {
+        throw BadRequestError(`Missing required parameters: ${missingFields.join(', ')}`);
+    }
+
+    const address = withdrawalAddressService.normalizeAddress(destinationAddress);
+    if (!address) {
+        throw BadRequestError(`Invalid destination address: ${destinationAddress}`);
+    }
+
+    if (custodyRecord.blockchain && blockchain !== custodyRecord.blockchain) {
+        throw BadRequestError(`Token is on ${custodyRecord.blockchain}; cannot withdraw to ${blockchain}`);
+    }
+
+    const supply = custodyRecord.quantity || '0';
+    if (quantity !== undefined && quantity !== null) {
+        let requested;
+        try {
+            requested = new Decimal(quantity);
+        } catch (error) {
+            throw BadRequestError(`Invalid withdrawal quantity: ${quantity}`);
+        }
+
+        if (!requested.equals(supply)) {
+            throw BadRequestError(`Withdrawal moves the full supply (${supply}); requested quantity ${quantity}`);
+        }
+    }
+
+    const entry = await assertAllowlisted(custodyRecord, blockchain, address);
+    await ownershipService.assertOffMarket(custodyRecord, 'withdrawing');
+
+    return {
+        destinationAddress: address,
+        blockchain,
+        withdrawalAddressId: entry.id,
+        quantity: supply
+    };
+};
+
+/**
+ * Execute an approved WITHDRAW operation: submit the transfer from the custody vault to Fireblocks
+ * The operation stays EXECUTING until the transaction is final (see completeWithdrawal)
+ * @returns {Promise<Object>} Transaction (fireblocksTxId set)
+ */
+export const executeWithdrawal = async (operation, context = {}) => {
+    const custodyRecord = await custodyRepository.findById(operation.custodyRecordId);
+    if (!custodyRecord) {
+        throw NotFoundError(`Custody record ${operation.custodyRecordId} not found`);
+    }
+
+    if (custodyRecord.status !== CustodyStatus.MINTED) {
+        throw BadRequestError(`Asset must be in MINTED status. Current status: ${custodyRecord.status}`);
+    }
+
+    const { destinationAddress, blockchain, quantity } = operation.payload || {};
+
+    // The address may have been removed from the allowlist, or the asset listed, while awaiting approval
+    await assertAllowlisted(custodyRecord, blockchain, destinationAddress);
+    await ownershipService.assertOffMarket(custodyRecord, 'withdrawing');
+
+    logger.info('Initiating token withdrawal via Fireblocks', {
+        operationId: operation.id,
+        assetId: custodyRecord.assetId,
+        destinationAddress,
+        quantity
+    });
+
+    const transaction = await fireblocksTransactionService.submitOperationTokenTransfer(operation, {
+        toAddress: destinationAddress,
+        amount: quantity || custodyRecord.quantity,
+        note: `Withdraw ${custodyRecord.assetId} to ${destinationAddress}`
+    }, 'SYSTEM');
+
+    await auditService.logEvent('TOKEN_WITHDRAWAL_INITIATED', {
+        transactionId: transaction.id,
+        fireblocksTxId: transaction.fireblocksTxId,
+        assetId: custodyRecord.assetId,
+        destinationAddress,
+        blockchain,
+        quantity,
+        action: 'Token withdrawal initiated via Fireblocks'
+    }, {
+        ...context,
+        custodyRecordId: custodyRecord.id,
+        operationId: operation.id,
+        actor: 'SYSTEM'
+    });
+
+    return transaction;
+};
+
+/**
+ * Record a confirmed withdrawal: custody record MINTED → WITHDRAWN (withdrawnAt, address, txHash)
+ * The status update is skipped if the record was already moved to WITHDRAWN; the marketplace
+ * positions are still closed, so a retry finishes a completion that failed after the update.
+ */
+export const completeWithdrawal = async (operation, { txHash }) => {
+    const custodyRecord = await custodyRepository.findById(operation.custodyRecordId);
+    if (!custodyRecord) {
+        throw NotFoundError(`Custody record ${operation.custodyRecordId} not found`);
+    }
+
+    if (custodyRecord.status === CustodyStatus.WITHDRAWN) {
+        logger.info('Custody record already withdrawn, skipping update', { operationId: operation.id, custodyRecordId: custodyRecord.id });
+        await ownershipService.retireAsset(custodyRecord, CustodyStatus.WITHDRAWN, { operationId: operation.id });
+        return;
+    }
+
+    const { destinationAddress, blockchain, quantity } = operation.payload || {};
+
+    await custodyService.updateCustodyStatus(
+        custodyRecord.id,
+        CustodyStatus.WITHDRAWN,
+        {
+            assetId: custodyRecord.assetId,
+            tokenAddress: custodyRecord.tokenAddress,
+            toAddress: destinationAddress,
+            blockchain,
+            quantity: quantity || custodyRecord.quantity,
+            txHash,
+            withdrawalAddress: destinationAddress,
+            withdrawalTxHash: txHash,
+            initiatedBy: operation.initiatedBy,
+            approvers: (operation.approvals || []).map(approval => approval.approvedBy)
+        },
+        'SYSTEM',
+        { operationId: operation.id }
+    );
+
+    // The token is no longer held in custody, so the marketplace must not trade it
+    await ownershipService.retireAsset(custodyRecord, CustodyStatus.WITHDRAWN, { operationId: operation.id });
+
+    logger.info('Token withdrawn from custody', {
+        operationId: operation.id,
+        custodyRecordId: custodyRecord.id,
+        assetId: custodyRecord.assetId,
+        destinationAddress,
+        txHash
+    });
+};
+
+export default {
+    validateWithdrawalRequest,
+    executeWithdrawal,
+    completeWithdrawal
+};
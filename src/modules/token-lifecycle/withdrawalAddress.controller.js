@@ -0,0 +1,56 @@
+import * as withdrawalAddressService from './withdrawalAddress.service.js';
+import { getSessionContext } from '../auth/auth.controller.js';
+
+/**
+ * Withdrawal Address Controllers
+ * Admin endpoints for the withdrawal address allowlist
+ */
+
+/**
+ * List allowlisted addresses
+ * GET /v1/admin/withdrawal-addresses?tenantId=&blockchain=&includeInactive=true
+ */
+export const listAddresses = async (req, res, next) => {
+    try {
+        const addresses = await withdrawalAddressService.listAddresses({
+            tenantId: req.query.tenantId,
+            blockchain: req.query.blockchain,
+            includeInactive: req.query.includeInactive === 'true'
+        });
+        res.json({ addresses });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Allowlist an address for a tenant
+ * POST /v1/admin/withdrawal-addresses
+ */
+export const createAddress = async (req, res, next) => {
+    try {
+        const address = await withdrawalAddressService.createAddress(req.body || {}, req.user.sub, getSessionContext(req));
+        res.status(201).json(address);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update (or deactivate) an allowlisted address
+ * PATCH /v1/admin/withdrawal-addresses/:id
+ */
+export const updateAddress = async (req, res, next) => {
+    try {
+        const address = await withdrawalAddressService.updateAddress(req.params.id, req.body || {}, req.user.sub, getSessionContext(req));
+        res.json(address);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    listAddresses,
+    createAddress,
+    updateAddress
+};
@@ -0,0 +1,67 @@
+import prisma from '../../config/db.js';
+
+/**
+ * Withdrawal Address Repository
+ * Database operations for the per-tenant allowlist of external withdrawal addresses
+ */
+
+/**
+ * List addresses (newest first)
+ */
+export const listAddresses = async ({ tenantId, blockchain, includeInactive = false } = {}) => {
+    const where = {};
+    if (tenantId) where.tenantId = tenantId;
+    if (blockchain) where.blockchain = blockchain;
+    if (!includeInactive) where.isActive = true;
+
+    return await prisma.withdrawalAddress.findMany({
+        where,
+        orderBy: { createdAt: 'desc' }
+    });
+};
+
+/**
+ * Active allowlist entry for a tenant, chain and (checksummed) address
+ */
+export const findActive = async (tenantId, blockchain, address) => {
+    return await prisma.withdrawalAddress.findFirst({
+        where: { tenantId, blockchain, address, isActive: true }
+    });
+};
+
+/**
+ * Find address by ID
+ */
+export const findById = async (id) => {
+    return await prisma.withdrawalAddress.findUnique({
+        where: { id }
+    });
+};
+
+/**
+ * Create an address
+ * Throws Prisma P2002 when the tenant already has it for the chain
+ */
+export const createAddress = async (data) => {
+    return await prisma.withdrawalAddress.create({
+        data
+    });
+};
+
+/**
+ * Update an address
+ */
+export const updateAddress = async (id, data) => {
+    return await prisma.withdrawalAddress.update({
+        where: { id },
+        data
+    });
+};
+
+export default {
+    listAddresses,
+    findActive,
+    findById,
+    createAddress,
+    updateAddress
+};
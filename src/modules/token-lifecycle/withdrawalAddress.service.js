@@ -0,0 +1,154 @@
+import { isAddress, getAddress } from 'ethers';
+import * as withdrawalAddressRepository from './withdrawalAddress.repository.js';
+import * as auditService from '../audit/audit.service.js';
+import { ConflictError, NotFoundError } from '../../errors/ApiError.js';
+import { ValidationError } from '../../errors/ValidationError.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Withdrawal Address Service
+ * Allowlist of external addresses a tenant's tokens may be withdrawn to
+ *
+ * Addresses are stored EIP-55 checksummed so lookups match however the address was typed.
+ * Entries are deactivated rather than deleted; withdrawals already executed keep their
+ * destination on the custody record.
+ */
+
+/**
+ * Normalize an EVM address to its checksummed form, or null when it is not a valid address
+ */
+export const normalizeAddress = (address) => {
+    if (typeof address !== 'string' || !isAddress(address.trim())) return null;
+    return getAddress(address.trim());
+};
+
+/**
+ * Validate address fields (partial when updating: only label and isActive can change)
+ */
+const validateAddressInput = (input, { partial = false } = {}) => {
+    const errors = [];
+    const data = {};
+
+    if (!partial) {
+        for (const field of ['tenantId', 'blockchain']) {
+            if (!input[field] || typeof input[field] !== 'string' || !input[field].trim()) {
+                errors.push({ field, message: 'Required' });
+            } else {
+                data[field] = input[field].trim();
+            }
+        }
+
+        const address = normalizeAddress(input.address);
+        if (!address) {
+            errors.push({ field: 'address', message: 'Must be a valid EVM address' });
+        } else {
+            data.address = address;
+        }
+    }
+
+    if (input.label !== undefined) {
+        if (input.label !== null && typeof input.label !== 'string') {
+            errors.push({ field: 'label', message: 'Must be a string' });
+        } else {
+            data.label = input.label ? input.label.trim() : null;
+        }
+    }
+
+    if (partial && input.isActive !== undefined) {
+        if (typeof input.isActive !== 'boolean') {
+            errors.push({ field: 'isActive', message: 'Must be a boolean' });
+        } else {
+            data.isActive = input.isActive;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid withdrawal address', errors);
+    }
+
+    return data;
+};
+
+/**
+ * Active allowlist entry for a withdrawal destination, or null
+ */
+export const findAllowed = async (tenantId, blockchain, address) => {
+    const normalized = normalizeAddress(address);
+    if (!normalized) return null;
+
+    return await withdrawalAddressRepository.findActive(tenantId, blockchain, normalized);
+};
+
+/**
+ * List addresses
+ */
+export const listAddresses = async (options = {}) => {
+    return await withdrawalAddressRepository.listAddresses(options);
+};
+
+/**
+ * Add an address to a tenant's allowlist
+ */
+export const createAddress = async (input, adminId, context = {}) => {
+    const data = validateAddressInput(input);
+
+    let entry;
+    try {
+        entry = await withdrawalAddressRepository.createAddress({ ...data, createdBy: adminId });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            throw ConflictError(`Address ${data.address} is already registered for tenant ${data.tenantId} on ${data.blockchain}`);
+        }
+        throw error;
+    }
+
+    await auditService.logEvent('WITHDRAWAL_ADDRESS_CREATED', {
+        withdrawalAddressId: entry.id,
+        tenantId: entry.tenantId,
+        blockchain: entry.blockchain,
+        address: entry.address,
+        label: entry.label
+    }, {
+        actor: adminId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.info('Withdrawal address allowlisted', { withdrawalAddressId: entry.id, tenantId: entry.tenantId, blockchain: entry.blockchain });
+    return entry;
+};
+
+/**
+ * Update (or deactivate) an allowlisted address
+ */
+export const updateAddress = async (id, input, adminId, context = {}) => {
+    const existing = await withdrawalAddressRepository.findById(id);
+    if (!existing) {
+        throw NotFoundError('Withdrawal address not found');
+    }
+
+    const data = validateAddressInput(input, { partial: true });
+    const entry = await withdrawalAddressRepository.updateAddress(id, data);
+
+    await auditService.logEvent('WITHDRAWAL_ADDRESS_UPDATED', {
+        withdrawalAddressId: id,
+        tenantId: entry.tenantId,
+        address: entry.address,
+        changes: data
+    }, {
+        actor: adminId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    logger.info('Withdrawal address updated', { withdrawalAddressId: id });
+    return entry;
+};
+
+export default {
+    normalizeAddress,
+    findAllowed,
+    listAddresses,
+    createAddress,
+    updateAddress
+};
@@ -4,7 +4,7 @@
  * Integrates Fireblocks with database persistence
  */
 
-import * as fireblocksClient from '../fireblocks/fireblocks.client.js';
+import * as fireblocksVaultService from '../fireblocks/vault.service.js';
 import * as auditService from '../audit/audit.service.js';
 import prisma from '../../config/db.js';
 import logger from '../../utils/logger.js';
@@ -25,7 +25,7 @@ const SUPPORTED_BLOCKCHAINS = [
 export const createVault = async (vaultName, customerRefId, vaultType = 'CUSTODY') => {
   try {
     // Create vault in Fireblocks
-    const fireblocksVault = await fireblocksClient.createVault(vaultName, customerRefId);
+    const fireblocksVault = await fireblocksVaultService.createVault(vaultName, customerRefId);
     
     logger.info('Fireblocks vault created, generating wallets', {
       fireblocksVaultId: fireblocksVault.id,
@@ -38,7 +38,7 @@ export const createVault = async (vaultName, customerRefId, vaultType = 'CUSTODY
     
     for (const blockchain of SUPPORTED_BLOCKCHAINS) {
       try {
-        const wallet = await fireblocksClient.createWallet(fireblocksVault.id, blockchain);
+        const wallet = await fireblocksVaultService.createWallet(fireblocksVault.id, blockchain);
         wallets.push({
           blockchain: wallet.blockchain,
           address: wallet.address
@@ -144,7 +144,7 @@ export const getVaultDetails = async (vaultId) => {
     }
     
     // Get live data from Fireblocks
-    const fireblocksVault = await fireblocksClient.getVaultDetails(vaultId);
+    const fireblocksVault = await fireblocksVaultService.getVaultDetails(vaultId);
     
     // Merge database records with Fireblocks data
     const wallets = vaultWallets.map(dbWallet => {
@@ -197,7 +197,7 @@ export const listWallets = async (vaultId) => {
     }
     
     // Get live balances from Fireblocks
-    const fireblocksVault = await fireblocksClient.getVaultDetails(vaultId);
+    const fireblocksVault = await fireblocksVaultService.getVaultDetails(vaultId);
     
     const wallets = vaultWallets.map(dbWallet => {
       const fbWallet = fireblocksVault.wallets.find(
@@ -239,7 +239,7 @@ export const getWallet = async (vaultId, blockchain) => {
     }
     
     // Get live data from Fireblocks
-    const fireblocksVault = await fireblocksClient.getVaultDetails(vaultId);
+    const fireblocksVault = await fireblocksVaultService.getVaultDetails(vaultId);
     const fbWallet = fireblocksVault.wallets.find(w => w.blockchain === blockchain);
     
     return {
@@ -0,0 +1,26 @@
+import * as webhookService from './fireblocksWebhook.service.js';
+
+/**
+ * Fireblocks Webhook Controller
+ */
+
+/**
+ * Receive a Fireblocks webhook delivery
+ * POST /v1/webhooks/fireblocks
+ *
+ * Errors other than a bad signature or malformed body return 5xx so Fireblocks redelivers.
+ */
+export const receiveFireblocksWebhook = async (req, res, next) => {
+    try {
+        webhookService.verifySignature(req.rawBody, req.get('fireblocks-signature'));
+
+        const result = await webhookService.handleEvent(req.body, req.rawBody);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    receiveFireblocksWebhook
+};
@@ -0,0 +1,62 @@
+import prisma from '../../config/db.js';
+import { WebhookEventStatus } from '../../enums/webhookEventStatus.js';
+
+/**
+ * Fireblocks Webhook Repository
+ * Database operations for received Fireblocks webhook events
+ */
+
+/**
+ * Record a received event
+ * Throws Prisma P2002 when the event ID was already received
+ */
+export const createEvent = async ({ eventId, type, resourceId, payload }) => {
+    return await prisma.fireblocksWebhookEvent.create({
+        data: {
+            eventId,
+            type,
+            resourceId,
+            payload,
+            status: WebhookEventStatus.PROCESSING
+        }
+    });
+};
+
+/**
+ * Find event by Fireblocks event ID
+ */
+export const findByEventId = async (eventId) => {
+    return await prisma.fireblocksWebhookEvent.findUnique({
+        where: { eventId }
+    });
+};
+
+/**
+ * Take a FAILED event back for processing (redelivery)
+ * @returns {Promise<boolean>} False when it is no longer FAILED
+ */
+export const reclaimFailedEvent = async (id) => {
+    const result = await prisma.fireblocksWebhookEvent.updateMany({
+        where: { id, status: WebhookEventStatus.FAILED },
+        data: { status: WebhookEventStatus.PROCESSING, error: null, attempts: { increment: 1 } }
+    });
+
+    return result.count > 0;
+};
+
+/**
+ * Record the outcome of processing an event
+ */
+export const finishEvent = async (id, status, { operationId = null, error = null } = {}) => {
+    return await prisma.fireblocksWebhookEvent.update({
+        where: { id },
+        data: { status, operationId, error, processedAt: new Date() }
+    });
+};
+
+export default {
+    createEvent,
+    findByEventId,
+    reclaimFailedEvent,
+    finishEvent
+};
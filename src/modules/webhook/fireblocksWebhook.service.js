@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import * as webhookRepository from './fireblocksWebhook.repository.js';
+import * as operationRepository from '../operation/operation.repository.js';
+import * as operationService from '../operation/operation.service.js';
+import * as mintService from '../token-lifecycle/mint.service.js';
+import * as transactionService from '../fireblocks/transaction.service.js';
+import * as auditService from '../audit/audit.service.js';
+import { WebhookEventStatus } from '../../enums/webhookEventStatus.js';
+import { OperationType } from '../../enums/operationType.js';
+import { BadRequestError, UnauthorizedError } from '../../errors/ApiError.js';
+import { config } from '../../config/env.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fireblocks Webhook Service
+ * Applies Fireblocks push notifications to operations and custody records
+ *
+ * - Deliveries are signed by Fireblocks (RSA-SHA512 over the raw body, base64 in Fireblocks-Signature)
+ * - Events are deduplicated by event ID; a delivery that failed is processed again when redelivered
+ * - Transaction events update the tracked transfer (fireblocks_transactions), which settles its operation
+ * - Other events map to operations through CustodyOperation.fireblocksTaskId (transaction ID or token link ID)
+ *
+ * Polling (mint monitors) keeps running as a fallback for missed deliveries.
+ */
+
+const EventKind = Object.freeze({
+    TRANSACTION: 'TRANSACTION',
+    TOKENIZATION: 'TOKENIZATION'
+});
+
+// Event types handled, v1 (TYPE_NAME) and v2 (dotted) naming
+const EVENT_KINDS = {
+    TRANSACTION_STATUS_UPDATED: EventKind.TRANSACTION,
+    'transaction.status.updated': EventKind.TRANSACTION,
+    TOKENIZATION_STATUS_UPDATED: EventKind.TOKENIZATION,
+    TOKEN_LINK_STATUS_UPDATED: EventKind.TOKENIZATION,
+    'tokenization.status.updated': EventKind.TOKENIZATION
+};
+
+// Final Fireblocks statuses
+const SUCCESS_STATUS = 'COMPLETED';
+const FAILURE_STATUSES = ['FAILED', 'REJECTED', 'CANCELLED', 'BLOCKED', 'TIMEOUT'];
+
+let publicKey = null;
+
+/**
+ * Load the webhook signing key (cached)
+ */
+const getPublicKey = () => {
+    if (publicKey) return publicKey;
+
+    const { webhookPublicKey, webhookPublicKeyPath } = config.fireblocks;
+    if (webhookPublicKey) {
+        publicKey = webhookPublicKey;
+    } else if (webhookPublicKeyPath) {
+        publicKey = readFileSync(webhookPublicKeyPath, 'utf8');
+    }
+
+    return publicKey;
+};
+
+/**
+ * Verify a delivery's signature
+ * @param {Buffer} rawBody - Body bytes exactly as received
+ * @param {string} signature - Fireblocks-Signature header (base64)
+ */
+export const verifySignature = (rawBody, signature) => {
+    let key;
+    try {
+        key = getPublicKey();
+    } catch (error) {
+        logger.error('Failed to load Fireblocks webhook public key', { error: error.message });
+    }
+
+    if (!key) {
+        logger.error('Fireblocks webhook received but no webhook public key is configured');
+        throw UnauthorizedError('Webhook signature cannot be verified');
+    }
+
+    if (!signature || !rawBody) {
+        throw UnauthorizedError('Missing webhook signature');
+    }
+
+    let valid = false;
+    try {
+        valid = crypto.createVerify('RSA-SHA512').update(rawBody).verify(key, signature, 'base64');
+    } catch (error) {
+        logger.warn('Fireblocks webhook signature check errored', { error: error.message });
+    }
+
+    if (!valid) {
+        throw UnauthorizedError('Invalid webhook signature');
+    }
+};
+
+/**
+ * Event ID used for deduplication: Fireblocks' own ID when present, else a hash of the body
+ */
+const getEventId = (body, rawBody) => {
+    if (body.id) return String(body.id);
+    return crypto.createHash('sha256').update(rawBody).digest('hex');
+};
+
+/**
+ * Process a verified delivery
+ * @param {object} body - Parsed event ({ id?, type | eventType, data })
+ * @param {Buffer} rawBody
+ * @returns {Promise<object>} { eventId, status, duplicate, operationId }
+ */
+export const handleEvent = async (body, rawBody) => {
+    const type = body?.type || body?.eventType;
+    if (!type || !body.data) {
+        throw BadRequestError('Malformed Fireblocks webhook event');
+    }
+
+    const eventId = getEventId(body, rawBody);
+    const event = await recordEvent({
+        eventId,
+        type,
+        resourceId: body.data.id ? String(body.data.id) : null,
+        payload: body
+    });
+
+    if (event.duplicate) {
+        logger.info('Duplicate Fireblocks webhook event ignored', { eventId, type });
+        return { eventId, status: event.status, duplicate: true };
+    }
+
+    try {
+        const outcome = await applyEvent(type, body.data, event.id);
+        await webhookRepository.finishEvent(event.id, outcome.status, { operationId: outcome.operationId });
+
+        logger.info('Fireblocks webhook event processed', { eventId, type, ...outcome });
+        return { eventId, duplicate: false, ...outcome };
+    } catch (error) {
+        await webhookRepository.finishEvent(event.id, WebhookEventStatus.FAILED, { error: error.message });
+        logger.error('Fireblocks webhook event failed', { eventId, type, error: error.message });
+        throw error;
+    }
+};
+
+/**
+ * Store a new event, or take back a redelivered one that failed before
+ * @returns {Promise<object>} Event row, or { duplicate: true, status } when already handled
+ */
+const recordEvent = async (data) => {
+    try {
+        return await webhookRepository.createEvent(data);
+    } catch (error) {
+        if (error.code !== 'P2002') throw error;
+    }
+
+    const existing = await webhookRepository.findByEventId(data.eventId);
+    if (existing && await webhookRepository.reclaimFailedEvent(existing.id)) {
+        return existing;
+    }
+
+    return { duplicate: true, status: existing?.status };
+};
+
+/**
+ * Route an event to its handler
+ * @returns {Promise<object>} { status, operationId }
+ */
+const applyEvent = async (type, data, eventRowId) => {
+    switch (EVENT_KINDS[type]) {
+        case EventKind.TRANSACTION:
+            return await applyTransactionStatus(data);
+        case EventKind.TOKENIZATION:
+            return await applyTokenizationStatus(data, eventRowId);
+        default:
+            return { status: WebhookEventStatus.IGNORED, operationId: null };
+    }
+};
+
+/**
+ * Final outcome of a Fireblocks status, or null while still in progress
+ */
+const toOnChainResult = (data, failurePrefix) => {
+    if (data.status === SUCCESS_STATUS) {
+        return { succeeded: true, txHash: data.txHash || null };
+    }
+
+    if (FAILURE_STATUSES.includes(data.status)) {
+        const detail = data.subStatus ? `${data.status}: ${data.subStatus}` : data.status;
+        return { succeeded: false, txHash: data.txHash || null, failureReason: `${failurePrefix} ${detail}` };
+    }
+
+    return null;
+};
+
+const logStatusEvent = async (eventType, operation, data) => {
+    await auditService.logEvent(eventType, {
+        fireblocksId: data.id,
+        status: data.status,
+        subStatus: data.subStatus || null,
+        txHash: data.txHash || null,
+        source: 'FIREBLOCKS_WEBHOOK'
+    }, {
+        actor: 'system',
+        operationId: operation.id,
+        custodyRecordId: operation.custodyRecordId
+    });
+};
+
+/**
+ * TRANSACTION_STATUS_UPDATED: update the tracked transaction, which settles its operation
+ * Operations submitted before transactions were tracked are settled directly.
+ */
+const applyTransactionStatus = async (data) => {
+    const transaction = await transactionService.applyFireblocksUpdate(data, 'FIREBLOCKS_WEBHOOK');
+
+    let operation = null;
+    if (transaction?.operationId) {
+        operation = await operationRepository.findById(transaction.operationId);
+    } else if (!transaction && data.id) {
+        operation = await operationRepository.findByFireblocksTaskId(String(data.id));
+    }
+
+    if (!operation) {
+        // e.g. gas top-ups, or transactions created outside this system
+        return { status: transaction ? WebhookEventStatus.PROCESSED : WebhookEventStatus.IGNORED, operationId: null };
+    }
+
+    await logStatusEvent('FIREBLOCKS_TRANSACTION_STATUS_UPDATED', operation, data);
+
+    if (!transaction) {
+        const result = toOnChainResult(data, 'Fireblocks transaction');
+        if (result) {
+            await operationService.recordOnChainResult(operation, result);
+        }
+    }
+
+    return { status: WebhookEventStatus.PROCESSED, operationId: operation.id };
+};
+
+/**
+ * Tokenization status: settle the mint monitor (custody → MINTED) and the MINT operation
+ */
+const applyTokenizationStatus = async (data, eventRowId) => {
+    const tokenLinkId = data.id ? String(data.id) : null;
+    const operation = tokenLinkId ? await operationRepository.findByFireblocksTaskId(tokenLinkId) : null;
+    const monitor = tokenLinkId
+        ? await mintService.applyTokenizationUpdate(tokenLinkId, data, `webhook:${eventRowId}`)
+        : null;
+
+    if (!operation && !monitor) {
+        return { status: WebhookEventStatus.IGNORED, operationId: null };
+    }
+
+    if (operation && operation.operationType === OperationType.MINT) {
+        await logStatusEvent('FIREBLOCKS_TOKENIZATION_STATUS_UPDATED', operation, data);
+
+        // Normally settled with the monitor above; covers a busy or missing monitor (no-op once settled)
+        const result = toOnChainResult(data, 'Token mint failed with status');
+        if (result) {
+            await operationService.recordOnChainResult(operation, result);
+        }
+    }
+
+    return { status: WebhookEventStatus.PROCESSED, operationId: operation?.id || null };
+};
+
+export default {
+    verifySignature,
+    handleEvent
+};
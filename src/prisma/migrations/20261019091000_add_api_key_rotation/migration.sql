@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `api_keys` ADD COLUMN `previousEncryptedSecret` TEXT NULL,
+    ADD COLUMN `previousSecretExpiresAt` DATETIME(3) NULL,
+    ADD COLUMN `lastRotatedAt` DATETIME(3) NULL,
+    ADD COLUMN `expiresAt` DATETIME(3) NULL;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `api_keys` ADD COLUMN `rateLimitPlan` VARCHAR(191) NULL,
+    ADD COLUMN `rateLimits` JSON NULL;
+
+-- CreateTable
+CREATE TABLE `tenant_plans` (
+    `tenantId` VARCHAR(191) NOT NULL,
+    `plan` VARCHAR(191) NOT NULL DEFAULT 'standard',
+    `rateLimits` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`tenantId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `mfaEnabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `mfaSecret` TEXT NULL,
+    ADD COLUMN `mfaRecoveryCodes` JSON NULL,
+    ADD COLUMN `mfaLastUsedStep` INTEGER NULL,
+    ADD COLUMN `mfaEnabledAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `mfa_policies` (
+    `role` VARCHAR(191) NOT NULL,
+    `required` BOOLEAN NOT NULL DEFAULT false,
+    `updatedBy` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`role`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `operatorRole` VARCHAR(191) NOT NULL DEFAULT 'MAKER';
+
+-- CreateTable
+CREATE TABLE `tenant_policies` (
+    `tenantId` VARCHAR(191) NOT NULL,
+    `allowSelfApproval` BOOLEAN NOT NULL DEFAULT false,
+    `reason` TEXT NULL,
+    `updatedBy` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`tenantId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Makers and checkers are users: replace API key public keys and dashboard_user_<id> actors with user IDs
+UPDATE `custody_operations` o JOIN `api_keys` k ON k.`publicKey` = o.`initiatedBy`
+SET o.`initiatedBy` = k.`userId` WHERE k.`userId` IS NOT NULL;
+UPDATE `custody_operations` o JOIN `api_keys` k ON k.`publicKey` = o.`approvedBy`
+SET o.`approvedBy` = k.`userId` WHERE k.`userId` IS NOT NULL;
+UPDATE `custody_operations` SET `initiatedBy` = SUBSTRING(`initiatedBy`, 16) WHERE `initiatedBy` LIKE 'dashboard\_user\_%';
+UPDATE `custody_operations` SET `approvedBy` = SUBSTRING(`approvedBy`, 16) WHERE `approvedBy` LIKE 'dashboard\_user\_%';
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE `custody_operations` ADD COLUMN `requiredApprovals` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `approvalPolicyId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `operation_approvals` (
+    `id` VARCHAR(191) NOT NULL,
+    `operationId` VARCHAR(191) NOT NULL,
+    `approvedBy` VARCHAR(191) NOT NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `operation_approvals_operationId_idx`(`operationId`),
+    UNIQUE INDEX `operation_approvals_operationId_approvedBy_key`(`operationId`, `approvedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `approval_policies` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NULL,
+    `operationType` VARCHAR(191) NULL,
+    `minAssetValue` VARCHAR(191) NULL,
+    `requiredApprovals` INTEGER NOT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `approval_policies_tenantId_idx`(`tenantId`),
+    INDEX `approval_policies_isActive_idx`(`isActive`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill one approval row for operations approved before quorum tracking
+INSERT INTO `operation_approvals` (`id`, `operationId`, `approvedBy`, `createdAt`)
+SELECT UUID(), `id`, `approvedBy`, `updatedAt` FROM `custody_operations` WHERE `approvedBy` IS NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE `custody_operations` ADD CONSTRAINT `custody_operations_approvalPolicyId_fkey` FOREIGN KEY (`approvalPolicyId`) REFERENCES `approval_policies`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `operation_approvals` ADD CONSTRAINT `operation_approvals_operationId_fkey` FOREIGN KEY (`operationId`) REFERENCES `custody_operations`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `custody_operations` ADD COLUMN `cancelledBy` VARCHAR(191) NULL,
+    ADD COLUMN `cancelledAt` DATETIME(3) NULL,
+    ADD COLUMN `expiresAt` DATETIME(3) NULL,
+    ADD COLUMN `expiredAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `custody_operations_status_expiresAt_idx` ON `custody_operations`(`status`, `expiresAt`);
+
+-- Existing pending operations get the default 24 hour TTL from their creation time
+UPDATE `custody_operations` SET `expiresAt` = DATE_ADD(`createdAt`, INTERVAL 24 HOUR)
+WHERE `status` IN ('PENDING_MAKER', 'PENDING_CHECKER');
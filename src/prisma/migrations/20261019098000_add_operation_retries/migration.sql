@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `custody_operations` ADD COLUMN `parentOperationId` VARCHAR(191) NULL,
+    ADD COLUMN `attempt` INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE `operation_approvals` ADD COLUMN `carriedOverFrom` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `approval_policies` ADD COLUMN `carryOverOnRetry` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `custody_operations_parentOperationId_key` ON `custody_operations`(`parentOperationId`);
+
+-- AddForeignKey
+ALTER TABLE `custody_operations` ADD CONSTRAINT `custody_operations_parentOperationId_fkey` FOREIGN KEY (`parentOperationId`) REFERENCES `custody_operations`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `jobs` (
+    `id` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `payload` JSON NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'PENDING',
+    `dedupeKey` VARCHAR(191) NULL,
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `maxAttempts` INTEGER NOT NULL,
+    `runAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lockedBy` VARCHAR(191) NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `lastError` TEXT NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `jobs_dedupeKey_key`(`dedupeKey`),
+    INDEX `jobs_status_runAt_idx`(`status`, `runAt`),
+    INDEX `jobs_status_lockedUntil_idx`(`status`, `lockedUntil`),
+    INDEX `jobs_type_idx`(`type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE `mint_monitors` (
+    `id` VARCHAR(191) NOT NULL,
+    `assetId` VARCHAR(191) NOT NULL,
+    `lockKey` VARCHAR(191) NULL,
+    `custodyRecordId` VARCHAR(191) NOT NULL,
+    `operationId` VARCHAR(191) NULL,
+    `tokenLinkId` VARCHAR(191) NULL,
+    `totalSupply` VARCHAR(191) NOT NULL,
+    `actor` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `fireblocksStatus` VARCHAR(191) NULL,
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `maxAttempts` INTEGER NOT NULL,
+    `nextPollAt` DATETIME(3) NULL,
+    `lastPolledAt` DATETIME(3) NULL,
+    `lastError` TEXT NULL,
+    `lockedBy` VARCHAR(191) NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `mint_monitors_lockKey_key`(`lockKey`),
+    UNIQUE INDEX `mint_monitors_tokenLinkId_key`(`tokenLinkId`),
+    INDEX `mint_monitors_status_nextPollAt_idx`(`status`, `nextPollAt`),
+    INDEX `mint_monitors_operationId_idx`(`operationId`),
+    INDEX `mint_monitors_assetId_idx`(`assetId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `fireblocks_webhook_events` (
+    `id` VARCHAR(191) NOT NULL,
+    `eventId` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `resourceId` VARCHAR(191) NULL,
+    `payload` JSON NOT NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `operationId` VARCHAR(191) NULL,
+    `error` TEXT NULL,
+    `attempts` INTEGER NOT NULL DEFAULT 1,
+    `receivedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `processedAt` DATETIME(3) NULL,
+
+    UNIQUE INDEX `fireblocks_webhook_events_eventId_key`(`eventId`),
+    INDEX `fireblocks_webhook_events_resourceId_idx`(`resourceId`),
+    INDEX `fireblocks_webhook_events_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE `fireblocks_transactions` (
+    `id` VARCHAR(191) NOT NULL,
+    `fireblocksTxId` VARCHAR(191) NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `operationId` VARCHAR(191) NULL,
+    `custodyRecordId` VARCHAR(191) NULL,
+    `assetId` VARCHAR(191) NOT NULL,
+    `amount` VARCHAR(191) NOT NULL,
+    `sourceVaultId` VARCHAR(191) NOT NULL,
+    `destinationVaultId` VARCHAR(191) NULL,
+    `destinationAddress` VARCHAR(191) NULL,
+    `destinationTag` VARCHAR(191) NULL,
+    `note` VARCHAR(191) NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `subStatus` VARCHAR(191) NULL,
+    `txHash` VARCHAR(191) NULL,
+    `numConfirmations` INTEGER NOT NULL DEFAULT 0,
+    `fee` VARCHAR(191) NULL,
+    `feeCurrency` VARCHAR(191) NULL,
+    `failureReason` TEXT NULL,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `pollAttempts` INTEGER NOT NULL DEFAULT 0,
+    `nextPollAt` DATETIME(3) NULL,
+    `lastPolledAt` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `fireblocks_transactions_fireblocksTxId_key`(`fireblocksTxId`),
+    UNIQUE INDEX `fireblocks_transactions_operationId_key`(`operationId`),
+    INDEX `fireblocks_transactions_status_nextPollAt_idx`(`status`, `nextPollAt`),
+    INDEX `fireblocks_transactions_sourceVaultId_idx`(`sourceVaultId`),
+    INDEX `fireblocks_transactions_destinationVaultId_idx`(`destinationVaultId`),
+    INDEX `fireblocks_transactions_assetId_idx`(`assetId`),
+    INDEX `fireblocks_transactions_custodyRecordId_idx`(`custodyRecordId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `fireblocks_transactions` ADD COLUMN `contractCall` JSON NULL;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `custody_records` ADD COLUMN `withdrawalAddress` VARCHAR(191) NULL,
+    ADD COLUMN `withdrawalTxHash` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `withdrawal_addresses` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NOT NULL,
+    `blockchain` VARCHAR(191) NOT NULL,
+    `address` VARCHAR(191) NOT NULL,
+    `label` VARCHAR(191) NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `withdrawal_addresses_tenantId_idx`(`tenantId`),
+    UNIQUE INDEX `withdrawal_addresses_tenantId_blockchain_address_key`(`tenantId`, `blockchain`, `address`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE `ledger_accounts` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `ownerId` VARCHAR(191) NOT NULL,
+    `unitType` VARCHAR(191) NOT NULL,
+    `unit` VARCHAR(191) NOT NULL,
+    `balance` VARCHAR(191) NOT NULL DEFAULT '0',
+    `version` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `ledger_accounts_ownerId_idx`(`ownerId`),
+    INDEX `ledger_accounts_unit_idx`(`unit`),
+    UNIQUE INDEX `ledger_accounts_tenantId_ownerId_type_unit_key`(`tenantId`, `ownerId`, `type`, `unit`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `journal_entries` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `idempotencyKey` VARCHAR(191) NOT NULL,
+    `assetId` VARCHAR(191) NULL,
+    `custodyRecordId` VARCHAR(191) NULL,
+    `operationId` VARCHAR(191) NULL,
+    `listingId` VARCHAR(191) NULL,
+    `bidId` VARCHAR(191) NULL,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `journal_entries_idempotencyKey_key`(`idempotencyKey`),
+    INDEX `journal_entries_tenantId_idx`(`tenantId`),
+    INDEX `journal_entries_assetId_idx`(`assetId`),
+    INDEX `journal_entries_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ledger_postings` (
+    `id` VARCHAR(191) NOT NULL,
+    `entryId` VARCHAR(191) NOT NULL,
+    `accountId` VARCHAR(191) NOT NULL,
+    `amount` VARCHAR(191) NOT NULL,
+    `balanceAfter` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `ledger_postings_entryId_idx`(`entryId`),
+    INDEX `ledger_postings_accountId_createdAt_idx`(`accountId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ledger_postings` ADD CONSTRAINT `ledger_postings_entryId_fkey` FOREIGN KEY (`entryId`) REFERENCES `journal_entries`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ledger_postings` ADD CONSTRAINT `ledger_postings_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `ledger_accounts`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `custody_records` ADD COLUMN `tradingFrozenAt` DATETIME(3) NULL,
+    ADD COLUMN `tradingFrozenReason` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `reconciliation_reports` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NOT NULL,
+    `trigger` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `assetsChecked` INTEGER NOT NULL DEFAULT 0,
+    `breakCount` INTEGER NOT NULL DEFAULT 0,
+    `errorCount` INTEGER NOT NULL DEFAULT 0,
+    `breaks` JSON NULL,
+    `errors` JSON NULL,
+    `frozenAssets` JSON NULL,
+    `createdBy` VARCHAR(191) NOT NULL,
+    `startedAt` DATETIME(3) NOT NULL,
+    `completedAt` DATETIME(3) NOT NULL,
+
+    INDEX `reconciliation_reports_tenantId_idx`(`tenantId`),
+    INDEX `reconciliation_reports_startedAt_idx`(`startedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
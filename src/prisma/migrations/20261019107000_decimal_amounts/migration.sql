@@ -0,0 +1,28 @@
+-- Amounts move from decimal strings to exact DECIMAL(36, 18) columns.
+-- Existing values are converted in place; a non-numeric value fails the migration.
+
+-- AlterTable
+ALTER TABLE `listings` MODIFY `price` DECIMAL(36, 18) NOT NULL,
+    MODIFY `quantityListed` DECIMAL(36, 18) NOT NULL,
+    MODIFY `quantitySold` DECIMAL(36, 18) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `bids` MODIFY `amount` DECIMAL(36, 18) NOT NULL,
+    MODIFY `quantity` DECIMAL(36, 18) NOT NULL;
+
+-- Empty purchase prices were stored as ''
+UPDATE `ownerships` SET `purchasePrice` = NULL WHERE `purchasePrice` = '';
+
+-- AlterTable
+ALTER TABLE `ownerships` MODIFY `quantity` DECIMAL(36, 18) NOT NULL,
+    MODIFY `purchasePrice` DECIMAL(36, 18) NULL;
+
+-- AlterTable
+ALTER TABLE `user_balances` MODIFY `balance` DECIMAL(36, 18) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `ledger_accounts` MODIFY `balance` DECIMAL(36, 18) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `ledger_postings` MODIFY `amount` DECIMAL(36, 18) NOT NULL,
+    MODIFY `balanceAfter` DECIMAL(36, 18) NOT NULL;
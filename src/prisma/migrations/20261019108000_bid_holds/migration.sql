@@ -0,0 +1,5 @@
+-- Bids placed from now on hold their total in the buyer's escrow ledger account.
+-- Pending bids placed before have no hold (heldAmount NULL) and settle from the buyer's cash.
+
+-- AlterTable
+ALTER TABLE `bids` ADD COLUMN `heldAmount` DECIMAL(36, 18) NULL;
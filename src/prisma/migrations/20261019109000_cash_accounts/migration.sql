@@ -0,0 +1,14 @@
+-- Cash withdrawals are operations without a custody record: they carry their tenant themselves.
+-- Cash deposits and withdrawals keep their bank or PSP reference on the journal entry.
+
+-- AlterTable
+ALTER TABLE `custody_operations` ADD COLUMN `tenantId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `journal_entries` ADD COLUMN `externalReference` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `custody_operations_tenantId_idx` ON `custody_operations`(`tenantId`);
+
+-- CreateIndex
+CREATE INDEX `journal_entries_externalReference_idx` ON `journal_entries`(`externalReference`);
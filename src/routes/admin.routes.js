@@ -1,6 +1,12 @@
 import express from 'express';
 import * as adminController from '../modules/admin/admin.controller.js';
 import * as authController from '../modules/auth/admin.controller.js';
+import * as rateLimitController from '../modules/rate-limit/rateLimit.controller.js';
+import * as mfaController from '../modules/auth/mfa.controller.js';
+import * as approvalPolicyController from '../modules/operation/approvalPolicy.controller.js';
+import * as withdrawalAddressController from '../modules/token-lifecycle/withdrawalAddress.controller.js';
+import * as jobController from '../modules/jobs/job.controller.js';
+import * as cashController from '../modules/cash/cash.controller.js';
 import { authenticateJwt, requireAdmin } from '../modules/auth/auth.middleware.js';
 
 /**
@@ -12,6 +18,7 @@ const router = express.Router();
 
 // Admin login (separate from regular user login)
 router.post('/login', authController.adminLogin);
+router.post('/login/mfa', authController.adminLoginMfa);
 
 // All routes below require admin authentication
 router.use(authenticateJwt, requireAdmin);
@@ -23,13 +30,46 @@ router.get('/stats', adminController.getStats);
 router.get('/users', adminController.listUsers);
 router.get('/users/:id', adminController.getUser);
 router.patch('/users/:id/status', adminController.updateUserStatus);
+router.patch('/users/:id/operator-role', adminController.updateUserOperatorRole);
+
+// Tenant governance (maker-checker bypass)
+router.get('/tenants/:tenantId/policy', adminController.getTenantPolicy);
+router.put('/tenants/:tenantId/policy', adminController.updateTenantPolicy);
+
+// Operation quorum (N-of-M approvals)
+router.get('/approval-policies', approvalPolicyController.listPolicies);
+router.post('/approval-policies', approvalPolicyController.createPolicy);
+router.patch('/approval-policies/:id', approvalPolicyController.updatePolicy);
+
+// Withdrawal address allowlist (per tenant and chain)
+router.get('/withdrawal-addresses', withdrawalAddressController.listAddresses);
+router.post('/withdrawal-addresses', withdrawalAddressController.createAddress);
+router.patch('/withdrawal-addresses/:id', withdrawalAddressController.updateAddress);
+
+// Cash deposits (credited to an end user of a tenant) and balances from before the ledger
+router.post('/cash/deposits', cashController.recordAdminDeposit);
+router.post('/cash/opening-balances', cashController.openLegacyBalance);
 
 // API keys (all users)
 router.get('/api-keys', adminController.listAllApiKeys);
+router.put('/api-keys/:id/rate-limits', rateLimitController.setApiKeyLimits);
+
+// Rate limits (plans, tenant overrides, current usage)
+router.get('/rate-limits/plans', rateLimitController.listPlans);
+router.get('/rate-limits/usage', rateLimitController.getUsage);
+router.put('/tenants/:tenantId/rate-limits', rateLimitController.setTenantPlan);
 
 // Assets (all users)
 router.get('/assets', adminController.listAllAssets);
 
+// MFA enforcement per role
+router.get('/mfa-policies', mfaController.listPolicies);
+router.put('/mfa-policies/:role', mfaController.setPolicy);
+
+// Background job queue
+router.get('/jobs', jobController.listJobs);
+router.get('/jobs/:id', jobController.getJob);
+
 // Audit logs
 router.get('/audit-logs', adminController.getAuditLogs);
 
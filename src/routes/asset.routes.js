@@ -1,6 +1,7 @@
 import express from 'express';
 import * as assetController from '../modules/asset-linking/asset.controller.js';
 import { authenticate, requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
 
 /**
  * Asset Routes
@@ -13,14 +14,14 @@ const router = express.Router();
 router.get('/types', assetController.getAssetTypes);
 router.get('/stats/types', assetController.getAssetStatsByType);
 
-// Search and list (Read permission)
-router.get('/search', requirePermission('read'), assetController.searchAssets);
-router.get('/types/:type', requirePermission('read'), assetController.getAssetsByType);
+// Search and list (assets:read)
+router.get('/search', requirePermission(PermissionScope.ASSETS_READ), assetController.searchAssets);
+router.get('/types/:type', requirePermission(PermissionScope.ASSETS_READ), assetController.getAssetsByType);
 
-// Record management (Write/Admin permission)
-router.post('/', requirePermission('write'), assetController.createAsset);
-router.get('/:assetId', requirePermission('read'), assetController.getAssetDetails);
-router.patch('/:assetId', requirePermission('write'), assetController.updateAsset);
-router.post('/:assetId/verify', requirePermission('admin'), assetController.verifyAsset);
+// Record management (assets:write / assets:verify)
+router.post('/', requirePermission(PermissionScope.ASSETS_WRITE), assetController.createAsset);
+router.get('/:assetId', requirePermission(PermissionScope.ASSETS_READ), assetController.getAssetDetails);
+router.patch('/:assetId', requirePermission(PermissionScope.ASSETS_WRITE), assetController.updateAsset);
+router.post('/:assetId/verify', requirePermission(PermissionScope.ASSETS_VERIFY), assetController.verifyAsset);
 
 export default router;
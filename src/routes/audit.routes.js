@@ -1,6 +1,7 @@
 import express from 'express';
 import * as auditRepository from '../modules/audit/audit.repository.js';
 import { requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
 
 /**
  * Audit Routes
@@ -9,6 +10,9 @@ import { requirePermission } from '../modules/auth/auth.middleware.js';
 
 const router = express.Router();
 
+// All audit endpoints require audit:read
+router.use(requirePermission(PermissionScope.AUDIT_READ));
+
 /**
  * Get recent audit logs
  * GET /v1/audit/recent
@@ -1,9 +1,20 @@
 import express from 'express';
 import * as apiKeyRepository from '../modules/auth/apiKey.repository.js';
 import * as authController from '../modules/auth/auth.controller.js';
-import { requirePermission, authenticateJwt, authenticate } from '../modules/auth/auth.middleware.js';
-import { BadRequestError, NotFoundError } from '../errors/ApiError.js';
+import * as mfaController from '../modules/auth/mfa.controller.js';
+import * as auditService from '../modules/audit/audit.service.js';
+import { requirePermission, authenticateJwt, authenticate, authenticateMfaEnrollment } from '../modules/auth/auth.middleware.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../errors/ApiError.js';
 import { ValidationError } from '../errors/ValidationError.js';
+import { isValidIpEntry, formatIpEntry } from '../utils/ip.js';
+import {
+    PermissionScope,
+    ROLE_SCOPES,
+    WILDCARD_SCOPE,
+    isValidScope,
+    hasScope,
+    getEffectiveScopes
+} from '../enums/permissionScope.js';
 
 /**
  * Authentication Routes
@@ -12,15 +23,85 @@ import { ValidationError } from '../errors/ValidationError.js';
 
 const router = express.Router();
 
+/**
+ * Validate and normalize an IP allowlist (IPv4/IPv6 addresses or CIDR blocks)
+ * Returns null for an empty/absent list
+ */
+const normalizeIpWhitelist = (ipWhitelist) => {
+    if (ipWhitelist === undefined || ipWhitelist === null) return ipWhitelist;
+
+    if (!Array.isArray(ipWhitelist)) {
+        throw new ValidationError('IP whitelist must be an array', [
+            { field: 'ipWhitelist', message: 'Must be an array of IP addresses or CIDR blocks' }
+        ]);
+    }
+
+    const invalidEntries = ipWhitelist.filter(entry => !isValidIpEntry(entry));
+    if (invalidEntries.length > 0) {
+        throw new ValidationError('Invalid IP whitelist', [
+            { field: 'ipWhitelist', message: `Invalid values: ${invalidEntries.join(', ')}` }
+        ]);
+    }
+
+    const normalized = [...new Set(ipWhitelist.map(formatIpEntry))];
+    return normalized.length > 0 ? normalized : null;
+};
+
+/**
+ * Validate a list of granted permission scopes
+ * Returns the de-duplicated list, or undefined when absent
+ */
+const validatePermissions = (permissions) => {
+    if (permissions === undefined || permissions === null) return undefined;
+
+    if (!Array.isArray(permissions)) {
+        throw new ValidationError('Permissions must be an array', [
+            { field: 'permissions', message: 'Must be an array' }
+        ]);
+    }
+
+    const invalidPerms = permissions.filter(p => !isValidScope(p));
+    if (invalidPerms.length > 0) {
+        throw new ValidationError('Invalid permissions', [
+            { field: 'permissions', message: `Invalid values: ${invalidPerms.join(', ')}` }
+        ]);
+    }
+
+    return [...new Set(permissions)];
+};
+
+/**
+ * Scopes a self-service key may never be granted
+ */
+const isPrivilegedScope = (scope) =>
+    scope === WILDCARD_SCOPE || scope === 'admin' || scope.startsWith('keys:');
+
 /**
  * Auth Endpoints
  */
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/mfa', authController.loginMfa);
 router.post('/refresh', authController.refresh);
 router.post('/logout', authController.logout);
 router.get('/me', authenticateJwt, authController.me);
 
+/**
+ * Session Management (dashboard refresh sessions)
+ */
+router.get('/sessions', authenticateJwt, authController.listSessions);
+router.delete('/sessions/:id', authenticateJwt, authController.revokeSession);
+
+/**
+ * Two-Factor Authentication (TOTP)
+ */
+router.get('/mfa', authenticateJwt, mfaController.getStatus);
+router.post('/mfa/enroll', authenticateMfaEnrollment, mfaController.startEnrollment);
+router.post('/mfa/enroll/verify', authenticateMfaEnrollment, mfaController.confirmEnrollment);
+router.post('/mfa/disable', authenticateJwt, mfaController.disableMfa);
+router.post('/mfa/recovery-codes', authenticateJwt, mfaController.regenerateRecoveryCodes);
+router.post('/mfa/step-up', authenticateJwt, mfaController.stepUp);
+
 /**
  * Client-Facing API Key Management
  */
@@ -35,28 +116,36 @@ router.get('/keys/my', authenticateJwt, async (req, res, next) => {
 
 router.post('/keys/my', authenticateJwt, async (req, res, next) => {
     try {
-        const { role } = req.body; // MAKER, CHECKER, or VIEWER
-        
-        // Map role to permissions
-        let permissions;
-        switch(role) {
-            case 'MAKER':
-                permissions = ['read', 'write']; // Can create operations
-                break;
-            case 'CHECKER':
-                permissions = ['read', 'admin']; // Can approve operations
-                break;
-            case 'VIEWER':
-                permissions = ['read']; // Read-only
-                break;
-            default:
-                permissions = ['read', 'write']; // Default to MAKER
+        const { role = 'MAKER', scopes } = req.body; // MAKER, CHECKER, or VIEWER
+
+        if (!ROLE_SCOPES[role]) {
+            throw new ValidationError('Invalid role', [
+                { field: 'role', message: `Must be one of: ${Object.keys(ROLE_SCOPES).join(', ')}` }
+            ]);
+        }
+
+        // Role defaults, optionally narrowed/overridden by explicit scopes
+        let permissions = [...ROLE_SCOPES[role]];
+        if (scopes !== undefined) {
+            permissions = validatePermissions(scopes);
+            if (!permissions || permissions.length === 0) {
+                throw new ValidationError('Invalid scopes', [
+                    { field: 'scopes', message: 'Must be a non-empty array' }
+                ]);
+            }
+
+            const privileged = permissions.filter(isPrivilegedScope);
+            if (privileged.length > 0) {
+                throw new ValidationError('Scopes not allowed for self-service keys', [
+                    { field: 'scopes', message: `Not allowed: ${privileged.join(', ')}` }
+                ]);
+            }
         }
-        
+
         const apiKey = await apiKeyRepository.createApiKey({
             userId: req.user.sub,
             permissions,
-            role: role || 'MAKER',
+            role,
             tenantId: req.user.sub // For now, 1:1 user to tenant
         });
         res.status(201).json(apiKey);
@@ -82,32 +171,28 @@ router.delete('/keys/my/:id', authenticateJwt, async (req, res, next) => {
 /**
  * API key management endpoints (admin only)
  */
-router.post('/keys', authenticate, requirePermission('admin'), async (req, res, next) => {
+router.post('/keys', authenticate, requirePermission(PermissionScope.KEYS_MANAGE), async (req, res, next) => {
     try {
-        const { tenantId, permissions, ipWhitelist } = req.body;
+        const { tenantId, permissions, ipWhitelist, expiresAt } = req.body;
 
-        // Validate permissions
-        const validPermissions = ['read', 'write', 'admin'];
-        if (permissions && !Array.isArray(permissions)) {
-            throw new ValidationError('Permissions must be an array', [
-                { field: 'permissions', message: 'Must be an array' }
+        // Validate expiry
+        if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(new Date(expiresAt).getTime())) {
+            throw new ValidationError('Invalid expiry date', [
+                { field: 'expiresAt', message: 'Must be an ISO 8601 date' }
             ]);
         }
 
-        if (permissions) {
-            const invalidPerms = permissions.filter(p => !validPermissions.includes(p));
-            if (invalidPerms.length > 0) {
-                throw new ValidationError('Invalid permissions', [
-                    { field: 'permissions', message: `Invalid values: ${invalidPerms.join(', ')}` }
-                ]);
-            }
-        }
+        // Validate permissions
+        const grantedPermissions = validatePermissions(permissions);
+
+        const normalizedWhitelist = normalizeIpWhitelist(ipWhitelist);
 
         // Create API key
         const apiKey = await apiKeyRepository.createApiKey({
             tenantId,
-            permissions: permissions || ['read'],
-            ipWhitelist: ipWhitelist || null
+            permissions: grantedPermissions || ['read'],
+            ipWhitelist: normalizedWhitelist || null,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
         });
 
         res.status(201).json({
@@ -118,6 +203,7 @@ router.post('/keys', authenticate, requirePermission('admin'), async (req, res,
             permissions: apiKey.permissions,
             ipWhitelist: apiKey.ipWhitelist,
             isActive: apiKey.isActive,
+            expiresAt: apiKey.expiresAt,
             createdAt: apiKey.createdAt
         });
     } catch (error) {
@@ -129,7 +215,7 @@ router.post('/keys', authenticate, requirePermission('admin'), async (req, res,
  * List API keys
  * GET /v1/auth/keys
  */
-router.get('/keys', authenticate, requirePermission('admin'), async (req, res, next) => {
+router.get('/keys', authenticate, requirePermission(PermissionScope.KEYS_MANAGE), async (req, res, next) => {
     try {
         const { tenantId, isActive } = req.query;
 
@@ -152,7 +238,7 @@ router.get('/keys', authenticate, requirePermission('admin'), async (req, res, n
  * Get specific API key
  * GET /v1/auth/keys/:id
  */
-router.get('/keys/:id', authenticate, requirePermission('admin'), async (req, res, next) => {
+router.get('/keys/:id', authenticate, requirePermission(PermissionScope.KEYS_MANAGE), async (req, res, next) => {
     try {
         const { id } = req.params;
 
@@ -168,6 +254,8 @@ router.get('/keys/:id', authenticate, requirePermission('admin'), async (req, re
             permissions: apiKey.permissions,
             ipWhitelist: apiKey.ipWhitelist,
             isActive: apiKey.isActive,
+            lastRotatedAt: apiKey.lastRotatedAt,
+            expiresAt: apiKey.expiresAt,
             createdAt: apiKey.createdAt,
             updatedAt: apiKey.updatedAt
         });
@@ -176,11 +264,41 @@ router.get('/keys/:id', authenticate, requirePermission('admin'), async (req, re
     }
 });
 
+/**
+ * Resolve the concrete scopes an API key is allowed
+ * GET /v1/auth/keys/:id/effective-permissions
+ * Available to key managers and to the key itself
+ */
+router.get('/keys/:id/effective-permissions', authenticate, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (req.auth.apiKeyId !== id && !hasScope(req.auth.permissions, PermissionScope.KEYS_MANAGE)) {
+            throw ForbiddenError(`Missing required permission: ${PermissionScope.KEYS_MANAGE}`);
+        }
+
+        const apiKey = await apiKeyRepository.findById(id);
+        if (!apiKey) {
+            throw NotFoundError('API key not found');
+        }
+
+        res.json({
+            id: apiKey.id,
+            publicKey: apiKey.publicKey,
+            role: apiKey.role,
+            permissions: apiKey.permissions,
+            effectiveScopes: getEffectiveScopes(apiKey.permissions)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Update API key
  * PATCH /v1/auth/keys/:id
  */
-router.patch('/keys/:id', authenticate, requirePermission('admin'), async (req, res, next) => {
+router.patch('/keys/:id', authenticate, requirePermission(PermissionScope.KEYS_MANAGE), async (req, res, next) => {
     try {
         const { id } = req.params;
         const { permissions, ipWhitelist } = req.body;
@@ -191,20 +309,9 @@ router.patch('/keys/:id', authenticate, requirePermission('admin'), async (req,
             throw NotFoundError('API key not found');
         }
 
-        // Validate permissions if provided
-        if (permissions) {
-            const validPermissions = ['read', 'write', 'admin'];
-            const invalidPerms = permissions.filter(p => !validPermissions.includes(p));
-            if (invalidPerms.length > 0) {
-                throw new ValidationError('Invalid permissions', [
-                    { field: 'permissions', message: `Invalid values: ${invalidPerms.join(', ')}` }
-                ]);
-            }
-        }
-
         const updated = await apiKeyRepository.updateApiKey(id, {
-            permissions,
-            ipWhitelist
+            permissions: validatePermissions(permissions),
+            ipWhitelist: normalizeIpWhitelist(ipWhitelist)
         });
 
         res.json(updated);
@@ -213,11 +320,73 @@ router.patch('/keys/:id', authenticate, requirePermission('admin'), async (req,
     }
 });
 
+/**
+ * Rotate API key secret
+ * POST /v1/auth/keys/:id/rotate
+ */
+router.post('/keys/:id/rotate', authenticate, requirePermission(PermissionScope.KEYS_MANAGE), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { gracePeriodSeconds, expiresAt } = req.body;
+
+        // Check if key exists
+        const existing = await apiKeyRepository.findById(id);
+        if (!existing) {
+            throw NotFoundError('API key not found');
+        }
+
+        if (!existing.isActive) {
+            throw BadRequestError('Cannot rotate a revoked API key');
+        }
+
+        if (gracePeriodSeconds !== undefined && (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0)) {
+            throw new ValidationError('Invalid grace period', [
+                { field: 'gracePeriodSeconds', message: 'Must be a non-negative integer' }
+            ]);
+        }
+
+        if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(new Date(expiresAt).getTime())) {
+            throw new ValidationError('Invalid expiry date', [
+                { field: 'expiresAt', message: 'Must be an ISO 8601 date' }
+            ]);
+        }
+
+        const rotated = await apiKeyRepository.rotateApiKey(id, {
+            gracePeriodSeconds,
+            expiresAt: expiresAt === undefined ? undefined : (expiresAt ? new Date(expiresAt) : null)
+        });
+
+        await auditService.logEvent('API_KEY_ROTATED', {
+            apiKeyId: id,
+            publicKey: rotated.publicKey,
+            tenantId: rotated.tenantId,
+            previousSecretExpiresAt: rotated.previousSecretExpiresAt,
+            expiresAt: rotated.expiresAt,
+            action: 'API key secret rotated'
+        }, {
+            actor: req.auth?.publicKey || 'unknown',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        res.json({
+            id: rotated.id,
+            publicKey: rotated.publicKey,
+            secretKey: rotated.secretKey, // Only returned on rotation
+            previousSecretExpiresAt: rotated.previousSecretExpiresAt,
+            lastRotatedAt: rotated.lastRotatedAt,
+            expiresAt: rotated.expiresAt
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * Revoke API key
  * DELETE /v1/auth/keys/:id
  */
-router.delete('/keys/:id', authenticate, requirePermission('admin'), async (req, res, next) => {
+router.delete('/keys/:id', authenticate, requirePermission(PermissionScope.KEYS_MANAGE), async (req, res, next) => {
     try {
         const { id } = req.params;
 
@@ -0,0 +1,46 @@
+/**
+ * Cash Routes
+ * End users' fiat cash accounts (deposits, withdrawals, transaction history, statements)
+ */
+
+import express from 'express';
+import * as cashController from '../modules/cash/cash.controller.js';
+import { requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
+
+const router = express.Router();
+
+/**
+ * POST /v1/cash/deposits
+ * Credit a deposit received for an end user (payment integration)
+ * Idempotent per external reference: a replay returns the original deposit (200)
+ *
+ * Body: userId, currency, amount, externalReference (bank or PSP transaction ID), description
+ */
+router.post('/deposits', requirePermission(PermissionScope.CASH_DEPOSIT), cashController.recordDeposit);
+
+/**
+ * POST /v1/cash/withdrawals
+ * Request a withdrawal: creates a CASH_WITHDRAWAL operation awaiting checkers and holds the amount
+ *
+ * Body: userId, currency, amount, destination (payout account), reference (optional)
+ */
+router.post('/withdrawals', requirePermission(PermissionScope.CASH_WITHDRAW), cashController.requestWithdrawal);
+
+/**
+ * GET /v1/cash/users/:userId/transactions
+ * Cash movements of a user, newest first, with the balance after each
+ *
+ * Query: currency (required when the user holds several), from, to, limit, offset
+ */
+router.get('/users/:userId/transactions', requirePermission(PermissionScope.CASH_READ), cashController.getTransactions);
+
+/**
+ * GET /v1/cash/users/:userId/statement
+ * Statement download for a period: opening balance, movements oldest first, totals, closing balance
+ *
+ * Query: currency, from, to, format (json, csv)
+ */
+router.get('/users/:userId/statement', requirePermission(PermissionScope.CASH_READ), cashController.getStatement);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import * as custodyController from '../modules/custody/custody.controller.js';
-import { requirePermission, authenticateJwt } from '../modules/auth/auth.middleware.js';
+import { authenticate, requirePermission, authenticateJwt, requireMfaStepUp } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
 
 /**
  * Custody Routes
@@ -11,43 +12,44 @@ const router = express.Router();
 
 // ============================================
 // DASHBOARD ENDPOINTS (JWT Authentication)
+// Scopes come from the user's operator role (MAKER/CHECKER/VIEWER)
 // For use by dashboard UI only
 // MUST BE DEFINED FIRST to avoid route conflicts
 // ============================================
 
 // Link asset from dashboard (JWT auth)
-router.post('/dashboard/link', authenticateJwt, custodyController.linkAssetDashboard);
+router.post('/dashboard/link', authenticateJwt, requirePermission(PermissionScope.CUSTODY_LINK), custodyController.linkAssetDashboard);
 
-// Approve custody link from dashboard (JWT auth)
-router.post('/dashboard/:id/approve', authenticateJwt, custodyController.approveCustodyLinkDashboard);
+// Approve custody link from dashboard (JWT auth + MFA step-up)
+router.post('/dashboard/:id/approve', authenticateJwt, requirePermission(PermissionScope.CUSTODY_APPROVE), requireMfaStepUp, custodyController.approveCustodyLinkDashboard);
 
 // Reject custody link from dashboard (JWT auth)
-router.post('/dashboard/:id/reject', authenticateJwt, custodyController.rejectCustodyLinkDashboard);
+router.post('/dashboard/:id/reject', authenticateJwt, requirePermission(PermissionScope.CUSTODY_APPROVE), custodyController.rejectCustodyLinkDashboard);
 
 // List custody records from dashboard (JWT auth)
-router.get('/dashboard', authenticateJwt, custodyController.listCustodyRecordsDashboard);
+router.get('/dashboard', authenticateJwt, requirePermission(PermissionScope.CUSTODY_READ), custodyController.listCustodyRecordsDashboard);
 
 // ============================================
 // API ENDPOINTS (HMAC Authentication)
 // For programmatic/external integrations
 // ============================================
 
-// Link asset to custody (requires write permission)
-router.post('/link', requirePermission('write'), custodyController.linkAsset);
+// Link asset to custody (requires custody:link)
+router.post('/link', authenticate, requirePermission(PermissionScope.CUSTODY_LINK), custodyController.linkAsset);
 
-// Approve custody link (requires admin permission - CHECKER role)
-router.post('/:id/approve', requirePermission('admin'), custodyController.approveCustodyLink);
+// Approve custody link (requires custody:approve - CHECKER role)
+router.post('/:id/approve', authenticate, requirePermission(PermissionScope.CUSTODY_APPROVE), custodyController.approveCustodyLink);
 
-// Reject custody link (requires admin permission - CHECKER role)
-router.post('/:id/reject', requirePermission('admin'), custodyController.rejectCustodyLink);
+// Reject custody link (requires custody:approve - CHECKER role)
+router.post('/:id/reject', authenticate, requirePermission(PermissionScope.CUSTODY_APPROVE), custodyController.rejectCustodyLink);
 
-// Get custody statistics (requires read permission)
-router.get('/stats', requirePermission('read'), custodyController.getStatistics);
+// Get custody statistics (requires custody:read)
+router.get('/stats', authenticate, requirePermission(PermissionScope.CUSTODY_READ), custodyController.getStatistics);
 
-// List custody records (requires read permission)
-router.get('/', requirePermission('read'), custodyController.listCustodyRecords);
+// List custody records (requires custody:read)
+router.get('/', authenticate, requirePermission(PermissionScope.CUSTODY_READ), custodyController.listCustodyRecords);
 
-// Get custody status by asset ID (requires read permission)
-router.get('/:assetId', requirePermission('read'), custodyController.getCustodyStatus);
+// Get custody status by asset ID (requires custody:read)
+router.get('/:assetId', authenticate, requirePermission(PermissionScope.CUSTODY_READ), custodyController.getCustodyStatus);
 
 export default router;
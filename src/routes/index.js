@@ -8,6 +8,10 @@ import vaultRoutes from './vault.routes.js';
 import marketplaceRoutes from './marketplace.routes.js';
 import adminRoutes from './admin.routes.js';
 import docsRoutes from './docs.routes.js';
+import webhookRoutes from './webhook.routes.js';
+import transactionRoutes from './transaction.routes.js';
+import ledgerRoutes from './ledger.routes.js';
+import cashRoutes from './cash.routes.js';
 import { authenticate } from '../modules/auth/auth.middleware.js';
 
 /**
@@ -17,10 +21,6 @@ import { authenticate } from '../modules/auth/auth.middleware.js';
 
 const router = express.Router();
 
-// Import route modules (will be implemented in future sprints)
-// import ledgerRoutes from './ledger.routes.js';
-// import marketplaceRoutes from './marketplace.routes.js';
-
 // API info endpoint
 router.get('/', (req, res) => {
     res.json({
@@ -34,6 +34,9 @@ router.get('/', (req, res) => {
             tokens: '/v1/tokens',
             vaults: '/v1/vaults',
             operations: '/v1/operations',
+            transactions: '/v1/transactions',
+            ledger: '/v1/ledger',
+            cash: '/v1/cash',
             transfers: '/v1/transfers',
             audit: '/v1/audit'
         },
@@ -63,13 +66,22 @@ router.use('/operations', operationRoutes);
 // Mount vault routes
 router.use('/vaults', authenticate, vaultRoutes);
 
+// Mount transaction routes (tracked Fireblocks transfers)
+router.use('/transactions', authenticate, transactionRoutes);
+
+// Mount ledger routes (holdings, accounts, journal entries, reconciliation)
+router.use('/ledger', authenticate, ledgerRoutes);
+
+// Mount cash routes (deposits, withdrawals, history, statements)
+router.use('/cash', authenticate, cashRoutes);
+
 // Mount audit routes
 router.use('/audit', authenticate, auditRoutes);
 
 // Mount marketplace routes (authentication handled per-route)
 router.use('/marketplace', marketplaceRoutes);
 
-// Mount other route modules (placeholder for future sprints)
-// router.use('/ledger', authenticate, ledgerRoutes);
+// Mount webhook routes (provider signature verification, no API key)
+router.use('/webhooks', webhookRoutes);
 
 export default router;
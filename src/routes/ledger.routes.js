@@ -0,0 +1,70 @@
+/**
+ * Ledger Routes
+ * Double-entry ledger of token units and cash (holdings, accounts, journal entries, reconciliation)
+ */
+
+import express from 'express';
+import * as ledgerController from '../modules/ledger/ledger.controller.js';
+import { requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
+
+const router = express.Router();
+
+/**
+ * GET /v1/ledger/holdings
+ * Who holds an asset's units, now or at a point in time
+ *
+ * Query:
+ * - assetId: Asset (required)
+ * - at: ISO timestamp (default: now)
+ */
+router.get('/holdings', requirePermission(PermissionScope.LEDGER_READ), ledgerController.getHoldings);
+
+/**
+ * GET /v1/ledger/accounts
+ * List accounts with their balances
+ *
+ * Query: ownerId, type, unitType (TOKEN, CASH), unit (assetId or currency)
+ */
+router.get('/accounts', requirePermission(PermissionScope.LEDGER_READ), ledgerController.listAccounts);
+
+/**
+ * GET /v1/ledger/accounts/:id/postings
+ * Movement history of an account, newest first
+ *
+ * Query: from, to, limit, offset
+ */
+router.get('/accounts/:id/postings', requirePermission(PermissionScope.LEDGER_READ), ledgerController.getAccountPostings);
+
+/**
+ * GET /v1/ledger/entries
+ * Journal entries with their postings, newest first
+ *
+ * Query: type (OPENING, MINT, HOLD, RELEASE, TRADE, BURN, WITHDRAWAL, CASH_DEPOSIT, CASH_WITHDRAWAL), assetId, custodyRecordId, from, to, limit, offset
+ */
+router.get('/entries', requirePermission(PermissionScope.LEDGER_READ), ledgerController.listEntries);
+
+/**
+ * GET /v1/ledger/reconcile
+ * Run the invariant checks over the tenant's assets now and store the report
+ * (ownership totals, listing reservations and vault balances against the minted supply)
+ *
+ * Query: assetId (optional, one asset)
+ */
+router.get('/reconcile', requirePermission(PermissionScope.LEDGER_RECONCILE), ledgerController.reconcile);
+
+/**
+ * GET /v1/ledger/reconciliations
+ * Stored reconciliation reports, newest first
+ *
+ * Query: status (BALANCED, BREAKS), trigger (SCHEDULED, ON_DEMAND), limit, offset
+ */
+router.get('/reconciliations', requirePermission(PermissionScope.LEDGER_READ), ledgerController.listReconciliations);
+
+/**
+ * GET /v1/ledger/reconciliations/:id
+ * One reconciliation report with its breaks
+ */
+router.get('/reconciliations/:id', requirePermission(PermissionScope.LEDGER_READ), ledgerController.getReconciliation);
+
+export default router;
@@ -6,7 +6,8 @@
 import express from 'express';
 import * as marketplaceController from '../modules/marketplace/marketplace.controller.js';
 import * as dashboardController from '../modules/marketplace/marketplace.dashboard.controller.js';
-import { authenticateJwt, authenticate } from '../modules/auth/auth.middleware.js';
+import { authenticateJwt, authenticate, requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
 
 const router = express.Router();
 
@@ -77,7 +78,7 @@ router.post('/dashboard/bids/:bidId/reject', authenticateJwt, dashboardControlle
  * - expiryDate: string (required, ISO 8601 format)
  * - sellerId: string (required if no auth context)
  */
-router.post('/listings', authenticate, marketplaceController.createListing);
+router.post('/listings', authenticate, requirePermission(PermissionScope.MARKETPLACE_LIST), marketplaceController.createListing);
 
 /**
  * GET /v1/marketplace/listings
@@ -91,13 +92,13 @@ router.post('/listings', authenticate, marketplaceController.createListing);
  * - sortBy: string (optional: price, createdAt, expiryDate)
  * - sortOrder: string (optional: asc, desc)
  */
-router.get('/listings', authenticate, marketplaceController.listActiveListings);
+router.get('/listings', authenticate, requirePermission(PermissionScope.MARKETPLACE_READ), marketplaceController.listActiveListings);
 
 /**
  * GET /v1/marketplace/listings/:listingId
  * Get listing details including asset metadata and bids
  */
-router.get('/listings/:listingId', authenticate, marketplaceController.getListingDetails);
+router.get('/listings/:listingId', authenticate, requirePermission(PermissionScope.MARKETPLACE_READ), marketplaceController.getListingDetails);
 
 /**
  * PUT /v1/marketplace/listings/:listingId/cancel
@@ -106,7 +107,7 @@ router.get('/listings/:listingId', authenticate, marketplaceController.getListin
  * Body:
  * - userId: string (required if no auth context)
  */
-router.put('/listings/:listingId/cancel', authenticate, marketplaceController.cancelListing);
+router.put('/listings/:listingId/cancel', authenticate, requirePermission(PermissionScope.MARKETPLACE_LIST), marketplaceController.cancelListing);
 
 /**
  * POST /v1/marketplace/listings/:listingId/bids
@@ -116,13 +117,13 @@ router.put('/listings/:listingId/cancel', authenticate, marketplaceController.ca
  * - amount: string (required)
  * - buyerId: string (required if no auth context)
  */
-router.post('/listings/:listingId/bids', authenticate, marketplaceController.placeBid);
+router.post('/listings/:listingId/bids', authenticate, requirePermission(PermissionScope.MARKETPLACE_BID), marketplaceController.placeBid);
 
 /**
  * GET /v1/marketplace/listings/:listingId/bids
  * Get all bids for a listing
  */
-router.get('/listings/:listingId/bids', authenticate, marketplaceController.getListingBids);
+router.get('/listings/:listingId/bids', authenticate, requirePermission(PermissionScope.MARKETPLACE_READ), marketplaceController.getListingBids);
 
 /**
  * POST /v1/marketplace/bids/:bidId/accept
@@ -131,7 +132,7 @@ router.get('/listings/:listingId/bids', authenticate, marketplaceController.getL
  * Body:
  * - sellerId: string (required if no auth context)
  */
-router.post('/bids/:bidId/accept', authenticate, marketplaceController.acceptBid);
+router.post('/bids/:bidId/accept', authenticate, requirePermission(PermissionScope.MARKETPLACE_TRADE), marketplaceController.acceptBid);
 
 /**
  * POST /v1/marketplace/bids/:bidId/reject
@@ -140,18 +141,24 @@ router.post('/bids/:bidId/accept', authenticate, marketplaceController.acceptBid
  * Body:
  * - sellerId: string (required if no auth context)
  */
-router.post('/bids/:bidId/reject', authenticate, marketplaceController.rejectBid);
+router.post('/bids/:bidId/reject', authenticate, requirePermission(PermissionScope.MARKETPLACE_TRADE), marketplaceController.rejectBid);
 
 /**
  * GET /v1/marketplace/my-listings
  * Get listings created by the current end user
  */
-router.get('/my-listings', authenticate, marketplaceController.getMyListings);
+router.get('/my-listings', authenticate, requirePermission(PermissionScope.MARKETPLACE_READ), marketplaceController.getMyListings);
 
 /**
  * GET /v1/marketplace/my-portfolio
  * Get assets owned by the current end user
  */
-router.get('/my-portfolio', authenticate, marketplaceController.getMyPortfolio);
+router.get('/my-portfolio', authenticate, requirePermission(PermissionScope.MARKETPLACE_READ), marketplaceController.getMyPortfolio);
+
+/**
+ * GET /v1/marketplace/my-balance
+ * Get the current end user's available, held and total cash
+ */
+router.get('/my-balance', authenticate, requirePermission(PermissionScope.MARKETPLACE_READ), marketplaceController.getMyBalance);
 
 export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import * as operationController from '../modules/operation/operation.controller.js';
-import { authenticate, requirePermission, authenticateJwt } from '../modules/auth/auth.middleware.js';
+import { authenticate, requirePermission, authenticateJwt, requireMfaStepUp } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
+import { expensiveRateLimit } from '../modules/rate-limit/rateLimit.middleware.js';
 
 /**
  * Operation Routes
@@ -11,35 +13,51 @@ const router = express.Router();
 
 // ============================================
 // DASHBOARD ENDPOINTS (JWT Authentication)
+// Scopes come from the user's operator role (MAKER/CHECKER/VIEWER)
 // MUST BE DEFINED FIRST
 // ============================================
 
 // Initiate mint operation from dashboard
-router.post('/dashboard/mint', authenticateJwt, operationController.initiateMintOperationDashboard);
+router.post('/dashboard/mint', authenticateJwt, requirePermission(PermissionScope.OPERATIONS_CREATE), operationController.initiateMintOperationDashboard);
 
-// Approve operation from dashboard
-router.post('/dashboard/:id/approve', authenticateJwt, operationController.approveOperationDashboard);
+// Approve operation from dashboard (requires MFA step-up)
+router.post('/dashboard/:id/approve', authenticateJwt, requirePermission(PermissionScope.OPERATIONS_APPROVE), requireMfaStepUp, operationController.approveOperationDashboard);
 
 // Reject operation from dashboard
-router.post('/dashboard/:id/reject', authenticateJwt, operationController.rejectOperationDashboard);
+router.post('/dashboard/:id/reject', authenticateJwt, requirePermission(PermissionScope.OPERATIONS_APPROVE), operationController.rejectOperationDashboard);
+
+// Cancel own operation from dashboard
+router.post('/dashboard/:id/cancel', authenticateJwt, requirePermission(PermissionScope.OPERATIONS_CREATE), operationController.cancelOperationDashboard);
+
+// Retry own failed operation from dashboard
+router.post('/dashboard/:id/retry', authenticateJwt, requirePermission(PermissionScope.OPERATIONS_CREATE), operationController.retryOperationDashboard);
 
 // List operations from dashboard
-router.get('/dashboard', authenticateJwt, operationController.listOperationsDashboard);
+router.get('/dashboard', authenticateJwt, requirePermission(PermissionScope.OPERATIONS_READ), operationController.listOperationsDashboard);
 
 // ============================================
 // API ENDPOINTS (HMAC Authentication)
 // ============================================
 
-// List and view (Read permission)
-router.get('/', requirePermission('read'), operationController.listOperations);
-router.get('/:id', requirePermission('read'), operationController.getOperationDetails);
+// List and view (operations:read)
+router.get('/', authenticate, requirePermission(PermissionScope.OPERATIONS_READ), operationController.listOperations);
+router.get('/:id', authenticate, requirePermission(PermissionScope.OPERATIONS_READ), operationController.getOperationDetails);
+router.get('/:id/monitor', authenticate, requirePermission(PermissionScope.OPERATIONS_READ), operationController.getOperationMonitor);
+
+// Initiate (operations:create - Maker role, expensive-route rate limit bucket)
+router.post('/', authenticate, requirePermission(PermissionScope.OPERATIONS_CREATE), expensiveRateLimit, operationController.initiateOperation);
+router.post('/mint', authenticate, requirePermission(PermissionScope.OPERATIONS_CREATE), expensiveRateLimit, operationController.initiateMintOperation);
+router.post('/burn', authenticate, requirePermission(PermissionScope.OPERATIONS_CREATE), expensiveRateLimit, operationController.initiateBurnOperation);
+router.post('/withdraw', authenticate, requirePermission(PermissionScope.OPERATIONS_CREATE), expensiveRateLimit, operationController.initiateWithdrawOperation);
+
+// Cancel (operations:create - only the initiating maker)
+router.post('/:id/cancel', authenticate, requirePermission(PermissionScope.OPERATIONS_CREATE), operationController.cancelOperation);
 
-// Initiate (Write permission - Maker role)
-router.post('/', requirePermission('write'), operationController.initiateOperation);
-router.post('/mint', requirePermission('write'), operationController.initiateMintOperation);
+// Retry a failed operation (operations:create - only the initiating maker)
+router.post('/:id/retry', authenticate, requirePermission(PermissionScope.OPERATIONS_CREATE), expensiveRateLimit, operationController.retryOperation);
 
-// Approve/Reject (Admin permission - Checker role)
-router.post('/:id/approve', requirePermission('admin'), operationController.approveOperation);
-router.post('/:id/reject', requirePermission('admin'), operationController.rejectOperation);
+// Approve/Reject (operations:approve - Checker role)
+router.post('/:id/approve', authenticate, requirePermission(PermissionScope.OPERATIONS_APPROVE), operationController.approveOperation);
+router.post('/:id/reject', authenticate, requirePermission(PermissionScope.OPERATIONS_APPROVE), operationController.rejectOperation);
 
 export default router;
@@ -0,0 +1,31 @@
+/**
+ * Transaction Routes
+ * Tracked Fireblocks transfers (status, confirmations, fee, txHash)
+ */
+
+import express from 'express';
+import * as transactionController from '../modules/fireblocks/transaction.controller.js';
+import { requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
+
+const router = express.Router();
+
+/**
+ * GET /v1/transactions
+ * List transfers, newest first
+ *
+ * Query:
+ * - vaultId: Fireblocks vault ID (source or destination)
+ * - assetId: Fireblocks asset ID
+ * - status: SUBMITTING, SUBMITTED, CONFIRMING, COMPLETED, FAILED, ...
+ * - type, custodyRecordId, operationId, limit, offset
+ */
+router.get('/', requirePermission(PermissionScope.TRANSACTIONS_READ), transactionController.listTransactions);
+
+/**
+ * GET /v1/transactions/:id
+ * Get a transfer
+ */
+router.get('/:id', requirePermission(PermissionScope.TRANSACTIONS_READ), transactionController.getTransaction);
+
+export default router;
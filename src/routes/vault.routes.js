@@ -5,36 +5,40 @@
 
 import express from 'express';
 import * as vaultController from '../modules/vault/vault.controller.js';
+import { requirePermission } from '../modules/auth/auth.middleware.js';
+import { PermissionScope } from '../enums/permissionScope.js';
+import { expensiveRateLimit } from '../modules/rate-limit/rateLimit.middleware.js';
 
 const router = express.Router();
 
 /**
  * POST /v1/vaults
  * Create a new vault with wallets for all supported blockchains
+ * (counted against the expensive-route rate limit bucket)
  * 
  * Body:
  * - vaultName: string (required)
  * - customerRefId: string (optional)
  * - vaultType: string (optional, default: 'CUSTODY')
  */
-router.post('/', vaultController.createVault);
+router.post('/', requirePermission(PermissionScope.VAULTS_CREATE), expensiveRateLimit, vaultController.createVault);
 
 /**
  * GET /v1/vaults/:vaultId
  * Get vault details including all wallets and balances
  */
-router.get('/:vaultId', vaultController.getVaultDetails);
+router.get('/:vaultId', requirePermission(PermissionScope.VAULTS_READ), vaultController.getVaultDetails);
 
 /**
  * GET /v1/vaults/:vaultId/wallets
  * List all wallets for a vault
  */
-router.get('/:vaultId/wallets', vaultController.listWallets);
+router.get('/:vaultId/wallets', requirePermission(PermissionScope.VAULTS_READ), vaultController.listWallets);
 
 /**
  * GET /v1/vaults/:vaultId/wallets/:blockchain
  * Get a specific wallet by blockchain
  */
-router.get('/:vaultId/wallets/:blockchain', vaultController.getWallet);
+router.get('/:vaultId/wallets/:blockchain', requirePermission(PermissionScope.VAULTS_READ), vaultController.getWallet);
 
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import * as webhookController from '../modules/webhook/fireblocksWebhook.controller.js';
+
+/**
+ * Webhook Routes
+ * Inbound notifications from external providers (authenticated by their signatures, not API keys)
+ */
+
+const router = express.Router();
+
+// Fireblocks transaction and tokenization events
+router.post('/fireblocks', webhookController.receiveFireblocksWebhook);
+
+export default router;
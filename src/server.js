@@ -2,6 +2,13 @@ import app from './app.js';
 import { config } from './config/env.js';
 import { testConnection, disconnect } from './config/db.js';
 import { verifyAuditTrailIntegrity } from './modules/audit/audit.service.js';
+import { startExpirySweeper, stopExpirySweeper } from './modules/operation/operationExpiry.sweeper.js';
+import { startListingExpirySweeper, stopListingExpirySweeper } from './modules/marketplace/listingExpiry.sweeper.js';
+import { registerOperationJobs } from './modules/operation/operationExecution.job.js';
+import { startWorker, stopWorker } from './modules/jobs/job.worker.js';
+import { startMintMonitorScheduler, stopMintMonitorScheduler } from './modules/token-lifecycle/mintMonitor.scheduler.js';
+import { startTransactionTracker, stopTransactionTracker } from './modules/fireblocks/transaction.tracker.js';
+import { startReconciliationScheduler, stopReconciliationScheduler } from './modules/ledger/reconciliation.scheduler.js';
 import logger from './utils/logger.js';
 
 /**
@@ -35,6 +42,33 @@ const startServer = async () => {
             logger.info(`AssetLink Custody server running on port ${config.port}`);
         });
 
+        // Expire operations left pending past their time-to-live
+        startExpirySweeper();
+
+        // Expire marketplace listings past their expiry date and release their bid holds
+        startListingExpirySweeper();
+
+        // Background job worker (resumes jobs left behind by a previous process)
+        registerOperationJobs();
+        if (config.jobs.workerEnabled) {
+            startWorker();
+        }
+
+        // Fireblocks mint monitors (resumes monitoring of mints in flight)
+        if (config.mintMonitor.schedulerEnabled) {
+            startMintMonitorScheduler();
+        }
+
+        // Fireblocks transfers (tracked until final; resumes transfers in flight)
+        if (config.transactions.trackerEnabled) {
+            startTransactionTracker();
+        }
+
+        // Ledger reconciliation (ownership, listings, ledger and vault balances per asset)
+        if (config.ledger.reconcileEnabled) {
+            startReconciliationScheduler();
+        }
+
     } catch (error) {
         logger.error('Failed to start server:', error);
         process.exit(1);
@@ -45,11 +79,19 @@ const startServer = async () => {
 const gracefulShutdown = async (signal) => {
     logger.info(`${signal} received, shutting down gracefully...`);
 
+    stopExpirySweeper();
+    stopListingExpirySweeper();
+
     if (server) {
         server.close(async () => {
             logger.info('HTTP server closed');
 
             try {
+                // Let the job in progress finish; anything left resumes on the next start
+                await stopWorker();
+                await stopMintMonitorScheduler();
+                await stopTransactionTracker();
+                await stopReconciliationScheduler();
                 await disconnect();
                 logger.info('Database connection closed');
                 process.exit(0);
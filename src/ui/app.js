@@ -198,7 +198,7 @@ function renderCustodyTable(records) {
     }
 
     tbody.innerHTML = records.map(r => {
-        const pendingOp = r.operations?.find(op => ['PENDING_CHECKER', 'APPROVED'].includes(op.status));
+        const pendingOp = r.operations?.find(op => ['PENDING_CHECKER', 'APPROVED', 'EXECUTING'].includes(op.status));
         return `
         <tr>
             <td>
@@ -227,7 +227,7 @@ async function loadMintBurn() {
     if (!data || !data.records) return;
 
     tbody.innerHTML = data.records.filter(r => r.status === 'LINKED' || r.status === 'MINTED' || r.status === 'PENDING').map(r => {
-        const pendingOp = r.operations?.find(op => ['PENDING_CHECKER', 'APPROVED'].includes(op.status));
+        const pendingOp = r.operations?.find(op => ['PENDING_CHECKER', 'APPROVED', 'EXECUTING'].includes(op.status));
         const isPendingRecord = r.status === 'PENDING';
 
         return `
@@ -243,7 +243,8 @@ async function loadMintBurn() {
                     `<button class="btn btn-sm btn-warning" disabled style="opacity: 0.7;">${pendingOp.operationType} Pending</button>` :
                     r.status === 'LINKED' ?
                         `<button class="btn btn-sm btn-primary" onclick="initiateOp('${r.id}', 'MINT')">Mint Token</button>` :
-                        `<button class="btn btn-sm btn-danger" onclick="initiateOp('${r.id}', 'BURN')">Burn Supply</button>`
+                        `<button class="btn btn-sm btn-primary" onclick="initiateOp('${r.id}', 'WITHDRAW', '${r.blockchain || ''}')">Withdraw</button>
+                         <button class="btn btn-sm btn-danger" onclick="initiateOp('${r.id}', 'BURN')">Burn Supply</button>`
             }
             </td>
         </tr>
@@ -403,18 +404,33 @@ async function loadApiKeys() {
 }
 
 // Actions
-async function initiateOp(custodyRecordId, operationType) {
+async function initiateOp(custodyRecordId, operationType, blockchain) {
     if (operationType === 'MINT') {
         openMintModal(custodyRecordId);
         return;
     }
 
+    let payload = {};
+    if (operationType === 'BURN') {
+        // Redemption: the reason and the recipient of the physical asset go to the audit trail
+        const reason = prompt('Redemption reason');
+        if (!reason) return;
+        const recipientName = prompt('Physical release recipient (name)');
+        if (!recipientName) return;
+        payload = { reason, recipient: { name: recipientName } };
+    } else if (operationType === 'WITHDRAW') {
+        // The destination must be on the tenant's withdrawal allowlist
+        const destinationAddress = prompt('Destination address (allowlisted)');
+        if (!destinationAddress) return;
+        payload = { destinationAddress, blockchain };
+    }
+
     const btn = event.target;
     const originalText = btn.innerHTML;
     btn.disabled = true;
     btn.innerHTML = 'Processing...';
 
-    const result = await apiCall('/operations', 'POST', { custodyRecordId, operationType, payload: {} });
+    const result = await apiCall('/operations', 'POST', { custodyRecordId, operationType, payload });
     if (result) {
         showSuccess(`Governance request for ${operationType} submitted.`);
         loadViewData(currentView);
@@ -477,11 +493,16 @@ async function processOp(id, action) {
 
     const result = await apiCall(`/operations/${id}/${action}`, 'POST');
     if (result) {
-        showSuccess(`Operation ${action}d successfully`);
+        const progress = result.approvalProgress;
+        const awaitingQuorum = action === 'approve' && progress && !progress.quorumReached;
+
+        showSuccess(awaitingQuorum
+            ? `Approval recorded (${progress.received}/${progress.required})`
+            : `Operation ${action}d successfully`);
         loadApprovals();
 
         // Show live execution if approved and it's a mint/burn/transfer
-        if (action === 'approve') {
+        if (action === 'approve' && !awaitingQuorum) {
             showProgressModal(id);
         }
     } else {
@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
+import { config } from '../config/env.js';
 
 /**
  * Cryptographic Utilities
@@ -7,6 +8,10 @@ import bcrypt from 'bcrypt';
  */
 
 const SALT_ROUNDS = 10;
+const ENVELOPE_VERSION = 1;
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
 
 /**
  * Hash a secret using bcrypt
@@ -22,6 +27,69 @@ export const compareSecret = async (secret, hash) => {
     return await bcrypt.compare(secret, hash);
 };
 
+/**
+ * Derive a 256-bit key from the configured master key
+ */
+const deriveMasterKey = (masterKey) => {
+    return crypto.createHash('sha256').update(String(masterKey)).digest();
+};
+
+/**
+ * AES-256-GCM encrypt, returning iv | authTag | ciphertext
+ */
+const seal = (key, plaintext) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * AES-256-GCM decrypt a buffer produced by seal()
+ */
+const open = (key, sealed) => {
+    const iv = sealed.subarray(0, IV_LENGTH);
+    const authTag = sealed.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+    const ciphertext = sealed.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Envelope-encrypt a secret
+ * A fresh data key encrypts the secret; the master key encrypts the data key
+ * @param {string} secret - Plain secret
+ * @param {string} masterKey - Master key (defaults to config)
+ * @returns {string} Serialized envelope safe to store in the database
+ */
+export const encryptSecret = (secret, masterKey = config.secretMasterKey) => {
+    const dataKey = crypto.randomBytes(32);
+
+    const envelope = {
+        v: ENVELOPE_VERSION,
+        dk: seal(deriveMasterKey(masterKey), dataKey).toString('base64'),
+        ct: seal(dataKey, Buffer.from(secret, 'utf8')).toString('base64')
+    };
+
+    return JSON.stringify(envelope);
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret()
+ * Throws if the envelope was tampered with or the master key is wrong
+ */
+export const decryptSecret = (serializedEnvelope, masterKey = config.secretMasterKey) => {
+    const envelope = JSON.parse(serializedEnvelope);
+
+    if (envelope.v !== ENVELOPE_VERSION) {
+        throw new Error(`Unsupported secret envelope version: ${envelope.v}`);
+    }
+
+    const dataKey = open(deriveMasterKey(masterKey), Buffer.from(envelope.dk, 'base64'));
+    return open(dataKey, Buffer.from(envelope.ct, 'base64')).toString('utf8');
+};
+
 /**
  * Generate a secure random key
  */
@@ -39,6 +107,14 @@ export const generateApiKeyPair = () => {
     return { publicKey, secretKey };
 };
 
+/**
+ * Hash a bearer token for storage (SHA-256, hex)
+ * Tokens are high-entropy, so a fast unsalted hash is sufficient for lookups
+ */
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 /**
  * Generate a UUID v4
  */
@@ -49,7 +125,10 @@ export const generateUUID = () => {
 export default {
     hashSecret,
     compareSecret,
+    encryptSecret,
+    decryptSecret,
     generateRandomKey,
     generateApiKeyPair,
+    hashToken,
     generateUUID
 };
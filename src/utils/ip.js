@@ -0,0 +1,142 @@
+import net from 'net';
+
+/**
+ * IP Utilities
+ * Address normalization, CIDR matching and client IP resolution
+ */
+
+const IPV4_MAPPED_PREFIX = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i;
+
+/**
+ * Normalize an IP address
+ * Strips IPv4-mapped IPv6 prefixes (::ffff:10.0.0.5 -> 10.0.0.5),
+ * IPv6 zone identifiers and brackets
+ */
+export const normalizeIp = (ip) => {
+    if (!ip || typeof ip !== 'string') return null;
+
+    let value = ip.trim().replace(/^\[|\]$/g, '');
+    const zoneIndex = value.indexOf('%');
+    if (zoneIndex !== -1) value = value.slice(0, zoneIndex);
+
+    const mapped = value.match(IPV4_MAPPED_PREFIX);
+    if (mapped) value = mapped[1];
+
+    return net.isIP(value) ? value.toLowerCase() : null;
+};
+
+/**
+ * Parse an allowlist entry (single address or CIDR block)
+ * @returns {{ address: string, prefix: number, family: 'ipv4'|'ipv6' } | null}
+ */
+export const parseIpEntry = (entry) => {
+    if (!entry || typeof entry !== 'string') return null;
+
+    const [rawAddress, rawPrefix, ...extra] = entry.trim().split('/');
+    if (extra.length > 0) return null;
+
+    let address = normalizeIp(rawAddress);
+    if (!address) return null;
+
+    const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    const maxPrefix = family === 'ipv4' ? 32 : 128;
+
+    let prefix = maxPrefix;
+    if (rawPrefix !== undefined) {
+        if (!/^\d{1,3}$/.test(rawPrefix)) return null;
+        prefix = parseInt(rawPrefix, 10);
+
+        // A mapped IPv6 block (::ffff:10.0.0.0/120) becomes its IPv4 equivalent
+        if (family === 'ipv4' && net.isIPv6(rawAddress.trim())) {
+            prefix -= 96;
+        }
+        if (prefix < 0 || prefix > maxPrefix) return null;
+    }
+
+    return { address, prefix, family };
+};
+
+/**
+ * Check if an allowlist entry is a valid IP or CIDR block
+ */
+export const isValidIpEntry = (entry) => parseIpEntry(entry) !== null;
+
+/**
+ * Canonical string form of an allowlist entry
+ */
+export const formatIpEntry = (entry) => {
+    const parsed = parseIpEntry(entry);
+    if (!parsed) return null;
+
+    const maxPrefix = parsed.family === 'ipv4' ? 32 : 128;
+    return parsed.prefix === maxPrefix ? parsed.address : `${parsed.address}/${parsed.prefix}`;
+};
+
+/**
+ * Build a matcher for a list of IPs / CIDR blocks
+ * Invalid entries are ignored
+ */
+export const createIpMatcher = (entries = []) => {
+    const blockList = new net.BlockList();
+
+    for (const entry of entries) {
+        const parsed = parseIpEntry(entry);
+        if (parsed) {
+            blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+        }
+    }
+
+    return (ip) => {
+        const address = normalizeIp(ip);
+        if (!address) return false;
+        return blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+    };
+};
+
+/**
+ * Check if an IP matches any entry of a list
+ */
+export const isIpInList = (ip, entries = []) => {
+    return createIpMatcher(entries)(ip);
+};
+
+/**
+ * Resolve the real client IP
+ * X-Forwarded-For is only honoured when the connecting peer is a trusted proxy.
+ * The header is walked right-to-left, skipping trusted proxies, and the first
+ * untrusted hop is the client.
+ * @param {object} req - Express request
+ * @param {string[]} trustedProxies - IPs / CIDR blocks of trusted proxies
+ */
+export const getClientIp = (req, trustedProxies = []) => {
+    const remoteAddress = normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress);
+    const isTrusted = createIpMatcher(trustedProxies);
+
+    if (!remoteAddress || !isTrusted(remoteAddress)) {
+        return remoteAddress;
+    }
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (!forwardedFor) {
+        return remoteAddress;
+    }
+
+    const hops = String(forwardedFor).split(',').map(normalizeIp);
+    for (let i = hops.length - 1; i >= 0; i--) {
+        if (!hops[i]) break; // Malformed hop - stop trusting the chain
+        if (!isTrusted(hops[i])) return hops[i];
+    }
+
+    // Every hop is a trusted proxy - use the left-most valid address
+    return hops.find(Boolean) || remoteAddress;
+};
+
+export default {
+    normalizeIp,
+    parseIpEntry,
+    isValidIpEntry,
+    formatIpEntry,
+    createIpMatcher,
+    isIpInList,
+    getClientIp
+};
@@ -0,0 +1,57 @@
+/**
+ * Log Redaction
+ * Strips credentials and shortens customer data before payloads reach the logs
+ */
+
+// Values replaced entirely
+const SECRET_KEYS = /^(authorization|x-api-key|api[-_]?key|secret.*|.*secretkey|private[-_]?key|password|signature|jwt|mnemonic|seed|refresh[-_]?token|access[-_]?token)$/i;
+
+// Values kept recognisable but shortened (0x1234…abcd)
+const MASKED_KEYS = /^(address|legacyaddress|.*address|customerrefid|tag)$/i;
+
+const MAX_DEPTH = 6;
+const MAX_STRING = 200;
+const MAX_ITEMS = 20;
+
+const mask = (value) => {
+    const text = String(value);
+    return text.length <= 10 ? '***' : `${text.slice(0, 6)}…${text.slice(-4)}`;
+};
+
+/**
+ * Copy of a value with secrets removed, identifiers masked and large values truncated
+ * @param {*} value - Request/response body, headers, error details
+ * @returns {*} Safe to log
+ */
+export const redact = (value, depth = 0) => {
+    if (value === null || value === undefined) return value;
+
+    if (typeof value === 'string') {
+        return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…(${value.length} chars)` : value;
+    }
+    if (typeof value !== 'object') return value;
+    if (value instanceof Date) return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+
+    if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_ITEMS).map(item => redact(item, depth + 1));
+        if (value.length > MAX_ITEMS) items.push(`…(${value.length - MAX_ITEMS} more)`);
+        return items;
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+        if (SECRET_KEYS.test(key)) {
+            result[key] = '[REDACTED]';
+        } else if (MASKED_KEYS.test(key) && entry !== null && entry !== undefined && typeof entry !== 'object') {
+            result[key] = mask(entry);
+        } else {
+            result[key] = redact(entry, depth + 1);
+        }
+    }
+    return result;
+};
+
+export default {
+    redact
+};
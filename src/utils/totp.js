@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP Utilities (RFC 6238 / RFC 4226)
+ * SHA-1, 6 digits, 30-second steps: the defaults every authenticator app supports
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+ */
+export const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret (base32, 160 bits)
+ */
+export const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Time step for a timestamp
+ */
+export const getTimeStep = (timestampMs = Date.now()) => {
+    return Math.floor(timestampMs / 1000 / STEP_SECONDS);
+};
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate the TOTP code for a time step
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+    return generateHotp(secret, step);
+};
+
+/**
+ * Verify a TOTP code
+ * Accepts the current step +/- `window` steps to tolerate clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options
+ * @param {number} options.window - Steps of drift tolerated on each side (default: 1)
+ * @param {number|null} options.lastUsedStep - Steps at or before this are rejected (replay protection)
+ * @returns {number|null} The matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const currentStep = getTimeStep();
+    const provided = Buffer.from(code);
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+        if (crypto.timingSafeEqual(provided, Buffer.from(generateHotp(secret, step)))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// provisioning URI (rendered as a QR code by the client)
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    getTimeStep,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
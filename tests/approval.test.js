@@ -0,0 +1,161 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { authenticate } from '../src/modules/auth/auth.middleware.js';
+import { generateSignature } from '../src/modules/auth/hmac.service.js';
+import * as operationController from '../src/modules/operation/operation.controller.js';
+import * as operationService from '../src/modules/operation/operation.service.js';
+import { OperationStatus } from '../src/enums/operationStatus.js';
+import { encryptSecret, generateUUID } from '../src/utils/crypto.js';
+
+/**
+ * Maker-checker approvals: checkers are users (not API keys), one approval per user,
+ * and a quorum that is reached exactly once
+ */
+
+const TENANT = 'tenant_a';
+const MAKER = 'maker_1';
+
+const seedKey = (publicKey, userId) => {
+    prisma.table('apiKey').push({
+        id: `key_${publicKey}`,
+        publicKey,
+        encryptedSecret: encryptSecret(`secret_${publicKey}`),
+        userId,
+        tenantId: TENANT,
+        permissions: ['*'],
+        isActive: true,
+        ipWhitelist: null,
+        expiresAt: null
+    });
+};
+
+const seedOperation = (requiredApprovals = 2) => {
+    prisma.table('custodyRecord').push({ id: 'cr_1', tenantId: TENANT, assetId: 'ASSET-1', createdBy: MAKER });
+    prisma.table('custodyOperation').push({
+        id: 'op_1',
+        custodyRecordId: 'cr_1',
+        tenantId: TENANT,
+        operationType: 'UPDATE_VAULT',
+        status: OperationStatus.PENDING_CHECKER,
+        payload: {},
+        initiatedBy: MAKER,
+        requiredApprovals,
+        attempt: 1,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        createdAt: new Date()
+    });
+};
+
+const response = () => {
+    const res = {
+        statusCode: 200,
+        set: () => res,
+        status: (code) => { res.statusCode = code; return res; },
+        json: (body) => { res.body = body; return res; }
+    };
+    return res;
+};
+
+/**
+ * Run a request through HMAC authentication and a controller, like the router does
+ */
+const signed = async (publicKey, controller, params = {}) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = generateUUID();
+    const url = `/v1/operations/${params.id}/approve`;
+    const req = {
+        method: 'POST',
+        originalUrl: url,
+        params,
+        body: {},
+        ip: '10.0.0.1',
+        socket: { remoteAddress: '10.0.0.1' },
+        get: () => 'test-agent',
+        headers: {
+            'x-api-key': publicKey,
+            'x-timestamp': timestamp,
+            'x-nonce': nonce,
+            'x-signature': generateSignature('POST', url, timestamp, nonce, '', `secret_${publicKey}`)
+        }
+    };
+    const res = response();
+
+    let failure = null;
+    await authenticate(req, res, (error) => { failure = error || null; });
+    if (!failure) {
+        await controller(req, res, (error) => { failure = error; });
+    }
+    return { res, failure };
+};
+
+const approve = (publicKey) => signed(publicKey, operationController.approveOperation, { id: 'op_1' });
+
+const approvalsOf = () => prisma.rows('operationApproval', { operationId: 'op_1' });
+
+describe('operation approvals', () => {
+    beforeEach(() => {
+        prisma.reset();
+        seedKey('pk_maker', MAKER);
+        seedKey('pk_maker_checker', MAKER);
+        seedKey('pk_checker_1', 'checker_1');
+        seedKey('pk_checker_1_second', 'checker_1');
+        seedKey('pk_checker_2', 'checker_2');
+        seedKey('pk_checker_3', 'checker_3');
+        seedOperation();
+    });
+
+    it('records the approving user, not the API key', async () => {
+        const { failure } = await approve('pk_checker_1');
+
+        assert.equal(failure, null);
+        assert.deepEqual(approvalsOf().map(approval => approval.approvedBy), ['checker_1']);
+
+        const [event] = prisma.rows('auditLog', { eventType: 'OPERATION_APPROVAL_RECORDED' });
+        assert.equal(event.actor, 'checker_1');
+        assert.equal(event.metadata.publicKey, 'pk_checker_1');
+    });
+
+    it('does not let the maker approve with another of their keys', async () => {
+        const { failure } = await approve('pk_maker_checker');
+
+        assert.equal(failure.statusCode, 403);
+        assert.equal(approvalsOf().length, 0);
+    });
+
+    it('does not let the maker approve from the dashboard', async () => {
+        await assert.rejects(operationService.approveOperation('op_1', MAKER), { statusCode: 403 });
+    });
+
+    it('counts a user approving through two keys once', async () => {
+        await approve('pk_checker_1');
+        const { failure } = await approve('pk_checker_1_second');
+
+        assert.equal(failure.statusCode, 409);
+        assert.equal(approvalsOf().length, 1);
+        assert.equal(prisma.rows('custodyOperation', { id: 'op_1' })[0].status, OperationStatus.PENDING_CHECKER);
+    });
+
+    it('counts a dashboard approval by a user who approved with a key as a duplicate', async () => {
+        await approve('pk_checker_1');
+
+        await assert.rejects(operationService.approveOperation('op_1', 'checker_1'), { statusCode: 409 });
+        assert.equal(approvalsOf().length, 1);
+    });
+
+    it('records one approval for concurrent approvals by the same user', async () => {
+        const results = await Promise.all([approve('pk_checker_1'), approve('pk_checker_1_second')]);
+
+        assert.deepEqual(results.map(({ failure }) => failure?.statusCode ?? null).sort(), [409, null]);
+        assert.equal(approvalsOf().length, 1);
+    });
+
+    it('reaches the quorum exactly once under concurrent approvals', async () => {
+        const results = await Promise.all([approve('pk_checker_1'), approve('pk_checker_2'), approve('pk_checker_3')]);
+
+        assert.ok(results.every(({ failure }) => failure === null));
+        assert.equal(approvalsOf().length, 3);
+        assert.equal(prisma.rows('auditLog', { eventType: 'OPERATION_APPROVED' }).length, 1);
+        assert.notEqual(prisma.rows('custodyOperation', { id: 'op_1' })[0].status, OperationStatus.PENDING_CHECKER);
+    });
+});
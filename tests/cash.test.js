@@ -0,0 +1,199 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT, balanceOf } from './helpers/ledger.js';
+import * as cashService from '../src/modules/cash/cash.service.js';
+import * as operationService from '../src/modules/operation/operation.service.js';
+import { OperationStatus } from '../src/enums/operationStatus.js';
+import { LedgerAccountType } from '../src/enums/ledgerAccountType.js';
+import { JournalEntryType } from '../src/enums/journalEntryType.js';
+
+/**
+ * Cash: deposits once per external reference, and the maker-checker withdrawal state machine
+ * with its escrow hold
+ */
+
+const MAKER = 'maker_1';
+const CHECKER = 'checker_1';
+
+const cashOf = () => balanceOf('user_1', LedgerAccountType.INVESTOR);
+const escrowOf = () => balanceOf('user_1', LedgerAccountType.ESCROW);
+
+const entriesOf = (type) => prisma.rows('journalEntry', { type });
+
+const statusOf = (operationId) => prisma.rows('custodyOperation', { id: operationId })[0].status;
+
+const deposit = (data = {}) => cashService.recordDeposit({
+    tenantId: TENANT,
+    userId: 'user_1',
+    currency: 'USD',
+    amount: '100',
+    externalReference: 'BANK-1',
+    ...data
+}, 'integration');
+
+const requestWithdrawal = (amount = '40') => operationService.initiateCashWithdrawalOperation({
+    tenantId: TENANT,
+    payload: { userId: 'user_1', currency: 'USD', amount, destination: 'DE89370400440532013000' }
+}, MAKER);
+
+/**
+ * Run the next transaction after another request moved the operation to a status
+ * (the read before it is stale, like under a concurrent approval)
+ */
+const racedBy = (operationId, status) => {
+    prisma.$transaction = async (...args) => {
+        delete prisma.$transaction;
+        prisma.table('custodyOperation').find(row => row.id === operationId).status = status;
+        return await prisma.$transaction(...args);
+    };
+};
+
+describe('cash deposits', () => {
+    beforeEach(() => prisma.reset());
+
+    it('credits a deposit once per external reference', async () => {
+        const first = await deposit();
+        const replay = await deposit();
+
+        assert.equal(first.replayed, false);
+        assert.equal(first.deposit.balanceAfter, '100');
+        assert.equal(replay.replayed, true);
+        assert.equal(replay.deposit.id, first.deposit.id);
+        assert.equal(cashOf(), '100');
+        assert.equal(prisma.rows('auditLog', { eventType: 'CASH_DEPOSITED' }).length, 1);
+    });
+
+    it('rejects a reference replayed with different details', async () => {
+        await deposit();
+
+        await assert.rejects(deposit({ amount: '100.01' }), { statusCode: 409 });
+        await assert.rejects(deposit({ userId: 'user_2' }), { statusCode: 409 });
+        assert.equal(cashOf(), '100');
+    });
+});
+
+describe('cash withdrawals', () => {
+    beforeEach(async () => {
+        prisma.reset();
+        await deposit();
+    });
+
+    it('holds the amount with the request', async () => {
+        const operation = await requestWithdrawal();
+
+        assert.equal(operation.status, OperationStatus.PENDING_CHECKER);
+        assert.equal(cashOf(), '60');
+        assert.equal(escrowOf(), '40');
+        assert.equal(entriesOf(JournalEntryType.HOLD)[0].operationId, operation.id);
+    });
+
+    it('refuses more than the available cash and leaves no operation behind', async () => {
+        await requestWithdrawal('70');
+
+        await assert.rejects(requestWithdrawal('30.01'), { statusCode: 400, message: /Insufficient USD balance/ });
+        assert.equal(prisma.rows('custodyOperation').length, 1);
+        assert.equal(cashOf(), '30');
+        assert.equal(escrowOf(), '70');
+    });
+
+    it('does not let the maker approve their own request', async () => {
+        const operation = await requestWithdrawal();
+
+        await assert.rejects(operationService.approveOperation(operation.id, MAKER), { statusCode: 403 });
+        assert.equal(statusOf(operation.id), OperationStatus.PENDING_CHECKER);
+    });
+
+    it('pays out from escrow once approved and executed', async () => {
+        const operation = await requestWithdrawal();
+
+        const approved = await operationService.approveOperation(operation.id, CHECKER);
+        assert.equal(approved.status, OperationStatus.EXECUTING);
+        assert.equal(prisma.rows('job', { dedupeKey: `operation:${operation.id}:execute` }).length, 1);
+
+        const executed = await operationService.executeOperation(operation.id, 'SYSTEM');
+        assert.equal(executed.status, OperationStatus.EXECUTED);
+        assert.equal(escrowOf(), '0');
+        assert.equal(cashOf(), '60');
+        assert.equal(entriesOf(JournalEntryType.CASH_WITHDRAWAL)[0].idempotencyKey, `CASH_WITHDRAWAL:${operation.id}`);
+
+        // A failure reported after the payout changes nothing
+        assert.equal(await operationService.failOperation(operation.id, new Error('late')), false);
+        assert.equal(statusOf(operation.id), OperationStatus.EXECUTED);
+        assert.equal(entriesOf(JournalEntryType.RELEASE).length, 0);
+        assert.equal(cashOf(), '60');
+    });
+
+    it('releases the hold on rejection', async () => {
+        const operation = await requestWithdrawal();
+
+        const rejected = await operationService.rejectOperation(operation.id, CHECKER, 'Wrong account');
+
+        assert.equal(rejected.status, OperationStatus.REJECTED);
+        assert.equal(cashOf(), '100');
+        assert.equal(escrowOf(), '0');
+        assert.equal(prisma.rows('auditLog', { eventType: 'CASH_WITHDRAWAL_RELEASED' }).length, 1);
+    });
+
+    it('does not reject or release a withdrawal approved meanwhile', async () => {
+        const operation = await requestWithdrawal();
+
+        racedBy(operation.id, OperationStatus.EXECUTING);
+        await assert.rejects(operationService.rejectOperation(operation.id, CHECKER, 'Too late'), { statusCode: 409 });
+
+        assert.equal(statusOf(operation.id), OperationStatus.EXECUTING);
+        assert.equal(entriesOf(JournalEntryType.RELEASE).length, 0);
+        assert.equal(escrowOf(), '40');
+
+        await operationService.executeOperation(operation.id, 'SYSTEM');
+        assert.equal(statusOf(operation.id), OperationStatus.EXECUTED);
+        assert.equal(cashOf(), '60');
+    });
+
+    it('releases the hold when the execution fails', async () => {
+        const operation = await requestWithdrawal();
+        await operationService.approveOperation(operation.id, CHECKER);
+
+        assert.equal(await operationService.failOperation(operation.id, new Error('Bank unavailable')), true);
+
+        assert.equal(statusOf(operation.id), OperationStatus.FAILED);
+        assert.equal(cashOf(), '100');
+        assert.equal(escrowOf(), '0');
+
+        // A late execution job pays nothing out
+        const late = await operationService.executeOperation(operation.id, 'SYSTEM');
+        assert.equal(late.status, OperationStatus.FAILED);
+        assert.equal(entriesOf(JournalEntryType.CASH_WITHDRAWAL).length, 0);
+    });
+
+    it('records no failure for a withdrawal still awaiting checkers', async () => {
+        const operation = await requestWithdrawal();
+
+        assert.equal(await operationService.failOperation(operation.id, new Error('stray')), false);
+        assert.equal(statusOf(operation.id), OperationStatus.PENDING_CHECKER);
+        assert.equal(escrowOf(), '40');
+    });
+
+    it('releases the hold when the maker cancels', async () => {
+        const operation = await requestWithdrawal();
+
+        await assert.rejects(operationService.cancelOperation(operation.id, CHECKER), { statusCode: 403 });
+        const cancelled = await operationService.cancelOperation(operation.id, MAKER, 'Changed my mind');
+
+        assert.equal(cancelled.status, OperationStatus.CANCELLED);
+        assert.equal(cashOf(), '100');
+        assert.equal(escrowOf(), '0');
+    });
+
+    it('releases the hold when the request expires, once', async () => {
+        const operation = await requestWithdrawal();
+
+        assert.equal(await operationService.expireOperation(operation), true);
+        assert.equal(await operationService.expireOperation(operation), false);
+
+        assert.equal(statusOf(operation.id), OperationStatus.EXPIRED);
+        assert.equal(entriesOf(JournalEntryType.RELEASE).length, 1);
+        assert.equal(cashOf(), '100');
+        assert.equal(escrowOf(), '0');
+    });
+});
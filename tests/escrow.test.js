@@ -0,0 +1,148 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TENANT, balanceOf, deposit } from './helpers/ledger.js';
+import * as ledgerService from '../src/modules/ledger/ledger.service.js';
+import * as tradeService from '../src/modules/marketplace/trade.service.js';
+import { ListingStatus } from '../src/modules/marketplace/listing.service.js';
+import { BidStatus } from '../src/enums/bidStatus.js';
+import { LedgerAccountType } from '../src/enums/ledgerAccountType.js';
+import { JournalEntryType } from '../src/enums/journalEntryType.js';
+
+/**
+ * Bid escrow: holds on placing, releases on rejection or expiry, trades paid from the hold
+ */
+
+const SELLER = 'seller_1';
+
+const cashOf = (ownerId) => balanceOf(ownerId, LedgerAccountType.INVESTOR);
+const escrowOf = (ownerId) => balanceOf(ownerId, LedgerAccountType.ESCROW);
+
+const seedListing = (quantityListed = '10') => {
+    prisma.table('custodyRecord').push({
+        id: 'cr_1',
+        tenantId: TENANT,
+        assetId: 'ASSET-1',
+        quantity: '10',
+        createdBy: SELLER,
+        tradingFrozenAt: null
+    });
+    prisma.table('listing').push({
+        id: 'listing_1',
+        tenantId: TENANT,
+        assetId: 'ASSET-1',
+        custodyRecordId: 'cr_1',
+        sellerId: SELLER,
+        currency: 'USD',
+        price: '10',
+        quantityListed,
+        quantitySold: '0',
+        status: ListingStatus.ACTIVE
+    });
+};
+
+describe('bid escrow', () => {
+    beforeEach(async () => {
+        prisma.reset();
+        seedListing();
+        await deposit('buyer_1', '100');
+    });
+
+    it('holds a bid\'s total in the buyer\'s escrow', async () => {
+        const bid = await tradeService.placeBid('listing_1', { amount: '12.50', quantity: '2' }, 'buyer_1');
+
+        assert.equal(bid.heldAmount, '25');
+        assert.equal(cashOf('buyer_1'), '75');
+        assert.equal(escrowOf('buyer_1'), '25');
+        assert.equal(prisma.rows('userBalance', { userId: 'buyer_1' })[0].balance, '75');
+
+        const balances = await ledgerService.getCashBalances({ tenantId: TENANT, ownerId: 'buyer_1' });
+        assert.deepEqual(balances, [{ currency: 'USD', available: '75', held: '25', total: '100' }]);
+    });
+
+    it('refuses a bid beyond the available cash and leaves no bid behind', async () => {
+        await tradeService.placeBid('listing_1', { amount: '30', quantity: '3' }, 'buyer_1');
+
+        await assert.rejects(
+            tradeService.placeBid('listing_1', { amount: '11', quantity: '1' }, 'buyer_1'),
+            { statusCode: 400, message: /Insufficient balance/ }
+        );
+        assert.equal(prisma.rows('bid').length, 1);
+        assert.equal(cashOf('buyer_1'), '10');
+        assert.equal(escrowOf('buyer_1'), '90');
+    });
+
+    it('rolls the bid back when the ledger refuses the hold', async () => {
+        // The projection was read before another hold drained the account
+        await ledgerService.recordHold({
+            listing: { tenantId: TENANT, assetId: 'ASSET-1', custodyRecordId: 'cr_1', id: 'listing_1', currency: 'USD' },
+            bid: { id: 'bid_elsewhere', buyerId: 'buyer_1', heldAmount: '95' }
+        });
+        prisma.table('userBalance').find(row => row.userId === 'buyer_1').balance = '100';
+
+        await assert.rejects(
+            tradeService.placeBid('listing_1', { amount: '10', quantity: '1' }, 'buyer_1'),
+            { statusCode: 400, message: /Insufficient USD balance/ }
+        );
+        assert.equal(prisma.rows('bid').length, 0);
+        assert.equal(escrowOf('buyer_1'), '95');
+    });
+
+    it('releases the hold of a rejected bid, once', async () => {
+        const bid = await tradeService.placeBid('listing_1', { amount: '20', quantity: '1' }, 'buyer_1');
+
+        await tradeService.rejectBid(bid.id, SELLER);
+
+        assert.equal(prisma.rows('bid', { id: bid.id })[0].status, BidStatus.REJECTED);
+        assert.equal(cashOf('buyer_1'), '100');
+        assert.equal(escrowOf('buyer_1'), '0');
+
+        await assert.rejects(tradeService.rejectBid(bid.id, SELLER), { statusCode: 400 });
+        assert.equal(prisma.rows('journalEntry', { type: JournalEntryType.RELEASE }).length, 1);
+        assert.equal(cashOf('buyer_1'), '100');
+    });
+
+    it('pays an accepted bid from the hold and credits the seller', async () => {
+        const bid = await tradeService.placeBid('listing_1', { amount: '15', quantity: '2' }, 'buyer_1');
+
+        await tradeService.acceptBid(bid.id, SELLER);
+
+        assert.equal(escrowOf('buyer_1'), '0');
+        assert.equal(cashOf('buyer_1'), '70');
+        assert.equal(cashOf(SELLER), '30');
+        assert.equal(balanceOf('buyer_1', LedgerAccountType.INVESTOR, 'ASSET-1'), '2');
+        assert.equal(balanceOf(SELLER, LedgerAccountType.ISSUER, 'ASSET-1'), '8');
+        assert.equal(prisma.rows('userBalance', { userId: SELLER })[0].balance, '30');
+    });
+
+    it('returns what was held beyond the trade total to the buyer\'s cash', async () => {
+        const listing = { tenantId: TENANT, assetId: 'ASSET-1', custodyRecordId: 'cr_1', id: 'listing_1', currency: 'USD' };
+        const bid = { id: 'bid_1', buyerId: 'buyer_1', amount: '10', quantity: '2', heldAmount: '25' };
+        const [custodyRecord] = prisma.rows('custodyRecord');
+
+        await ledgerService.recordHold({ listing, bid });
+        await ledgerService.recordIssuance(custodyRecord);
+        await ledgerService.recordTrade({ custodyRecord, listing, bid, sellerId: SELLER });
+
+        assert.equal(escrowOf('buyer_1'), '0');
+        assert.equal(cashOf('buyer_1'), '80');
+        assert.equal(cashOf(SELLER), '20');
+    });
+
+    it('expires and releases the other pending bids when the listing sells out', async () => {
+        prisma.table('listing')[0].quantityListed = '2';
+        await deposit('buyer_2', '50');
+
+        const winning = await tradeService.placeBid('listing_1', { amount: '20', quantity: '2' }, 'buyer_1');
+        const losing = await tradeService.placeBid('listing_1', { amount: '15', quantity: '2' }, 'buyer_2');
+        assert.equal(escrowOf('buyer_2'), '30');
+
+        const result = await tradeService.acceptBid(winning.id, SELLER);
+
+        assert.equal(result.listing.status, ListingStatus.SOLD);
+        assert.equal(prisma.rows('bid', { id: losing.id })[0].status, BidStatus.EXPIRED);
+        assert.equal(escrowOf('buyer_2'), '0');
+        assert.equal(cashOf('buyer_2'), '50');
+        assert.equal(cashOf('buyer_1'), '60');
+    });
+});
@@ -0,0 +1,359 @@
+import { randomUUID } from 'crypto';
+import Decimal from 'decimal.js';
+
+/**
+ * In-memory Prisma Client
+ * Implements the subset of the Prisma API the services under test use, so their behavior can be
+ * tested without a database:
+ * - create / findUnique / findFirst / findMany / count / update / updateMany / upsert / delete / deleteMany
+ * - where filters (equals, in, notIn, not, lt, lte, gt, gte, OR, AND, NOT), compound unique keys
+ * - include / select of the relations listed below, orderBy, take, skip, distinct
+ * - $transaction: interactive transactions roll back every table when the callback throws
+ * - unique constraints raise P2002 like the real client
+ */
+
+// Relations: [kind, model, localField, foreignField]
+const RELATIONS = {
+    bid: {
+        listing: ['one', 'listing', 'listingId', 'id']
+    },
+    journalEntry: {
+        postings: ['many', 'ledgerPosting', 'id', 'entryId']
+    },
+    ledgerPosting: {
+        account: ['one', 'ledgerAccount', 'accountId', 'id'],
+        entry: ['one', 'journalEntry', 'entryId', 'id']
+    },
+    custodyOperation: {
+        custodyRecord: ['one', 'custodyRecord', 'custodyRecordId', 'id'],
+        vaultWallet: ['one', 'vaultWallet', 'vaultWalletId', 'id'],
+        approvalPolicy: ['one', 'approvalPolicy', 'approvalPolicyId', 'id'],
+        approvals: ['many', 'operationApproval', 'id', 'operationId'],
+        parentOperation: ['one', 'custodyOperation', 'parentOperationId', 'id'],
+        retry: ['first', 'custodyOperation', 'id', 'parentOperationId']
+    }
+};
+
+// Unique constraints besides id: [model, fields]
+const UNIQUE_KEYS = [
+    ['ledgerAccount', ['tenantId', 'ownerId', 'type', 'unit']],
+    ['journalEntry', ['idempotencyKey']],
+    ['operationApproval', ['operationId', 'approvedBy']],
+    ['userBalance', ['userId']],
+    ['ownership', ['assetId', 'ownerId']],
+    ['job', ['dedupeKey']]
+];
+
+// Column defaults applied on create
+const DEFAULTS = {
+    ledgerAccount: () => ({ balance: '0', version: 0 }),
+    custodyOperation: () => ({ attempt: 1, requiredApprovals: 1 }),
+    job: () => ({ status: 'PENDING', attempts: 0 })
+};
+
+const OPERATORS = ['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'contains', 'startsWith'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    !(value instanceof Date) && !Decimal.isDecimal(value) && !Array.isArray(value);
+
+const clone = (value) => structuredClone(value);
+
+/**
+ * Compare two column values: dates by time, numbers and decimal strings as decimals
+ */
+const compare = (a, b) => {
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+    if (typeof a === 'number' || typeof b === 'number' || Decimal.isDecimal(a) || Decimal.isDecimal(b)) {
+        return new Decimal(String(a)).comparedTo(new Decimal(String(b)));
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const equals = (a, b) => {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a ?? null) === (b ?? null);
+    }
+    return compare(a, b) === 0;
+};
+
+const matchesField = (value, condition) => {
+    if (!isPlainObject(condition) || !Object.keys(condition).every(key => OPERATORS.includes(key))) {
+        return equals(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (operand === undefined) return true;
+        switch (operator) {
+            case 'equals': return equals(value, operand);
+            case 'in': return operand.some(candidate => equals(value, candidate));
+            case 'notIn': return !operand.some(candidate => equals(value, candidate));
+            case 'not': return !matchesField(value, operand);
+            case 'lt': return value !== null && value !== undefined && compare(value, operand) < 0;
+            case 'lte': return value !== null && value !== undefined && compare(value, operand) <= 0;
+            case 'gt': return value !== null && value !== undefined && compare(value, operand) > 0;
+            case 'gte': return value !== null && value !== undefined && compare(value, operand) >= 0;
+            case 'contains': return typeof value === 'string' && value.includes(operand);
+            case 'startsWith': return typeof value === 'string' && value.startsWith(operand);
+            default: return false;
+        }
+    });
+};
+
+/**
+ * Expand compound unique keys (e.g. tenantId_ownerId_type_unit: { ... }) into plain fields
+ */
+const flattenWhere = (where = {}) => {
+    const flat = {};
+    for (const [key, value] of Object.entries(where)) {
+        if (key.includes('_') && isPlainObject(value) && Object.keys(value).join('_') === key) {
+            Object.assign(flat, value);
+        } else {
+            flat[key] = value;
+        }
+    }
+    return flat;
+};
+
+export class FakePrismaClient {
+    constructor() {
+        this.tables = {};
+        this.transactionDepth = 0;
+
+        // Model delegates are created on first access, like prisma.ledgerAccount
+        return new Proxy(this, {
+            get: (target, property, receiver) => {
+                if (typeof property !== 'string' || property in target || property.startsWith('$')) {
+                    return Reflect.get(target, property, receiver);
+                }
+                return target.delegate(property);
+            }
+        });
+    }
+
+    table(model) {
+        if (!this.tables[model]) this.tables[model] = [];
+        return this.tables[model];
+    }
+
+    /**
+     * Rows of a model, for assertions
+     */
+    rows(model, where = {}) {
+        return clone(this.table(model).filter(row => this.matches(model, row, where)));
+    }
+
+    matches(model, row, where = {}) {
+        return Object.entries(flattenWhere(where)).every(([key, condition]) => {
+            if (condition === undefined) return true;
+            if (key === 'OR') return condition.some(clause => this.matches(model, row, clause));
+            if (key === 'AND') return [].concat(condition).every(clause => this.matches(model, row, clause));
+            if (key === 'NOT') return ![].concat(condition).some(clause => this.matches(model, row, clause));
+
+            const relation = RELATIONS[model]?.[key];
+            if (relation && isPlainObject(condition)) {
+                const related = this.resolveRelation(model, row, key);
+                return related !== null && !Array.isArray(related) && this.matches(relation[1], related, condition);
+            }
+            return matchesField(row[key], condition);
+        });
+    }
+
+    resolveRelation(model, row, name) {
+        const [kind, target, localField, foreignField] = RELATIONS[model][name];
+        const related = this.table(target).filter(candidate => equals(candidate[foreignField], row[localField]) && row[localField] != null);
+        if (kind === 'many') return related;
+        return related[0] || null;
+    }
+
+    /**
+     * Copy of a row with its included or selected relations
+     */
+    shape(model, row, { include, select } = {}) {
+        let shaped = clone(row);
+
+        const relations = { ...(include || {}), ...Object.fromEntries(Object.entries(select || {}).filter(([key]) => RELATIONS[model]?.[key])) };
+        for (const [name, options] of Object.entries(relations)) {
+            if (!options || !RELATIONS[model]?.[name]) continue;
+            const target = RELATIONS[model][name][1];
+            const nested = isPlainObject(options) ? options : {};
+            let related = this.resolveRelation(model, row, name);
+
+            if (Array.isArray(related)) {
+                related = this.sort(related.filter(candidate => this.matches(target, candidate, nested.where)), nested.orderBy);
+                shaped[name] = related.map(candidate => this.shape(target, candidate, nested));
+            } else {
+                shaped[name] = related ? this.shape(target, related, nested) : null;
+            }
+        }
+
+        if (select) {
+            shaped = Object.fromEntries(Object.entries(shaped).filter(([key]) => select[key]));
+        }
+        return shaped;
+    }
+
+    sort(rows, orderBy) {
+        const orders = [].concat(orderBy || []).flatMap(order => Object.entries(order));
+        return [...rows].sort((a, b) => {
+            for (const [field, direction] of orders) {
+                const result = compare(a[field] ?? '', b[field] ?? '');
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        });
+    }
+
+    checkUnique(model, row) {
+        for (const [uniqueModel, fields] of UNIQUE_KEYS) {
+            if (uniqueModel !== model || fields.some(field => row[field] === null || row[field] === undefined)) continue;
+
+            const duplicate = this.table(model).some(existing => existing !== row &&
+                fields.every(field => equals(existing[field], row[field])));
+            if (duplicate) {
+                const error = new Error(`Unique constraint failed on the fields: (${fields.join(', ')})`);
+                error.code = 'P2002';
+                error.meta = { target: fields };
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Apply update data (plain values and { increment } / { decrement }) to a row
+     */
+    applyData(row, data) {
+        for (const [key, value] of Object.entries(data)) {
+            if (value === undefined) continue;
+            if (isPlainObject(value) && 'increment' in value) {
+                row[key] = (row[key] || 0) + value.increment;
+            } else if (isPlainObject(value) && 'decrement' in value) {
+                row[key] = (row[key] || 0) - value.decrement;
+            } else {
+                row[key] = Decimal.isDecimal(value) ? value.toString() : clone(value);
+            }
+        }
+        row.updatedAt = new Date();
+    }
+
+    insert(model, data) {
+        const row = { id: randomUUID(), ...(DEFAULTS[model]?.() || {}), createdAt: new Date() };
+        const nested = {};
+
+        for (const [key, value] of Object.entries(data)) {
+            if (RELATIONS[model]?.[key] && isPlainObject(value) && value.create) {
+                nested[key] = value.create;
+            } else if (value !== undefined) {
+                row[key] = Decimal.isDecimal(value) ? value.toString() : clone(value);
+            }
+        }
+        row.updatedAt = row.createdAt;
+
+        this.checkUnique(model, row);
+        this.table(model).push(row);
+
+        for (const [name, children] of Object.entries(nested)) {
+            const [, target, localField, foreignField] = RELATIONS[model][name];
+            for (const child of [].concat(children)) {
+                this.insert(target, { ...child, [foreignField]: row[localField] });
+            }
+        }
+        return row;
+    }
+
+    delegate(model) {
+        const find = (args = {}) => {
+            let rows = this.sort(this.table(model).filter(row => this.matches(model, row, args.where)), args.orderBy);
+            if (args.distinct) {
+                const seen = new Set();
+                rows = rows.filter(row => {
+                    const key = JSON.stringify(args.distinct.map(field => row[field]));
+                    return !seen.has(key) && seen.add(key);
+                });
+            }
+            rows = rows.slice(args.skip || 0, args.take === undefined ? undefined : (args.skip || 0) + args.take);
+            return rows;
+        };
+
+        return {
+            create: async ({ data, include, select }) => this.shape(model, this.insert(model, data), { include, select }),
+            findUnique: async (args) => {
+                const [row] = find(args);
+                return row ? this.shape(model, row, args) : null;
+            },
+            findFirst: async (args = {}) => {
+                const [row] = find({ ...args, take: 1 });
+                return row ? this.shape(model, row, args) : null;
+            },
+            findMany: async (args = {}) => find(args).map(row => this.shape(model, row, args)),
+            count: async (args = {}) => find({ where: args.where }).length,
+            update: async ({ where, data, include, select }) => {
+                const [row] = find({ where });
+                if (!row) {
+                    const error = new Error(`No ${model} found to update`);
+                    error.code = 'P2025';
+                    throw error;
+                }
+                this.applyData(row, data);
+                this.checkUnique(model, row);
+                return this.shape(model, row, { include, select });
+            },
+            updateMany: async ({ where, data }) => {
+                const rows = find({ where });
+                rows.forEach(row => this.applyData(row, data));
+                return { count: rows.length };
+            },
+            upsert: async ({ where, update, create, include, select }) => {
+                const [row] = find({ where });
+                if (row) {
+                    this.applyData(row, update);
+                    return this.shape(model, row, { include, select });
+                }
+                return this.shape(model, this.insert(model, create), { include, select });
+            },
+            delete: async ({ where }) => {
+                const [row] = find({ where });
+                this.tables[model] = this.table(model).filter(existing => existing !== row);
+                return clone(row);
+            },
+            deleteMany: async ({ where } = {}) => {
+                const rows = find({ where });
+                this.tables[model] = this.table(model).filter(existing => !rows.includes(existing));
+                return { count: rows.length };
+            }
+        };
+    }
+
+    /**
+     * Interactive transaction (callback) or batch (array of promises)
+     * A failing callback restores every table to its state before the transaction.
+     */
+    async $transaction(input) {
+        if (Array.isArray(input)) return await Promise.all(input);
+
+        const snapshot = clone(this.tables);
+        this.transactionDepth += 1;
+        try {
+            return await input(this);
+        } catch (error) {
+            this.tables = snapshot;
+            throw error;
+        } finally {
+            this.transactionDepth -= 1;
+        }
+    }
+
+    async $connect() {}
+
+    async $disconnect() {}
+
+    /**
+     * Forget every row (between tests)
+     */
+    reset() {
+        this.tables = {};
+    }
+}
+
+export default FakePrismaClient;
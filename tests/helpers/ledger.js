@@ -0,0 +1,31 @@
+import { prisma } from './setup.js';
+import * as ledgerService from '../../src/modules/ledger/ledger.service.js';
+
+/**
+ * Ledger Test Helpers
+ * Shared tenant, account balance lookup and cash funding for ledger-backed tests
+ */
+
+export const TENANT = 'tenant_a';
+
+/**
+ * Balance of a ledger account, or null when it was never opened
+ */
+export const balanceOf = (ownerId, type, unit = 'USD', tenantId = TENANT) => {
+    const [account] = prisma.rows('ledgerAccount', { tenantId, ownerId, type, unit });
+    return account ? account.balance : null;
+};
+
+/**
+ * Credit a user's cash with a deposit (once per external reference)
+ */
+export const deposit = (userId, amount, externalReference = `BANK-${userId}-${amount}`, tenantId = TENANT) => {
+    return ledgerService.recordCashDeposit({
+        tenantId,
+        userId,
+        currency: 'USD',
+        amount,
+        externalReference,
+        createdBy: 'integration'
+    });
+};
@@ -0,0 +1,133 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as jobQueue from '../src/modules/jobs/job.queue.js';
+import * as jobRepository from '../src/modules/jobs/job.repository.js';
+import { processDueJobs } from '../src/modules/jobs/job.worker.js';
+import { JobStatus } from '../src/enums/jobStatus.js';
+import { config } from '../src/config/env.js';
+
+/**
+ * Job queue: leases, reclaiming jobs of dead workers, retries with backoff and dead-lettering
+ */
+
+const runs = [];
+const deadLettered = [];
+
+jobQueue.registerHandler('TEST_SUCCEEDS', async (payload) => { runs.push(payload.name); });
+jobQueue.registerHandler('TEST_FAILS', async (payload) => {
+    runs.push(payload.name);
+    throw new Error('Fireblocks unavailable');
+}, {
+    onDeadLetter: async (job) => { deadLettered.push(job.id); }
+});
+jobQueue.registerHandler('TEST_FAILS_PERMANENTLY', async () => {
+    throw new Error('Asset not found');
+}, {
+    isRetryable: () => false,
+    onDeadLetter: async (job) => { deadLettered.push(job.id); }
+});
+
+const jobOf = (id) => prisma.rows('job', { id })[0];
+
+// Make a rescheduled job due now
+const makeDue = (id) => {
+    prisma.table('job').find(row => row.id === id).runAt = new Date(Date.now() - 1000);
+};
+
+describe('job queue', () => {
+    beforeEach(() => {
+        prisma.reset();
+        runs.length = 0;
+        deadLettered.length = 0;
+    });
+
+    it('runs a due job once and completes it', async () => {
+        const job = await jobQueue.enqueue('TEST_SUCCEEDS', { name: 'first' });
+
+        assert.equal(await processDueJobs(), 1);
+        assert.equal(await processDueJobs(), 0);
+
+        assert.deepEqual(runs, ['first']);
+        assert.equal(jobOf(job.id).status, JobStatus.COMPLETED);
+        assert.equal(jobOf(job.id).attempts, 1);
+        assert.equal(jobOf(job.id).lockedBy, null);
+    });
+
+    it('enqueues a job once per dedupe key', async () => {
+        await jobQueue.enqueue('TEST_SUCCEEDS', { name: 'first' }, { dedupeKey: 'operation:op_1:execute' });
+
+        await assert.rejects(
+            jobQueue.enqueue('TEST_SUCCEEDS', { name: 'second' }, { dedupeKey: 'operation:op_1:execute' }),
+            { code: 'P2002' }
+        );
+    });
+
+    it('reclaims a job whose lease expired, and ignores the stalled worker', async () => {
+        const job = await jobQueue.enqueue('TEST_SUCCEEDS', { name: 'orphaned' });
+        assert.equal(await jobRepository.claimJob(job.id, 'dead-worker', new Date(Date.now() + 60000)), true);
+
+        // Leased: nobody else may take it
+        assert.equal(await processDueJobs(), 0);
+
+        prisma.table('job').find(row => row.id === job.id).lockedUntil = new Date(Date.now() - 1000);
+        assert.equal(await processDueJobs(), 1);
+
+        assert.deepEqual(runs, ['orphaned']);
+        assert.equal(jobOf(job.id).status, JobStatus.COMPLETED);
+        assert.equal(jobOf(job.id).attempts, 2);
+
+        // The worker that lost its lease cannot overwrite the result
+        assert.equal(await jobRepository.deadLetterJob(job.id, 'dead-worker', 'late'), false);
+        assert.equal(jobOf(job.id).status, JobStatus.COMPLETED);
+    });
+
+    it('retries a failed job with exponential backoff', async () => {
+        const job = await jobQueue.enqueue('TEST_FAILS', { name: 'flaky' });
+
+        const before = Date.now();
+        await processDueJobs();
+
+        const failed = jobOf(job.id);
+        assert.equal(failed.status, JobStatus.PENDING);
+        assert.equal(failed.lastError, 'Fireblocks unavailable');
+        assert.ok(new Date(failed.runAt).getTime() >= before + config.jobs.backoffBaseMs);
+
+        assert.equal(jobQueue.computeBackoffMs(1), config.jobs.backoffBaseMs);
+        assert.equal(jobQueue.computeBackoffMs(2), config.jobs.backoffBaseMs * 2);
+        assert.equal(jobQueue.computeBackoffMs(100), config.jobs.backoffMaxMs);
+    });
+
+    it('dead-letters a job after its last attempt, once', async () => {
+        const job = await jobQueue.enqueue('TEST_FAILS', { name: 'broken' }, { maxAttempts: 2 });
+
+        await processDueJobs();
+        makeDue(job.id);
+        await processDueJobs();
+        await processDueJobs();
+
+        assert.deepEqual(runs, ['broken', 'broken']);
+        assert.equal(jobOf(job.id).status, JobStatus.DEAD);
+        assert.deepEqual(deadLettered, [job.id]);
+    });
+
+    it('dead-letters a permanent failure without retrying', async () => {
+        const job = await jobQueue.enqueue('TEST_FAILS_PERMANENTLY', {});
+
+        await processDueJobs();
+
+        assert.equal(jobOf(job.id).status, JobStatus.DEAD);
+        assert.equal(jobOf(job.id).attempts, 1);
+        assert.equal(jobOf(job.id).lastError, 'Asset not found');
+        assert.deepEqual(deadLettered, [job.id]);
+    });
+
+    it('dead-letters a job nobody handles', async () => {
+        const job = await jobQueue.enqueue('TEST_UNKNOWN', {});
+
+        await processDueJobs();
+
+        assert.equal(jobOf(job.id).status, JobStatus.DEAD);
+        assert.match(jobOf(job.id).lastError, /No handler registered/);
+    });
+});
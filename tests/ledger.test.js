@@ -0,0 +1,161 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { TENANT, balanceOf, deposit } from './helpers/ledger.js';
+import * as ledgerService from '../src/modules/ledger/ledger.service.js';
+import { LedgerAccountType, LedgerUnitType } from '../src/enums/ledgerAccountType.js';
+import { JournalEntryType } from '../src/enums/journalEntryType.js';
+
+/**
+ * Ledger: double-entry postings, balances, idempotency and the UserBalance projection
+ */
+
+describe('ledger postings', () => {
+    beforeEach(() => prisma.reset());
+
+    it('credits a deposit from the treasury and projects the user balance', async () => {
+        const entry = await deposit('user_1', '100.50', 'BANK-1');
+
+        assert.equal(entry.type, JournalEntryType.CASH_DEPOSIT);
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD'), '100.5');
+        assert.equal(balanceOf('SYSTEM', LedgerAccountType.TREASURY, 'USD'), '-100.5');
+
+        const [userBalance] = prisma.rows('userBalance', { userId: 'user_1' });
+        assert.equal(userBalance.balance, '100.5');
+        assert.equal(userBalance.currency, 'USD');
+    });
+
+    it('keeps every entry balanced: postings sum to zero per unit', async () => {
+        await deposit('user_1', '100', 'BANK-1');
+        await deposit('user_2', '40', 'BANK-2');
+
+        const total = Decimal.sum(...prisma.rows('ledgerAccount', { unit: 'USD' }).map(account => account.balance));
+        assert.ok(total.isZero());
+
+        for (const entry of prisma.rows('journalEntry')) {
+            const postings = prisma.rows('ledgerPosting', { entryId: entry.id });
+            assert.ok(Decimal.sum(...postings.map(posting => posting.amount)).isZero());
+        }
+    });
+
+    it('posts nothing when an idempotency key is replayed', async () => {
+        const first = await deposit('user_1', '100', 'BANK-1');
+        const replay = await deposit('user_1', '100', 'BANK-1');
+
+        assert.equal(replay.id, first.id);
+        assert.equal(prisma.rows('journalEntry').length, 1);
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD'), '100');
+    });
+
+    it('rejects an unbalanced entry', async () => {
+        await assert.rejects(ledgerService.postEntry({
+            type: JournalEntryType.CASH_DEPOSIT,
+            tenantId: TENANT,
+            idempotencyKey: 'UNBALANCED',
+            createdBy: 'test',
+            postings: [
+                { account: ledgerService.treasuryAccount(LedgerUnitType.CASH, 'USD'), amount: '-10' },
+                { account: ledgerService.cashAccount('user_1', 'USD'), amount: '9' }
+            ]
+        }), { statusCode: 400, message: /does not balance/ });
+
+        assert.equal(prisma.rows('journalEntry').length, 0);
+    });
+
+    it('never lets a holder account go negative, and leaves nothing behind when it would', async () => {
+        await deposit('user_1', '50', 'BANK-1');
+
+        await assert.rejects(ledgerService.postEntry({
+            type: JournalEntryType.HOLD,
+            tenantId: TENANT,
+            idempotencyKey: 'HOLD:overdraw',
+            createdBy: 'test',
+            postings: [
+                { account: ledgerService.cashAccount('user_1', 'USD'), amount: '-50.01' },
+                { account: ledgerService.escrowAccount('user_1', 'USD'), amount: '50.01' }
+            ]
+        }), { statusCode: 400, message: /Insufficient USD balance/ });
+
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD'), '50');
+        assert.equal(balanceOf('user_1', LedgerAccountType.ESCROW, 'USD'), null);
+        assert.equal(prisma.rows('journalEntry').length, 1);
+    });
+
+    it('reports available and held cash per currency', async () => {
+        await deposit('user_1', '80', 'BANK-1');
+        await ledgerService.postEntry({
+            type: JournalEntryType.HOLD,
+            tenantId: TENANT,
+            idempotencyKey: 'HOLD:manual',
+            createdBy: 'test',
+            postings: [
+                { account: ledgerService.cashAccount('user_1', 'USD'), amount: '-30' },
+                { account: ledgerService.escrowAccount('user_1', 'USD'), amount: '30' }
+            ]
+        });
+
+        const balances = await ledgerService.getCashBalances({ tenantId: TENANT, ownerId: 'user_1' });
+        assert.deepEqual(balances, [{ currency: 'USD', available: '50', held: '30', total: '80' }]);
+    });
+});
+
+describe('pre-ledger cash balances', () => {
+    beforeEach(() => {
+        prisma.reset();
+        prisma.table('userBalance').push({ id: 'ub_1', userId: 'user_1', balance: '25', currency: 'USD' });
+    });
+
+    it('opens the legacy balance in the tenant of the user\'s API keys', async () => {
+        prisma.table('apiKey').push({ id: 'key_1', userId: 'user_1', tenantId: TENANT });
+
+        await deposit('user_1', '10', 'BANK-1');
+
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD'), '35');
+        assert.equal(prisma.rows('journalEntry', { type: JournalEntryType.OPENING }).length, 1);
+    });
+
+    it('opens the legacy balance into its own tenant when another tenant posts first', async () => {
+        prisma.table('apiKey').push({ id: 'key_1', userId: 'user_1', tenantId: TENANT });
+
+        await deposit('user_1', '10', 'BANK-1', 'tenant_b');
+
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD', 'tenant_b'), '10');
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD'), '25');
+        const [opening] = prisma.rows('journalEntry', { type: JournalEntryType.OPENING });
+        assert.equal(opening.tenantId, TENANT);
+        assert.equal(await ledgerService.findLegacyCash(TENANT, 'user_1'), null);
+    });
+
+    it('shows an unopened legacy balance only in its own tenant', async () => {
+        prisma.table('apiKey').push({ id: 'key_1', userId: 'user_1', tenantId: TENANT });
+
+        assert.equal((await ledgerService.findLegacyCash(TENANT, 'user_1')).balance, '25');
+        assert.equal(await ledgerService.findLegacyCash('tenant_b', 'user_1'), null);
+        assert.deepEqual(await ledgerService.getCashBalances({ tenantId: 'tenant_b', ownerId: 'user_1' }), []);
+    });
+
+    it('refuses cash postings while the legacy balance belongs to no single tenant', async () => {
+        prisma.table('apiKey').push(
+            { id: 'key_1', userId: 'user_1', tenantId: TENANT },
+            { id: 'key_2', userId: 'user_1', tenantId: 'tenant_b' }
+        );
+
+        await assert.rejects(deposit('user_1', '10', 'BANK-1'), { statusCode: 409 });
+        assert.equal(prisma.rows('journalEntry').length, 0);
+        assert.equal(prisma.rows('userBalance', { userId: 'user_1' })[0].balance, '25');
+
+        const opening = await ledgerService.openLegacyCashBalance({ tenantId: 'tenant_b', userId: 'user_1' }, 'admin_1');
+        assert.equal(opening.tenantId, 'tenant_b');
+
+        await deposit('user_1', '10', 'BANK-1');
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD', 'tenant_b'), '25');
+        assert.equal(balanceOf('user_1', LedgerAccountType.INVESTOR, 'USD'), '10');
+        assert.equal(prisma.rows('userBalance', { userId: 'user_1' })[0].balance, '35');
+
+        await assert.rejects(
+            ledgerService.openLegacyCashBalance({ tenantId: TENANT, userId: 'user_1' }, 'admin_1'),
+            { statusCode: 404 }
+        );
+    });
+});
@@ -0,0 +1,133 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as mfaService from '../src/modules/auth/mfa.service.js';
+import * as mfaController from '../src/modules/auth/mfa.controller.js';
+import { setRateLimitStore, MemoryRateLimitStore } from '../src/modules/rate-limit/rateLimit.store.js';
+import { generateTotp, generateTotpSecret, getTimeStep } from '../src/utils/totp.js';
+import { encryptSecret } from '../src/utils/crypto.js';
+import { config } from '../src/config/env.js';
+
+/**
+ * MFA: one code-attempt limit per user across every path that checks a code, and the
+ * forced-enrollment login
+ */
+
+const SECRET = generateTotpSecret();
+const WRONG_CODE = '000000';
+
+const seedUser = (id, data = {}) => {
+    prisma.table('user').push({
+        id,
+        email: `${id}@example.com`,
+        role: 'CLIENT',
+        status: 'ACTIVE',
+        mfaEnabled: true,
+        mfaSecret: encryptSecret(SECRET),
+        mfaRecoveryCodes: [],
+        mfaLastUsedStep: null,
+        ...data
+    });
+};
+
+const validCode = () => generateTotp(SECRET, getTimeStep());
+
+const useUpAttempts = async (userId) => {
+    for (let attempt = 0; attempt < config.mfa.maxCodeAttempts; attempt++) {
+        await assert.rejects(mfaService.issueStepUpToken({ sub: userId, sid: 'family_1' }, WRONG_CODE), { statusCode: 401 });
+    }
+};
+
+describe('MFA code attempts', () => {
+    beforeEach(() => {
+        prisma.reset();
+        setRateLimitStore(new MemoryRateLimitStore());
+        seedUser('user_1');
+    });
+
+    it('accepts a valid step-up code', async () => {
+        const { stepUpToken } = await mfaService.issueStepUpToken({ sub: 'user_1', sid: 'family_1' }, validCode());
+
+        assert.equal(mfaService.isValidStepUpToken(stepUpToken, { sub: 'user_1', sid: 'family_1' }), true);
+        assert.equal(mfaService.isValidStepUpToken(stepUpToken, { sub: 'user_1', sid: 'family_2' }), false);
+    });
+
+    it('stops accepting step-up codes once the limit is used up, even a valid one', async () => {
+        await useUpAttempts('user_1');
+
+        await assert.rejects(mfaService.issueStepUpToken({ sub: 'user_1', sid: 'family_1' }, validCode()), { statusCode: 429 });
+    });
+
+    it('shares the limit between step-up, disabling MFA, recovery codes and login', async () => {
+        const challenge = await mfaService.beginLogin(prisma.rows('user', { id: 'user_1' })[0]);
+        await useUpAttempts('user_1');
+
+        await assert.rejects(mfaService.disableMfa('user_1', { code: validCode() }), { statusCode: 429 });
+        await assert.rejects(mfaService.regenerateRecoveryCodes('user_1', validCode()), { statusCode: 429 });
+        await assert.rejects(mfaService.completeChallenge(challenge.challengeToken, { code: validCode() }), { statusCode: 429 });
+        assert.equal(prisma.rows('user', { id: 'user_1' })[0].mfaEnabled, true);
+    });
+
+    it('counts enrollment codes too', async () => {
+        seedUser('user_2', { mfaEnabled: false });
+
+        for (let attempt = 0; attempt < config.mfa.maxCodeAttempts; attempt++) {
+            await assert.rejects(mfaService.confirmEnrollment('user_2', WRONG_CODE), { statusCode: 400 });
+        }
+        await assert.rejects(mfaService.confirmEnrollment('user_2', validCode()), { statusCode: 429 });
+        assert.equal(prisma.rows('user', { id: 'user_2' })[0].mfaEnabled, false);
+    });
+
+    it('keeps a separate limit per user', async () => {
+        seedUser('user_2');
+        await useUpAttempts('user_1');
+
+        const { stepUpToken } = await mfaService.issueStepUpToken({ sub: 'user_2', sid: 'family_1' }, validCode());
+        assert.ok(stepUpToken);
+    });
+});
+
+describe('forced enrollment login', () => {
+    beforeEach(() => {
+        prisma.reset();
+        setRateLimitStore(new MemoryRateLimitStore());
+    });
+
+    const confirm = async (userId) => {
+        const req = {
+            user: { sub: userId, enrollmentOnly: true },
+            body: { code: validCode() },
+            ip: '10.0.0.1',
+            headers: {},
+            get: () => 'test-agent'
+        };
+        const res = { json: (body) => { res.body = body; }, cookie: () => {} };
+        let failure = null;
+
+        await mfaController.confirmEnrollment(req, res, (error) => { failure = error; });
+        return { body: res.body, failure };
+    };
+
+    it('completes the login once the first code verifies', async () => {
+        seedUser('user_1', { mfaEnabled: false });
+
+        const { body, failure } = await confirm('user_1');
+
+        assert.equal(failure, null);
+        assert.equal(body.recoveryCodes.length, 10);
+        assert.equal(body.user.id, 'user_1');
+        assert.ok(body.accessToken);
+        assert.equal(prisma.rows('refreshSession', { userId: 'user_1' }).length, 1);
+    });
+
+    it('issues no session to a user suspended since the password step', async () => {
+        seedUser('user_1', { mfaEnabled: false, status: 'SUSPENDED' });
+
+        const { body, failure } = await confirm('user_1');
+
+        assert.equal(body, undefined);
+        assert.equal(failure.statusCode, 401);
+        assert.match(failure.message, /suspended/);
+        assert.equal(prisma.rows('refreshSession', { userId: 'user_1' }).length, 0);
+    });
+});
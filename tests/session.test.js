@@ -0,0 +1,78 @@
+import { prisma } from './helpers/setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as sessionService from '../src/modules/auth/session.service.js';
+
+/**
+ * Refresh-token sessions: rotation within a family, reuse detection and revocation
+ */
+
+const familyRows = (familyId) => prisma.rows('refreshSession', { familyId });
+
+describe('refresh sessions', () => {
+    beforeEach(() => prisma.reset());
+
+    it('rotates the token within its family', async () => {
+        const { refreshToken, familyId } = await sessionService.startSession('user_1', { ipAddress: '10.0.0.1' });
+
+        const rotated = await sessionService.rotateSession(refreshToken);
+        assert.equal(rotated.userId, 'user_1');
+        assert.equal(rotated.familyId, familyId);
+        assert.notEqual(rotated.refreshToken, refreshToken);
+
+        const again = await sessionService.rotateSession(rotated.refreshToken);
+        assert.equal(again.familyId, familyId);
+
+        assert.equal(familyRows(familyId).length, 3);
+        assert.equal(familyRows(familyId).filter(row => !row.rotatedAt).length, 1);
+        assert.equal(await sessionService.isSessionActive(familyId), true);
+    });
+
+    it('revokes the whole family when a rotated token is presented again', async () => {
+        const { refreshToken, familyId } = await sessionService.startSession('user_1');
+        const rotated = await sessionService.rotateSession(refreshToken);
+
+        await assert.rejects(sessionService.rotateSession(refreshToken), { statusCode: 401, message: /already been used/ });
+
+        assert.ok(familyRows(familyId).every(row => row.revokedAt && row.revokedReason === sessionService.RevocationReason.TOKEN_REUSE));
+        assert.equal(await sessionService.isSessionActive(familyId), false);
+        await assert.rejects(sessionService.rotateSession(rotated.refreshToken), { statusCode: 401, message: /revoked/ });
+        assert.equal(prisma.rows('auditLog', { eventType: 'REFRESH_TOKEN_REUSE_DETECTED' }).length, 1);
+    });
+
+    it('lets only one of two concurrent refreshes win, and treats the other as reuse', async () => {
+        const { refreshToken, familyId } = await sessionService.startSession('user_1');
+
+        const results = await Promise.allSettled([
+            sessionService.rotateSession(refreshToken),
+            sessionService.rotateSession(refreshToken)
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        assert.equal(results.filter(result => result.status === 'rejected').length, 1);
+        assert.equal(await sessionService.isSessionActive(familyId), false);
+    });
+
+    it('keeps other families alive when one is logged out', async () => {
+        const first = await sessionService.startSession('user_1');
+        const second = await sessionService.startSession('user_1');
+
+        await sessionService.endSession(first.refreshToken);
+
+        assert.equal(await sessionService.isSessionActive(first.familyId), false);
+        assert.equal(await sessionService.isSessionActive(second.familyId), true);
+        await assert.rejects(sessionService.rotateSession(first.refreshToken), { statusCode: 401 });
+        assert.deepEqual((await sessionService.listSessions('user_1')).map(session => session.familyId), [second.familyId]);
+    });
+
+    it('only lets users revoke their own sessions', async () => {
+        const { familyId } = await sessionService.startSession('user_1');
+        const [session] = familyRows(familyId);
+
+        await assert.rejects(sessionService.revokeSession(session.id, { userId: 'user_2', isAdmin: false }), { statusCode: 404 });
+
+        const revoked = await sessionService.revokeSession(session.id, { userId: 'admin_1', isAdmin: true });
+        assert.equal(revoked.reason, sessionService.RevocationReason.ADMIN_REVOKED);
+        assert.equal(await sessionService.isSessionActive(familyId), false);
+    });
+});